@@ -0,0 +1,288 @@
+// adapters/conformance.js
+// Общая проверка хранилищ на соответствие интерфейсу (adapters/registry.js).
+// Каждое хранилище, которое можно выбрать через STORAGE, обязано её проходить:
+// запуск — node tools/check-adapters.js [STORAGE ...] (npm run check:adapters),
+// все хранилища из CONFORMANCE_STORAGES проверяются и в npm test (test/conformance.test.js).
+//
+// Проверки обязательного интерфейса выполняются всегда, проверки возможностей
+// (транзакции, корзина, блокноты) — только если хранилище их заявляет.
+// Все заметки создаются у случайного пользователя, поэтому проверку можно
+// запускать и на непустом хранилище.
+
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { nanoid } from 'nanoid';
+import { createStorage, hasCapability, capabilitiesOf, parseStorageSpec } from './registry.js';
+import { VersionMismatchError } from '../lib/errors.js';
+import { parseSort, readCursor } from '../lib/noteQuery.js';
+import { getFirestore, setFirestore } from '../lib/firestore.js';
+import { createMemoryFirestore } from '../lib/memoryFirestore.js';
+
+// Хранилища, которые проверяются по умолчанию
+export const CONFORMANCE_STORAGES = ['memory', 'file', 'sqlite', 'firestore', 'sqlite+file', 'dual'];
+
+function makeNote(uid, fields = {}) {
+  const now = Date.now();
+  return {
+    id: nanoid(),
+    uid,
+    title: '',
+    body: '',
+    tags: [],
+    date: null,
+    time: null,
+    notebookId: null,
+    reminderAt: null,
+    recurrence: null,
+    isDeleted: false,
+    createdAt: now,
+    updatedAt: now,
+    ...fields
+  };
+}
+
+// Проверки: [название, возможность или null, async (storage, uid) => {}]
+const CASES = [
+  ['get: неизвестный id — null', null, async storage => {
+    assert.equal(await storage.get(`missing-${nanoid()}`), null);
+  }],
+
+  ['upsert + get: заметка сохраняется целиком, ревизия 1', null, async (storage, uid) => {
+    const note = makeNote(uid, { title: 'Привет', body: 'мир', tags: ['a', 'b'], date: 1700000000000, time: '09:30' });
+    await storage.upsert(note);
+    const saved = await storage.get(note.id);
+    assert.ok(saved, 'заметка не найдена');
+    for (const field of ['id', 'uid', 'title', 'body', 'date', 'time', 'createdAt', 'updatedAt']) {
+      assert.deepEqual(saved[field], note[field], `поле ${field}`);
+    }
+    assert.deepEqual(saved.tags, ['a', 'b']);
+    assert.equal(!!saved.isDeleted, false);
+    assert.equal(saved.revision, 1);
+  }],
+
+  ['upsert: ревизия растёт, If-Match проверяется', null, async (storage, uid) => {
+    const note = makeNote(uid, { title: 'v1' });
+    await storage.upsert(note);
+    await storage.upsert({ ...note, title: 'v2' });
+    assert.equal((await storage.get(note.id)).revision, 2);
+
+    await assert.rejects(
+      storage.upsert({ ...note, title: 'stale' }, { expectedRevision: 1 }),
+      err => err instanceof VersionMismatchError && err.current && err.current.revision === 2
+    );
+    assert.equal((await storage.get(note.id)).title, 'v2');
+
+    await storage.upsert({ ...note, title: 'v3' }, { expectedRevision: 2 });
+    const saved = await storage.get(note.id);
+    assert.equal(saved.title, 'v3');
+    assert.equal(saved.revision, 3);
+  }],
+
+  ['upsert: keepRevision сохраняет присланную ревизию', null, async (storage, uid) => {
+    const note = makeNote(uid, { revision: 7 });
+    await storage.upsert(note, { keepRevision: true });
+    assert.equal((await storage.get(note.id)).revision, 7);
+  }],
+
+  ['upsert: deletedAt ставится при удалении в корзину и сбрасывается при восстановлении', null, async (storage, uid) => {
+    const note = makeNote(uid);
+    await storage.upsert(note);
+    await storage.upsert({ ...note, isDeleted: true });
+    const trashed = await storage.get(note.id);
+    assert.ok(trashed.isDeleted);
+    assert.ok(trashed.deletedAt > 0, 'нет deletedAt');
+    await storage.upsert({ ...trashed, isDeleted: false });
+    assert.equal((await storage.get(note.id)).deletedAt, null);
+  }],
+
+  ['find: фильтры uid, корзина, теги, поиск', null, async (storage, uid) => {
+    const a = makeNote(uid, { title: 'Купить молоко', tags: ['дом'] });
+    const b = makeNote(uid, { title: 'Отчёт', body: 'квартальный отчёт', tags: ['работа'] });
+    const c = makeNote(uid, { title: 'Старое', isDeleted: true });
+    const other = makeNote(`${uid}-other`, { title: 'Чужое' });
+    for (const note of [a, b, c, other]) await storage.upsert(note);
+
+    const ids = list => list.map(n => n.id).sort();
+    assert.deepEqual(ids(await storage.find({ uid })), ids([a, b]));
+    assert.deepEqual(ids(await storage.find({ uid, includeDeleted: true })), ids([a, b, c]));
+    assert.deepEqual(ids(await storage.find({ uid, onlyDeleted: true })), [c.id]);
+    assert.deepEqual(ids(await storage.find({ uid, tags: ['работа'] })), [b.id]);
+    assert.deepEqual(ids(await storage.find({ uid, q: 'молоко' })), [a.id]);
+    assert.deepEqual(ids(await storage.find({ uid: other.uid })), [other.id]);
+  }],
+
+  ['find: сортировка и проекция полей', null, async (storage, uid) => {
+    const notes = ['b', 'C', 'a'].map((title, i) => makeNote(uid, { title, updatedAt: 1000 + i }));
+    for (const note of notes) await storage.upsert(note);
+    const byTitle = await storage.find({ uid, sort: parseSort('title') });
+    assert.deepEqual(byTitle.map(n => n.title), ['a', 'b', 'C']);
+    const newest = await storage.find({ uid, fields: ['id', 'title'] });
+    assert.deepEqual(newest.map(n => n.title), ['a', 'C', 'b']);
+    assert.deepEqual(Object.keys(newest[0]).sort(), ['id', 'title']);
+  }],
+
+  ['findPage: страницы по курсору без пропусков и повторов', null, async (storage, uid) => {
+    const notes = Array.from({ length: 7 }, (_, i) => makeNote(uid, { title: `n${i}`, updatedAt: 5000 + (i % 3) }));
+    for (const note of notes) await storage.upsert(note);
+    const sort = parseSort(null);
+    const seen = [];
+    let cursor = null;
+    do {
+      const page = await storage.findPage({ uid, sort, limit: 3, cursor: cursor && readCursor(cursor, sort) });
+      assert.ok(page.notes.length <= 3);
+      seen.push(...page.notes.map(n => n.id));
+      cursor = page.nextCursor;
+    } while (cursor);
+    assert.equal(seen.length, notes.length);
+    assert.deepEqual([...seen].sort(), notes.map(n => n.id).sort());
+  }],
+
+  ['tagCounts: теги неудалённых заметок по убыванию', null, async (storage, uid) => {
+    await storage.upsert(makeNote(uid, { tags: ['x', 'y'] }));
+    await storage.upsert(makeNote(uid, { tags: ['x'] }));
+    await storage.upsert(makeNote(uid, { tags: ['z'], isDeleted: true }));
+    assert.deepEqual(await storage.tagCounts(uid), [{ name: 'x', count: 2 }, { name: 'y', count: 1 }]);
+  }],
+
+  ['remove: окончательное удаление, повторное — false', null, async (storage, uid) => {
+    const note = makeNote(uid);
+    await storage.upsert(note);
+    assert.equal(await storage.remove(note.id), true);
+    assert.equal(await storage.get(note.id), null);
+    assert.deepEqual((await storage.find({ uid, includeDeleted: true })).map(n => n.id), []);
+    assert.equal(await storage.remove(note.id), false);
+  }],
+
+  ['remove: If-Match проверяется', null, async (storage, uid) => {
+    const note = makeNote(uid);
+    await storage.upsert(note);
+    await assert.rejects(storage.remove(note.id, { expectedRevision: 5 }), VersionMismatchError);
+    assert.ok(await storage.get(note.id));
+  }],
+
+  ['transaction: откат при ошибке', 'transactions', async (storage, uid) => {
+    const kept = makeNote(uid, { title: 'kept' });
+    await storage.upsert(kept);
+    const lost = makeNote(uid, { title: 'lost' });
+    await assert.rejects(storage.transaction(async () => {
+      await storage.upsert(lost);
+      await storage.upsert({ ...kept, title: 'changed' });
+      throw new Error('rollback');
+    }), /rollback/);
+    assert.equal(await storage.get(lost.id), null);
+    assert.equal((await storage.get(kept.id)).title, 'kept');
+  }],
+
+  ['transaction: вложенная транзакция откатывает только свои записи', 'transactions', async (storage, uid) => {
+    const outer = makeNote(uid, { title: 'outer' });
+    const inner = makeNote(uid, { title: 'inner' });
+    await storage.transaction(async () => {
+      await storage.upsert(outer);
+      await assert.rejects(storage.transaction(async () => {
+        await storage.upsert(inner);
+        await storage.upsert({ ...outer, title: 'changed' });
+        throw new Error('rollback');
+      }), /rollback/);
+    });
+    assert.equal(await storage.get(inner.id), null);
+    assert.equal((await storage.get(outer.id)).title, 'outer');
+  }],
+
+  ['findExpiredTrash: заметки в корзине старше срока', 'trash', async (storage, uid) => {
+    const old = makeNote(uid, { isDeleted: true, deletedAt: 1000 });
+    const fresh = makeNote(uid, { isDeleted: true });
+    await storage.upsert(old);
+    await storage.upsert(fresh);
+    const expired = (await storage.findExpiredTrash(Date.now() - 60 * 1000)).map(n => n.id);
+    assert.ok(expired.includes(old.id));
+    assert.ok(!expired.includes(fresh.id));
+  }],
+
+  ['блокноты: upsertNotebook, getNotebook, findNotebooks', 'notebooks', async (storage, uid) => {
+    const now = Date.now();
+    const nb = { id: nanoid(), uid, name: 'Работа', parentId: null, createdAt: now, updatedAt: now, isDeleted: false };
+    const gone = { ...nb, id: nanoid(), name: 'Архив', isDeleted: true };
+    await storage.upsertNotebook({ ...nb });
+    await storage.upsertNotebook({ ...gone });
+    assert.equal((await storage.getNotebook(nb.id)).name, 'Работа');
+    assert.deepEqual((await storage.findNotebooks({ uid })).map(n => n.id), [nb.id]);
+    assert.deepEqual((await storage.findNotebooks({ uid, includeDeleted: true })).map(n => n.name), ['Архив', 'Работа']);
+  }],
+
+  ['changes: изменения по seq постранично, окончательное удаление — в purged', 'sync', async (storage, uid) => {
+    const head = await storage.currentSeq();
+    const a = makeNote(uid, { title: 'a' });
+    const b = makeNote(uid, { title: 'b' });
+    await storage.upsert(a);
+    await storage.upsert(b);
+    const first = await storage.changes({ uid, afterSeq: head, limit: 1 });
+    assert.deepEqual(first.notes.map(n => n.id), [a.id]);
+    assert.equal(first.hasMore, true);
+    const rest = await storage.changes({ uid, afterSeq: first.lastSeq, limit: 10 });
+    assert.deepEqual(rest.notes.map(n => n.id), [b.id]);
+    assert.equal(rest.hasMore, false);
+
+    await storage.remove(a.id);
+    const purged = await storage.changes({ uid, afterSeq: rest.lastSeq, limit: 10 });
+    assert.deepEqual(purged.purged.map(p => p.id), [a.id]);
+    assert.equal(purged.lastSeq, await storage.currentSeq());
+    assert.deepEqual((await storage.changes({ uid: `other-${uid}`, afterSeq: head })).notes, []);
+  }],
+
+  ['changes: номер изменения из откатившейся транзакции не выдаётся повторно', 'sync', async (storage, uid) => {
+    if (!hasCapability(storage, 'transactions')) return;
+    const head = await storage.currentSeq();
+    await assert.rejects(storage.transaction(async () => {
+      await storage.upsert(makeNote(uid));
+      throw new Error('rollback');
+    }), /rollback/);
+    const kept = makeNote(uid);
+    await storage.upsert(kept);
+    const { notes } = await storage.changes({ uid, afterSeq: head });
+    assert.deepEqual(notes.map(n => n.id), [kept.id]);
+    assert.ok(notes[0].seq > head + 1, 'seq откатившейся записи достался новой');
+  }]
+];
+
+/**
+ * Проверить хранилище по значению STORAGE во временном каталоге.
+ * Если Firestore не настроен, для firestore и dual подключается Firestore в памяти.
+ * @returns {Promise<{ storage: string, capabilities: string[], results: object[] }>}
+ */
+export async function checkStorage(spec) {
+  const names = parseStorageSpec(spec);
+  if ((names.includes('firestore') || names.includes('dual')) && !getFirestore()) {
+    setFirestore(createMemoryFirestore());
+  }
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'notes-conformance-'));
+  try {
+    const storage = createStorage(spec);
+    await storage.init(dir);
+    return { storage: spec, capabilities: capabilitiesOf(storage), results: await runConformance(storage) };
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Прогнать проверки на инициализированном хранилище.
+ * @returns {Promise<{ name: string, ok: boolean, skipped?: boolean, error?: string }[]>}
+ */
+export async function runConformance(storage) {
+  const results = [];
+  for (const [name, capability, check] of CASES) {
+    if (capability && !hasCapability(storage, capability)) {
+      results.push({ name, ok: true, skipped: true });
+      continue;
+    }
+    try {
+      await check(storage, `conformance-${nanoid(8)}`);
+      results.push({ name, ok: true });
+    } catch (e) {
+      results.push({ name, ok: false, error: e && e.message });
+    }
+  }
+  return results;
+}
@@ -3,63 +3,42 @@
 // Основная база — локальная SQLite (быстрая работа + оффлайн).
 // Дополнительно делаем копию заметок в файлах (FileAdapter).
 // Если Firestore инициализирован (админ доступен) — включается облачная синхронизация.
+// Внутри transaction() запись в файлы и Firestore откладывается до COMMIT в SQLite,
+// чтобы откат транзакции не оставлял в копиях изменений, которых нет в основной базе.
+// После записи подписчики GET /sync/stream получают уведомление (lib/changeBus.js) —
+// тоже только после COMMIT.
+// В Firestore адаптер не пишет напрямую: запись документа ставится в очередь
+// firestore_outbox в той же транзакции SQLite, что и само изменение, а отправляет её
+// фоновый обработчик (lib/outbox.js) с повторами при ошибках сети.
 
+import { AsyncLocalStorage } from 'async_hooks';
 import * as SqliteAdapter from './sqliteAdapter.js';
 import * as FileAdapter from './fileAdapter.js';
-import admin from 'firebase-admin';
+import { initBlobStore } from '../lib/attachments.js';
+import { publishChange } from '../lib/changeBus.js';
+import { getFirestore } from '../lib/firestore.js';
+import { wakeOutbox } from '../lib/outbox.js';
+
+// Очередь отложенных записей в файлы/Firestore текущей транзакции
+const pendingReplication = new AsyncLocalStorage();
 
 // =============================
 // Вспомогательная функция для получения Firestore.
 // Если admin ещё не инициализирован — возвращаем null.
 // =============================
 function getFirestoreSafe() {
-  try {
-    return admin.firestore();
-  } catch (e) {
-    return null;
-  }
-}
-
-// =============================
-// Фильтрация заметок (унифицированная логика).
-// Используется для поиска как по локальной БД, так и по Firestore.
-// =============================
-function matchesFilters(note, filters = {}) {
-  if (!filters.includeDeleted && note.isDeleted) return false;
-  if (filters.uid && note.uid !== filters.uid) return false;
-
-  if (filters.q) {
-    const q = String(filters.q).toLowerCase();
-    if (
-      !(
-        ((note.title || '').toLowerCase().includes(q)) ||
-        ((note.body || '').toLowerCase().includes(q))
-      )
-    ) return false;
-  }
-
-  if (filters.updatedAfter && Number(note.updatedAt || 0) <= Number(filters.updatedAfter)) return false;
-  if (filters.dateFrom && !(note.date && Number(note.date) >= Number(filters.dateFrom))) return false;
-  if (filters.dateTo && !(note.date && Number(note.date) <= Number(filters.dateTo))) return false;
-  if (filters.time && note.time !== filters.time) return false;
-
-  if (Array.isArray(filters.tags) && filters.tags.length) {
-    if (!Array.isArray(note.tags)) return false;
-    for (const t of filters.tags) {
-      if (!note.tags.includes(t)) return false;
-    }
-  }
-  return true;
+  return getFirestore();
 }
 
 // =============================
 // Инициализация адаптера.
-// 1. Инициализируем SQLite и файловый адаптер.
+// 1. Инициализируем SQLite, файловый адаптер и каталог вложений.
 // 2. Проверяем доступность Firestore.
 // =============================
 export async function init(basePath) {
   await SqliteAdapter.init(basePath);
   await FileAdapter.init(basePath);
+  await initBlobStore(basePath);
 
   const firestore = getFirestoreSafe();
   if (firestore) {
@@ -81,15 +60,17 @@ export async function get(id) {
 
   const firestore = getFirestoreSafe();
   if (!firestore) return null;
+  // удалённая окончательно заметка может ещё ждать удаления из Firestore в очереди
+  if (await SqliteAdapter.wasPurged(id)) return null;
 
   try {
     const snap = await firestore.collection('notes').doc(id).get();
     if (!snap.exists) return null;
 
     const note = snap.data();
-    // Кешируем заметку локально
+    // Кешируем заметку локально (ревизию сохраняем ту, что пришла из Firestore)
     try {
-      await SqliteAdapter.upsert(note);
+      await SqliteAdapter.upsert(note, { keepRevision: true });
       await FileAdapter.upsert(note);
       console.log(`[DualAdapter] Заметка ${id} загружена из Firestore и сохранена локально`);
     } catch (e) {
@@ -102,82 +83,598 @@ export async function get(id) {
   }
 }
 
+// =============================
+// Запись в копии (файлы, Firestore): сразу или после COMMIT, если идёт транзакция.
+// =============================
+async function replicate(task) {
+  const queue = pendingReplication.getStore();
+  if (queue) {
+    queue.push(task);
+    return;
+  }
+  await task();
+}
+
+// =============================
+// Запись документа в Firestore через очередь firestore_outbox.
+// Вызывается внутри withOutbox() вместе с изменением, которое она копирует.
+// Без Firestore очередь не ведётся — при его подключении расхождения найдёт
+// сверка (reconcileFirestore).
+// op: merge | set | delete
+// =============================
+async function queueFirestore(collection, docId, op, data = null) {
+  if (!getFirestoreSafe()) return;
+  await SqliteAdapter.enqueueOutbox({ collection, docId, op, data });
+}
+
+// Изменение в SQLite и его записи в очередь — одной транзакцией;
+// обработчик очереди будится после COMMIT (внешней транзакции, если она идёт).
+async function withOutbox(fn) {
+  const result = await SqliteAdapter.transaction(fn);
+  await replicate(async () => wakeOutbox());
+  return result;
+}
+
+// =============================
+// Уведомление /sync/stream: у владельца заметки и получателей доступа изменился поток
+// (в транзакции — после COMMIT, раньше записи в файлы и Firestore).
+// =============================
+async function notifyNoteChange(noteId, ownerUid, shares = null) {
+  const recipients = shares || await SqliteAdapter.listShares(noteId);
+  await replicate(async () => publishChange([ownerUid, ...recipients.map(s => s.uid)]));
+}
+
+// =============================
+// Транзакция: все записи в SQLite внутри fn применяются целиком или откатываются.
+// Файлы и Firestore обновляются после успешного COMMIT.
+// Вложенная транзакция (SAVEPOINT) при откате отбрасывает и свои отложенные записи.
+// =============================
+export async function transaction(fn) {
+  const outer = pendingReplication.getStore();
+  const queue = [];
+  const result = await pendingReplication.run(queue, () => SqliteAdapter.transaction(fn));
+  if (outer) {
+    outer.push(...queue);
+    return result;
+  }
+  for (const task of queue) {
+    await task();
+  }
+  return result;
+}
+
 // =============================
 // Сохранение/обновление заметки (upsert).
-// 1. Сохраняем в SQLite и файлы.
-// 2. Если Firestore доступен — пушим туда.
+// 1. Сохраняем в SQLite — он назначает номер ревизии (note.revision)
+//    и записывает ревизию в историю.
+// 2. Сохраняем в файлы уже с новой ревизией (заметку + запись истории).
+// 3. Если Firestore доступен — ставим заметку в очередь записи туда
+//    (в одной транзакции с шагом 1).
+// options.actor — uid пользователя, который вносит изменение;
+// options.keepRevision — сохранить ревизию, пришедшую с заметкой (копирование из другого хранилища).
 // =============================
-export async function upsert(note) {
+export async function upsert(note, options = {}) {
   // Локальное сохранение обязательно
-  await Promise.all([
-    SqliteAdapter.upsert(note),
-    FileAdapter.upsert(note)
-  ]);
+  // expectedRevision (If-Match) проверяется в SQLite: при несовпадении копии не трогаем
+  const revision = await withOutbox(async () => {
+    const rev = await SqliteAdapter.upsert(note, {
+      actor: options.actor,
+      expectedRevision: options.expectedRevision,
+      keepRevision: options.keepRevision
+    });
+    // В Firestore обязательно наличие uid (привязка к пользователю)
+    await queueFirestore('notes', note.id, 'merge', { ...note });
+    return rev;
+  });
+  const saved = { ...note };
+  await notifyNoteChange(saved.id, saved.uid);
+
+  await replicate(async () => {
+    await FileAdapter.upsert(saved);
+    await FileAdapter.appendRevision(revision);
+  });
+  // как SqliteAdapter и обёртка хранилищ (adapters/registry.js) — записанная ревизия
+  return revision;
+}
+
+// =============================
+// Окончательное удаление заметки (очистка корзины).
+// 1. Удаляем из SQLite — там остаётся tombstone для /sync/pull.
+// 2. Удаляем JSON-файл и историю ревизий.
+// 3. Ставим в очередь удаление документа (и доступов) из Firestore,
+//    иначе find() снова закеширует заметку. Только если заметка была удалена
+//    в SQLite: чужой или отсутствующий документ Firestore не трогаем.
+// =============================
+export async function remove(id, options = {}) {
+  const shares = await SqliteAdapter.listShares(id);
+  const existing = await SqliteAdapter.get(id);
+  const removed = await withOutbox(async () => {
+    const result = await SqliteAdapter.remove(id, { expectedRevision: options.expectedRevision });
+    if (!result) return result;
+    for (const share of shares) {
+      await queueFirestore('noteShares', `${id}_${share.uid}`, 'delete');
+    }
+    await queueFirestore('notes', id, 'delete');
+    return result;
+  });
+  if (removed) await notifyNoteChange(id, existing && existing.uid, shares);
 
+  await replicate(async () => {
+    await FileAdapter.remove(id);
+  });
+  return removed;
+}
+
+// =============================
+// Заметки в корзине, удалённые раньше deletedBefore (для автоочистки).
+// =============================
+export async function findExpiredTrash(deletedBefore) {
+  return SqliteAdapter.findExpiredTrash(deletedBefore);
+}
+
+// =============================
+// Подтягиваем из Firestore заметки пользователя, которых нет в SQLite,
+// и кешируем их локально (SQLite + File). После этого весь поиск, сортировка
+// и постраничная выдача выполняются запросом к SQLite — одной шкалой для всех заметок.
+// Ошибки Firestore не мешают поиску: работаем с тем, что есть локально.
+// =============================
+async function cacheMissingFromFirestore(uid) {
   const firestore = getFirestoreSafe();
-  if (!firestore) {
-    console.log(`[DualAdapter] Firestore недоступен — заметка ${note.id} сохранена только локально`);
-    return;
-  }
+  if (!firestore) return;
 
   try {
-    // В Firestore обязательно наличие uid (привязка к пользователю)
-    await firestore.collection('notes').doc(note.id).set(note, { merge: true });
-    console.log(`[DualAdapter] Заметка ${note.id} синхронизирована с Firestore`);
+    let q = firestore.collection('notes');
+    if (uid) q = q.where('uid', '==', uid);
+
+    const snap = await q.get();
+    const local = await SqliteAdapter.find({ uid, includeDeleted: true, fields: ['id'] });
+    const localIds = new Set(local.map(n => n.id));
+
+    for (const doc of snap.docs) {
+      const rn = doc.data();
+      if (!rn || !rn.id || localIds.has(rn.id)) continue;
+      // удаление ещё не дошло до Firestore — не воскрешаем заметку
+      if (await SqliteAdapter.wasPurged(rn.id)) continue;
+      try {
+        await SqliteAdapter.upsert(rn, { keepRevision: true });
+        await FileAdapter.upsert(rn);
+        console.log(`[DualAdapter] Заметка ${rn.id} загружена из Firestore и сохранена локально`);
+      } catch (e) {
+        console.warn(`[DualAdapter] Ошибка кеширования заметки ${rn.id} во время поиска:`, e && e.message);
+      }
+    }
   } catch (e) {
-    console.error(`[DualAdapter] Ошибка при сохранении заметки ${note.id} в Firestore:`, e && e.message);
+    console.error('[DualAdapter] Ошибка при получении заметок из Firestore:', e && e.message);
   }
 }
 
 // =============================
 // Поиск заметок по фильтрам.
-// 1. Достаём из SQLite (быстро, оффлайн).
-// 2. Если Firestore доступен — подгружаем заметки оттуда (по uid).
-// 3. Объединяем списки (локальные имеют приоритет).
-// 4. Новые из Firestore — кешируем локально.
+// 1. Кешируем локально заметки из Firestore, которых ещё нет в SQLite.
+// 2. Выполняем поиск в SQLite (фильтры, FTS5, сортировка, проекция полей).
 // =============================
 export async function find(filters = {}) {
-  // Локальные заметки
-  const localNotes = await SqliteAdapter.find(filters);
+  await cacheMissingFromFirestore(filters.uid);
+  return SqliteAdapter.find(filters);
+}
+
+// =============================
+// Постраничный поиск (limit / cursor / sort / fields).
+// Страница вырезается в SQLite (LIMIT + keyset), а не в памяти.
+// =============================
+export async function findPage(filters = {}) {
+  await cacheMissingFromFirestore(filters.uid);
+  return SqliteAdapter.findPage(filters);
+}
+
+// =============================
+// Теги пользователя с количеством заметок.
+// =============================
+export async function tagCounts(uid) {
+  await cacheMissingFromFirestore(uid);
+  return SqliteAdapter.tagCounts(uid);
+}
+
+// =============================
+// Блокноты: хранятся так же, как заметки — SQLite (основная база),
+// файлы notebooks_files/ и коллекция notebooks в Firestore.
+// =============================
+export async function getNotebook(id) {
+  const local = await SqliteAdapter.getNotebook(id);
+  if (local) return local;
 
   const firestore = getFirestoreSafe();
-  if (!firestore) {
-    return localNotes;
-  }
+  if (!firestore) return null;
 
   try {
-    let q = firestore.collection('notes');
-    if (filters.uid) q = q.where('uid', '==', filters.uid);
+    const snap = await firestore.collection('notebooks').doc(id).get();
+    if (!snap.exists) return null;
 
-    const snap = await q.get();
-    const remoteNotes = snap.docs.map(d => d.data());
-
-    // Применяем фильтры на клиенте (чтобы не усложнять Firestore-запрос)
-    const filteredRemote = remoteNotes.filter(n => matchesFilters(n, filters));
-
-    // Объединение локальных и удалённых заметок
-    const mapLocal = new Set(localNotes.map(n => n.id));
-    const merged = [...localNotes];
-
-    for (const rn of filteredRemote) {
-      if (!mapLocal.has(rn.id)) {
-        merged.push(rn);
-        // Кешируем новые заметки из Firestore
-        try {
-          await SqliteAdapter.upsert(rn);
-          await FileAdapter.upsert(rn);
-          console.log(`[DualAdapter] Заметка ${rn.id} загружена из Firestore и сохранена локально`);
-        } catch (e) {
-          console.warn(`[DualAdapter] Ошибка кеширования заметки ${rn.id} во время поиска:`, e && e.message);
-        }
+    const notebook = snap.data();
+    await SqliteAdapter.upsertNotebook(notebook);
+    await FileAdapter.upsertNotebook(notebook);
+    console.log(`[DualAdapter] Блокнот ${id} загружен из Firestore и сохранён локально`);
+    return notebook;
+  } catch (e) {
+    console.error('[DualAdapter][getNotebook] Ошибка Firestore:', e && e.message);
+    return null;
+  }
+}
+
+export async function upsertNotebook(notebook) {
+  await withOutbox(async () => {
+    await SqliteAdapter.upsertNotebook(notebook);
+    await queueFirestore('notebooks', notebook.id, 'merge', { ...notebook });
+  });
+  const saved = { ...notebook };
+  await replicate(async () => publishChange([saved.uid]));
+
+  await replicate(async () => {
+    await FileAdapter.upsertNotebook(saved);
+  });
+  return notebook;
+}
+
+// Блокноты пользователя: сначала кешируем отсутствующие локально из Firestore
+export async function findNotebooks(filters = {}) {
+  const firestore = getFirestoreSafe();
+  if (firestore) {
+    try {
+      let q = firestore.collection('notebooks');
+      if (filters.uid) q = q.where('uid', '==', filters.uid);
+
+      const snap = await q.get();
+      const local = await SqliteAdapter.findNotebooks({ uid: filters.uid, includeDeleted: true });
+      const localIds = new Set(local.map(nb => nb.id));
+
+      for (const doc of snap.docs) {
+        const nb = doc.data();
+        if (!nb || !nb.id || localIds.has(nb.id)) continue;
+        await SqliteAdapter.upsertNotebook(nb);
+        await FileAdapter.upsertNotebook(nb);
+        console.log(`[DualAdapter] Блокнот ${nb.id} загружен из Firestore и сохранён локально`);
       }
+    } catch (e) {
+      console.error('[DualAdapter] Ошибка при получении блокнотов из Firestore:', e && e.message);
     }
+  }
+  return SqliteAdapter.findNotebooks(filters);
+}
 
-    // Сортируем по дате обновления
-    merged.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
-    return merged;
-  } catch (e) {
-    console.error('[DualAdapter] Ошибка при получении заметок из Firestore:', e && e.message);
-    return localNotes;
+// =============================
+// Доступы к заметкам. Основная копия — SQLite (от неё зависит поток /sync/pull),
+// копии — note_shares/{noteId}.json и коллекция noteShares в Firestore.
+// =============================
+export async function getShare(noteId, uid) {
+  return SqliteAdapter.getShare(noteId, uid);
+}
+
+export async function listShares(noteId) {
+  return SqliteAdapter.listShares(noteId);
+}
+
+export async function findSharedWith(uid) {
+  return SqliteAdapter.findSharedWith(uid);
+}
+
+// Копирование доступов заметки в файлы (после изменения в SQLite)
+async function replicateShare(noteId) {
+  await replicate(async () => {
+    await FileAdapter.saveShares(noteId, await SqliteAdapter.listShares(noteId));
+  });
+}
+
+export async function upsertShare(share) {
+  await withOutbox(async () => {
+    await SqliteAdapter.upsertShare(share);
+    await queueFirestore('noteShares', `${share.noteId}_${share.uid}`, 'set', { ...share });
+  });
+  await replicateShare(share.noteId);
+  await replicate(async () => publishChange([share.uid]));
+  return share;
+}
+
+export async function removeShare(noteId, uid) {
+  const removed = await withOutbox(async () => {
+    const result = await SqliteAdapter.removeShare(noteId, uid);
+    if (result) await queueFirestore('noteShares', `${noteId}_${uid}`, 'delete');
+    return result;
+  });
+  if (removed) {
+    await replicateShare(noteId);
+    await replicate(async () => publishChange([uid]));
+  }
+  return removed;
+}
+
+// =============================
+// Публичные ссылки на заметки — только в SQLite (см. sqliteAdapter.js).
+// =============================
+export async function createPublicLink(link) {
+  return SqliteAdapter.createPublicLink(link);
+}
+
+export async function getPublicLink(token) {
+  return SqliteAdapter.getPublicLink(token);
+}
+
+export async function listPublicLinks(noteId) {
+  return SqliteAdapter.listPublicLinks(noteId);
+}
+
+export async function removePublicLinks(noteId, token) {
+  return SqliteAdapter.removePublicLinks(noteId, token);
+}
+
+export async function recordPublicLinkView(token) {
+  return SqliteAdapter.recordPublicLinkView(token);
+}
+
+export async function recordPublicLinkFailure(token) {
+  return SqliteAdapter.recordPublicLinkFailure(token);
+}
+
+// =============================
+// Вложения: метаданные — только в SQLite, файлы — в data/attachments (lib/attachments.js).
+// =============================
+export async function listAttachments(noteIds) {
+  return SqliteAdapter.listAttachments(noteIds);
+}
+
+export async function getAttachment(id) {
+  return SqliteAdapter.getAttachment(id);
+}
+
+// Вложение меняет seq заметки — устройства узнают о нём через /sync/stream
+export async function addAttachment(attachment, quotaBytes) {
+  const added = await SqliteAdapter.addAttachment(attachment, quotaBytes);
+  if (added) await notifyNoteChange(attachment.noteId, attachment.uid);
+  return added;
+}
+
+export async function removeAttachment(id) {
+  const removed = await SqliteAdapter.removeAttachment(id);
+  if (removed) await notifyNoteChange(removed.noteId, removed.uid);
+  return removed;
+}
+
+export async function attachmentUsage(uid) {
+  return SqliteAdapter.attachmentUsage(uid);
+}
+
+export async function countAttachmentsByHash(sha256) {
+  return SqliteAdapter.countAttachmentsByHash(sha256);
+}
+
+export async function attachmentHashes() {
+  return SqliteAdapter.attachmentHashes();
+}
+
+// =============================
+// Напоминания и устройства для push-уведомлений — только в SQLite:
+// расписание ведёт этот сервер (см. lib/reminders.js).
+// =============================
+export async function getReminder(noteId) {
+  return SqliteAdapter.getReminder(noteId);
+}
+
+export async function findReminders(filters) {
+  return SqliteAdapter.findReminders(filters);
+}
+
+export async function dueReminders(now, limit) {
+  return SqliteAdapter.dueReminders(now, limit);
+}
+
+export async function updateReminder(noteId, changes, expectedDueAt) {
+  return SqliteAdapter.updateReminder(noteId, changes, expectedDueAt);
+}
+
+export async function listDevices(uid) {
+  return SqliteAdapter.listDevices(uid);
+}
+
+export async function upsertDevice(device) {
+  return SqliteAdapter.upsertDevice(device);
+}
+
+export async function removeDevice(token, uid) {
+  return SqliteAdapter.removeDevice(token, uid);
+}
+
+// =============================
+// Календарные подписки — только в SQLite.
+// =============================
+export async function getCalendarFeed(uid) {
+  return SqliteAdapter.getCalendarFeed(uid);
+}
+
+export async function getCalendarFeedByToken(token) {
+  return SqliteAdapter.getCalendarFeedByToken(token);
+}
+
+export async function saveCalendarFeed(feed) {
+  return SqliteAdapter.saveCalendarFeed(feed);
+}
+
+export async function removeCalendarFeed(uid) {
+  return SqliteAdapter.removeCalendarFeed(uid);
+}
+
+// =============================
+// Настройки пользователя — только в SQLite.
+// =============================
+export async function getUserSettings(uid) {
+  return SqliteAdapter.getUserSettings(uid);
+}
+
+export async function saveUserSettings(settings) {
+  return SqliteAdapter.saveUserSettings(settings);
+}
+
+// =============================
+// История ревизий. Читаем из SQLite (файловая копия — резервная).
+// getRevisionSnapshot — только поля заметки (база для трёхстороннего слияния).
+// =============================
+export async function getRevisionSnapshot(id, revision) {
+  return SqliteAdapter.getRevisionSnapshot(id, revision);
+}
+
+export async function getRevision(id, revision) {
+  return SqliteAdapter.getRevision(id, revision);
+}
+
+export async function listRevisions(id) {
+  return SqliteAdapter.listRevisions(id);
+}
+
+// =============================
+// Изменения после заданного номера seq (для /sync/pull).
+// Номера изменений выдаёт только SQLite, поэтому читаем оттуда.
+// =============================
+export async function changes(options) {
+  return SqliteAdapter.changes(options);
+}
+
+export async function currentSeq() {
+  return SqliteAdapter.currentSeq();
+}
+
+// =============================
+// Очередь записей в Firestore (lib/outbox.js).
+// =============================
+export async function dueOutbox(now, limit) {
+  return SqliteAdapter.dueOutbox(now, limit);
+}
+
+export async function listOutbox(options) {
+  return SqliteAdapter.listOutbox(options);
+}
+
+export async function completeOutbox(id, version) {
+  return SqliteAdapter.completeOutbox(id, version);
+}
+
+export async function failOutbox(id, version, changes) {
+  return SqliteAdapter.failOutbox(id, version, changes);
+}
+
+export async function retryOutbox(ids) {
+  return SqliteAdapter.retryOutbox(ids);
+}
+
+export async function outboxStats() {
+  return SqliteAdapter.outboxStats();
+}
+
+// Какая из двух версий документа новее: сначала по ревизии (у заметок), затем по updatedAt
+function compareVersions(a, b) {
+  if (Number.isInteger(a.revision) && Number.isInteger(b.revision) && a.revision !== b.revision) {
+    return a.revision - b.revision;
+  }
+  return (a.updatedAt || 0) - (b.updatedAt || 0);
+}
+
+// Сверка одной коллекции: local — документы SQLite, pull(doc) — сохранить документ из Firestore локально
+async function reconcileCollection(firestore, collection, local, queued, pull) {
+  const stats = { checked: 0, pushed: 0, pulled: 0, deleted: 0, queued: 0 };
+  const snap = await firestore.collection(collection).get();
+  const remote = new Map(snap.docs.map(doc => [doc.id, doc.data()]));
+  const localById = new Map(local.map(doc => [doc.id, doc]));
+
+  for (const id of new Set([...localById.keys(), ...remote.keys()])) {
+    stats.checked++;
+    // запись уже ждёт отправки — она и так приведёт Firestore к локальному состоянию
+    if (queued.has(`${collection}/${id}`)) {
+      stats.queued++;
+      continue;
+    }
+    const mine = localById.get(id);
+    const theirs = remote.get(id);
+
+    if (mine && (!theirs || compareVersions(mine, theirs) > 0)) {
+      await withOutbox(() => queueFirestore(collection, id, 'merge', mine));
+      stats.pushed++;
+    } else if (!mine && collection === 'notes' && await SqliteAdapter.wasPurged(id)) {
+      await withOutbox(() => queueFirestore(collection, id, 'delete'));
+      stats.deleted++;
+    } else if (theirs && (!mine || compareVersions(theirs, mine) > 0)) {
+      try {
+        await pull(theirs);
+        stats.pulled++;
+      } catch (e) {
+        console.warn(`[DualAdapter] Ошибка при загрузке ${collection}/${id} из Firestore:`, e && e.message);
+      }
+    }
+  }
+  return stats;
+}
+
+// =============================
+// Сверка SQLite с Firestore (при старте и по запросу администратора).
+// Документы сравниваются по id и версии (revision, затем updatedAt):
+//   - локальная версия новее или документа нет в Firestore — ставим запись в очередь;
+//   - в Firestore новее или есть только там — загружаем локально
+//     (кроме окончательно удалённых заметок — для них ставим в очередь удаление);
+//   - документы, уже ждущие отправки в очереди, пропускаем.
+// Возвращает отчёт { notes, notebooks, startedAt, finishedAt } или null без Firestore.
+// =============================
+export async function reconcileFirestore() {
+  const firestore = getFirestoreSafe();
+  if (!firestore) return null;
+
+  const startedAt = Date.now();
+  const queued = new Set((await SqliteAdapter.listOutbox()).map(e => `${e.collection}/${e.docId}`));
+
+  const notes = await reconcileCollection(
+    firestore, 'notes', await SqliteAdapter.find({ includeDeleted: true }), queued,
+    async note => {
+      await SqliteAdapter.upsert(note, { keepRevision: true });
+      await FileAdapter.upsert(note);
+      publishChange([note.uid]);
+    }
+  );
+  const notebooks = await reconcileCollection(
+    firestore, 'notebooks', await SqliteAdapter.findNotebooks({ includeDeleted: true }), queued,
+    async notebook => {
+      await SqliteAdapter.upsertNotebook(notebook);
+      await FileAdapter.upsertNotebook(notebook);
+      publishChange([notebook.uid]);
+    }
+  );
+
+  const report = { notes, notebooks, startedAt, finishedAt: Date.now() };
+  console.log('[DualAdapter] Сверка с Firestore:', JSON.stringify({ notes, notebooks }));
+  return report;
+}
+
+// =============================
+// Записать в Firestore локальное состояние целиком (после восстановления базы из копии).
+// Сверка при старте загрузила бы из Firestore более новые версии заметок и отменила
+// восстановление, поэтому все заметки и блокноты ставятся в очередь как есть,
+// а документы, которых нет локально, — на удаление (записи в очереди сверка пропускает).
+// Возвращает { notes, notebooks, deleted } или null без Firestore.
+// =============================
+export async function overwriteFirestore() {
+  const firestore = getFirestoreSafe();
+  if (!firestore) return null;
+
+  const notes = await SqliteAdapter.find({ includeDeleted: true });
+  const notebooks = await SqliteAdapter.findNotebooks({ includeDeleted: true });
+  // документы Firestore, которых нет локально (читаем до транзакции — это сетевые запросы)
+  const stale = [];
+  for (const [collection, local] of [['notes', notes], ['notebooks', notebooks]]) {
+    const ids = new Set(local.map(doc => doc.id));
+    const snap = await firestore.collection(collection).get();
+    for (const doc of snap.docs) {
+      if (!ids.has(doc.id)) stale.push([collection, doc.id]);
+    }
   }
+  await withOutbox(async () => {
+    for (const note of notes) await queueFirestore('notes', note.id, 'set', note);
+    for (const notebook of notebooks) await queueFirestore('notebooks', notebook.id, 'set', notebook);
+    for (const [collection, id] of stale) await queueFirestore(collection, id, 'delete');
+  });
+  console.log(`[DualAdapter] В очередь Firestore поставлено заметок: ${notes.length}, блокнотов: ${notebooks.length}, удалений: ${stale.length}`);
+  return { notes: notes.length, notebooks: notebooks.length, deleted: stale.length };
 }
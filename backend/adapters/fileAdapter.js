@@ -3,23 +3,37 @@
 // Каждая заметка сохраняется как отдельный JSON-файл.
 // Используется как дополнительный слой хранения (резервное копирование).
 // Основная БД — SQLite, но файлы помогают при отладке и восстановлении данных.
+// История ревизий дублируется в notes_revisions/{id}/{revision}.json,
+// блокноты — в notebooks_files/{id}.json, доступы к заметке — в note_shares/{id}.json.
 
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getRevisionRetention } from '../lib/revisions.js';
+import { parseSearchQuery } from '../lib/search.js';
+import { parseSort, compareNotes, paginateInMemory, projectNote, filterNotes, countTags } from '../lib/noteQuery.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 let DATA_DIR = null;
+let REVISIONS_DIR = null;
+let NOTEBOOKS_DIR = null;
+let SHARES_DIR = null;
 
 // =============================
 // Инициализация файлового адаптера.
-// Создаём директорию "notes_files" внутри basePath.
+// Создаём директории "notes_files", "notes_revisions", "notebooks_files" и "note_shares" внутри basePath.
 // =============================
 export async function init(basePath) {
   DATA_DIR = path.join(basePath, 'notes_files');
+  REVISIONS_DIR = path.join(basePath, 'notes_revisions');
+  NOTEBOOKS_DIR = path.join(basePath, 'notebooks_files');
+  SHARES_DIR = path.join(basePath, 'note_shares');
   await fs.mkdir(DATA_DIR, { recursive: true });
+  await fs.mkdir(REVISIONS_DIR, { recursive: true });
+  await fs.mkdir(NOTEBOOKS_DIR, { recursive: true });
+  await fs.mkdir(SHARES_DIR, { recursive: true });
   console.log(`[FileAdapter] Папка для заметок инициализирована: ${DATA_DIR}`);
 }
 
@@ -63,8 +77,9 @@ export async function upsert(note) {
 // =============================
 // Поиск заметок с фильтрацией.
 // 1. Загружаем все JSON-файлы.
-// 2. Применяем фильтры (удалённые, uid, текстовый поиск, даты, теги).
-// 3. Сортируем по updatedAt (сначала новые).
+// 2. Применяем фильтры (удалённые, uid, даты, теги).
+// 3. Сортируем по updatedAt (сначала новые), а при текстовом поиске —
+//    по релевантности с подсветкой (lib/search.js, те же правила, что у FTS5).
 // =============================
 export async function find(filters = {}) {
   filters = filters || {};
@@ -82,55 +97,181 @@ export async function find(filters = {}) {
     }
   }
 
-  // Базовая фильтрация
-  let result = notes.filter(n => filters.includeDeleted ? true : !n.isDeleted);
+  const result = filterNotes(notes, { ...filters, fields: undefined });
 
-  // Фильтр по пользователю (uid)
-  if (filters.uid) {
-    result = result.filter(n => n.uid === filters.uid);
-  }
-
-  // Полнотекстовый поиск по title/body
-  if (filters.q) {
-    const q = String(filters.q).toLowerCase();
-    result = result.filter(
-      n => (n.title || '').toLowerCase().includes(q) ||
-           (n.body || '').toLowerCase().includes(q)
-    );
-  }
-
-  // Фильтры по датам
-  if (filters.updatedAfter) result = result.filter(n => (n.updatedAt || 0) > filters.updatedAfter);
-  if (filters.dateFrom) result = result.filter(n => n.date && n.date >= filters.dateFrom);
-  if (filters.dateTo) result = result.filter(n => n.date && n.date <= filters.dateTo);
+  console.log(`[FileAdapter] Найдено заметок после фильтрации: ${result.length}`);
+  return filters.fields ? result.map(n => projectNote(n, filters.fields)) : result;
+}
 
-  // Фильтр по времени
-  if (filters.time) result = result.filter(n => n.time === filters.time);
+// =============================
+// Все заметки для проверки целостности (lib/fsck.js).
+// find пропускает файлы, которые не удалось прочитать, — здесь они возвращаются
+// в corrupt вместе с файлами, в которых id не совпадает с именем файла.
+// =============================
+export async function scanNotes({ uid } = {}) {
+  const files = await fs.readdir(DATA_DIR);
+  const notes = [];
+  const corrupt = [];
 
-  // Фильтр по тегам
-  if (Array.isArray(filters.tags) && filters.tags.length) {
-    result = result.filter(n => Array.isArray(n.tags) && filters.tags.every(t => n.tags.includes(t)));
+  for (const f of files) {
+    if (!f.endsWith('.json')) continue;
+    const id = f.slice(0, -'.json'.length);
+    try {
+      const note = JSON.parse(await fs.readFile(path.join(DATA_DIR, f), 'utf8'));
+      if (!note || typeof note !== 'object' || note.id !== id) {
+        throw new Error('id в файле не совпадает с именем файла');
+      }
+      if (!uid || note.uid === uid) notes.push(note);
+    } catch (e) {
+      corrupt.push({ id, file: f, error: e && e.message });
+    }
   }
+  return { notes, corrupt };
+}
 
-  // Сортировка по updatedAt (новые сверху)
-  result.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+// =============================
+// Постраничный поиск (limit / cursor / sort / fields — как в SqliteAdapter.findPage).
+// Файлов немного, поэтому страница вырезается из отфильтрованного списка в памяти.
+// =============================
+export async function findPage(filters = {}) {
+  const search = filters.q ? parseSearchQuery(filters.q) : null;
+  const sort = filters.sort || parseSort(null, { search: !!search });
+  const all = await find({ ...filters, sort, fields: undefined });
+  return paginateInMemory(all, { sort, limit: filters.limit, cursor: filters.cursor, fields: filters.fields });
+}
 
-  console.log(`[FileAdapter] Найдено заметок после фильтрации: ${result.length}`);
-  return result;
+// =============================
+// Теги пользователя с количеством заметок (без удалённых),
+// в том же порядке, что и SqliteAdapter.tagCounts.
+// =============================
+export async function tagCounts(uid) {
+  return countTags(await find({ uid }));
 }
 
 // =============================
 // Удаление файла заметки.
-// (Используется редко, так как у нас soft-delete).
+// (Используется при окончательной очистке корзины).
+// Возвращает false, если файла не было.
 // =============================
 export async function deleteFile(id) {
   try {
     await fs.unlink(filePathFor(id));
     console.log(`[FileAdapter] Заметка ${id} удалена из файлового хранилища`);
+    return true;
   } catch (e) {
     if (e.code !== 'ENOENT') {
       console.error(`[FileAdapter] Ошибка удаления файла заметки ${id}:`, e && e.message);
       throw e;
     }
+    return false;
+  }
+}
+
+// =============================
+// Окончательное удаление заметки: файл заметки, её история ревизий и доступы.
+// =============================
+export async function remove(id) {
+  const removed = await deleteFile(id);
+  await fs.rm(path.join(REVISIONS_DIR, id), { recursive: true, force: true });
+  await fs.rm(path.join(SHARES_DIR, `${id}.json`), { force: true });
+  return removed;
+}
+
+// =============================
+// Сохранение ревизии заметки в notes_revisions/{id}/{revision}.json
+// и удаление ревизий, вышедших за политику хранения.
+// entry — запись ревизии, которую вернул SqliteAdapter.upsert.
+// =============================
+export async function appendRevision(entry) {
+  const dir = path.join(REVISIONS_DIR, entry.noteId);
+  try {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, `${entry.revision}.json`), JSON.stringify(entry, null, 2), 'utf8');
+
+    const { maxCount, maxAgeMs } = getRevisionRetention();
+    const revisions = (await fs.readdir(dir))
+      .filter(f => f.endsWith('.json'))
+      .map(f => Number(path.basename(f, '.json')))
+      .filter(Number.isInteger)
+      .sort((a, b) => b - a);
+
+    for (const [index, revision] of revisions.entries()) {
+      if (index === 0) continue; // последнюю ревизию не трогаем
+      const file = path.join(dir, `${revision}.json`);
+      let expired = index >= maxCount;
+      if (!expired && maxAgeMs) {
+        const stat = await fs.stat(file);
+        expired = stat.mtimeMs < Date.now() - maxAgeMs;
+      }
+      if (expired) await fs.unlink(file);
+    }
+  } catch (e) {
+    console.error(`[FileAdapter] Ошибка при сохранении ревизии ${entry.revision} заметки ${entry.noteId}:`, e && e.message);
+  }
+}
+
+// =============================
+// Блокноты: notebooks_files/{id}.json.
+// =============================
+const notebookPathFor = (id) => path.join(NOTEBOOKS_DIR, `${id}.json`);
+
+export async function getNotebook(id) {
+  try {
+    const txt = await fs.readFile(notebookPathFor(id), 'utf8');
+    return JSON.parse(txt);
+  } catch (e) {
+    console.warn(`[FileAdapter] Блокнот ${id} не найден в файловом хранилище`);
+    return null;
+  }
+}
+
+export async function upsertNotebook(notebook) {
+  try {
+    await fs.writeFile(notebookPathFor(notebook.id), JSON.stringify(notebook, null, 2), 'utf8');
+    console.log(`[FileAdapter] Блокнот ${notebook.id} сохранён в файл`);
+  } catch (e) {
+    console.error(`[FileAdapter] Ошибка при сохранении блокнота ${notebook.id}:`, e && e.message);
+  }
+  return notebook;
+}
+
+// Блокноты пользователя (filters.uid, filters.includeDeleted), по названию
+export async function findNotebooks(filters = {}) {
+  const notebooks = [];
+  for (const f of await fs.readdir(NOTEBOOKS_DIR)) {
+    if (!f.endsWith('.json')) continue;
+    try {
+      notebooks.push(JSON.parse(await fs.readFile(path.join(NOTEBOOKS_DIR, f), 'utf8')));
+    } catch (e) {
+      console.warn(`[FileAdapter] Ошибка чтения файла блокнота ${f}:`, e && e.message);
+    }
+  }
+  return notebooks
+    .filter(nb => (!filters.uid || nb.uid === filters.uid) && (filters.includeDeleted || !nb.isDeleted))
+    .sort((a, b) => compareNotes({ id: a.id, title: a.name }, { id: b.id, title: b.name }, { field: 'title', dir: 'asc' }));
+}
+
+// =============================
+// Доступы к заметке: note_shares/{noteId}.json — список целиком.
+// Пустой список — файл удаляется.
+// =============================
+export async function saveShares(noteId, shares) {
+  const file = path.join(SHARES_DIR, `${noteId}.json`);
+  try {
+    if (shares.length) {
+      await fs.writeFile(file, JSON.stringify(shares, null, 2), 'utf8');
+    } else {
+      await fs.rm(file, { force: true });
+    }
+  } catch (e) {
+    console.error(`[FileAdapter] Ошибка при сохранении доступов к заметке ${noteId}:`, e && e.message);
+  }
+}
+
+export async function listShares(noteId) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(SHARES_DIR, `${noteId}.json`), 'utf8'));
+  } catch (e) {
+    return [];
   }
 }
@@ -0,0 +1,88 @@
+// adapters/firestoreAdapter.js
+// ☁️ FirestoreAdapter — заметки и блокноты напрямую в Firestore (STORAGE=firestore).
+// Коллекции те же, что у DualAdapter: notes и notebooks, id документа = id заметки.
+// Фильтры и сортировка поиска применяются в памяти (lib/noteQuery.js) к заметкам
+// пользователя — составные индексы Firestore не нужны.
+// Номера ревизий и deletedAt назначает реестр хранилищ (adapters/registry.js).
+
+import { getFirestore } from '../lib/firestore.js';
+import { filterNotes, countTags, compareNotes } from '../lib/noteQuery.js';
+
+// Firestore или ошибка: без него адаптер работать не может
+function db() {
+  const firestore = getFirestore();
+  if (!firestore) throw new Error('Firestore не настроен (нужен firebase-key.json, FIRESTORE_EMULATOR_HOST или FIRESTORE=memory)');
+  return firestore;
+}
+
+// =============================
+// Инициализация: проверяем, что Firestore настроен.
+// =============================
+export async function init() {
+  db();
+  console.log('[FirestoreAdapter] Firestore доступен — заметки хранятся в облаке');
+}
+
+// Документы коллекции (uid — только документы пользователя)
+async function readCollection(name, uid) {
+  let q = db().collection(name);
+  if (uid) q = q.where('uid', '==', uid);
+  const snap = await q.get();
+  return snap.docs.map(doc => doc.data()).filter(Boolean);
+}
+
+// =============================
+// Заметки
+// =============================
+export async function get(id) {
+  const snap = await db().collection('notes').doc(id).get();
+  return snap.exists ? snap.data() : null;
+}
+
+export async function upsert(note) {
+  // документ записывается целиком: поля, очищенные в заметке, не должны остаться в облаке
+  await db().collection('notes').doc(note.id).set({ ...note });
+  console.log(`[FirestoreAdapter] Заметка ${note.id} сохранена в Firestore`);
+}
+
+export async function find(filters = {}) {
+  return filterNotes(await readCollection('notes', filters.uid), filters);
+}
+
+export async function tagCounts(uid) {
+  return countTags(await find({ uid }));
+}
+
+export async function remove(id) {
+  const doc = db().collection('notes').doc(id);
+  const exists = (await doc.get()).exists;
+  if (exists) await doc.delete();
+  return exists;
+}
+
+// Заметки в корзине, удалённые раньше deletedBefore (для автоочистки)
+export async function findExpiredTrash(deletedBefore) {
+  return (await find({ onlyDeleted: true }))
+    .filter(n => (n.deletedAt || n.updatedAt || 0) < deletedBefore);
+}
+
+// =============================
+// Блокноты
+// =============================
+export async function getNotebook(id) {
+  const snap = await db().collection('notebooks').doc(id).get();
+  return snap.exists ? snap.data() : null;
+}
+
+export async function upsertNotebook(notebook) {
+  notebook.parentId = notebook.parentId || null;
+  notebook.deletedAt = notebook.isDeleted ? (notebook.deletedAt || Date.now()) : null;
+  await db().collection('notebooks').doc(notebook.id).set({ ...notebook });
+  return notebook;
+}
+
+export async function findNotebooks(filters = {}) {
+  return (await readCollection('notebooks', filters.uid))
+    .filter(nb => filters.includeDeleted || !nb.isDeleted)
+    .sort((a, b) => compareNotes({ id: a.id, title: a.name }, { id: b.id, title: b.name }, { field: 'title', dir: 'asc' }));
+}
@@ -0,0 +1,177 @@
+// adapters/memoryAdapter.js
+// 🧠 MemoryAdapter — хранилище заметок в памяти процесса (STORAGE=memory).
+// Ничего не пишет на диск: данные живут до перезапуска. Нужен для разработки
+// и быстрых тестов маршрутов (test/*.routes.test.js) без SQLite и файлов.
+// Номера ревизий и deletedAt назначает реестр хранилищ (adapters/registry.js).
+// Кроме обязательного интерфейса умеет транзакции (с откатом), корзину,
+// блокноты, настройки пользователей и поток изменений для /sync/pull: каждая запись
+// получает seq, окончательное удаление оставляет tombstone (как в SqliteAdapter).
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { filterNotes, countTags, compareNotes } from '../lib/noteQuery.js';
+
+const state = {
+  notes: new Map(),
+  notebooks: new Map(),
+  settings: new Map(),
+  tombstones: new Map() // id → { id, uid, seq, purgedAt }
+};
+
+// Последний выданный номер изменения; при откате транзакции не уменьшается,
+// чтобы номер не достался другой записи повторно
+let seq = 0;
+
+// Записи выстраиваются в очередь, как в SqliteAdapter: откат транзакции
+// не должен затереть изменения, сделанные параллельно другим запросом.
+const txContext = new AsyncLocalStorage();
+let writeQueue = Promise.resolve();
+
+function exclusive(fn) {
+  if (txContext.getStore()) return fn();
+  const run = writeQueue.then(fn, fn);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+// Копия объекта — снаружи нельзя изменить то, что лежит в хранилище
+function clone(value) {
+  return value ? structuredClone(value) : null;
+}
+
+// =============================
+// Инициализация: basePath не используется, хранилище начинается пустым.
+// =============================
+export async function init() {
+  state.notes.clear();
+  state.notebooks.clear();
+  state.settings.clear();
+  state.tombstones.clear();
+  seq = 0;
+  console.log('[MemoryAdapter] Хранилище в памяти инициализировано');
+}
+
+// =============================
+// Транзакция: при исключении в fn все изменения откатываются.
+// Вложенный вызов откатывает только свои изменения (как SAVEPOINT в SQLite).
+// =============================
+export async function transaction(fn) {
+  if (txContext.getStore()) return withSnapshot(fn);
+  return exclusive(() => txContext.run({ active: true }, () => withSnapshot(fn)));
+}
+
+async function withSnapshot(fn) {
+  const snapshot = {
+    notes: new Map(state.notes),
+    notebooks: new Map(state.notebooks),
+    settings: new Map(state.settings),
+    tombstones: new Map(state.tombstones)
+  };
+  try {
+    return await fn();
+  } catch (err) {
+    Object.assign(state, snapshot);
+    console.warn('[MemoryAdapter][transaction] Откат:', err && err.message);
+    throw err;
+  }
+}
+
+// =============================
+// Заметки
+// =============================
+export async function get(id) {
+  return clone(state.notes.get(id));
+}
+
+export async function upsert(note) {
+  await exclusive(async () => {
+    note.seq = ++seq;
+    state.notes.set(note.id, clone(note));
+    state.tombstones.delete(note.id);
+  });
+}
+
+export async function find(filters = {}) {
+  return filterNotes([...state.notes.values()].map(clone), filters);
+}
+
+export async function tagCounts(uid) {
+  return countTags(await find({ uid }));
+}
+
+export async function remove(id) {
+  return exclusive(async () => {
+    const note = state.notes.get(id);
+    if (!note) return false;
+    state.notes.delete(id);
+    state.tombstones.set(id, { id, uid: note.uid, seq: ++seq, purgedAt: Date.now() });
+    return true;
+  });
+}
+
+// Заметки в корзине, удалённые раньше deletedBefore (для автоочистки)
+export async function findExpiredTrash(deletedBefore) {
+  return (await find({ onlyDeleted: true }))
+    .filter(n => (n.deletedAt || n.updatedAt || 0) < deletedBefore);
+}
+
+// =============================
+// Блокноты
+// =============================
+export async function getNotebook(id) {
+  return clone(state.notebooks.get(id));
+}
+
+export async function upsertNotebook(notebook) {
+  notebook.parentId = notebook.parentId || null;
+  notebook.deletedAt = notebook.isDeleted ? (notebook.deletedAt || Date.now()) : null;
+  await exclusive(async () => {
+    notebook.seq = ++seq;
+    state.notebooks.set(notebook.id, clone(notebook));
+  });
+  return notebook;
+}
+
+export async function findNotebooks(filters = {}) {
+  return [...state.notebooks.values()]
+    .filter(nb => (!filters.uid || nb.uid === filters.uid) && (filters.includeDeleted || !nb.isDeleted))
+    .map(clone)
+    .sort((a, b) => compareNotes({ id: a.id, title: a.name }, { id: b.id, title: b.name }, { field: 'title', dir: 'asc' }));
+}
+
+// =============================
+// Поток изменений (/sync/pull): заметки, блокноты и tombstones пользователя с seq > afterSeq
+// =============================
+export async function changes({ uid, afterSeq = 0, limit = 500 } = {}) {
+  const mine = item => item.uid === uid && item.seq > afterSeq;
+  const all = [
+    ...[...state.notes.values()].filter(mine).map(n => ({ seq: n.seq, note: clone(n) })),
+    ...[...state.notebooks.values()].filter(mine).map(nb => ({ seq: nb.seq, notebook: clone(nb) })),
+    ...[...state.tombstones.values()].filter(mine).map(t => ({ seq: t.seq, purged: clone(t) }))
+  ].sort((a, b) => a.seq - b.seq);
+  const page = all.slice(0, limit);
+  return {
+    notes: page.filter(c => c.note).map(c => c.note),
+    notebooks: page.filter(c => c.notebook).map(c => c.notebook),
+    purged: page.filter(c => c.purged).map(c => c.purged),
+    lastSeq: page.length ? page[page.length - 1].seq : afterSeq,
+    hasMore: all.length > limit
+  };
+}
+
+export async function currentSeq() {
+  return seq;
+}
+
+// =============================
+// Настройки пользователей
+// =============================
+export async function getUserSettings(uid) {
+  return clone(state.settings.get(uid));
+}
+
+export async function saveUserSettings(settings) {
+  await exclusive(async () => {
+    state.settings.set(settings.uid, clone(settings));
+  });
+  return settings;
+}
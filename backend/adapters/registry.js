@@ -0,0 +1,242 @@
+// adapters/registry.js
+// 🗂 Реестр хранилищ: переменная STORAGE выбирает, где хранятся заметки.
+//
+//   STORAGE=dual       — SQLite + файлы + Firestore через очередь (dualAdapter.js), по умолчанию;
+//   STORAGE=sqlite     — только SQLite;
+//   STORAGE=file       — только JSON-файлы;
+//   STORAGE=firestore  — только Firestore;
+//   STORAGE=memory     — в памяти процесса (разработка, проверки);
+//   STORAGE=sqlite+file — составное хранилище: первое — основное (из него читаем),
+//                         остальные — копии, в которые повторяются записи заметок и блокнотов.
+//
+// Интерфейс адаптера — модуль (или объект) с асинхронными функциями.
+// Обязательные (CORE_METHODS):
+//   init(basePath)          — подготовить хранилище (каталог data/);
+//   get(id)                 — заметка или null;
+//   upsert(note, options)   — создать/заменить заметку; options.expectedRevision — If-Match,
+//                             options.keepRevision — сохранить присланную ревизию, options.actor;
+//   find(filters)           — заметки по фильтрам SqliteAdapter.find (uid, includeDeleted, q, ...);
+//   remove(id, options)     — окончательно удалить заметку (в HTTP — DELETE), true/false.
+// Необязательные возможности (CAPABILITIES) — группы функций; маршрут, которому не хватает
+// возможности, отвечает 501 not_implemented (middleware/storage.js).
+//
+// createStorage() дополняет адаптер тем, что можно вывести из обязательного интерфейса:
+// findPage и tagCounts — через find в памяти; номера ревизий, deletedAt и проверку
+// expectedRevision — для адаптеров без собственной истории ревизий (file, memory, firestore);
+// уведомления GET /sync/stream — после записи. Проверка любого адаптера на соответствие
+// интерфейсу — adapters/conformance.js (npm run check:adapters).
+
+import { AsyncLocalStorage } from 'async_hooks';
+import * as SqliteAdapter from './sqliteAdapter.js';
+import * as FileAdapter from './fileAdapter.js';
+import * as MemoryAdapter from './memoryAdapter.js';
+import * as FirestoreAdapter from './firestoreAdapter.js';
+import * as DualAdapter from './dualAdapter.js';
+import { VersionMismatchError } from '../lib/errors.js';
+import { publishChange } from '../lib/changeBus.js';
+import { initBlobStore } from '../lib/attachments.js';
+import { parseSearchQuery } from '../lib/search.js';
+import { parseSort, paginateInMemory, countTags } from '../lib/noteQuery.js';
+
+export const STORAGE_ADAPTERS = {
+  sqlite: SqliteAdapter,
+  file: FileAdapter,
+  memory: MemoryAdapter,
+  firestore: FirestoreAdapter,
+  dual: DualAdapter
+};
+
+export const DEFAULT_STORAGE = 'dual';
+
+export const CORE_METHODS = ['init', 'get', 'upsert', 'find', 'remove'];
+
+export const CAPABILITIES = {
+  query: ['findPage', 'tagCounts'],
+  transactions: ['transaction'],
+  trash: ['findExpiredTrash'],
+  revisions: ['listRevisions', 'getRevision', 'getRevisionSnapshot'],
+  sync: ['changes', 'currentSeq'],
+  notebooks: ['getNotebook', 'upsertNotebook', 'findNotebooks'],
+  sharing: ['getShare', 'listShares', 'findSharedWith', 'upsertShare', 'removeShare'],
+  publicLinks: ['createPublicLink', 'getPublicLink', 'listPublicLinks', 'removePublicLinks', 'recordPublicLinkView', 'recordPublicLinkFailure'],
+  attachments: [
+    'listAttachments', 'getAttachment', 'addAttachment', 'removeAttachment',
+    'attachmentUsage', 'countAttachmentsByHash', 'attachmentHashes'
+  ],
+  reminders: ['getReminder', 'findReminders', 'dueReminders', 'updateReminder', 'listDevices', 'upsertDevice', 'removeDevice'],
+  calendar: ['getCalendarFeed', 'getCalendarFeedByToken', 'saveCalendarFeed', 'removeCalendarFeed'],
+  settings: ['getUserSettings', 'saveUserSettings'],
+  replication: ['dueOutbox', 'listOutbox', 'completeOutbox', 'failOutbox', 'retryOutbox', 'outboxStats', 'reconcileFirestore']
+};
+
+/**
+ * Есть ли у адаптера возможность name (все функции группы CAPABILITIES[name]).
+ */
+export function hasCapability(adapter, name) {
+  const methods = CAPABILITIES[name];
+  return !!methods && methods.every(m => typeof adapter[m] === 'function');
+}
+
+/**
+ * Список возможностей адаптера.
+ */
+export function capabilitiesOf(adapter) {
+  return Object.keys(CAPABILITIES).filter(name => hasCapability(adapter, name));
+}
+
+/**
+ * Разбор STORAGE: 'sqlite+file' → ['sqlite', 'file'].
+ * Ошибка — неизвестное имя, повтор или dual в составе (он сам составной).
+ */
+export function parseStorageSpec(spec) {
+  const names = String(spec || DEFAULT_STORAGE).toLowerCase().split('+').map(s => s.trim());
+  for (const name of names) {
+    if (!STORAGE_ADAPTERS[name]) {
+      throw new Error(`Неизвестное хранилище "${name}" (допустимо: ${Object.keys(STORAGE_ADAPTERS).join(', ')})`);
+    }
+  }
+  if (new Set(names).size !== names.length) throw new Error(`Хранилище повторяется в STORAGE=${spec}`);
+  if (names.length > 1 && names.includes('dual')) throw new Error('dual нельзя комбинировать с другими хранилищами');
+  return names;
+}
+
+// If-Match: ожидаемая ревизия должна совпасть с текущей
+function checkExpectedRevision(existing, expectedRevision) {
+  if (expectedRevision === undefined || expectedRevision === null) return;
+  if (!existing || (existing.revision || 0) !== expectedRevision) throw new VersionMismatchError(existing);
+}
+
+// Ревизия и deletedAt — так же, как их назначает SqliteAdapter.upsert
+function stampNote(note, existing, options) {
+  note.revision = options.keepRevision && note.revision
+    ? note.revision
+    : (existing ? (existing.revision || 0) + 1 : 1);
+  note.deletedAt = note.isDeleted
+    ? (note.deletedAt || (existing && existing.isDeleted && existing.deletedAt) || Date.now())
+    : null;
+  note.notebookId = note.notebookId || null;
+  note.reminderAt = note.reminderAt || null;
+  note.recurrence = note.recurrence || null;
+}
+
+// Хранилище поверх основного адаптера primary и копий replicas
+function buildStorage(primary, replicas) {
+  const storage = {};
+  for (const [name, value] of Object.entries(primary)) {
+    if (typeof value === 'function') storage[name] = value;
+  }
+  // адаптер с историей ревизий (SQLite) назначает номера сам
+  const assignsRevisions = hasCapability(primary, 'revisions');
+
+  // Записи в копии и уведомления: сразу или после COMMIT, если идёт транзакция
+  const pending = new AsyncLocalStorage();
+  const afterCommit = async task => {
+    const queue = pending.getStore();
+    if (queue) queue.push(task);
+    else await task();
+  };
+  // Транзакция основного адаптера (если она у него есть) — иначе запись как есть
+  const atomically = fn => (primary.transaction ? primary.transaction(fn) : fn());
+
+  const sharesOf = async noteId => (primary.listShares ? primary.listShares(noteId) : []);
+  const notify = async (noteId, ownerUid, shares = null) => {
+    const recipients = shares || await sharesOf(noteId);
+    await afterCommit(async () => publishChange([ownerUid, ...recipients.map(s => s.uid)]));
+  };
+
+  storage.init = async basePath => {
+    await primary.init(basePath);
+    for (const replica of replicas) await replica.init(basePath);
+    // файлы вложений — в data/attachments (DualAdapter готовит каталог сам)
+    if (hasCapability(primary, 'attachments')) await initBlobStore(basePath);
+  };
+
+  if (primary.transaction) {
+    // вложенная транзакция при откате отбрасывает и свои отложенные записи и уведомления
+    storage.transaction = async fn => {
+      const outer = pending.getStore();
+      const queue = [];
+      const result = await pending.run(queue, () => primary.transaction(fn));
+      if (outer) outer.push(...queue);
+      else for (const task of queue) await task();
+      return result;
+    };
+  }
+
+  storage.upsert = async (note, options = {}) => {
+    const result = await atomically(async () => {
+      if (!assignsRevisions) {
+        const existing = await primary.get(note.id);
+        checkExpectedRevision(existing, options.expectedRevision);
+        stampNote(note, existing, options);
+      }
+      return primary.upsert(note, options);
+    });
+    const saved = { ...note };
+    await notify(saved.id, saved.uid);
+    await afterCommit(async () => {
+      for (const replica of replicas) {
+        await replica.upsert({ ...saved }, { keepRevision: true });
+        if (result && replica.appendRevision) await replica.appendRevision(result);
+      }
+    });
+    return result;
+  };
+
+  storage.remove = async (id, options = {}) => {
+    const existing = await primary.get(id);
+    const shares = await sharesOf(id);
+    const removed = await atomically(async () => {
+      if (!assignsRevisions && existing) checkExpectedRevision(existing, options.expectedRevision);
+      return primary.remove(id, options);
+    });
+    if (removed && existing) await notify(id, existing.uid, shares);
+    await afterCommit(async () => {
+      for (const replica of replicas) await replica.remove(id);
+    });
+    return removed;
+  };
+
+  if (primary.upsertNotebook) {
+    storage.upsertNotebook = async notebook => {
+      await primary.upsertNotebook(notebook);
+      const saved = { ...notebook };
+      await afterCommit(async () => {
+        for (const replica of replicas) {
+          if (replica.upsertNotebook) await replica.upsertNotebook({ ...saved });
+        }
+        publishChange([saved.uid]);
+      });
+      return notebook;
+    };
+  }
+
+  // Постраничный поиск и теги — через find, если адаптер не умеет их сам
+  if (!storage.findPage) {
+    storage.findPage = async (filters = {}) => {
+      const search = filters.q ? parseSearchQuery(filters.q) : null;
+      const sort = filters.sort || parseSort(null, { search: !!search });
+      const all = await storage.find({ ...filters, sort, fields: undefined });
+      return paginateInMemory(all, { sort, limit: filters.limit, cursor: filters.cursor, fields: filters.fields });
+    };
+  }
+  if (!storage.tagCounts) {
+    storage.tagCounts = async uid => countTags(await storage.find({ uid }));
+  }
+  return storage;
+}
+
+/**
+ * Хранилище по значению STORAGE (ещё не инициализированное — нужен init(basePath)).
+ * dual возвращается как есть: он сам ведёт ревизии, копии и уведомления.
+ */
+export function createStorage(spec = DEFAULT_STORAGE) {
+  const names = parseStorageSpec(spec);
+  const adapters = names.map(name => STORAGE_ADAPTERS[name]);
+  for (const [i, adapter] of adapters.entries()) {
+    const missing = CORE_METHODS.filter(m => typeof adapter[m] !== 'function');
+    if (missing.length) throw new Error(`Адаптер ${names[i]} не реализует: ${missing.join(', ')}`);
+  }
+  if (names[0] === 'dual') return DualAdapter;
+  return buildStorage(adapters[0], adapters.slice(1));
+}
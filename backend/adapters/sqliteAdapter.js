@@ -5,44 +5,327 @@
 //   - хранит все заметки в notes.db;
 //   - поддерживает колонку uid (идентификатор владельца);
 //   - имеет методы init, get, upsert, find;
+//   - ведёт номер ревизии заметки (revision) и историю ревизий в таблице
+//     note_revisions (кто, когда, какие поля изменены + снимок заметки);
+//     снимки нужны для истории/восстановления и как база слияния в /sync/push;
+//   - назначает каждой записи монотонный номер изменения (seq) —
+//     по нему /sync/pull отдаёт изменения, не завися от часов клиента;
+//   - корзина: deletedAt для мягко удалённых заметок, окончательное удаление
+//     (remove) оставляет tombstone, чтобы /sync/pull сообщил об этом устройствам;
+//   - транзакции (transaction): все запросы идут по очереди, а группа записей
+//     внутри transaction() применяется целиком или откатывается (вложенная — SAVEPOINT);
 //   - логирует SQL-запросы для отладки;
 //   - умеет фильтровать по uid (multi-user режим);
 //   - умеет фильтровать по датам, тегам, строке поиска;
+//   - сортирует, отдаёт постранично (keyset-курсор) и только нужные поля (findPage);
+//   - полнотекстовый поиск через FTS5 (таблица notes_fts, синхронизируется
+//     триггерами при каждой записи в notes), с ранжированием и подсветкой;
+//   - хранит блокноты (таблица notebooks) — тоже с seq, чтобы они попадали в /sync/pull;
+//   - хранит доступы к заметкам (note_shares): заметка, открытая другому пользователю,
+//     попадает в его поток /sync/pull, а при отзыве доступа — tombstone в его потоке;
+//   - хранит публичные ссылки на заметки (public_links) — только здесь, без копий
+//     в файлах и Firestore: в них хеши паролей, а нужны они только этому серверу;
+//   - хранит метаданные вложений (attachments; сами файлы — lib/attachments.js):
+//     добавление и удаление вложения меняет seq заметки, чтобы она пришла в /sync/pull;
+//   - ведёт расписание напоминаний (reminders): строка обновляется при каждой записи
+//     заметки с reminderAt/recurrence (lib/reminders.js), и устройства для push-уведомлений;
+//   - хранит календарные подписки (calendar_feeds): секретный токен и часовой пояс;
+//   - хранит настройки пользователей (user_settings), например часовой пояс;
+//   - ведёт очередь записей в Firestore (firestore_outbox, lib/outbox.js): запись
+//     в очередь делается в той же транзакции, что и изменение, поэтому не теряется
+//     ни при сбое сети, ни при перезапуске сервера;
+//   - схема создаётся и обновляется нумерованными миграциями (sqliteMigrations.js,
+//     таблица schema_version) при init;
+//   - делает онлайн-копию базы через SQLite backup API (backupDatabase, lib/backup.js);
 //   - работает через промисы (sqlite wrapper).
 
 import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
 import path from 'path';
 import fs from 'fs/promises';
+import { AsyncLocalStorage } from 'async_hooks';
+import { MERGE_FIELDS, diffFields } from '../lib/merge.js';
+import { getRevisionRetention } from '../lib/revisions.js';
+import { VersionMismatchError } from '../lib/errors.js';
+import {
+  parseSearchQuery, toFtsQuery, TITLE_WEIGHT,
+  HIGHLIGHT_OPEN, HIGHLIGHT_CLOSE, SNIPPET_ELLIPSIS, SNIPPET_TOKENS
+} from '../lib/search.js';
+import { parseSort, cursorAfter, projectNote } from '../lib/noteQuery.js';
+import { initialSchedule } from '../lib/reminders.js';
+import { serverTimeZone } from '../lib/timezone.js';
+import { lockUntil } from '../lib/publicLinks.js';
+import { migrate } from './sqliteMigrations.js';
 
-let db = null;
+let connection = null;
 let DB_PATH = null;
 
+// Соединение с базой одно, поэтому все запросы выстраиваются в очередь:
+// иначе BEGIN одного запроса захватил бы в транзакцию записи другого, а чтение
+// посреди чужой транзакции увидело бы её ещё не зафиксированные строки.
+// queueContext помечает код, который уже выполняется в очереди (exclusive),
+// txContext — код внутри transaction(); им очередь не нужна.
+const queueContext = new AsyncLocalStorage();
+const txContext = new AsyncLocalStorage();
+let writeQueue = Promise.resolve();
+
+// Контекст действует, пока fn не завершится: колбэки, запущенные из fn
+// без ожидания, после этого снова идут через очередь.
+async function runIn(context, fn){
+  const store = { active: true };
+  try {
+    return await context.run(store, fn);
+  } finally {
+    store.active = false;
+  }
+}
+
+const inContext = context => !!(context.getStore() && context.getStore().active);
+
+function exclusive(fn){
+  if(inContext(queueContext) || inContext(txContext)) return fn();
+  const run = writeQueue.then(() => runIn(queueContext, fn));
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+// Запросы к базе — всегда через очередь (кроме кода, который уже в ней)
+const db = {
+  get: (...args) => exclusive(() => connection.get(...args)),
+  all: (...args) => exclusive(() => connection.all(...args)),
+  run: (...args) => exclusive(() => connection.run(...args)),
+  exec: (...args) => exclusive(() => connection.exec(...args))
+};
+
+// === Транзакция ===
+// fn выполняется между BEGIN и COMMIT; при исключении — ROLLBACK и исключение
+// пробрасывается дальше. Вложенный вызов — точка сохранения (SAVEPOINT) во внешней
+// транзакции: при исключении откатываются только его записи.
+let savepointCount = 0;
+
+export async function transaction(fn){
+  if(txContext.getStore()) return savepoint(fn);
+  return exclusive(() => runIn(txContext, async () => {
+    await db.exec('BEGIN IMMEDIATE');
+    try {
+      const result = await fn();
+      await db.exec('COMMIT');
+      return result;
+    } catch(err){
+      await db.exec('ROLLBACK');
+      console.warn('[SQL][transaction] ROLLBACK:', err && err.message);
+      throw err;
+    }
+  }));
+}
+
+async function savepoint(fn){
+  const name = `sp_${++savepointCount}`;
+  await db.exec(`SAVEPOINT ${name}`);
+  try {
+    const result = await fn();
+    await db.exec(`RELEASE ${name}`);
+    return result;
+  } catch(err){
+    await db.exec(`ROLLBACK TO ${name}`);
+    await db.exec(`RELEASE ${name}`);
+    console.warn(`[SQL][transaction] ROLLBACK TO ${name}:`, err && err.message);
+    throw err;
+  }
+}
+
 // === Инициализация базы ===
 export async function init(basePath){
   // создаём директорию для базы, если нет
   await fs.mkdir(basePath, { recursive: true });
   DB_PATH = path.join(basePath, 'notes.db');
   // открываем базу
-  db = await open({ filename: DB_PATH, driver: sqlite3.Database });
+  connection = await open({ filename: DB_PATH, driver: sqlite3.Database });
 
   console.log('[SQL][init] SQLite DB path:', DB_PATH);
 
-  // создаём таблицу, если нет
-  // Колонка uid = "владелец заметки" (Firebase user.uid)
-  const createSql = `CREATE TABLE IF NOT EXISTS notes (
-    id TEXT PRIMARY KEY,
-    uid TEXT,                -- ← ключ пользователя
-    title TEXT,
-    body TEXT,
-    createdAt INTEGER,
-    updatedAt INTEGER,
-    date INTEGER,
-    time TEXT,
-    tags TEXT,
-    isDeleted INTEGER DEFAULT 0
-  );`;
-  await db.exec(createSql);
+  // таблицы и миграции схемы (adapters/sqliteMigrations.js);
+  // перед миграцией непустой базы её копия сохраняется в data/backups
+  await migrate(connection, { dbPath: DB_PATH });
+
+  await initFullTextSearch();
+
+  // при старте чистим ревизии, вышедшие за срок хранения
+  await pruneRevisions();
+}
+
+// === Полнотекстовый индекс notes_fts ===
+// External content FTS5: тексты хранятся только в notes, индекс ссылается на notes.rowid.
+// unicode61 сворачивает регистр в том числе для кириллицы (в отличие от LOWER в SQLite).
+// Триггеры обновляют индекс при любой вставке/изменении/удалении заметки.
+async function initFullTextSearch(){
+  const existed = await db.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'notes_fts'`);
+
+  await db.exec(`CREATE VIRTUAL TABLE IF NOT EXISTS notes_fts USING fts5(
+    title, body,
+    content='notes', content_rowid='rowid',
+    tokenize='unicode61 remove_diacritics 2'
+  );`);
+  await db.exec(`
+    CREATE TRIGGER IF NOT EXISTS notes_fts_ai AFTER INSERT ON notes BEGIN
+      INSERT INTO notes_fts (rowid, title, body) VALUES (new.rowid, new.title, new.body);
+    END;
+    CREATE TRIGGER IF NOT EXISTS notes_fts_ad AFTER DELETE ON notes BEGIN
+      INSERT INTO notes_fts (notes_fts, rowid, title, body) VALUES ('delete', old.rowid, old.title, old.body);
+    END;
+    CREATE TRIGGER IF NOT EXISTS notes_fts_au AFTER UPDATE OF title, body ON notes BEGIN
+      INSERT INTO notes_fts (notes_fts, rowid, title, body) VALUES ('delete', old.rowid, old.title, old.body);
+      INSERT INTO notes_fts (rowid, title, body) VALUES (new.rowid, new.title, new.body);
+    END;
+  `);
+
+  // Индекс только что создан для старой базы или разошёлся с notes
+  // (например, после VACUUM rowid могли поменяться) — перестраиваем.
+  let rebuild = !existed;
+  if(existed){
+    try {
+      await db.run(`INSERT INTO notes_fts (notes_fts, rank) VALUES ('integrity-check', 1)`);
+    } catch(err){
+      console.warn('[SQL][init] Индекс notes_fts повреждён:', err && err.message);
+      rebuild = true;
+    }
+  }
+  if(rebuild){
+    await db.run(`INSERT INTO notes_fts (notes_fts) VALUES ('rebuild')`);
+    console.log('[SQL][init] Полнотекстовый индекс notes_fts перестроен');
+  }
+}
+
+// Последний выданный номер изменения. Счётчик в counters откатывается вместе
+// с транзакцией, а этот — нет: номер из откатившейся транзакции не выдаётся повторно.
+let issuedSeq = 0;
+
+// === Следующий номер изменения ===
+// Один атомарный запрос: счётчик увеличивается (но не ниже уже выданных) и сразу возвращается.
+async function nextSeq(){
+  const row = await db.get(
+    `INSERT INTO counters (name, value) VALUES ('changeSeq', ?)
+     ON CONFLICT(name) DO UPDATE SET value = MAX(value + 1, excluded.value)
+     RETURNING value`,
+    issuedSeq + 1
+  );
+  issuedSeq = row.value;
+  return row.value;
+}
+
+// === Текущий (последний выданный) номер изменения ===
+export async function currentSeq(){
+  const row = await db.get(`SELECT value FROM counters WHERE name = 'changeSeq'`);
+  return Math.max(row ? row.value : 0, issuedSeq);
+}
+
+// === Преобразование строки note_revisions в объект ===
+function revisionFromRow(row, withData = true){
+  const entry = {
+    noteId: row.noteId,
+    revision: row.revision,
+    author: row.author || null,
+    createdAt: row.createdAt,
+    changedFields: row.changedFields ? JSON.parse(row.changedFields) : []
+  };
+  if(withData) entry.data = JSON.parse(row.data);
+  return entry;
+}
+
+// === Записать ревизию заметки и применить политику хранения ===
+async function appendRevision(note, previous, author){
+  const data = {};
+  for(const field of MERGE_FIELDS) data[field] = note[field] ?? null;
+  data.isDeleted = !!note.isDeleted;
+
+  const entry = {
+    noteId: note.id,
+    revision: note.revision,
+    author: author || note.uid || null,
+    createdAt: Date.now(),
+    changedFields: diffFields(previous || {}, data),
+    data
+  };
+
+  const sql = `INSERT OR REPLACE INTO note_revisions (noteId, revision, data, createdAt, author, changedFields)
+               VALUES (?, ?, ?, ?, ?, ?)`;
+  const params = [entry.noteId, entry.revision, JSON.stringify(data), entry.createdAt, entry.author, JSON.stringify(entry.changedFields)];
+  console.log('[SQL][revision] ', sql, params);
+  await db.run(sql, ...params);
+  await pruneRevisions(note.id);
+  return entry;
+}
+
+// === Удаление ревизий по политике хранения (REVISIONS_MAX_COUNT / REVISIONS_MAX_AGE_DAYS) ===
+// Если id не передан — чистим по возрасту все заметки (вызывается при старте).
+// Последняя ревизия заметки остаётся всегда.
+export async function pruneRevisions(id){
+  const { maxCount, maxAgeMs } = getRevisionRetention();
+  try {
+    if(id){
+      await db.run(
+        `DELETE FROM note_revisions WHERE noteId = ? AND revision NOT IN (
+           SELECT revision FROM note_revisions WHERE noteId = ? ORDER BY revision DESC LIMIT ?
+         )`,
+        id, id, maxCount
+      );
+    }
+    if(maxAgeMs){
+      const latestOnly = `revision < (SELECT MAX(r2.revision) FROM note_revisions r2 WHERE r2.noteId = note_revisions.noteId)`;
+      const sql = id
+        ? `DELETE FROM note_revisions WHERE noteId = ? AND createdAt < ? AND ${latestOnly}`
+        : `DELETE FROM note_revisions WHERE createdAt < ? AND ${latestOnly}`;
+      const params = id ? [id, Date.now() - maxAgeMs] : [Date.now() - maxAgeMs];
+      const result = await db.run(sql, ...params);
+      if(!id && result.changes) console.log(`[SQL][pruneRevisions] Удалено старых ревизий: ${result.changes}`);
+    }
+  } catch(err){
+    console.error('[SQL][pruneRevisions][ERROR]', err);
+    throw err;
+  }
+}
+
+// === Получить снимок конкретной ревизии заметки (только поля) ===
+export async function getRevisionSnapshot(id, revision){
+  const entry = await getRevision(id, revision);
+  return entry ? entry.data : null;
+}
+
+// === Получить ревизию заметки целиком (метаданные + снимок) ===
+export async function getRevision(id, revision){
+  const sql = 'SELECT * FROM note_revisions WHERE noteId = ? AND revision = ?';
+  const params = [id, revision];
+  console.log('[SQL][getRevision] ', sql, params);
+  try {
+    const row = await db.get(sql, ...params);
+    return row ? revisionFromRow(row) : null;
+  } catch(err){
+    console.error('[SQL][getRevision][ERROR]', err, sql, params);
+    throw err;
+  }
+}
+
+// === Список ревизий заметки (без снимков, новые сверху) ===
+export async function listRevisions(id){
+  const sql = 'SELECT noteId, revision, createdAt, author, changedFields FROM note_revisions WHERE noteId = ? ORDER BY revision DESC';
+  const params = [id];
+  console.log('[SQL][listRevisions] ', sql, params);
+  try {
+    const rows = await db.all(sql, ...params);
+    return rows.map(r => revisionFromRow(r, false));
+  } catch(err){
+    console.error('[SQL][listRevisions][ERROR]', err, sql, params);
+    throw err;
+  }
+}
+
+// === Строка таблицы notes → объект заметки ===
+// преобразуем флаги и JSON-поля (если они есть в выборке — см. fields в findPage)
+function rowToNote(row){
+  const note = { ...row };
+  if('tags' in row) note.tags = row.tags ? JSON.parse(row.tags) : [];
+  if('isDeleted' in row) note.isDeleted = !!row.isDeleted;
+  return note;
 }
 
 // === Получить заметку по id ===
@@ -53,8 +336,7 @@ export async function get(id){
   try {
     const row = await db.get(sql, ...params);
     if(!row) return null;
-    // преобразуем флаги и JSON-поля
-    return { ...row, tags: row.tags ? JSON.parse(row.tags) : [], isDeleted: !!row.isDeleted };
+    return rowToNote(row);
   } catch(err){
     console.error('[SQL][get][ERROR]', err, sql, params);
     throw err;
@@ -62,14 +344,39 @@ export async function get(id){
 }
 
 // === Вставка или обновление заметки ===
-export async function upsert(note){
+// Каждая запись увеличивает revision и получает новый seq; итоговые значения
+// записываются в note, чтобы файловая копия и Firestore хранили те же номера.
+// options.keepRevision — сохранить revision как есть (кеширование заметки из Firestore);
+// options.actor        — uid пользователя, который вносит изменение (для истории);
+// options.expectedRevision — записать, только если текущая ревизия такая (If-Match),
+//                        иначе VersionMismatchError с текущей версией заметки.
+// Возвращает запись добавленной ревизии.
+// Все запросы одной записи выполняются в транзакции.
+export async function upsert(note, options = {}){
+  return transaction(() => upsertInTransaction(note, options));
+}
+
+async function upsertInTransaction(note, options){
   // note.uid обязателен, чтобы понимать владельца
   const existing = await get(note.id);
+  checkExpectedRevision(existing, options.expectedRevision);
   const tagsTxt = JSON.stringify(note.tags || []);
+  note.revision = options.keepRevision && note.revision
+    ? note.revision
+    : (existing ? (existing.revision || 0) + 1 : 1);
+  note.seq = await nextSeq();
+  // deletedAt ставится при перемещении в корзину и сбрасывается при восстановлении
+  note.deletedAt = note.isDeleted
+    ? (note.deletedAt || (existing && existing.isDeleted && existing.deletedAt) || Date.now())
+    : null;
+  note.notebookId = note.notebookId || null;
+  note.reminderAt = note.reminderAt || null;
+  note.recurrence = note.recurrence || null;
+
   if(existing){
     // Обновляем существующую запись
     const sql = `UPDATE notes 
-                 SET uid=?, title=?, body=?, createdAt=?, updatedAt=?, date=?, time=?, tags=?, isDeleted=? 
+                 SET uid=?, title=?, body=?, createdAt=?, updatedAt=?, date=?, time=?, tags=?, isDeleted=?, revision=?, seq=?, deletedAt=?, notebookId=?, reminderAt=?, recurrence=? 
                  WHERE id=?`;
     const params = [
       note.uid || null,
@@ -81,6 +388,12 @@ export async function upsert(note){
       note.time,
       tagsTxt,
       note.isDeleted ? 1 : 0,
+      note.revision,
+      note.seq,
+      note.deletedAt,
+      note.notebookId || null,
+      note.reminderAt,
+      note.recurrence,
       note.id
     ];
     console.log('[SQL][upsert][UPDATE] ', sql, params);
@@ -93,8 +406,8 @@ export async function upsert(note){
   } else {
     // Вставляем новую запись
     const sql = `INSERT INTO notes 
-                 (id, uid, title, body, createdAt, updatedAt, date, time, tags, isDeleted) 
-                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+                 (id, uid, title, body, createdAt, updatedAt, date, time, tags, isDeleted, revision, seq, deletedAt, notebookId, reminderAt, recurrence) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
     const params = [
       note.id,
       note.uid || null,
@@ -105,7 +418,13 @@ export async function upsert(note){
       note.date,
       note.time,
       tagsTxt,
-      note.isDeleted ? 1 : 0
+      note.isDeleted ? 1 : 0,
+      note.revision,
+      note.seq,
+      note.deletedAt,
+      note.notebookId || null,
+      note.reminderAt,
+      note.recurrence
     ];
     console.log('[SQL][upsert][INSERT] ', sql, params);
     try {
@@ -115,63 +434,1042 @@ export async function upsert(note){
       throw err;
     }
   }
+
+  await syncReminder(note);
+  return appendRevision(note, existing, options.actor);
 }
 
-// === Поиск заметок по фильтрам ===
-export async function find(filters = {}){
+// === Проверка версии для условной записи (в той же транзакции, что и запись) ===
+function checkExpectedRevision(existing, expectedRevision){
+  if(expectedRevision === undefined || expectedRevision === null) return;
+  if(!existing || (existing.revision || 0) !== expectedRevision){
+    console.warn(`[SQL][checkExpectedRevision] Ожидалась ревизия ${expectedRevision}, текущая: ${existing ? existing.revision : 'нет заметки'}`);
+    throw new VersionMismatchError(existing);
+  }
+}
+
+// === Расписание напоминания после записи заметки ===
+// Если reminderAt и recurrence не менялись — расписание (в т.ч. отложенное) остаётся как есть;
+// без напоминания или в корзине — строка удаляется.
+async function syncReminder(note){
+  const current = await db.get('SELECT reminderAt, recurrence, uid FROM reminders WHERE noteId = ?', note.id);
+  // повторения — по местному времени владельца (user_settings.tz), без настройки — пояс сервера
+  const settings = note.reminderAt ? await db.get('SELECT tz FROM user_settings WHERE uid = ?', note.uid) : null;
+  const schedule = initialSchedule(note, Date.now(), (settings && settings.tz) || serverTimeZone());
+  if(!schedule){
+    if(current) await db.run('DELETE FROM reminders WHERE noteId = ?', note.id);
+    return;
+  }
+  if(current && current.reminderAt === note.reminderAt && (current.recurrence || null) === note.recurrence
+    && current.uid === note.uid) return;
+
+  const sql = `INSERT OR REPLACE INTO reminders
+               (noteId, uid, reminderAt, recurrence, occurrenceAt, dueAt, status, attempts, updatedAt)
+               VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?)`;
+  const params = [note.id, note.uid, note.reminderAt, note.recurrence, schedule.occurrenceAt, schedule.dueAt, schedule.status, Date.now()];
+  console.log('[SQL][syncReminder] ', sql, params);
+  await db.run(sql, ...params);
+}
+
+// SQL-выражения ключей сортировки (должны совпадать с sortKey в lib/noteQuery.js)
+const SORT_SQL = {
+  updatedAt: 'COALESCE(notes.updatedAt, 0)',
+  createdAt: 'COALESCE(notes.createdAt, 0)',
+  date: 'COALESCE(notes.date, 0)',
+  title: "COALESCE(notes.title, '') COLLATE NOCASE"
+};
+
+// === Условия WHERE по фильтрам поиска ===
+function buildWhere(filters, search){
   const where = [];
   const params = [];
 
   // 🔑 если задан uid — ищем только заметки конкретного пользователя
   if(filters.uid){
-    where.push('uid = ?');
+    where.push('notes.uid = ?');
     params.push(filters.uid);
   }
 
-  // исключаем удалённые по умолчанию
-  if(!filters.includeDeleted) {
-    where.push('isDeleted = 0');
+  // исключаем удалённые по умолчанию; onlyDeleted — содержимое корзины
+  if(filters.onlyDeleted) {
+    where.push('notes.isDeleted = 1');
+  } else if(!filters.includeDeleted) {
+    where.push('notes.isDeleted = 0');
   }
 
-  // поиск по тексту
-  if(filters.q){
-    where.push('(LOWER(title) LIKE ? OR LOWER(body) LIKE ?)');
-    params.push(`%${String(filters.q).toLowerCase()}%`, `%${String(filters.q).toLowerCase()}%`);
+  // полнотекстовый поиск
+  if(search){
+    where.push('notes_fts MATCH ?');
+    params.push(toFtsQuery(search));
   }
 
   // фильтрация по обновлению
   if(filters.updatedAfter){
-    where.push('updatedAt > ?'); params.push(filters.updatedAfter);
+    where.push('notes.updatedAt > ?'); params.push(filters.updatedAfter);
   }
 
   // фильтрация по датам
   if(filters.dateFrom){
-    where.push('date >= ?'); params.push(filters.dateFrom);
+    where.push('notes.date >= ?'); params.push(filters.dateFrom);
   }
   if(filters.dateTo){
-    where.push('date <= ?'); params.push(filters.dateTo);
+    where.push('notes.date <= ?'); params.push(filters.dateTo);
   }
 
   // фильтр по времени
   if(filters.time){
-    where.push('time = ?'); params.push(filters.time);
+    where.push('notes.time = ?'); params.push(filters.time);
   }
 
-  // фильтр по тегам (массив)
+  // фильтр по тегам (массив) — точное совпадение каждого тега
   if(Array.isArray(filters.tags) && filters.tags.length){
     filters.tags.forEach(t=>{
-      where.push('tags LIKE ?'); params.push(`%\"${t}\"%`);
+      where.push('EXISTS (SELECT 1 FROM json_each(notes.tags) WHERE json_each.value = ?)'); params.push(t);
     });
   }
 
+  // фильтр по блокнотам (notebookIds — блокнот и, при recursive, вложенные в него)
+  if(Array.isArray(filters.notebookIds)){
+    if(!filters.notebookIds.length) where.push('0');
+    else {
+      where.push(`notes.notebookId IN (${filters.notebookIds.map(() => '?').join(', ')})`);
+      params.push(...filters.notebookIds);
+    }
+  }
+
+  return { where, params };
+}
+
+// === Общий запрос для find/findPage ===
+// page = { limit, cursor } — постраничная выдача; без page — все подходящие заметки.
+// Если задан q — поиск через FTS5: у каждой заметки есть score и snippet { title, body }
+// с подсветкой <mark>…</mark>, сортировка по умолчанию — по релевантности (bm25,
+// заголовок весит больше тела).
+async function selectNotes(filters, page){
+  const search = filters.q ? parseSearchQuery(filters.q) : null;
+  const sort = filters.sort || parseSort(null, { search: !!search });
+  const { where, params } = buildWhere(filters, search);
+
+  // проекция: запрошенные поля + id и ключ сортировки (нужны для курсора)
+  let columns = 'notes.*';
+  if(filters.fields){
+    const needed = new Set([...filters.fields, 'id']);
+    if(sort.field !== 'relevance') needed.add(sort.field);
+    columns = [...needed].map(c => `notes.${c}`).join(', ');
+  }
+  if(search){
+    columns += `,
+       bm25(notes_fts, ${TITLE_WEIGHT}.0, 1.0) AS ftsRank,
+       highlight(notes_fts, 0, '${HIGHLIGHT_OPEN}', '${HIGHLIGHT_CLOSE}') AS snippetTitle,
+       snippet(notes_fts, 1, '${HIGHLIGHT_OPEN}', '${HIGHLIGHT_CLOSE}', '${SNIPPET_ELLIPSIS}', ${SNIPPET_TOKENS}) AS snippetBody`;
+  }
+
+  let orderSql;
+  if(sort.field === 'relevance'){
+    orderSql = 'ftsRank ASC, notes.updatedAt DESC, notes.id DESC';
+  } else {
+    const dir = sort.dir === 'desc' ? 'DESC' : 'ASC';
+    const expr = SORT_SQL[sort.field];
+    orderSql = `${expr} ${dir}, notes.id ${dir}`;
+    // keyset-пагинация: строго после (ключ, id) из курсора
+    if(page && page.cursor){
+      const op = sort.dir === 'desc' ? '<' : '>';
+      where.push(`(${expr} ${op} ? OR (${expr} = ? AND notes.id ${op} ?))`);
+      params.push(page.cursor.key, page.cursor.key, page.cursor.id);
+    }
+  }
+
+  const offset = page && sort.field === 'relevance' && page.cursor ? page.cursor.offset : 0;
   const whereSql = where.length ? ('WHERE ' + where.join(' AND ')) : '';
-  const sql = `SELECT * FROM notes ${whereSql} ORDER BY updatedAt DESC`;
+  const fromSql = search ? 'notes JOIN notes_fts ON notes_fts.rowid = notes.rowid' : 'notes';
+  let sql = `SELECT ${columns} FROM ${fromSql} ${whereSql} ORDER BY ${orderSql}`;
+  if(page){
+    sql += ' LIMIT ? OFFSET ?';
+    params.push(page.limit + 1, offset);
+  }
+
   console.log('[SQL][find] ', sql, params);
   try {
     const rows = await db.all(sql, ...params);
-    return rows.map(r=> ({ ...r, tags: r.tags ? JSON.parse(r.tags) : [], isDeleted: !!r.isDeleted }) );
+    const notes = rows.map(({ ftsRank, snippetTitle, snippetBody, ...row }) => {
+      const note = rowToNote(row);
+      if(search){
+        note.score = -ftsRank;
+        note.snippet = { title: snippetTitle || '', body: snippetBody || '' };
+      }
+      return note;
+    });
+    return { notes, sort, offset };
   } catch(err){
     console.error('[SQL][find][ERROR]', err, sql, params);
     throw err;
   }
 }
+
+// === Поиск заметок по фильтрам ===
+// Все подходящие заметки; filters.sort / filters.fields — как в findPage.
+export async function find(filters = {}){
+  const { notes } = await selectNotes(filters);
+  return filters.fields ? notes.map(n => projectNote(n, filters.fields)) : notes;
+}
+
+// === Постраничный поиск ===
+// filters.limit  — размер страницы;
+// filters.cursor — позиция, разобранная readCursor (lib/noteQuery.js);
+// filters.sort   — { field, dir }; filters.fields — проекция.
+// Возвращает { notes, nextCursor } (nextCursor = null на последней странице).
+export async function findPage(filters = {}){
+  const limit = filters.limit;
+  const { notes, sort, offset } = await selectNotes(filters, { limit, cursor: filters.cursor });
+  const page = notes.slice(0, limit);
+  const nextCursor = notes.length > limit
+    ? cursorAfter(page[page.length - 1], sort, offset + page.length)
+    : null;
+  return { notes: page.map(n => projectNote(n, filters.fields)), nextCursor };
+}
+
+// === Теги пользователя с количеством заметок (без удалённых) ===
+export async function tagCounts(uid){
+  const sql = `SELECT t.value AS name, COUNT(DISTINCT notes.id) AS count
+               FROM notes, json_each(notes.tags) AS t
+               WHERE notes.uid = ? AND notes.isDeleted = 0 AND json_valid(notes.tags)
+               GROUP BY t.value
+               ORDER BY count DESC, name ASC`;
+  const params = [uid];
+  console.log('[SQL][tagCounts] ', sql, params);
+  try {
+    return await db.all(sql, ...params);
+  } catch(err){
+    console.error('[SQL][tagCounts][ERROR]', err, sql, params);
+    throw err;
+  }
+}
+
+// === Строка таблицы notebooks → объект блокнота ===
+function rowToNotebook(row){
+  return { ...row, isDeleted: !!row.isDeleted };
+}
+
+// === Получить блокнот по id ===
+export async function getNotebook(id){
+  const sql = 'SELECT * FROM notebooks WHERE id = ?';
+  const params = [id];
+  console.log('[SQL][getNotebook] ', sql, params);
+  try {
+    const row = await db.get(sql, ...params);
+    return row ? rowToNotebook(row) : null;
+  } catch(err){
+    console.error('[SQL][getNotebook][ERROR]', err, sql, params);
+    throw err;
+  }
+}
+
+// === Вставка или обновление блокнота ===
+// Как и у заметок, каждая запись получает новый seq (записывается в notebook).
+export async function upsertNotebook(notebook){
+  return exclusive(async () => {
+    notebook.seq = await nextSeq();
+    notebook.parentId = notebook.parentId || null;
+    notebook.deletedAt = notebook.isDeleted ? (notebook.deletedAt || Date.now()) : null;
+
+    const sql = `INSERT INTO notebooks (id, uid, name, parentId, createdAt, updatedAt, isDeleted, deletedAt, seq)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                 ON CONFLICT(id) DO UPDATE SET
+                   uid=excluded.uid, name=excluded.name, parentId=excluded.parentId,
+                   createdAt=excluded.createdAt, updatedAt=excluded.updatedAt,
+                   isDeleted=excluded.isDeleted, deletedAt=excluded.deletedAt, seq=excluded.seq`;
+    const params = [
+      notebook.id,
+      notebook.uid || null,
+      notebook.name,
+      notebook.parentId,
+      notebook.createdAt,
+      notebook.updatedAt,
+      notebook.isDeleted ? 1 : 0,
+      notebook.deletedAt,
+      notebook.seq
+    ];
+    console.log('[SQL][upsertNotebook] ', sql, params);
+    try {
+      await db.run(sql, ...params);
+    } catch(err){
+      console.error('[SQL][upsertNotebook][ERROR]', err, sql, params);
+      throw err;
+    }
+    return notebook;
+  });
+}
+
+// === Блокноты пользователя ===
+// filters.uid — владелец; filters.includeDeleted — вместе с удалёнными.
+// Сортировка — по названию без учёта регистра.
+export async function findNotebooks(filters = {}){
+  const where = [];
+  const params = [];
+  if(filters.uid){
+    where.push('uid = ?'); params.push(filters.uid);
+  }
+  if(!filters.includeDeleted) where.push('isDeleted = 0');
+
+  const whereSql = where.length ? ('WHERE ' + where.join(' AND ')) : '';
+  const sql = `SELECT * FROM notebooks ${whereSql} ORDER BY name COLLATE NOCASE, id`;
+  console.log('[SQL][findNotebooks] ', sql, params);
+  try {
+    const rows = await db.all(sql, ...params);
+    return rows.map(rowToNotebook);
+  } catch(err){
+    console.error('[SQL][findNotebooks][ERROR]', err, sql, params);
+    throw err;
+  }
+}
+
+// === Доступы к заметкам ===
+export async function getShare(noteId, uid){
+  const sql = 'SELECT * FROM note_shares WHERE noteId = ? AND uid = ?';
+  const params = [noteId, uid];
+  console.log('[SQL][getShare] ', sql, params);
+  try {
+    return (await db.get(sql, ...params)) || null;
+  } catch(err){
+    console.error('[SQL][getShare][ERROR]', err, sql, params);
+    throw err;
+  }
+}
+
+export async function listShares(noteId){
+  const sql = 'SELECT * FROM note_shares WHERE noteId = ? ORDER BY createdAt, uid';
+  const params = [noteId];
+  console.log('[SQL][listShares] ', sql, params);
+  try {
+    return await db.all(sql, ...params);
+  } catch(err){
+    console.error('[SQL][listShares][ERROR]', err, sql, params);
+    throw err;
+  }
+}
+
+// === Выдать доступ или сменить роль ===
+// Доступ получает новый seq — заметка (или её новая роль) придёт получателю в /sync/pull.
+// Tombstone от прошлого отзыва доступа удаляется.
+export async function upsertShare(share){
+  return transaction(async () => {
+    share.seq = await nextSeq();
+    const sql = `INSERT INTO note_shares (noteId, uid, email, role, createdAt, createdBy, seq)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)
+                 ON CONFLICT(noteId, uid) DO UPDATE SET
+                   email=excluded.email, role=excluded.role, seq=excluded.seq`;
+    const params = [share.noteId, share.uid, share.email || null, share.role, share.createdAt, share.createdBy || null, share.seq];
+    console.log('[SQL][upsertShare] ', sql, params);
+    try {
+      await db.run(sql, ...params);
+      await db.run('DELETE FROM tombstones WHERE id = ? AND uid = ?', share.noteId, share.uid);
+    } catch(err){
+      console.error('[SQL][upsertShare][ERROR]', err, sql, params);
+      throw err;
+    }
+    return share;
+  });
+}
+
+// === Отозвать доступ ===
+// В потоке получателя остаётся tombstone — клиент удалит заметку у себя.
+// Возвращает false, если доступа не было.
+export async function removeShare(noteId, uid){
+  return transaction(async () => {
+    const existing = await getShare(noteId, uid);
+    if(!existing) return false;
+
+    const seq = await nextSeq();
+    try {
+      await db.run('DELETE FROM note_shares WHERE noteId = ? AND uid = ?', noteId, uid);
+      await db.run(
+        'INSERT OR REPLACE INTO tombstones (id, uid, seq, purgedAt) VALUES (?, ?, ?, ?)',
+        noteId, uid, seq, Date.now()
+      );
+      console.log(`[SQL][removeShare] Доступ ${uid} к заметке ${noteId} отозван (tombstone seq ${seq})`);
+      return true;
+    } catch(err){
+      console.error('[SQL][removeShare][ERROR]', err, noteId, uid);
+      throw err;
+    }
+  });
+}
+
+// === Заметки, открытые пользователю другими (без удалённых) ===
+// У каждой заметки поле permission — роль пользователя (viewer | editor).
+export async function findSharedWith(uid){
+  const sql = `SELECT notes.*, s.role AS permission FROM notes
+               JOIN note_shares s ON s.noteId = notes.id
+               WHERE s.uid = ? AND notes.isDeleted = 0
+               ORDER BY notes.updatedAt DESC, notes.id DESC`;
+  const params = [uid];
+  console.log('[SQL][findSharedWith] ', sql, params);
+  try {
+    const rows = await db.all(sql, ...params);
+    return rows.map(rowToNote);
+  } catch(err){
+    console.error('[SQL][findSharedWith][ERROR]', err, sql, params);
+    throw err;
+  }
+}
+
+// === Публичные ссылки ===
+export async function createPublicLink(link){
+  const sql = `INSERT INTO public_links (token, noteId, uid, createdAt, expiresAt, passwordHash, passwordSalt, views)
+               VALUES (?, ?, ?, ?, ?, ?, ?, 0)`;
+  const params = [link.token, link.noteId, link.uid || null, link.createdAt, link.expiresAt || null, link.passwordHash || null, link.passwordSalt || null];
+  console.log('[SQL][createPublicLink] ', sql, [link.noteId]);
+  try {
+    await db.run(sql, ...params);
+    return { ...link, views: 0, lastViewedAt: null };
+  } catch(err){
+    console.error('[SQL][createPublicLink][ERROR]', err, link.noteId);
+    throw err;
+  }
+}
+
+export async function getPublicLink(token){
+  try {
+    return (await db.get('SELECT * FROM public_links WHERE token = ?', token)) || null;
+  } catch(err){
+    console.error('[SQL][getPublicLink][ERROR]', err);
+    throw err;
+  }
+}
+
+export async function listPublicLinks(noteId){
+  const sql = 'SELECT * FROM public_links WHERE noteId = ? ORDER BY createdAt DESC';
+  console.log('[SQL][listPublicLinks] ', sql, [noteId]);
+  try {
+    return await db.all(sql, noteId);
+  } catch(err){
+    console.error('[SQL][listPublicLinks][ERROR]', err, sql, noteId);
+    throw err;
+  }
+}
+
+// === Отозвать ссылку (token) или все ссылки заметки ===
+// Возвращает число удалённых ссылок.
+export async function removePublicLinks(noteId, token){
+  const sql = token
+    ? 'DELETE FROM public_links WHERE noteId = ? AND token = ?'
+    : 'DELETE FROM public_links WHERE noteId = ?';
+  const params = token ? [noteId, token] : [noteId];
+  console.log('[SQL][removePublicLinks] ', sql, [noteId]);
+  try {
+    const result = await db.run(sql, ...params);
+    return result.changes;
+  } catch(err){
+    console.error('[SQL][removePublicLinks][ERROR]', err, sql, noteId);
+    throw err;
+  }
+}
+
+// === Учесть просмотр по ссылке; возвращает новое число просмотров ===
+// Успешный просмотр сбрасывает счётчик неверных паролей.
+export async function recordPublicLinkView(token){
+  try {
+    const row = await db.get(
+      `UPDATE public_links SET views = views + 1, lastViewedAt = ?, failedAttempts = 0, lockedUntil = NULL
+       WHERE token = ? RETURNING views`,
+      Date.now(), token
+    );
+    return row ? row.views : 0;
+  } catch(err){
+    console.error('[SQL][recordPublicLinkView][ERROR]', err);
+    throw err;
+  }
+}
+
+// === Учесть неверный пароль по ссылке ===
+// Счётчик растёт атомарно; на каждой PUBLIC_LINK_MAX_ATTEMPTS-й ошибке ссылка блокируется.
+// Возвращает { failedAttempts, lockedUntil } (lockedUntil — null, если блокировки нет).
+export async function recordPublicLinkFailure(token){
+  try {
+    return await transaction(async () => {
+      const row = await db.get(
+        'UPDATE public_links SET failedAttempts = failedAttempts + 1 WHERE token = ? RETURNING failedAttempts',
+        token
+      );
+      if(!row) return null;
+      const lockedUntil = lockUntil(row.failedAttempts);
+      if(lockedUntil) await db.run('UPDATE public_links SET lockedUntil = ? WHERE token = ?', lockedUntil, token);
+      return { failedAttempts: row.failedAttempts, lockedUntil };
+    });
+  } catch(err){
+    console.error('[SQL][recordPublicLinkFailure][ERROR]', err);
+    throw err;
+  }
+}
+
+// === Вложения ===
+// Вложения одной заметки или нескольких (noteIds — массив), в порядке добавления
+export async function listAttachments(noteIds){
+  const ids = Array.isArray(noteIds) ? noteIds : [noteIds];
+  if(!ids.length) return [];
+  const sql = `SELECT * FROM attachments WHERE noteId IN (${ids.map(() => '?').join(', ')})
+               ORDER BY createdAt, id`;
+  console.log('[SQL][listAttachments] ', sql, ids);
+  try {
+    return await db.all(sql, ...ids);
+  } catch(err){
+    console.error('[SQL][listAttachments][ERROR]', err, sql, ids);
+    throw err;
+  }
+}
+
+export async function getAttachment(id){
+  try {
+    return (await db.get('SELECT * FROM attachments WHERE id = ?', id)) || null;
+  } catch(err){
+    console.error('[SQL][getAttachment][ERROR]', err, id);
+    throw err;
+  }
+}
+
+// Новый seq заметки: изменение вложений попадёт в /sync/pull (ревизия не создаётся)
+async function touchNote(noteId){
+  await db.run('UPDATE notes SET seq = ? WHERE id = ?', await nextSeq(), noteId);
+}
+
+// === Добавить вложение ===
+// quotaBytes — если задана, вложение не добавляется при превышении квоты владельца
+// (проверка и вставка в одной транзакции). Возвращает false, если квота превышена.
+export async function addAttachment(attachment, quotaBytes){
+  return transaction(async () => {
+    if(quotaBytes && (await attachmentUsage(attachment.uid)) + attachment.size > quotaBytes){
+      return false;
+    }
+    const sql = `INSERT INTO attachments (id, noteId, uid, filename, mime, size, sha256, createdAt, createdBy)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+    const params = [attachment.id, attachment.noteId, attachment.uid, attachment.filename, attachment.mime,
+      attachment.size, attachment.sha256, attachment.createdAt, attachment.createdBy || null];
+    console.log('[SQL][addAttachment] ', sql, params);
+    try {
+      await db.run(sql, ...params);
+      await touchNote(attachment.noteId);
+      return true;
+    } catch(err){
+      console.error('[SQL][addAttachment][ERROR]', err, sql, params);
+      throw err;
+    }
+  });
+}
+
+// === Удалить вложение ===
+// Возвращает удалённую запись (null — вложения не было). Файл удаляет вызывающий код.
+export async function removeAttachment(id){
+  return transaction(async () => {
+    const existing = await getAttachment(id);
+    if(!existing) return null;
+    try {
+      await db.run('DELETE FROM attachments WHERE id = ?', id);
+      await touchNote(existing.noteId);
+      console.log(`[SQL][removeAttachment] Вложение ${id} заметки ${existing.noteId} удалено`);
+      return existing;
+    } catch(err){
+      console.error('[SQL][removeAttachment][ERROR]', err, id);
+      throw err;
+    }
+  });
+}
+
+// Сколько байт занимают вложения заметок пользователя
+export async function attachmentUsage(uid){
+  const row = await db.get('SELECT COALESCE(SUM(size), 0) AS total FROM attachments WHERE uid = ?', uid);
+  return row.total;
+}
+
+// Сколько вложений ссылается на файл с этим хешем
+export async function countAttachmentsByHash(sha256){
+  const row = await db.get('SELECT COUNT(*) AS count FROM attachments WHERE sha256 = ?', sha256);
+  return row.count;
+}
+
+// Хеши всех файлов, на которые есть ссылки (для очистки файлов без ссылок)
+export async function attachmentHashes(){
+  const rows = await db.all('SELECT DISTINCT sha256 FROM attachments');
+  return new Set(rows.map(r => r.sha256));
+}
+
+// === Напоминания ===
+export async function getReminder(noteId){
+  try {
+    const sql = `SELECT r.*, s.tz AS tz FROM reminders r
+                 LEFT JOIN user_settings s ON s.uid = r.uid
+                 WHERE r.noteId = ?`;
+    return (await db.get(sql, noteId)) || null;
+  } catch(err){
+    console.error('[SQL][getReminder][ERROR]', err, noteId);
+    throw err;
+  }
+}
+
+// Напоминания пользователя (с названием заметки); statuses — фильтр по статусу
+export async function findReminders({ uid, statuses } = {}){
+  const where = ['r.uid = ?'];
+  const params = [uid];
+  if(statuses && statuses.length){
+    where.push(`r.status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+  const sql = `SELECT r.*, notes.title AS title FROM reminders r
+               JOIN notes ON notes.id = r.noteId
+               WHERE ${where.join(' AND ')} ORDER BY r.dueAt ASC, r.noteId ASC`;
+  console.log('[SQL][findReminders] ', sql, params);
+  try {
+    return await db.all(sql, ...params);
+  } catch(err){
+    console.error('[SQL][findReminders][ERROR]', err, sql, params);
+    throw err;
+  }
+}
+
+// Наступившие напоминания (для планировщика) — с названием и текстом заметки
+export async function dueReminders(now, limit = 100){
+  const sql = `SELECT r.*, notes.title AS title, notes.body AS body, s.tz AS tz FROM reminders r
+               JOIN notes ON notes.id = r.noteId
+               LEFT JOIN user_settings s ON s.uid = r.uid
+               WHERE r.status = 'pending' AND r.dueAt <= ? AND notes.isDeleted = 0
+               ORDER BY r.dueAt ASC LIMIT ?`;
+  try {
+    return await db.all(sql, now, limit);
+  } catch(err){
+    console.error('[SQL][dueReminders][ERROR]', err, sql);
+    throw err;
+  }
+}
+
+const REMINDER_UPDATE_FIELDS = ['occurrenceAt', 'dueAt', 'status', 'attempts', 'lastSentAt', 'lastError'];
+
+// === Обновить расписание напоминания ===
+// expectedDueAt — обновить, только если dueAt не изменился с момента чтения
+// (напоминание не отложили и заметку не поменяли, пока шла отправка).
+// Возвращает true, если строка обновлена.
+export async function updateReminder(noteId, changes, expectedDueAt){
+  const fields = REMINDER_UPDATE_FIELDS.filter(f => f in changes);
+  if(!fields.length) return false;
+  let sql = `UPDATE reminders SET ${fields.map(f => `${f} = ?`).join(', ')}, updatedAt = ? WHERE noteId = ?`;
+  const params = [...fields.map(f => changes[f] ?? null), Date.now(), noteId];
+  if(expectedDueAt !== undefined){
+    sql += ' AND dueAt = ?';
+    params.push(expectedDueAt);
+  }
+  console.log('[SQL][updateReminder] ', sql, params);
+  try {
+    const result = await db.run(sql, ...params);
+    return result.changes > 0;
+  } catch(err){
+    console.error('[SQL][updateReminder][ERROR]', err, sql, params);
+    throw err;
+  }
+}
+
+// === Устройства для push-уведомлений ===
+export async function listDevices(uid){
+  try {
+    return await db.all('SELECT * FROM push_devices WHERE uid = ? ORDER BY createdAt', uid);
+  } catch(err){
+    console.error('[SQL][listDevices][ERROR]', err, uid);
+    throw err;
+  }
+}
+
+// Токен принадлежит одному пользователю: при входе под другим аккаунтом он переходит к нему
+export async function upsertDevice(device){
+  const sql = `INSERT INTO push_devices (token, uid, provider, platform, createdAt, lastSeenAt)
+               VALUES (?, ?, ?, ?, ?, ?)
+               ON CONFLICT(token) DO UPDATE SET
+                 uid=excluded.uid, provider=excluded.provider, platform=excluded.platform, lastSeenAt=excluded.lastSeenAt`;
+  const params = [device.token, device.uid, device.provider, device.platform || null, device.createdAt, device.lastSeenAt];
+  console.log('[SQL][upsertDevice] ', sql, [device.uid, device.provider]);
+  try {
+    await db.run(sql, ...params);
+    return device;
+  } catch(err){
+    console.error('[SQL][upsertDevice][ERROR]', err, device.uid);
+    throw err;
+  }
+}
+
+// uid — удалить, только если устройство принадлежит этому пользователю
+export async function removeDevice(token, uid){
+  const sql = uid ? 'DELETE FROM push_devices WHERE token = ? AND uid = ?' : 'DELETE FROM push_devices WHERE token = ?';
+  try {
+    const result = await db.run(sql, ...(uid ? [token, uid] : [token]));
+    return result.changes > 0;
+  } catch(err){
+    console.error('[SQL][removeDevice][ERROR]', err);
+    throw err;
+  }
+}
+
+// === Календарные подписки ===
+export async function getCalendarFeed(uid){
+  try {
+    return (await db.get('SELECT * FROM calendar_feeds WHERE uid = ?', uid)) || null;
+  } catch(err){
+    console.error('[SQL][getCalendarFeed][ERROR]', err, uid);
+    throw err;
+  }
+}
+
+export async function getCalendarFeedByToken(token){
+  try {
+    return (await db.get('SELECT * FROM calendar_feeds WHERE token = ?', token)) || null;
+  } catch(err){
+    console.error('[SQL][getCalendarFeedByToken][ERROR]', err);
+    throw err;
+  }
+}
+
+// Создать или заменить подписку пользователя (новый token делает старый адрес недействительным)
+export async function saveCalendarFeed(feed){
+  const sql = `INSERT INTO calendar_feeds (uid, token, tz, createdAt, updatedAt)
+               VALUES (?, ?, ?, ?, ?)
+               ON CONFLICT(uid) DO UPDATE SET token=excluded.token, tz=excluded.tz, updatedAt=excluded.updatedAt`;
+  const params = [feed.uid, feed.token, feed.tz || null, feed.createdAt, feed.updatedAt];
+  console.log('[SQL][saveCalendarFeed] ', sql, [feed.uid, feed.tz]);
+  try {
+    await db.run(sql, ...params);
+    return feed;
+  } catch(err){
+    console.error('[SQL][saveCalendarFeed][ERROR]', err, feed.uid);
+    throw err;
+  }
+}
+
+export async function removeCalendarFeed(uid){
+  try {
+    const result = await db.run('DELETE FROM calendar_feeds WHERE uid = ?', uid);
+    return result.changes > 0;
+  } catch(err){
+    console.error('[SQL][removeCalendarFeed][ERROR]', err, uid);
+    throw err;
+  }
+}
+
+// === Настройки пользователя ===
+export async function getUserSettings(uid){
+  try {
+    return (await db.get('SELECT * FROM user_settings WHERE uid = ?', uid)) || null;
+  } catch(err){
+    console.error('[SQL][getUserSettings][ERROR]', err, uid);
+    throw err;
+  }
+}
+
+export async function saveUserSettings(settings){
+  const sql = `INSERT INTO user_settings (uid, tz, updatedAt) VALUES (?, ?, ?)
+               ON CONFLICT(uid) DO UPDATE SET tz=excluded.tz, updatedAt=excluded.updatedAt`;
+  const params = [settings.uid, settings.tz || null, settings.updatedAt];
+  console.log('[SQL][saveUserSettings] ', sql, params);
+  try {
+    await db.run(sql, ...params);
+    return settings;
+  } catch(err){
+    console.error('[SQL][saveUserSettings][ERROR]', err, sql, params);
+    throw err;
+  }
+}
+
+// === Изменения после заданного seq (для /sync/pull) ===
+// Возвращает не больше limit изменений в порядке seq: заметки (включая удалённые
+// в корзину), заметки, открытые пользователю другими (с полем permission; номер изменения —
+// больший из seq заметки и seq доступа), блокноты (включая удалённые) и tombstones
+// окончательно удалённых заметок и отозванных доступов.
+// hasMore = true, если за этой страницей есть ещё изменения.
+export async function changes({ uid, afterSeq = 0, limit = 500 } = {}){
+  const notesSql = 'SELECT * FROM notes WHERE uid = ? AND seq > ? ORDER BY seq ASC LIMIT ?';
+  const sharedSql = `SELECT notes.*, s.role AS permission, MAX(notes.seq, s.seq) AS changeSeq FROM notes
+                     JOIN note_shares s ON s.noteId = notes.id
+                     WHERE s.uid = ? AND MAX(notes.seq, s.seq) > ? ORDER BY changeSeq ASC LIMIT ?`;
+  const notebooksSql = 'SELECT * FROM notebooks WHERE uid = ? AND seq > ? ORDER BY seq ASC LIMIT ?';
+  const tombSql = 'SELECT id, seq, purgedAt FROM tombstones WHERE uid = ? AND seq > ? ORDER BY seq ASC LIMIT ?';
+  const params = [uid, afterSeq, limit + 1];
+  console.log('[SQL][changes] ', notesSql, sharedSql, notebooksSql, tombSql, params);
+  try {
+    // четыре чтения подряд в очереди: между ними не должна зафиксироваться
+    // чужая транзакция, иначе в ответ попадёт её поздний seq без ранних
+    const [noteRows, sharedRows, notebookRows, tombRows] = await exclusive(async () => [
+      await db.all(notesSql, ...params),
+      await db.all(sharedSql, ...params),
+      await db.all(notebooksSql, ...params),
+      await db.all(tombSql, ...params)
+    ]);
+
+    // склеиваем потоки по seq и берём первые limit изменений
+    const all = [
+      ...noteRows.map(r => ({ seq: r.seq, note: rowToNote(r) })),
+      ...sharedRows.map(({ changeSeq, ...r }) => ({ seq: changeSeq, note: rowToNote(r) })),
+      ...notebookRows.map(r => ({ seq: r.seq, notebook: rowToNotebook(r) })),
+      ...tombRows.map(r => ({ seq: r.seq, purged: r }))
+    ].sort((a, b) => a.seq - b.seq);
+    const page = all.slice(0, limit);
+
+    return {
+      notes: page.filter(c => c.note).map(c => c.note),
+      notebooks: page.filter(c => c.notebook).map(c => c.notebook),
+      purged: page.filter(c => c.purged).map(c => c.purged),
+      lastSeq: page.length ? page[page.length - 1].seq : afterSeq,
+      hasMore: all.length > limit
+    };
+  } catch(err){
+    console.error('[SQL][changes][ERROR]', err, notesSql, sharedSql, notebooksSql, tombSql, params);
+    throw err;
+  }
+}
+
+// === Заметки в корзине, удалённые раньше заданного момента ===
+export async function findExpiredTrash(deletedBefore){
+  const sql = 'SELECT id, uid, deletedAt FROM notes WHERE isDeleted = 1 AND deletedAt < ?';
+  const params = [deletedBefore];
+  console.log('[SQL][findExpiredTrash] ', sql, params);
+  try {
+    return await db.all(sql, ...params);
+  } catch(err){
+    console.error('[SQL][findExpiredTrash][ERROR]', err, sql, params);
+    throw err;
+  }
+}
+
+// === Окончательное удаление заметки ===
+// Удаляет заметку и её историю, оставляя tombstone с новым seq в потоке владельца.
+// Возвращает false, если заметки не было.
+// options.expectedRevision — как в upsert: удалить, только если ревизия не изменилась.
+export async function remove(id, options = {}){
+  return transaction(() => removeInTransaction(id, options));
+}
+
+async function removeInTransaction(id, options){
+  const existing = await get(id);
+  if(!existing) return false;
+  checkExpectedRevision(existing, options.expectedRevision);
+
+  const seq = await nextSeq();
+  try {
+    await db.run('DELETE FROM notes WHERE id = ?', id);
+    await db.run('DELETE FROM note_revisions WHERE noteId = ?', id);
+    await db.run(
+      'INSERT OR REPLACE INTO tombstones (id, uid, seq, purgedAt) VALUES (?, ?, ?, ?)',
+      id, existing.uid || '', seq, Date.now()
+    );
+    // получатели доступа тоже должны узнать об удалении
+    await db.run(
+      `INSERT OR REPLACE INTO tombstones (id, uid, seq, purgedAt)
+       SELECT noteId, uid, ?, ? FROM note_shares WHERE noteId = ?`,
+      seq, Date.now(), id
+    );
+    await db.run('DELETE FROM note_shares WHERE noteId = ?', id);
+    await db.run('DELETE FROM public_links WHERE noteId = ?', id);
+    // файлы без ссылок удалит автоочистка корзины (collectOrphanBlobs)
+    await db.run('DELETE FROM attachments WHERE noteId = ?', id);
+    await db.run('DELETE FROM reminders WHERE noteId = ?', id);
+    console.log(`[SQL][remove] Заметка ${id} удалена окончательно (tombstone seq ${seq})`);
+    return true;
+  } catch(err){
+    console.error('[SQL][remove][ERROR]', err, id);
+    throw err;
+  }
+}
+
+// === Очередь записей в Firestore (lib/outbox.js) ===
+function outboxFromRow(row){
+  return { ...row, data: row.data ? JSON.parse(row.data) : null };
+}
+
+// Поставить запись документа в очередь. Если документ уже ждёт отправки —
+// заменяем её новым состоянием и сбрасываем счётчик попыток.
+export async function enqueueOutbox({ collection, docId, op, data = null }){
+  const now = Date.now();
+  const sql = `INSERT INTO firestore_outbox (collection, docId, op, data, version, status, attempts, nextAttemptAt, createdAt, updatedAt)
+               VALUES (?, ?, ?, ?, 1, 'pending', 0, ?, ?, ?)
+               ON CONFLICT(collection, docId) DO UPDATE SET
+                 op=excluded.op, data=excluded.data, version=version + 1, status='pending',
+                 attempts=0, nextAttemptAt=excluded.nextAttemptAt, lastError=NULL, updatedAt=excluded.updatedAt`;
+  const params = [collection, docId, op, data ? JSON.stringify(data) : null, now, now, now];
+  console.log('[SQL][enqueueOutbox] ', collection, docId, op);
+  try {
+    await db.run(sql, ...params);
+  } catch(err){
+    console.error('[SQL][enqueueOutbox][ERROR]', err, collection, docId);
+    throw err;
+  }
+}
+
+// Записи, которые пора отправить
+export async function dueOutbox(now, limit = 100){
+  const sql = `SELECT * FROM firestore_outbox WHERE status = 'pending' AND nextAttemptAt <= ?
+               ORDER BY nextAttemptAt, id LIMIT ?`;
+  try {
+    return (await db.all(sql, now, limit)).map(outboxFromRow);
+  } catch(err){
+    console.error('[SQL][dueOutbox][ERROR]', err, sql);
+    throw err;
+  }
+}
+
+// Записи очереди (для отчёта и сверки); status — pending | failed, без него — все
+export async function listOutbox({ status, limit } = {}){
+  const where = status ? 'WHERE status = ?' : '';
+  const sql = `SELECT * FROM firestore_outbox ${where} ORDER BY createdAt, id${limit ? ' LIMIT ?' : ''}`;
+  const params = [...(status ? [status] : []), ...(limit ? [limit] : [])];
+  try {
+    return (await db.all(sql, ...params)).map(outboxFromRow);
+  } catch(err){
+    console.error('[SQL][listOutbox][ERROR]', err, sql, params);
+    throw err;
+  }
+}
+
+// Запись отправлена. version — та, что отправлялась: если документ успели изменить,
+// строка остаётся в очереди с новым состоянием.
+export async function completeOutbox(id, version){
+  try {
+    const result = await db.run('DELETE FROM firestore_outbox WHERE id = ? AND version = ?', id, version);
+    return result.changes > 0;
+  } catch(err){
+    console.error('[SQL][completeOutbox][ERROR]', err, id);
+    throw err;
+  }
+}
+
+// Неудачная попытка: changes — { status, attempts, nextAttemptAt, lastError }
+export async function failOutbox(id, version, changes){
+  const sql = `UPDATE firestore_outbox SET status = ?, attempts = ?, nextAttemptAt = ?, lastError = ?, updatedAt = ?
+               WHERE id = ? AND version = ?`;
+  const params = [changes.status, changes.attempts, changes.nextAttemptAt, changes.lastError, Date.now(), id, version];
+  try {
+    await db.run(sql, ...params);
+  } catch(err){
+    console.error('[SQL][failOutbox][ERROR]', err, sql, params);
+    throw err;
+  }
+}
+
+// Вернуть неудавшиеся записи в очередь (ids — только эти); возвращает их число
+export async function retryOutbox(ids = null){
+  const filter = ids ? ` AND id IN (${ids.map(() => '?').join(', ')})` : '';
+  const sql = `UPDATE firestore_outbox SET status = 'pending', attempts = 0, nextAttemptAt = ?, updatedAt = ?
+               WHERE status = 'failed'${filter}`;
+  const now = Date.now();
+  try {
+    const result = await db.run(sql, now, now, ...(ids || []));
+    return result.changes;
+  } catch(err){
+    console.error('[SQL][retryOutbox][ERROR]', err, sql);
+    throw err;
+  }
+}
+
+// Сводка очереди: { pending, failed, oldestPendingAt }
+export async function outboxStats(){
+  const sql = `SELECT
+                 SUM(status = 'pending') AS pending,
+                 SUM(status = 'failed') AS failed,
+                 MIN(CASE WHEN status = 'pending' THEN createdAt END) AS oldestPendingAt
+               FROM firestore_outbox`;
+  try {
+    const row = await db.get(sql);
+    return { pending: row.pending || 0, failed: row.failed || 0, oldestPendingAt: row.oldestPendingAt || null };
+  } catch(err){
+    console.error('[SQL][outboxStats][ERROR]', err, sql);
+    throw err;
+  }
+}
+
+// Была ли заметка удалена окончательно (есть tombstone, а самой заметки нет)
+export async function wasPurged(id){
+  const row = await db.get(
+    'SELECT 1 AS purged FROM tombstones WHERE id = ? AND NOT EXISTS (SELECT 1 FROM notes WHERE notes.id = ?) LIMIT 1',
+    id, id
+  );
+  return !!row;
+}
+
+// === Проверка целостности (lib/fsck.js) ===
+// Все заметки (или заметки uid). В отличие от find, строка, которую не удалось
+// разобрать (испорченный JSON в tags), не прерывает чтение, а попадает в corrupt.
+export async function scanNotes({ uid } = {}){
+  const sql = uid ? 'SELECT * FROM notes WHERE uid = ?' : 'SELECT * FROM notes';
+  const params = uid ? [uid] : [];
+  console.log('[SQL][scanNotes] ', sql, params);
+  try {
+    const rows = await db.all(sql, ...params);
+    const notes = [];
+    const corrupt = [];
+    for(const row of rows){
+      try {
+        notes.push(rowToNote(row));
+      } catch(err){
+        corrupt.push({ id: row.id, uid: row.uid, error: err.message });
+      }
+    }
+    return { notes, corrupt };
+  } catch(err){
+    console.error('[SQL][scanNotes][ERROR]', err, sql, params);
+    throw err;
+  }
+}
+
+// Сбросить испорченные tags, чтобы строку снова можно было прочитать
+// и затем перезаписать или удалить обычными upsert/remove
+export async function clearCorruptTags(id){
+  const sql = `UPDATE notes SET tags = '[]' WHERE id = ? AND tags IS NOT NULL AND json_valid(tags) = 0`;
+  console.log('[SQL][clearCorruptTags] ', sql, [id]);
+  const result = await db.run(sql, id);
+  return result.changes > 0;
+}
+
+// PRAGMA integrity_check: ['ok'] или список найденных повреждений файла базы
+export async function integrityCheck(){
+  const rows = await db.all('PRAGMA integrity_check');
+  return rows.map(row => row.integrity_check);
+}
+
+// === Онлайн-копия базы (lib/backup.js) ===
+// SQLite backup API: копия согласована, даже если в это время идут записи.
+// Страницы копируются порциями; каждая порция — в очереди записей (exclusive),
+// чтобы не попасть в середину транзакции, а между порциями запросы идут как обычно.
+export async function backupDatabase(file, pagesPerStep = 256){
+  const backup = await new Promise((resolve, reject) => {
+    const b = connection.getDatabaseInstance().backup(file, err => (err ? reject(err) : resolve(b)));
+  });
+  try {
+    while(!backup.completed){
+      await exclusive(() => new Promise((resolve, reject) => {
+        backup.step(pagesPerStep, err => (err ? reject(err) : resolve()));
+      }));
+      if(backup.failed) throw new Error('SQLite backup завершился с ошибкой');
+    }
+  } finally {
+    await new Promise(resolve => backup.finish(() => resolve()));
+  }
+  console.log(`[SQL][backupDatabase] Копия базы: ${file} (${backup.pageCount} стр.)`);
+}
+
+// === Закрыть базу (перед заменой файла notes.db при восстановлении из копии) ===
+export async function close(){
+  if(!connection) return;
+  await exclusive(() => connection.close());
+  connection = null;
+  console.log('[SQL][close] База закрыта:', DB_PATH);
+}
+
+// === Сдвинуть номера изменений (после восстановления базы из копии) ===
+// Устройства помнят курсор /sync/pull из базы до восстановления. Чтобы они получили
+// восстановленное состояние, все seq сдвигаются выше последнего номера, выданного до него.
+export async function shiftSeq(offset){
+  if(!offset) return;
+  await transaction(async () => {
+    for(const table of ['notes', 'notebooks', 'note_shares', 'tombstones']){
+      await db.run(`UPDATE ${table} SET seq = seq + ? WHERE seq IS NOT NULL`, offset);
+    }
+    await db.run(
+      `INSERT INTO counters (name, value) VALUES ('changeSeq', ?)
+       ON CONFLICT(name) DO UPDATE SET value = value + ?`,
+      offset, offset
+    );
+  });
+  console.log(`[SQL][shiftSeq] Номера изменений сдвинуты на ${offset}`);
+}
@@ -0,0 +1,428 @@
+// adapters/sqliteMigrations.js
+// ========================
+// Схема notes.db и её версии.
+//
+//   - MIGRATIONS — нумерованные изменения схемы: 1 — исходная таблица notes,
+//     дальше — по миграции на каждую новую таблицу или колонку; номер последней
+//     применённой хранится в таблице schema_version (по строке на миграцию);
+//   - migrate — применяет недостающие миграции, каждую в своей транзакции
+//     вместе с записью в schema_version: миграция либо применена и записана,
+//     либо не применена вовсе. Перед изменением непустой базы её копия
+//     сохраняется в data/backups (VACUUM INTO).
+//
+// Базы, созданные до нумерованных миграций, уже содержат часть таблиц и колонок,
+// поэтому миграции создают таблицы через IF NOT EXISTS, а колонки — через ensureColumn.
+//
+// Новая миграция — новый элемент в конце MIGRATIONS со следующим номером;
+// уже выпущенные миграции не меняются. Проверить, что будет применено, не трогая
+// базу: node tools/migrate.js --dry-run.
+
+import path from 'path';
+import fs from 'fs/promises';
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'base_schema',
+    // таблица заметок; колонка uid = "владелец заметки" (Firebase user.uid)
+    async up(db){
+      await db.exec(`CREATE TABLE IF NOT EXISTS notes (
+        id TEXT PRIMARY KEY,
+        uid TEXT,                -- ← ключ пользователя
+        title TEXT,
+        body TEXT,
+        createdAt INTEGER,
+        updatedAt INTEGER,
+        date INTEGER,
+        time TEXT,
+        tags TEXT,
+        isDeleted INTEGER DEFAULT 0
+      );`);
+    }
+  },
+  {
+    version: 2,
+    name: 'note_revisions',
+    // номер ревизии заметки (растёт при каждом изменении) и снимки полей по ревизиям
+    async up(db){
+      await ensureColumn(db, 'notes', 'revision', 'INTEGER DEFAULT 0');
+      await db.exec(`CREATE TABLE IF NOT EXISTS note_revisions (
+        noteId TEXT NOT NULL,
+        revision INTEGER NOT NULL,
+        data TEXT NOT NULL,      -- JSON со значениями полей заметки
+        createdAt INTEGER,
+        PRIMARY KEY (noteId, revision)
+      );`);
+    }
+  },
+  {
+    version: 3,
+    name: 'change_seq',
+    // номер изменения на сервере (курсор /sync/pull) и счётчик changeSeq
+    async up(db){
+      await ensureColumn(db, 'notes', 'seq', 'INTEGER');
+      await db.exec(`CREATE TABLE IF NOT EXISTS counters (
+        name TEXT PRIMARY KEY,
+        value INTEGER NOT NULL
+      );`);
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_notes_uid_seq ON notes (uid, seq);');
+
+      // заметкам из старых баз назначаем seq в порядке updatedAt
+      const withoutSeq = await db.all('SELECT id FROM notes WHERE seq IS NULL ORDER BY updatedAt');
+      for(const row of withoutSeq){
+        const { value } = await db.get(
+          `INSERT INTO counters (name, value) VALUES ('changeSeq', 1)
+           ON CONFLICT(name) DO UPDATE SET value = value + 1
+           RETURNING value`
+        );
+        await db.run('UPDATE notes SET seq = ? WHERE id = ?', value, row.id);
+      }
+      if(withoutSeq.length) console.log(`[SQL][migrate] Назначен seq для ${withoutSeq.length} заметок`);
+    }
+  },
+  {
+    version: 4,
+    name: 'revision_authors',
+    // кто сделал изменение и какие поля оно затронуло
+    async up(db){
+      await ensureColumn(db, 'note_revisions', 'author', 'TEXT');
+      await ensureColumn(db, 'note_revisions', 'changedFields', 'TEXT');
+    }
+  },
+  {
+    version: 5,
+    name: 'trash',
+    // когда заметка попала в корзину; tombstones — окончательно удалённые заметки (для /sync/pull)
+    async up(db){
+      await ensureColumn(db, 'notes', 'deletedAt', 'INTEGER');
+      // заметкам, удалённым до появления deletedAt, считаем датой удаления updatedAt
+      await db.run('UPDATE notes SET deletedAt = updatedAt WHERE isDeleted = 1 AND deletedAt IS NULL');
+      await db.exec(`CREATE TABLE IF NOT EXISTS tombstones (
+        id TEXT NOT NULL,        -- id удалённой заметки
+        uid TEXT NOT NULL,       -- чей поток изменений должен получить удаление
+        seq INTEGER NOT NULL,
+        purgedAt INTEGER,
+        PRIMARY KEY (id, uid)
+      );`);
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_tombstones_uid_seq ON tombstones (uid, seq);');
+    }
+  },
+  {
+    version: 6,
+    name: 'notebooks',
+    // блокноты (папки) с вложенностью через parentId; notes.notebookId — null вне блокнотов
+    async up(db){
+      await ensureColumn(db, 'notes', 'notebookId', 'TEXT');
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_notes_uid_notebook ON notes (uid, notebookId);');
+      await db.exec(`CREATE TABLE IF NOT EXISTS notebooks (
+        id TEXT PRIMARY KEY,
+        uid TEXT,
+        name TEXT,
+        parentId TEXT,           -- родительский блокнот (null — верхний уровень)
+        createdAt INTEGER,
+        updatedAt INTEGER,
+        isDeleted INTEGER DEFAULT 0,
+        deletedAt INTEGER,
+        seq INTEGER
+      );`);
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_notebooks_uid_seq ON notebooks (uid, seq);');
+    }
+  },
+  {
+    version: 7,
+    name: 'note_shares',
+    // доступы к заметкам: кому (uid) и с какой ролью (viewer | editor) открыта заметка
+    async up(db){
+      await db.exec(`CREATE TABLE IF NOT EXISTS note_shares (
+        noteId TEXT NOT NULL,
+        uid TEXT NOT NULL,       -- получатель доступа
+        email TEXT,
+        role TEXT NOT NULL,      -- viewer | editor
+        createdAt INTEGER,
+        createdBy TEXT,          -- uid владельца, открывшего доступ
+        seq INTEGER,             -- номер изменения (выдача/смена роли) в потоке получателя
+        PRIMARY KEY (noteId, uid)
+      );`);
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_note_shares_uid_seq ON note_shares (uid, seq);');
+    }
+  },
+  {
+    version: 8,
+    name: 'public_links',
+    // публичные ссылки на заметки (для просмотра без аккаунта)
+    async up(db){
+      await db.exec(`CREATE TABLE IF NOT EXISTS public_links (
+        token TEXT PRIMARY KEY,
+        noteId TEXT NOT NULL,
+        uid TEXT,                -- владелец заметки, создавший ссылку
+        createdAt INTEGER,
+        expiresAt INTEGER,       -- null — бессрочная
+        passwordHash TEXT,       -- scrypt-хеш пароля (null — без пароля)
+        passwordSalt TEXT,
+        views INTEGER DEFAULT 0,
+        lastViewedAt INTEGER
+      );`);
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_public_links_note ON public_links (noteId);');
+    }
+  },
+  {
+    version: 9,
+    name: 'attachments',
+    // вложения заметок (метаданные; содержимое — файл data/attachments/.../<sha256>)
+    async up(db){
+      await db.exec(`CREATE TABLE IF NOT EXISTS attachments (
+        id TEXT PRIMARY KEY,
+        noteId TEXT NOT NULL,
+        uid TEXT,                -- владелец заметки (квота считается по нему)
+        filename TEXT,
+        mime TEXT,
+        size INTEGER,
+        sha256 TEXT NOT NULL,    -- хеш содержимого = имя файла
+        createdAt INTEGER,
+        createdBy TEXT           -- кто загрузил (владелец или редактор)
+      );`);
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_attachments_note ON attachments (noteId);');
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_attachments_sha256 ON attachments (sha256);');
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_attachments_uid ON attachments (uid);');
+    }
+  },
+  {
+    version: 10,
+    name: 'reminders',
+    // напоминания: поля заметки, расписание (по строке на заметку с reminderAt)
+    // и устройства пользователей для push-уведомлений (lib/notifiers.js)
+    async up(db){
+      await ensureColumn(db, 'notes', 'reminderAt', 'INTEGER');
+      await ensureColumn(db, 'notes', 'recurrence', 'TEXT');
+      await db.exec(`CREATE TABLE IF NOT EXISTS reminders (
+        noteId TEXT PRIMARY KEY,
+        uid TEXT NOT NULL,
+        reminderAt INTEGER NOT NULL, -- копия полей заметки: по ним видно, что расписание устарело
+        recurrence TEXT,
+        occurrenceAt INTEGER,        -- текущее повторение
+        dueAt INTEGER,               -- когда отправить (occurrenceAt или позже, если отложено)
+        status TEXT NOT NULL,        -- pending | sent | dismissed | failed | expired
+        attempts INTEGER DEFAULT 0,
+        lastSentAt INTEGER,
+        lastError TEXT,
+        updatedAt INTEGER
+      );`);
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_reminders_status_due ON reminders (status, dueAt);');
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_reminders_uid ON reminders (uid);');
+      await db.exec(`CREATE TABLE IF NOT EXISTS push_devices (
+        token TEXT PRIMARY KEY,
+        uid TEXT NOT NULL,
+        provider TEXT NOT NULL,      -- expo | fcm
+        platform TEXT,
+        createdAt INTEGER,
+        lastSeenAt INTEGER
+      );`);
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_push_devices_uid ON push_devices (uid);');
+    }
+  },
+  {
+    version: 11,
+    name: 'calendar_feeds',
+    // календарные подписки (GET /calendar/:token.ics) — по одной на пользователя
+    async up(db){
+      await db.exec(`CREATE TABLE IF NOT EXISTS calendar_feeds (
+        uid TEXT PRIMARY KEY,
+        token TEXT NOT NULL UNIQUE,  -- секрет в адресе подписки
+        tz TEXT,                     -- часовой пояс пользователя (null — пояс сервера)
+        createdAt INTEGER,
+        updatedAt INTEGER
+      );`);
+    }
+  },
+  {
+    version: 12,
+    name: 'user_settings',
+    // настройки пользователей (PUT /settings)
+    async up(db){
+      await db.exec(`CREATE TABLE IF NOT EXISTS user_settings (
+        uid TEXT PRIMARY KEY,
+        tz TEXT,                     -- часовой пояс (IANA); null — пояс сервера
+        updatedAt INTEGER
+      );`);
+    }
+  },
+  {
+    version: 13,
+    name: 'firestore_outbox',
+    // очередь записей в Firestore: по одной строке на документ — последнее состояние,
+    // которое нужно туда записать (новая запись того же документа заменяет старую)
+    async up(db){
+      await db.exec(`CREATE TABLE IF NOT EXISTS firestore_outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        collection TEXT NOT NULL,
+        docId TEXT NOT NULL,
+        op TEXT NOT NULL,            -- merge | set | delete
+        data TEXT,                   -- JSON документа (для merge/set)
+        version INTEGER NOT NULL DEFAULT 1, -- растёт при каждой новой записи документа
+        status TEXT NOT NULL,        -- pending | failed
+        attempts INTEGER DEFAULT 0,
+        nextAttemptAt INTEGER,
+        lastError TEXT,
+        createdAt INTEGER,           -- с какого момента документ расходится с Firestore
+        updatedAt INTEGER,
+        UNIQUE (collection, docId)
+      );`);
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_firestore_outbox_status_next ON firestore_outbox (status, nextAttemptAt);');
+    }
+  },
+  {
+    version: 14,
+    name: 'notes_uid_indexes',
+    // список заметок пользователя (сортировка по updatedAt) и корзина
+    async up(db){
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_notes_uid_updated ON notes (uid, updatedAt);');
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_notes_uid_deleted ON notes (uid, isDeleted);');
+    }
+  },
+  {
+    version: 15,
+    name: 'public_link_attempts',
+    // счётчик неверных паролей и блокировка публичной ссылки (lib/publicLinks.js)
+    async up(db){
+      await ensureColumn(db, 'public_links', 'failedAttempts', 'INTEGER NOT NULL DEFAULT 0');
+      await ensureColumn(db, 'public_links', 'lockedUntil', 'INTEGER');
+    }
+  }
+];
+
+// Версия схемы, которую знает этот код
+export const LATEST_VERSION = MIGRATIONS.length ? MIGRATIONS[MIGRATIONS.length - 1].version : 0;
+
+// Прежняя нумерация: исходная схема создавалась при каждом запуске без номера,
+// а миграции начинались с notes_uid_indexes. Такую базу проводим по всем миграциям
+// заново — каждая проверяет, что уже сделано.
+const LEGACY_MIGRATIONS = ['notes_uid_indexes', 'public_link_attempts'];
+
+// === Добавить колонку в существующую таблицу, если её ещё нет ===
+// (базы, созданные до миграций, могут уже содержать колонку)
+async function ensureColumn(db, table, column, definition){
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  if(columns.some(c => c.name === column)) return;
+  console.log(`[SQL][migrate] Добавляем колонку ${table}.${column}`);
+  await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+// применённые миграции (этот модуль)
+async function createVersionTable(db){
+  await db.exec(`CREATE TABLE IF NOT EXISTS schema_version (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    appliedAt INTEGER NOT NULL
+  );`);
+}
+
+// === Текущая версия схемы (0 — миграции ещё не применялись) ===
+export async function schemaVersion(db){
+  const table = await db.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'`);
+  if(!table) return 0;
+  const row = await db.get('SELECT MAX(version) AS version FROM schema_version');
+  return row.version || 0;
+}
+
+// === Применённые миграции ===
+export async function listAppliedMigrations(db){
+  if(!(await schemaVersion(db))) return [];
+  return db.all('SELECT version, name, appliedAt FROM schema_version ORDER BY version');
+}
+
+async function inTransaction(db, fn){
+  await db.exec('BEGIN IMMEDIATE');
+  try {
+    const result = await fn();
+    await db.exec('COMMIT');
+    return result;
+  } catch(err){
+    await db.exec('ROLLBACK');
+    throw err;
+  }
+}
+
+// === Копия базы перед миграцией: data/backups/notes-v<from>-<время>.db ===
+// VACUUM INTO пишет согласованный снимок, даже если база открыта другими соединениями.
+async function backupBeforeMigrate(db, dbPath, from){
+  const dir = path.join(path.dirname(dbPath), 'backups');
+  await fs.mkdir(dir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const file = path.join(dir, `${path.basename(dbPath, '.db')}-v${from}-${stamp}.db`);
+  await db.run('VACUUM INTO ?', file);
+  console.log('[SQL][migrate] Копия базы перед миграцией:', file);
+  return file;
+}
+
+// === База с прежней нумерацией (LEGACY_MIGRATIONS)? ===
+async function hasLegacyNumbering(db){
+  if(!(await schemaVersion(db))) return false;
+  const rows = await db.all('SELECT version, name FROM schema_version');
+  if(rows.every(r => MIGRATIONS.some(m => m.version === r.version && m.name === r.name))) return false;
+  if(rows.every(r => LEGACY_MIGRATIONS[r.version - 1] === r.name)) return true;
+  throw new Error(`Неизвестные записи в schema_version: ${rows.map(r => `${r.version} ${r.name}`).join(', ')}`);
+}
+
+// Таблица schema_version; при прежней нумерации её записи удаляются
+async function prepareVersionTable(db, legacy){
+  await createVersionTable(db);
+  if(!legacy) return;
+  await db.run('DELETE FROM schema_version');
+  console.log('[SQL][migrate] Прежняя нумерация миграций — применяем все миграции заново');
+}
+
+/**
+ * Привести схему базы к последней версии.
+ * options.dbPath — путь к файлу базы (для копии перед миграцией; без него копия не делается);
+ * options.dryRun — выполнить всё в одной транзакции и откатить: база не меняется,
+ *   а ошибка миграции видна заранее;
+ * options.backup — делать ли копию (по умолчанию да; пустая новая база не копируется).
+ * renumbered в ответе — база была с прежней нумерацией миграций и проведена по всем заново.
+ * @returns {Promise<{ from: number, to: number, applied: { version: number, name: string }[],
+ *   backup: string|null, dryRun: boolean, renumbered: boolean }>}
+ */
+export async function migrate(db, { dbPath = null, dryRun = false, backup = true } = {}){
+  const current = await schemaVersion(db);
+  if(current > LATEST_VERSION){
+    throw new Error(`Схема базы (версия ${current}) новее, чем знает сервер (версия ${LATEST_VERSION})`);
+  }
+  const legacy = await hasLegacyNumbering(db);
+  const from = legacy ? 0 : current;
+  const pending = MIGRATIONS.filter(m => m.version > from);
+  const result = { from, to: from, applied: [], backup: null, dryRun, renumbered: legacy };
+
+  if(dryRun){
+    await db.exec('BEGIN IMMEDIATE');
+    try {
+      await prepareVersionTable(db, legacy);
+      for(const migration of pending){
+        await migration.up(db);
+        result.applied.push({ version: migration.version, name: migration.name });
+        result.to = migration.version;
+      }
+    } finally {
+      await db.exec('ROLLBACK');
+    }
+    return result;
+  }
+
+  if(pending.length && backup && dbPath){
+    const tables = await db.get(`SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table'`);
+    if(tables.count) result.backup = await backupBeforeMigrate(db, dbPath, current);
+  }
+
+  await inTransaction(db, () => prepareVersionTable(db, legacy));
+  for(const migration of pending){
+    await inTransaction(db, async () => {
+      await migration.up(db);
+      await db.run(
+        'INSERT INTO schema_version (version, name, appliedAt) VALUES (?, ?, ?)',
+        migration.version, migration.name, Date.now()
+      );
+    });
+    console.log(`[SQL][migrate] Применена миграция ${migration.version} (${migration.name})`);
+    result.applied.push({ version: migration.version, name: migration.name });
+    result.to = migration.version;
+  }
+  return result;
+}
@@ -0,0 +1,233 @@
+// lib/attachments.js
+// Вложения заметок: файлы (blobs) на диске + метаданные в SQLite (таблица attachments).
+//
+// Файлы лежат в data/attachments/<первые 2 символа sha256>/<sha256> — рядом с notes.db
+// и notes_files/. Одинаковое содержимое хранится один раз (дедупликация по sha256),
+// на один файл могут ссылаться несколько вложений, в том числе разных пользователей.
+// Файл без ссылок удаляется при удалении последнего вложения или автоочисткой корзины
+// (collectOrphanBlobs) — но не раньше BLOB_MIN_AGE_MS после записи, чтобы не удалить
+// файл, метаданные которого ещё не успели сохраниться.
+//
+// Тип файла определяется по содержимому (sniffMime), а не по тому, что прислал клиент.
+// Лимиты: ATTACHMENT_MAX_SIZE_MB (по умолчанию 25) на файл и ATTACHMENT_QUOTA_MB
+// (по умолчанию 500) на все вложения заметок пользователя.
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { transliterate } from './export.js';
+
+const MB = 1024 * 1024;
+const BLOB_MIN_AGE_MS = 10 * 60 * 1000;
+
+let BLOB_DIR = null;
+
+export async function initBlobStore(basePath) {
+  BLOB_DIR = path.join(basePath, 'attachments');
+  await fs.mkdir(BLOB_DIR, { recursive: true });
+  console.log('[Attachments] Каталог вложений:', BLOB_DIR);
+}
+
+function envMegabytes(name, fallback) {
+  const value = Number(process.env[name]);
+  return (Number.isFinite(value) && value > 0 ? value : fallback) * MB;
+}
+
+export function getAttachmentMaxBytes() {
+  return envMegabytes('ATTACHMENT_MAX_SIZE_MB', 25);
+}
+
+export function getAttachmentQuotaBytes() {
+  return envMegabytes('ATTACHMENT_QUOTA_MB', 500);
+}
+
+export function blobPath(sha256) {
+  if (!BLOB_DIR) throw new Error('Хранилище вложений не инициализировано');
+  return path.join(BLOB_DIR, sha256.slice(0, 2), sha256);
+}
+
+/**
+ * Сохранить содержимое; если такой файл уже есть — только обновить его mtime.
+ * @returns {Promise<{ sha256: string, size: number, deduplicated: boolean }>}
+ */
+export async function putBlob(buffer) {
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  const file = blobPath(sha256);
+  const now = new Date();
+  try {
+    await fs.utimes(file, now, now);
+    return { sha256, size: buffer.length, deduplicated: true };
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmp, buffer);
+  await fs.rename(tmp, file);
+  return { sha256, size: buffer.length, deduplicated: false };
+}
+
+async function isOldEnough(file) {
+  try {
+    const stat = await fs.stat(file);
+    return Date.now() - stat.mtimeMs >= BLOB_MIN_AGE_MS;
+  } catch (e) {
+    if (e.code === 'ENOENT') return false;
+    throw e;
+  }
+}
+
+/**
+ * Удалить файл, если на него больше не ссылается ни одно вложение.
+ * @returns {Promise<boolean>} удалён ли файл
+ */
+export async function removeBlobIfOrphan(adapter, sha256) {
+  if (await adapter.countAttachmentsByHash(sha256)) return false;
+  const file = blobPath(sha256);
+  if (!(await isOldEnough(file))) return false;
+  await fs.rm(file, { force: true });
+  return true;
+}
+
+/**
+ * Удалить все файлы без ссылок (вызывается автоочисткой корзины).
+ * @returns {Promise<number>} сколько файлов удалено
+ */
+export async function collectOrphanBlobs(adapter) {
+  if (!BLOB_DIR) return 0;
+  const referenced = await adapter.attachmentHashes();
+  let removed = 0;
+  for (const prefix of await fs.readdir(BLOB_DIR)) {
+    const dir = path.join(BLOB_DIR, prefix);
+    if (!(await fs.stat(dir)).isDirectory()) continue;
+    for (const name of await fs.readdir(dir)) {
+      // *.tmp — недописанные файлы (например, после падения сервера)
+      const sha256 = name.endsWith('.tmp') ? null : name;
+      if (sha256 && referenced.has(sha256)) continue;
+      const file = path.join(dir, name);
+      if (!(await isOldEnough(file))) continue;
+      await fs.rm(file, { force: true });
+      removed++;
+    }
+  }
+  if (removed) console.log(`[Attachments] Удалено файлов без ссылок: ${removed}`);
+  return removed;
+}
+
+// Сигнатуры форматов: первые байты файла → MIME
+const SIGNATURES = [
+  { mime: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mime: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mime: 'image/gif', ascii: 'GIF87a' },
+  { mime: 'image/gif', ascii: 'GIF89a' },
+  { mime: 'image/bmp', ascii: 'BM' },
+  { mime: 'application/pdf', ascii: '%PDF-' },
+  { mime: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { mime: 'application/gzip', bytes: [0x1f, 0x8b] },
+  { mime: 'audio/mpeg', ascii: 'ID3' },
+  { mime: 'audio/ogg', ascii: 'OggS' },
+  { mime: 'audio/flac', ascii: 'fLaC' }
+];
+
+function startsWith(buffer, sig) {
+  const bytes = sig.bytes || [...Buffer.from(sig.ascii, 'latin1')];
+  return buffer.length >= bytes.length && bytes.every((b, i) => buffer[i] === b);
+}
+
+// UTF-8 текст без управляющих символов (кроме табуляции и переводов строк)
+function looksLikeText(buffer) {
+  const sample = buffer.subarray(0, 8192);
+  if (/[\x00-\x08\x0e-\x1f]/.test(sample.toString('latin1'))) return false;
+  try {
+    // у обрезанного образца последний символ может оказаться неполным
+    const checked = sample.length < buffer.length ? sample.subarray(0, sample.length - 4) : sample;
+    new TextDecoder('utf-8', { fatal: true }).decode(checked);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * MIME-тип по содержимому файла. Текст (в т.ч. HTML и SVG) отдаётся как text/plain,
+ * неизвестное — application/octet-stream.
+ */
+export function sniffMime(buffer) {
+  for (const sig of SIGNATURES) {
+    if (startsWith(buffer, sig)) return sig.mime;
+  }
+  if (startsWith(buffer, { ascii: 'RIFF' }) && buffer.length >= 12) {
+    const kind = buffer.toString('latin1', 8, 12);
+    if (kind === 'WEBP') return 'image/webp';
+    if (kind === 'WAVE') return 'audio/wav';
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('latin1', 8, 12);
+    if (brand === 'heic' || brand === 'heix' || brand === 'mif1') return 'image/heic';
+    if (brand === 'M4A ') return 'audio/mp4';
+    return 'video/mp4';
+  }
+  if (buffer.length && looksLikeText(buffer)) return 'text/plain; charset=utf-8';
+  return 'application/octet-stream';
+}
+
+// Типы, которые браузер может показать сам; остальные отдаются на скачивание
+const INLINE_TYPES = /^(image\/(png|jpeg|gif|webp|bmp)|application\/pdf|audio\/|video\/|text\/plain)/;
+
+/**
+ * Заголовок Content-Disposition для вложения.
+ */
+export function attachmentDisposition(attachment, forceDownload) {
+  const type = !forceDownload && INLINE_TYPES.test(attachment.mime) ? 'inline' : 'attachment';
+  const ext = path.extname(attachment.filename);
+  const ascii = (transliterate(path.basename(attachment.filename, ext)) || 'file') +
+    ext.toLowerCase().replace(/[^.a-z0-9]/g, '');
+  return `${type}; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`;
+}
+
+/**
+ * Имя файла от клиента: без пути и управляющих символов, не длиннее 200 символов.
+ */
+export function normalizeFilename(name) {
+  const base = path.basename(String(name || '').replace(/\\/g, '/'))
+    .replace(/[\x00-\x1f\x7f"]/g, '')
+    .trim();
+  return base.slice(0, 200) || 'file';
+}
+
+/**
+ * Метаданные вложения для клиента.
+ */
+export function attachmentView(row) {
+  return {
+    id: row.id,
+    noteId: row.noteId,
+    filename: row.filename,
+    mime: row.mime,
+    size: row.size,
+    sha256: row.sha256,
+    createdAt: row.createdAt,
+    createdBy: row.createdBy || null
+  };
+}
+
+/**
+ * Добавить к заметкам поле attachments (метаданные вложений).
+ */
+export async function withAttachments(adapter, notes) {
+  if (!notes.length) return notes;
+  // хранилище без вложений (adapters/registry.js) — у заметок их просто нет
+  if (!adapter.listAttachments) {
+    for (const note of notes) note.attachments = [];
+    return notes;
+  }
+  const rows = await adapter.listAttachments(notes.map(n => n.id));
+  const byNote = new Map();
+  for (const row of rows) {
+    if (!byNote.has(row.noteId)) byNote.set(row.noteId, []);
+    byNote.get(row.noteId).push(attachmentView(row));
+  }
+  for (const note of notes) note.attachments = byNote.get(note.id) || [];
+  return notes;
+}
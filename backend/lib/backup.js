@@ -0,0 +1,420 @@
+// lib/backup.js
+// Резервные копии каталога data/ и восстановление из них.
+//
+// Копия — ZIP-архив data/backups/backup-<время>.zip:
+//   notes.db        — снимок базы через SQLite backup API (SqliteAdapter.backupDatabase):
+//                     согласован, даже если сервер в это время принимает записи;
+//   notes_files/, notebooks_files/, note_shares/, notes_revisions/ — JSON-файлы FileAdapter;
+//   users/<uid>.json — по желанию: заметки и блокноты каждого пользователя
+//                     ({ notes, notebooks } — тот же JSON, что принимает POST /notes/import);
+//   manifest.json   — что лежит в архиве.
+// Файлы вложений (data/attachments) в копию не входят.
+//
+// Копии делаются раз в BACKUP_INTERVAL_HOURS часов (по умолчанию 24, 0 — выключено, не больше 596;
+// при старте — сразу, если последней копии больше этого срока), хранятся последние
+// BACKUP_KEEP (по умолчанию 7); BACKUP_USER_SNAPSHOTS=1 добавляет в них users/<uid>.json.
+// Копия одного пользователя (backup-<время>-user-<uid>.zip) и копия перед восстановлением
+// (backup-<время>-pre-restore.zip) при ротации не удаляются.
+//
+// Восстановление (tools/backup.js, POST /admin/backups/:name/restore):
+//   restoreUser — заметки и блокноты одного пользователя через адаптер, как обычные записи
+//                 (с новыми ревизиями, поэтому изменения доходят до устройств и Firestore);
+//                 заметки, созданные после копии, переносятся в корзину; другие пользователи
+//                 не затрагиваются. Доступы, публичные ссылки и вложения не восстанавливаются;
+//   restoreAll  — вся база и файлы целиком, только при остановленном сервере.
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import archiver from 'archiver';
+import AdmZip from 'adm-zip';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import * as SqliteAdapter from '../adapters/sqliteAdapter.js';
+import { parseStorageSpec, hasCapability } from '../adapters/registry.js';
+import { differentFields } from './fsck.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// setInterval принимает не больше 2^31-1 мс (~24,8 суток): с большим значением
+// Node заменяет задержку на 1 мс, и копии пошли бы подряд
+const MAX_TIMER_MS = 2 ** 31 - 1;
+export const MAX_BACKUP_INTERVAL_HOURS = Math.floor(MAX_TIMER_MS / HOUR_MS);
+
+// Каталоги FileAdapter, которые входят в копию
+const FILE_DIRS = ['notes_files', 'notebooks_files', 'note_shares', 'notes_revisions'];
+
+// Имя архива копии; плановые (ротируемые) — без суффикса
+const BACKUP_NAME = /^backup-[\w.-]+\.zip$/;
+const PLAIN_BACKUP_NAME = /^backup-\d{4}-\d{2}-\d{2}T[\d-]+Z\.zip$/;
+
+/**
+ * Сколько плановых копий хранить.
+ */
+export function getBackupKeep() {
+  const keep = Number(process.env.BACKUP_KEEP);
+  return Number.isInteger(keep) && keep > 0 ? keep : 7;
+}
+
+/**
+ * Интервал плановых копий в часах (0 — выключены).
+ * Значение вне 0..MAX_BACKUP_INTERVAL_HOURS не принимается — берётся 24 (с записью в журнал).
+ */
+export function getBackupIntervalHours() {
+  const raw = process.env.BACKUP_INTERVAL_HOURS;
+  if (raw === undefined || raw === '') return 24;
+  const hours = Number(raw);
+  if (Number.isFinite(hours) && hours >= 0 && hours <= MAX_BACKUP_INTERVAL_HOURS) return hours;
+  console.warn(`[Backup] BACKUP_INTERVAL_HOURS=${raw} вне допустимого диапазона 0..${MAX_BACKUP_INTERVAL_HOURS} — используем 24`);
+  return 24;
+}
+
+export function backupDir(dataDir) {
+  return path.join(dataDir, 'backups');
+}
+
+/**
+ * Имя архива допустимо (без путей) — для имён из запросов.
+ */
+export function isBackupName(name) {
+  return typeof name === 'string' && BACKUP_NAME.test(name);
+}
+
+// Что есть в хранилище при данном STORAGE: база SQLite и/или файлы
+function backupSources(storage) {
+  const names = parseStorageSpec(storage);
+  return {
+    database: names.includes('sqlite') || names.includes('dual'),
+    files: names.includes('file') || names.includes('dual')
+  };
+}
+
+const userEntryName = uid => `users/${encodeURIComponent(uid)}.json`;
+
+// Заметка из строки таблицы notes (как rowToNote в sqliteAdapter)
+function noteFromRow(row) {
+  return { ...row, tags: row.tags ? JSON.parse(row.tags) : [], isDeleted: !!row.isDeleted };
+}
+
+// Заметки и блокноты из файла базы (снимка): uid → { notes, notebooks }
+async function readDatabaseUsers(dbFile, uid = null) {
+  const db = await open({ filename: dbFile, driver: sqlite3.Database, mode: sqlite3.OPEN_READONLY });
+  try {
+    const where = uid ? 'WHERE uid = ?' : '';
+    const params = uid ? [uid] : [];
+    const users = new Map();
+    const user = id => {
+      if (!users.has(id)) users.set(id, { notes: [], notebooks: [] });
+      return users.get(id);
+    };
+    for (const row of await db.all(`SELECT * FROM notes ${where}`, ...params)) {
+      user(row.uid).notes.push(noteFromRow(row));
+    }
+    // в старых базах таблицы блокнотов ещё нет
+    const notebooks = await db.all(`SELECT * FROM notebooks ${where}`, ...params).catch(() => []);
+    for (const row of notebooks) user(row.uid).notebooks.push({ ...row, isDeleted: !!row.isDeleted });
+    return users;
+  } finally {
+    await db.close();
+  }
+}
+
+// Текущее состояние пользователя через адаптер
+async function userState(adapter, uid) {
+  return {
+    notes: await adapter.find({ uid, includeDeleted: true }),
+    notebooks: hasCapability(adapter, 'notebooks') ? await adapter.findNotebooks({ uid, includeDeleted: true }) : []
+  };
+}
+
+/**
+ * Сделать копию.
+ * options.dataDir — каталог данных; options.storage — STORAGE (что копировать);
+ * options.uid — копия только этого пользователя (users/<uid>.json, без базы и файлов);
+ * options.users — добавить в полную копию users/<uid>.json для всех пользователей;
+ * options.label — суффикс имени (такие копии не ротируются).
+ * @returns {Promise<{ name: string, kind: 'full'|'user', size: number, createdAt: number, users: string[] }>}
+ */
+export async function createBackup(adapter, { dataDir, storage, uid = null, users = false, label = null } = {}) {
+  const dir = backupDir(dataDir);
+  await fsp.mkdir(dir, { recursive: true });
+
+  const createdAt = Date.now();
+  const stamp = new Date(createdAt).toISOString().replace(/[:.]/g, '-');
+  const suffix = uid ? `-user-${uid.replace(/[^\w-]/g, '_')}` : label ? `-${label}` : '';
+  const name = `backup-${stamp}${suffix}.zip`;
+  const file = path.join(dir, name);
+  const tmpFile = `${file}.tmp`;
+  const tmpDb = path.join(dir, `.${name}.db`);
+
+  const sources = backupSources(storage);
+  const manifest = { kind: uid ? 'user' : 'full', createdAt, storage, database: false, directories: [], users: [] };
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const output = fs.createWriteStream(tmpFile);
+  const written = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+  archive.on('warning', e => console.warn('[Backup] Предупреждение:', e && e.message));
+  archive.pipe(output);
+
+  try {
+    if (uid) {
+      archive.append(JSON.stringify({ exportedAt: createdAt, uid, ...await userState(adapter, uid) }, null, 2), { name: userEntryName(uid) });
+      manifest.users.push(uid);
+    } else {
+      if (sources.database) {
+        await SqliteAdapter.backupDatabase(tmpDb);
+        archive.file(tmpDb, { name: 'notes.db' });
+        manifest.database = true;
+      }
+      if (sources.files) {
+        for (const sub of FILE_DIRS) {
+          if (!fs.existsSync(path.join(dataDir, sub))) continue;
+          archive.directory(path.join(dataDir, sub), sub);
+          manifest.directories.push(sub);
+        }
+      }
+      if (users) {
+        // из снимка базы — те же данные, что в notes.db архива
+        const byUser = manifest.database
+          ? await readDatabaseUsers(tmpDb)
+          : new Map(await Promise.all([...new Set((await adapter.find({ includeDeleted: true })).map(n => n.uid))]
+            .map(async id => [id, await userState(adapter, id)])));
+        for (const [id, state] of byUser) {
+          if (!id) continue;
+          archive.append(JSON.stringify({ exportedAt: createdAt, uid: id, ...state }, null, 2), { name: userEntryName(id) });
+          manifest.users.push(id);
+        }
+      }
+    }
+    archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+    await archive.finalize();
+    await written;
+    await fsp.rename(tmpFile, file);
+  } catch (e) {
+    archive.abort();
+    await fsp.rm(tmpFile, { force: true });
+    throw e;
+  } finally {
+    await fsp.rm(tmpDb, { force: true });
+  }
+
+  const { size } = await fsp.stat(file);
+  console.log(`[Backup] Копия ${name} создана (${Math.round(size / 1024)} КБ)`);
+  return { name, kind: manifest.kind, size, createdAt, users: manifest.users };
+}
+
+/**
+ * Список копий, новые первыми.
+ */
+export async function listBackups(dataDir) {
+  let names;
+  try {
+    names = await fsp.readdir(backupDir(dataDir));
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  const list = [];
+  for (const name of names.filter(isBackupName)) {
+    const { size, mtimeMs } = await fsp.stat(path.join(backupDir(dataDir), name));
+    list.push({ name, kind: name.includes('-user-') ? 'user' : 'full', size, createdAt: Math.round(mtimeMs) });
+  }
+  return list.sort((a, b) => b.name.localeCompare(a.name));
+}
+
+/**
+ * Удалить старые плановые копии сверх keep.
+ * @returns {Promise<string[]>} имена удалённых
+ */
+export async function rotateBackups(dataDir, keep = getBackupKeep()) {
+  const plain = (await listBackups(dataDir)).filter(b => PLAIN_BACKUP_NAME.test(b.name));
+  const removed = [];
+  for (const backup of plain.slice(keep)) {
+    await fsp.rm(path.join(backupDir(dataDir), backup.name), { force: true });
+    removed.push(backup.name);
+  }
+  if (removed.length) console.log(`[Backup] Удалены старые копии: ${removed.join(', ')}`);
+  return removed;
+}
+
+function readManifest(zip) {
+  const entry = zip.getEntry('manifest.json');
+  if (!entry) throw new Error('В архиве нет manifest.json — это не копия notes-backend');
+  return JSON.parse(entry.getData().toString('utf8'));
+}
+
+// Состояние пользователя в копии: users/<uid>.json, иначе notes.db, иначе notes_files/
+async function readUserSnapshot(file, uid) {
+  const zip = new AdmZip(file);
+  readManifest(zip);
+
+  const userEntry = zip.getEntry(userEntryName(uid));
+  if (userEntry) {
+    const data = JSON.parse(userEntry.getData().toString('utf8'));
+    return { notes: data.notes || [], notebooks: data.notebooks || [] };
+  }
+
+  const dbEntry = zip.getEntry('notes.db');
+  if (dbEntry) {
+    const tmpDb = path.join(os.tmpdir(), `notes-restore-${process.pid}-${Date.now()}.db`);
+    await fsp.writeFile(tmpDb, dbEntry.getData());
+    try {
+      return (await readDatabaseUsers(tmpDb, uid)).get(uid) || { notes: [], notebooks: [] };
+    } finally {
+      await fsp.rm(tmpDb, { force: true });
+    }
+  }
+
+  const read = prefix => zip.getEntries()
+    .filter(e => !e.isDirectory && e.entryName.startsWith(prefix) && e.entryName.endsWith('.json'))
+    .map(e => JSON.parse(e.getData().toString('utf8')))
+    .filter(doc => doc && doc.uid === uid);
+  return { notes: read('notes_files/'), notebooks: read('notebooks_files/') };
+}
+
+/**
+ * Восстановить заметки и блокноты пользователя uid из копии file.
+ * Заметки копии записываются заново (если отличаются от текущих), заметки,
+ * которых в копии нет, переносятся в корзину. options.dryRun — только посчитать.
+ * @returns {Promise<{ restored: number, unchanged: number, trashed: number, notebooks: number, dryRun: boolean }>}
+ */
+export async function restoreUser(adapter, file, uid, { dryRun = false } = {}) {
+  const snapshot = await readUserSnapshot(file, uid);
+  const current = await userState(adapter, uid);
+  const now = Date.now();
+  const result = { restored: 0, unchanged: 0, trashed: 0, notebooks: 0, dryRun };
+  const writes = [];
+
+  const currentNotes = new Map(current.notes.map(n => [n.id, n]));
+  const snapshotIds = new Set();
+  for (const note of snapshot.notes) {
+    snapshotIds.add(note.id);
+    const existing = currentNotes.get(note.id);
+    if (existing && !differentFields(existing, note).length) {
+      result.unchanged++;
+      continue;
+    }
+    result.restored++;
+    // updatedAt — сейчас: восстановленная версия новее копий на устройствах
+    const { seq, ...fields } = note;
+    writes.push(() => adapter.upsert({ ...fields, uid, updatedAt: now }, { actor: uid }));
+  }
+  for (const note of current.notes) {
+    if (snapshotIds.has(note.id) || note.isDeleted) continue;
+    result.trashed++;
+    writes.push(() => adapter.upsert({ ...note, isDeleted: true, updatedAt: now }, { actor: uid }));
+  }
+
+  if (hasCapability(adapter, 'notebooks')) {
+    const snapshotNotebooks = new Set(snapshot.notebooks.map(nb => nb.id));
+    for (const notebook of snapshot.notebooks) {
+      result.notebooks++;
+      const { seq, ...fields } = notebook;
+      writes.push(() => adapter.upsertNotebook({ ...fields, uid, updatedAt: now }));
+    }
+    for (const notebook of current.notebooks) {
+      if (snapshotNotebooks.has(notebook.id) || notebook.isDeleted) continue;
+      writes.push(() => adapter.upsertNotebook({ ...notebook, isDeleted: true, updatedAt: now }));
+    }
+  }
+
+  if (!dryRun) {
+    const apply = async () => {
+      for (const write of writes) await write();
+    };
+    await (adapter.transaction ? adapter.transaction(apply) : apply());
+  }
+  console.log(`[Backup] ${dryRun ? 'Проверка восстановления' : 'Восстановление'} ${uid} из ${path.basename(file)}: ${JSON.stringify(result)}`);
+  return result;
+}
+
+/**
+ * Восстановить базу и файлы целиком из полной копии (сервер должен быть остановлен).
+ * Перед этим делается копия текущего состояния (backup-<время>-pre-restore.zip).
+ * После замены файлов хранилище инициализируется заново (с миграциями схемы),
+ * номера изменений сдвигаются выше выданных до восстановления — устройства получат
+ * восстановленные заметки через /sync/pull, — а при STORAGE=dual всё состояние
+ * ставится в очередь записи в Firestore (DualAdapter.overwriteFirestore).
+ * @returns {Promise<{ preRestore: string, database: boolean, directories: string[], firestore: object|null }>}
+ */
+export async function restoreAll(adapter, file, { dataDir, storage }) {
+  const zip = new AdmZip(file);
+  const manifest = readManifest(zip);
+  if (manifest.kind !== 'full') throw new Error('Это копия одного пользователя — восстановите её с --uid');
+
+  const sources = backupSources(storage);
+  const preRestore = await createBackup(adapter, { dataDir, storage, label: 'pre-restore' });
+  const lastSeq = sources.database ? await SqliteAdapter.currentSeq() : 0;
+  if (sources.database) await SqliteAdapter.close();
+
+  const dataRoot = path.resolve(dataDir);
+  const restoreFile = async (target, data) => {
+    const resolved = path.resolve(dataRoot, target);
+    if (!resolved.startsWith(dataRoot + path.sep)) throw new Error(`Недопустимый путь в архиве: ${target}`);
+    await fsp.mkdir(path.dirname(resolved), { recursive: true });
+    await fsp.writeFile(resolved, data);
+  };
+
+  const dbEntry = zip.getEntry('notes.db');
+  if (dbEntry) {
+    for (const suffix of ['', '-wal', '-shm', '-journal']) {
+      await fsp.rm(path.join(dataRoot, `notes.db${suffix}`), { force: true });
+    }
+    await restoreFile('notes.db', dbEntry.getData());
+  }
+  const directories = manifest.directories || [];
+  for (const sub of directories) {
+    if (!FILE_DIRS.includes(sub)) continue;
+    await fsp.rm(path.join(dataRoot, sub), { recursive: true, force: true });
+    await fsp.mkdir(path.join(dataRoot, sub), { recursive: true });
+    for (const entry of zip.getEntries()) {
+      if (!entry.isDirectory && entry.entryName.startsWith(`${sub}/`)) await restoreFile(entry.entryName, entry.getData());
+    }
+  }
+
+  await adapter.init(dataDir);
+  if (dbEntry && sources.database) await SqliteAdapter.shiftSeq(lastSeq);
+  const firestore = adapter.overwriteFirestore ? await adapter.overwriteFirestore() : null;
+
+  console.log(`[Backup] Данные восстановлены из ${path.basename(file)} (копия до восстановления: ${preRestore.name})`);
+  return { preRestore: preRestore.name, database: !!dbEntry, directories, firestore };
+}
+
+/**
+ * Плановые копии (BACKUP_INTERVAL_HOURS, BACKUP_KEEP, BACKUP_USER_SNAPSHOTS).
+ * @returns {(() => void)|null} функция остановки или null, если копии выключены
+ */
+export function startBackupScheduler(adapter, { dataDir, storage }) {
+  const hours = getBackupIntervalHours();
+  const sources = backupSources(storage);
+  if (!hours || (!sources.database && !sources.files)) {
+    console.log('[Backup] Плановые копии выключены');
+    return null;
+  }
+  const intervalMs = hours * HOUR_MS;
+
+  const run = async () => {
+    try {
+      await createBackup(adapter, { dataDir, storage, users: process.env.BACKUP_USER_SNAPSHOTS === '1' });
+      await rotateBackups(dataDir);
+    } catch (e) {
+      console.error('[Backup] Ошибка плановой копии:', e && e.message);
+    }
+  };
+
+  // при старте — сразу, если последняя плановая копия старше интервала
+  listBackups(dataDir).then(list => {
+    const latest = list.find(b => PLAIN_BACKUP_NAME.test(b.name));
+    if (!latest || Date.now() - latest.createdAt >= intervalMs) return run();
+  }).catch(e => console.error('[Backup] Ошибка чтения списка копий:', e && e.message));
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  console.log(`[Backup] Плановые копии: раз в ${hours} ч., хранится ${getBackupKeep()}`);
+  return () => clearInterval(timer);
+}
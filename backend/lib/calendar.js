@@ -0,0 +1,153 @@
+// lib/calendar.js
+// Календарная подписка (iCalendar, RFC 5545) на заметки с датой — GET /calendar/:token.ics.
+//
+// Каждая заметка с полем date (не в корзине) — событие VEVENT: с временем (поле time) —
+// на CALENDAR_EVENT_MINUTES минут (по умолчанию 60), без времени — на весь день.
+// Заметка-чеклист, в которой есть невыполненные пункты ("[ ] ..."), выгружается задачей VTODO
+// со сроком на эту дату и процентом выполнения.
+//
+// UID события постоянный (id заметки), SEQUENCE — ревизия заметки: календарь видит правки
+// как изменения того же события, а удалённые заметки просто пропадают из подписки.
+// День и время заметки считаются в часовом поясе пользователя, в файл пишутся в UTC.
+
+import { zonedParts, zonedTimeToUtc, parseTimeOfDay } from './timezone.js';
+
+const UID_DOMAIN = 'notes-app';
+// Максимальная длина строки iCalendar в байтах (длинные строки переносятся)
+const LINE_MAX_OCTETS = 75;
+
+function getEventMinutes() {
+  const minutes = Number(process.env.CALENDAR_EVENT_MINUTES);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : 60;
+}
+
+// Экранирование текста: \ ; , и переводы строк
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Перенос строки длиннее 75 байт (не разрывая символы UTF-8)
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= LINE_MAX_OCTETS) return line;
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    // у строк продолжения первый байт — пробел
+    if (size + bytes > (parts.length ? LINE_MAX_OCTETS - 1 : LINE_MAX_OCTETS)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const pad = (n, len = 2) => String(n).padStart(len, '0');
+
+// timestamp → 20260131T090000Z
+function utcStamp(timestamp) {
+  return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Дата (в UTC-частях) → 20260131
+function dateStamp(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return `${pad(d.getUTCFullYear(), 4)}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`;
+}
+
+/**
+ * Пункты чеклиста в тексте заметки: строки "[ ] ..." / "[x] ..." (в т.ч. "- [ ] ...").
+ * @returns {{ total: number, checked: number }}
+ */
+export function checklistState(body) {
+  let total = 0;
+  let checked = 0;
+  for (const line of String(body || '').split('\n')) {
+    const m = line.match(/^\s*(?:[-*+]\s+)?\[([ xX])\]\s/);
+    if (!m) continue;
+    total++;
+    if (m[1] !== ' ') checked++;
+  }
+  return { total, checked };
+}
+
+// Начало события заметки: { allDay, start, dateParts }
+function noteSchedule(note, tz) {
+  const day = zonedParts(Number(note.date), tz);
+  const time = parseTimeOfDay(note.time);
+  const dateParts = { year: day.year, month: day.month, day: day.day };
+  if (!time) return { allDay: true, dateParts };
+  return { allDay: false, dateParts, start: zonedTimeToUtc({ ...dateParts, ...time }, tz) };
+}
+
+// Строки одной заметки (VEVENT или VTODO)
+function noteComponent(note, tz, eventMinutes) {
+  const { allDay, dateParts, start } = noteSchedule(note, tz);
+  const checklist = checklistState(note.body);
+  const isTodo = checklist.checked < checklist.total;
+  const type = isTodo ? 'VTODO' : 'VEVENT';
+  const { year, month, day } = dateParts;
+
+  const lines = [
+    `BEGIN:${type}`,
+    `UID:${note.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${utcStamp(note.updatedAt || Date.now())}`,
+    `SEQUENCE:${note.revision || 0}`,
+    `SUMMARY:${escapeText(note.title || 'Без названия')}`
+  ];
+  if (note.createdAt) lines.push(`CREATED:${utcStamp(note.createdAt)}`);
+  if (note.updatedAt) lines.push(`LAST-MODIFIED:${utcStamp(note.updatedAt)}`);
+  if (note.body) lines.push(`DESCRIPTION:${escapeText(note.body)}`);
+  if (Array.isArray(note.tags) && note.tags.length) {
+    lines.push(`CATEGORIES:${note.tags.map(escapeText).join(',')}`);
+  }
+
+  if (isTodo) {
+    lines.push(allDay ? `DUE;VALUE=DATE:${dateStamp(year, month, day)}` : `DUE:${utcStamp(start)}`);
+    lines.push('STATUS:NEEDS-ACTION');
+    lines.push(`PERCENT-COMPLETE:${Math.floor(checklist.checked * 100 / checklist.total)}`);
+  } else if (allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${dateStamp(year, month, day)}`);
+    lines.push(`DTEND;VALUE=DATE:${dateStamp(year, month, day + 1)}`);
+  } else {
+    lines.push(`DTSTART:${utcStamp(start)}`);
+    lines.push(`DTEND:${utcStamp(start + eventMinutes * 60 * 1000)}`);
+  }
+  lines.push(`END:${type}`);
+  return lines;
+}
+
+/**
+ * Календарь заметок пользователя (текст .ics с переводами строк CRLF).
+ * Заметки без даты и удалённые в корзину пропускаются.
+ */
+export function buildCalendar(notes, { tz, name = 'Заметки' }) {
+  const eventMinutes = getEventMinutes();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//notesAppBackend//Notes//RU',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${tz}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+  for (const note of notes) {
+    if (note.isDeleted || note.date === null || note.date === undefined || note.date === '') continue;
+    if (!Number.isFinite(Number(note.date))) continue;
+    lines.push(...noteComponent(note, tz, eventMinutes));
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,76 @@
+// lib/changeBus.js
+// Шина изменений для GET /sync/stream.
+//
+// Адаптер после каждой записи (upsert, remove, блокноты, доступы, вложения) публикует,
+// у каких пользователей изменился поток /sync/pull. Сообщение несёт только uid и seq —
+// сами изменения подписчик дочитывает через adapter.changes(), поэтому шину можно
+// заменить брокером (Redis pub/sub и т.п.), не трогая ни адаптер, ни маршрут.
+//
+// Интерфейс шины:
+//   publish(uids, change)       — сообщить о новом изменении (change: { seq? });
+//   subscribe(uid, listener)    — listener(change) на каждое изменение пользователя;
+//                                 возвращает функцию отписки.
+// По умолчанию — createMemoryChangeBus(): в пределах одного процесса.
+
+/**
+ * Шина в памяти процесса.
+ */
+export function createMemoryChangeBus() {
+  const listeners = new Map(); // uid → Set<listener>
+
+  return {
+    publish(uids, change = {}) {
+      for (const uid of new Set(uids)) {
+        for (const listener of listeners.get(uid) || []) {
+          try {
+            listener(change);
+          } catch (e) {
+            console.error(`[ChangeBus] Ошибка подписчика ${uid}:`, e && e.message);
+          }
+        }
+      }
+    },
+
+    subscribe(uid, listener) {
+      if (!listeners.has(uid)) listeners.set(uid, new Set());
+      listeners.get(uid).add(listener);
+      return () => {
+        const set = listeners.get(uid);
+        if (!set) return;
+        set.delete(listener);
+        if (!set.size) listeners.delete(uid);
+      };
+    }
+  };
+}
+
+let bus = createMemoryChangeBus();
+
+/**
+ * Подключить другую реализацию шины (например, поверх брокера сообщений).
+ */
+export function setChangeBus(next) {
+  bus = next;
+}
+
+/**
+ * Сообщить подписчикам uids об изменении. Ошибки шины не мешают записи.
+ */
+export function publishChange(uids, change = {}) {
+  const targets = uids.filter(Boolean);
+  if (!targets.length) return;
+  try {
+    Promise.resolve(bus.publish(targets, change)).catch(e => {
+      console.error('[ChangeBus] Ошибка публикации:', e && e.message);
+    });
+  } catch (e) {
+    console.error('[ChangeBus] Ошибка публикации:', e && e.message);
+  }
+}
+
+/**
+ * Подписка на изменения пользователя; возвращает функцию отписки.
+ */
+export function subscribeChanges(uid, listener) {
+  return bus.subscribe(uid, listener);
+}
@@ -0,0 +1,29 @@
+// lib/cursor.js
+// Непрозрачные курсоры для API.
+// Клиент получает строку и возвращает её как есть, не разбирая содержимое:
+// внутри — JSON, закодированный в base64url. Формат можно менять,
+// не ломая клиентов.
+
+/**
+ * Закодировать состояние курсора в строку.
+ * @param {object} state
+ * @returns {string}
+ */
+export function encodeCursor(state) {
+  return Buffer.from(JSON.stringify(state), 'utf8').toString('base64url');
+}
+
+/**
+ * Раскодировать курсор. Возвращает null, если строка повреждена.
+ * @param {string} cursor
+ * @returns {object|null}
+ */
+export function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return state && typeof state === 'object' ? state : null;
+  } catch (e) {
+    return null;
+  }
+}
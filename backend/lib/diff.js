@@ -0,0 +1,92 @@
+// lib/diff.js
+// Построчный текстовый diff (по наибольшей общей подпоследовательности)
+// и вывод в формате unified diff — как у git diff.
+
+/**
+ * Построчное сравнение двух текстов.
+ * @returns {Array<{ op: ' ' | '-' | '+', line: string }>}
+ */
+export function diffLines(a = '', b = '') {
+  const x = String(a ?? '').split('\n');
+  const y = String(b ?? '').split('\n');
+
+  // Общие начало и конец отрезаем сразу — обычно правка затрагивает пару строк
+  let start = 0;
+  while (start < x.length && start < y.length && x[start] === y[start]) start++;
+  let endX = x.length;
+  let endY = y.length;
+  while (endX > start && endY > start && x[endX - 1] === y[endY - 1]) { endX--; endY--; }
+
+  const midX = x.slice(start, endX);
+  const midY = y.slice(start, endY);
+
+  // Таблица длин НОП для средней части
+  const n = midX.length;
+  const m = midY.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = midX[i] === midY[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = x.slice(0, start).map(line => ({ op: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (midX[i] === midY[j]) { ops.push({ op: ' ', line: midX[i] }); i++; j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) { ops.push({ op: '-', line: midX[i] }); i++; }
+    else { ops.push({ op: '+', line: midY[j] }); j++; }
+  }
+  while (i < n) ops.push({ op: '-', line: midX[i++] });
+  while (j < m) ops.push({ op: '+', line: midY[j++] });
+  for (const line of x.slice(endX)) ops.push({ op: ' ', line });
+
+  return ops;
+}
+
+/**
+ * Unified diff двух текстов. Пустая строка — если тексты совпадают.
+ * @param {string} a
+ * @param {string} b
+ * @param {{ fromLabel?: string, toLabel?: string, context?: number }} options
+ */
+export function unifiedDiff(a, b, { fromLabel = 'a', toLabel = 'b', context = 3 } = {}) {
+  const ops = diffLines(a, b);
+  if (!ops.some(o => o.op !== ' ')) return '';
+
+  // Номера строк в обоих текстах для каждой операции
+  let lineA = 1;
+  let lineB = 1;
+  const numbered = ops.map(o => {
+    const entry = { ...o, a: lineA, b: lineB };
+    if (o.op !== '+') lineA++;
+    if (o.op !== '-') lineB++;
+    return entry;
+  });
+
+  // Группируем изменения в ханки с context строками вокруг
+  const hunks = [];
+  let current = null;
+  numbered.forEach((o, idx) => {
+    if (o.op === ' ') return;
+    const from = Math.max(0, idx - context);
+    const to = Math.min(numbered.length - 1, idx + context);
+    if (current && from <= current.to + 1) {
+      current.to = to;
+    } else {
+      current = { from, to };
+      hunks.push(current);
+    }
+  });
+
+  const out = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  for (const h of hunks) {
+    const part = numbered.slice(h.from, h.to + 1);
+    const countA = part.filter(o => o.op !== '+').length;
+    const countB = part.filter(o => o.op !== '-').length;
+    out.push(`@@ -${part[0].a},${countA} +${part[0].b},${countB} @@`);
+    for (const o of part) out.push(o.op + o.line);
+  }
+  return out.join('\n');
+}
@@ -0,0 +1,120 @@
+// lib/errors.js
+// Единый формат ошибок API (/notes, /sync):
+//
+//   { error: 'Текст для человека', code: 'snake_case_код', details: [{ path, code, message }] }
+//
+// code — то, по чему клиент различает ошибки; error — сообщение, которое можно показать;
+// details — ошибки отдельных полей (path — путь к полю в теле запроса, например "tags[2]"),
+// для остальных ошибок — пустой массив. Дополнительные поля (formats, maxMb, ...) —
+// рядом, как и раньше.
+
+const MESSAGES = {
+  validation_failed: 'Данные не прошли проверку',
+  unauthorized: 'Требуется авторизация',
+  invalid_token: 'Токен недействителен или истёк',
+  forbidden: 'Нет доступа',
+  not_found: 'Не найдено',
+  already_exists: 'Заметка с таким id уже есть',
+  precondition_failed: 'Заметка изменилась — версия в If-Match устарела',
+  server_error: 'Внутренняя ошибка сервера',
+  not_implemented: 'Хранилище не поддерживает эту операцию',
+
+  invalid_notebook: 'Блокнот не найден',
+  invalid_reminder: 'Некорректное время напоминания',
+  invalid_recurrence: 'Некорректное правило повторения',
+  invalid_cursor: 'Некорректный курсор',
+  invalid_sort: 'Некорректная сортировка',
+  invalid_fields: 'Некорректный список полей',
+  invalid_limit: 'Некорректный размер страницы',
+  invalid_timezone: 'Неизвестный часовой пояс',
+  invalid_date_from: 'Некорректная дата dateFrom (ожидается YYYY-MM-DD)',
+  invalid_date_to: 'Некорректная дата dateTo (ожидается YYYY-MM-DD)',
+  invalid_date_range: 'dateFrom позже dateTo',
+  invalid_updated_after: 'Некорректное значение updatedAfter',
+  invalid_format: 'Формат не поддерживается',
+  invalid_upload: 'Некорректная загрузка файла',
+  file_required: 'Нужен файл (поле file)',
+  file_too_large: 'Файл слишком большой',
+  quota_exceeded: 'Превышена квота на вложения',
+  attachment_not_found: 'Вложение не найдено',
+  blob_missing: 'Файл вложения отсутствует на сервере',
+
+  operations_required: 'Нужен непустой список operations',
+  too_many_operations: 'Слишком много операций в пакете',
+  too_many_items: 'Слишком много записей в запросе',
+
+  revision_not_found: 'Ревизия не найдена',
+  not_in_trash: 'Заметка не в корзине',
+
+  recipient_required: 'Укажите email или uid получателя',
+  invalid_role: 'Некорректная роль',
+  user_not_found: 'Пользователь не найден',
+  cannot_share_with_self: 'Нельзя открыть доступ самому себе',
+  share_not_found: 'Доступ не найден',
+
+  invalid_expiry: 'Некорректный срок действия',
+  invalid_password: 'Некорректный пароль',
+  link_not_found: 'Ссылка не найдена',
+
+  unsupported_format: 'Формат файла не поддерживается',
+  invalid_json: 'Некорректный JSON',
+  invalid_enex: 'Некорректный файл Evernote',
+  invalid_ics: 'Некорректный файл iCalendar',
+  invalid_zip: 'Некорректный ZIP-архив',
+  too_many_files: 'Слишком много файлов в архиве',
+  archive_too_large: 'Архив слишком большой',
+
+  firestore_unavailable: 'Firestore не настроен',
+  invalid_ids: 'Ожидается массив id',
+  invalid_fsck_source: 'Некорректный эталон для сверки',
+  uid_required: 'Укажите uid пользователя',
+  backup_not_found: 'Копия не найдена'
+};
+
+// Сообщения для ошибок отдельных полей (details)
+const DETAIL_MESSAGES = {
+  required: 'Обязательное поле',
+  invalid_type: 'Неверный тип значения',
+  invalid_value: 'Некорректное значение',
+  too_long: 'Слишком длинное значение',
+  too_many: 'Слишком много элементов',
+  unknown_field: 'Неизвестное поле',
+  invalid_reminder: MESSAGES.invalid_reminder,
+  invalid_recurrence: MESSAGES.invalid_recurrence
+};
+
+export function errorMessage(code) {
+  return MESSAGES[code] || DETAIL_MESSAGES[code] || 'Ошибка запроса';
+}
+
+/**
+ * Ошибка отдельного поля: { path, code, message }.
+ */
+export function fieldError(path, code, message) {
+  return { path, code, message: message || DETAIL_MESSAGES[code] || errorMessage(code) };
+}
+
+/**
+ * Тело ответа с ошибкой.
+ */
+export function errorBody(code, { details = [], ...extra } = {}) {
+  return { error: errorMessage(code), code, details, ...extra };
+}
+
+/**
+ * Отправить ошибку: sendError(res, 400, 'validation_failed', { details }).
+ */
+export function sendError(res, status, code, options) {
+  return res.status(status).json(errorBody(code, options));
+}
+
+/**
+ * Запись отклонена: версия заметки в хранилище не совпала с ожидаемой (If-Match).
+ * current — текущая версия заметки (null, если её уже нет).
+ */
+export class VersionMismatchError extends Error {
+  constructor(current) {
+    super('version_mismatch');
+    this.current = current;
+  }
+}
@@ -0,0 +1,47 @@
+// lib/etag.js
+// Версии заметок для условных запросов (If-Match / If-None-Match).
+//
+// Версия заметки — её revision (ведёт SQLite-адаптер, та же цифра попадает в файл и Firestore).
+// ETag заметки: "<revision>", а если в ответе есть вложения или роль получателя доступа —
+// "<revision>-<хеш>": они меняются без новой ревизии, и 304 не должен скрывать такие изменения.
+// Для If-Match значима только ревизия (часть до "-").
+//
+// Слабые теги (W/"3") принимаются наравне с сильными: прокси, сжимающие ответ
+// (например, nginx с gzip), ослабляют ETag, и клиент получает его уже в таком виде.
+
+import crypto from 'crypto';
+
+/**
+ * ETag заметки в том виде, в каком она отдаётся клиенту.
+ */
+export function noteEtag(note) {
+  const extra = [];
+  if (note.attachments && note.attachments.length) extra.push(note.attachments.map(a => a.id).join(','));
+  if (note.permission) extra.push(note.permission);
+  if (!extra.length) return `"${note.revision || 0}"`;
+  const hash = crypto.createHash('sha1').update(extra.join('|')).digest('hex').slice(0, 12);
+  return `"${note.revision || 0}-${hash}"`;
+}
+
+/**
+ * Разбор If-Match: null — заголовка нет; '*' — любая существующая версия;
+ * иначе массив ревизий (нераспознанные теги пропускаются — они не совпадут ни с чем).
+ */
+export function parseIfMatch(header) {
+  if (header === undefined || header === null || !String(header).trim()) return null;
+  if (String(header).trim() === '*') return '*';
+  const revisions = [];
+  for (const tag of String(header).split(',')) {
+    const m = tag.trim().match(/^(?:W\/)?"(\d+)(?:-[0-9a-f]+)?"$/);
+    if (m) revisions.push(Number(m[1]));
+  }
+  return revisions;
+}
+
+/**
+ * Выполнено ли условие If-Match для текущей версии заметки (condition — результат parseIfMatch).
+ */
+export function ifMatchAllows(condition, note) {
+  if (condition === null || condition === '*') return true;
+  return condition.includes(note.revision || 0);
+}
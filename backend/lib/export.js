@@ -0,0 +1,257 @@
+// lib/export.js
+// Форматирование заметки для экспорта и публичных ссылок.
+//
+// Форматы экспорта (GET /notes/:id/export?format=..., GET /notes/export):
+//   txt  — текстовое представление (formatNoteText);
+//   md   — Markdown с метаданными во front matter (formatNoteMarkdown);
+//   html — HTML-страница (renderNoteHtml, она же — GET /public/:token);
+//   json — заметка как есть;
+//   pdf  — PDF-документ (renderNotePdf).
+// Имена файлов транслитерируются в латиницу (exportFilename), оригинальное
+// название передаётся в Content-Disposition через filename* (contentDisposition).
+// Даты форматируются в часовом поясе options.tz (пояс пользователя, lib/timezone.js);
+// в Markdown и JSON — в UTC (ISO-строки и timestamp).
+
+import fs from 'fs';
+import PDFDocument from 'pdfkit';
+import { zonedParts } from './timezone.js';
+
+export const EXPORT_FORMATS = ['txt', 'md', 'html', 'json', 'pdf'];
+
+export const EXPORT_CONTENT_TYPES = {
+  txt: 'text/plain; charset=utf-8',
+  md: 'text/markdown; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  pdf: 'application/pdf'
+};
+
+// Максимальная длина имени файла (без расширения)
+const FILENAME_MAX_LENGTH = 50;
+
+// Дата из timestamp в формате ru-RU (в часовом поясе tz; без него — в поясе сервера)
+export function formatDate(timestamp, tz) {
+  if (!timestamp) return 'не указана';
+  try {
+    const date = new Date(Number(timestamp));
+    return date.toLocaleDateString('ru-RU', tz ? { timeZone: tz } : undefined);
+  } catch {
+    return String(timestamp);
+  }
+}
+
+// Время заметки: поле time или часы/минуты из timestamp (в часовом поясе tz)
+export function formatTime(timestamp, timeStr, tz) {
+  if (timeStr) return timeStr;
+  if (!timestamp) return 'не указано';
+  try {
+    const date = new Date(Number(timestamp));
+    const { hour, minute } = tz
+      ? zonedParts(date.getTime(), tz)
+      : { hour: date.getHours(), minute: date.getMinutes() };
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+  } catch {
+    return 'не указано';
+  }
+}
+
+// Теги в виде "#a, #b"
+function formatTags(note) {
+  return Array.isArray(note.tags) && note.tags.length > 0
+    ? note.tags.map(tag => `#${tag}`).join(', ')
+    : 'нет тегов';
+}
+
+/**
+ * Текст заметки для экспорта в TXT.
+ */
+export function formatNoteText(note, { tz } = {}) {
+  return `
+ЗАМЕТКА: ${note.title || '(без названия)'}
+
+Дата: ${formatDate(note.date, tz)}
+Время: ${formatTime(note.date, note.time, tz)}
+Теги: ${formatTags(note)}
+
+Содержание:
+${note.body || '(нет текста)'}
+
+---
+Создана: ${formatDate(note.createdAt, tz)}
+Обновлена: ${formatDate(note.updatedAt, tz)}
+`.trim();
+}
+
+// Транслитерация кириллицы (русский + украинский/белорусский алфавиты)
+const CYR_TO_LAT = {
+  'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'yo', 'ж': 'zh',
+  'з': 'z', 'и': 'i', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o',
+  'п': 'p', 'р': 'r', 'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'h', 'ц': 'ts',
+  'ч': 'ch', 'ш': 'sh', 'щ': 'sch', 'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu',
+  'я': 'ya', 'є': 'ye', 'і': 'i', 'ї': 'yi', 'ґ': 'g', 'ў': 'u'
+};
+
+/**
+ * Транслитерация строки в латиницу: кириллица по таблице, диакритика снимается,
+ * остальные символы (кроме a-z0-9) заменяются на "_".
+ */
+export function transliterate(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split('')
+    .map(char => CYR_TO_LAT[char] ?? char)
+    .join('')
+    .normalize('NFD')
+    .replace(/\p{M}+/gu, '')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+}
+
+/**
+ * Имя файла экспорта заметки: транслитерированное название (или id) + расширение.
+ */
+export function exportFilename(note, format) {
+  const base = transliterate(note.title).substring(0, FILENAME_MAX_LENGTH).replace(/_$/, '') || `note_${note.id}`;
+  return `${base}.${format}`;
+}
+
+/**
+ * Заголовок Content-Disposition: ASCII-имя для старых клиентов
+ * и оригинальное название (UTF-8) в filename*.
+ */
+export function contentDisposition(filename, originalTitle, format) {
+  const original = originalTitle
+    ? `${originalTitle.replace(/[\\/:*?"<>|\r\n]+/g, '_').substring(0, 100)}.${format}`
+    : filename;
+  return `attachment; filename="${filename}"; filename*=UTF-8''${encodeURIComponent(original)}`;
+}
+
+// Timestamp → ISO-строка (или null)
+function isoDate(timestamp) {
+  if (!timestamp) return null;
+  const date = new Date(Number(timestamp));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Markdown: метаданные во front matter (YAML), затем заголовок и текст.
+ * Строки записываются в JSON-кавычках — это корректный YAML.
+ */
+export function formatNoteMarkdown(note) {
+  const meta = [
+    `id: ${JSON.stringify(note.id)}`,
+    `title: ${JSON.stringify(note.title || '')}`,
+    `tags: ${JSON.stringify(Array.isArray(note.tags) ? note.tags : [])}`
+  ];
+  if (note.date) meta.push(`date: ${JSON.stringify(isoDate(note.date))}`);
+  if (note.time) meta.push(`time: ${JSON.stringify(note.time)}`);
+  if (note.createdAt) meta.push(`createdAt: ${JSON.stringify(isoDate(note.createdAt))}`);
+  if (note.updatedAt) meta.push(`updatedAt: ${JSON.stringify(isoDate(note.updatedAt))}`);
+
+  return `---\n${meta.join('\n')}\n---\n\n# ${note.title || '(без названия)'}\n\n${note.body || ''}\n`;
+}
+
+// Экранирование для вставки в HTML
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Общий каркас HTML-страницы (без внешних ресурсов)
+export function htmlPage(title, content) {
+  return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; max-width: 720px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+  .meta { color: #666; font-size: 0.9rem; }
+  .body { white-space: pre-wrap; line-height: 1.5; margin-top: 1.5rem; }
+</style>
+</head>
+<body>
+${content}
+</body>
+</html>`;
+}
+
+/**
+ * HTML-страница заметки (все поля экранируются).
+ */
+export function renderNoteHtml(note, { tz } = {}) {
+  const title = note.title || '(без названия)';
+  return htmlPage(title, `<h1>${escapeHtml(title)}</h1>
+<p class="meta">Дата: ${escapeHtml(formatDate(note.date, tz))} · Время: ${escapeHtml(formatTime(note.date, note.time, tz))} · Теги: ${escapeHtml(formatTags(note))}</p>
+<div class="body">${escapeHtml(note.body || '(нет текста)')}</div>
+<p class="meta">Обновлена: ${escapeHtml(formatDate(note.updatedAt, tz))}</p>`);
+}
+
+// Шрифт с кириллицей для PDF: PDF_FONT_PATH или один из системных.
+// Встроенный Helvetica кириллицу не содержит — используется, только если ничего не нашлось.
+const PDF_FONT_CANDIDATES = [
+  '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf',
+  '/usr/share/fonts/dejavu/DejaVuSans.ttf',
+  '/usr/share/fonts/TTF/DejaVuSans.ttf',
+  '/Library/Fonts/Arial Unicode.ttf',
+  '/System/Library/Fonts/Supplemental/Arial.ttf',
+  'C:\\Windows\\Fonts\\arial.ttf'
+];
+
+let pdfFont;
+
+function findPdfFont() {
+  if (pdfFont !== undefined) return pdfFont;
+  const candidates = process.env.PDF_FONT_PATH ? [process.env.PDF_FONT_PATH, ...PDF_FONT_CANDIDATES] : PDF_FONT_CANDIDATES;
+  pdfFont = candidates.find(file => fs.existsSync(file)) || null;
+  if (!pdfFont) console.warn('[Export] Шрифт с кириллицей для PDF не найден (PDF_FONT_PATH) — используется Helvetica');
+  return pdfFont;
+}
+
+/**
+ * PDF-документ заметки.
+ * @returns {Promise<Buffer>}
+ */
+export function renderNotePdf(note, { tz } = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 56, info: { Title: note.title || '' } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const font = findPdfFont();
+    if (font) doc.font(font);
+
+    doc.fontSize(20).text(note.title || '(без названия)');
+    doc.moveDown(0.5);
+    doc.fontSize(10).fillColor('#666666')
+      .text(`Дата: ${formatDate(note.date, tz)} · Время: ${formatTime(note.date, note.time, tz)} · Теги: ${formatTags(note)}`);
+    doc.moveDown();
+    doc.fontSize(12).fillColor('#000000').text(note.body || '(нет текста)');
+    doc.moveDown();
+    doc.fontSize(9).fillColor('#666666')
+      .text(`Создана: ${formatDate(note.createdAt, tz)} · Обновлена: ${formatDate(note.updatedAt, tz)}`);
+    doc.end();
+  });
+}
+
+/**
+ * Заметка в заданном формате. options.tz — часовой пояс для дат (txt, html, pdf).
+ * @returns {Promise<string|Buffer>}
+ */
+export async function renderNote(note, format, options = {}) {
+  switch (format) {
+    case 'md': return formatNoteMarkdown(note);
+    case 'html': return renderNoteHtml(note, options);
+    case 'json': return JSON.stringify(note, null, 2);
+    case 'pdf': return renderNotePdf(note, options);
+    default: return formatNoteText(note, options);
+  }
+}
@@ -0,0 +1,67 @@
+// lib/firestore.js
+// Доступ к Firestore для адаптеров и очереди записей (lib/outbox.js).
+//
+// По умолчанию — admin.firestore() из firebase-admin (null, если admin не инициализирован).
+// setFirestore() подменяет его другой реализацией с тем же подмножеством API —
+// например, createMemoryFirestore() (lib/memoryFirestore.js) при FIRESTORE=memory
+// для локальной разработки без облака.
+//
+// initFirebase() — инициализация firebase-admin при запуске сервера и служебных
+// скриптов (tools/*.js): ключ, эмулятор или Firestore в памяти.
+
+import fs from 'fs';
+import path from 'path';
+import admin from 'firebase-admin';
+import { createMemoryFirestore } from './memoryFirestore.js';
+
+let override = null;
+
+/**
+ * Подключить свою реализацию Firestore (null — вернуться к firebase-admin).
+ */
+export function setFirestore(instance) {
+  override = instance;
+}
+
+/**
+ * Текущий Firestore или null, если он не настроен.
+ */
+export function getFirestore() {
+  if (override) return override;
+  try {
+    return admin.firestore();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Инициализировать Firebase Admin SDK и вернуть Firestore (null — работаем без него).
+ *   FIRESTORE=memory          — Firestore в памяти процесса (lib/memoryFirestore.js), для разработки;
+ *   <baseDir>/firebase-key.json — ключ сервисного аккаунта;
+ *   FIRESTORE_EMULATOR_HOST   — эмулятор (проект GCLOUD_PROJECT, по умолчанию demo-notes).
+ */
+export function initFirebase(baseDir) {
+  try {
+    const keyPath = path.join(baseDir, 'firebase-key.json');
+    if ((process.env.FIRESTORE || '').toLowerCase() === 'memory') {
+      setFirestore(createMemoryFirestore());
+      console.log('[Firebase] FIRESTORE=memory — Firestore в памяти процесса');
+    } else if (fs.existsSync(keyPath)) {
+      const serviceAccount = JSON.parse(fs.readFileSync(keyPath, 'utf8'));
+      admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
+      console.log('[Firebase] Инициализация прошла успешно, Firestore доступен');
+    } else if (process.env.FIRESTORE_EMULATOR_HOST) {
+      admin.initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'demo-notes' });
+      console.log(`[Firebase] Используется эмулятор Firestore: ${process.env.FIRESTORE_EMULATOR_HOST}`);
+    } else {
+      console.log('[Firebase] Файл firebase-key.json не найден — сервер запускается без Firestore');
+      return null;
+    }
+    return getFirestore();
+  } catch (err) {
+    console.warn('[Firebase] Ошибка инициализации Firestore. Работаем без него. Причина:', err && err.message);
+    setFirestore(null);
+    return null;
+  }
+}
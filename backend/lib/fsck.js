@@ -0,0 +1,257 @@
+// lib/fsck.js
+// Проверка согласованности копий заметок: SQLite, JSON-файлы (notes_files/) и Firestore.
+//
+// DualAdapter пишет заметку в три места, и копии расходятся: запись в файл
+// молча проглатывает ошибки, SQLite может упасть уже после записи файла,
+// Firestore бывает недоступен. checkConsistency() сравнивает каждую заметку по id
+// во всех хранилищах и сообщает о проблемах:
+//   missing   — копии нет, хотя в других хранилищах она есть;
+//   divergent — копия отличается от эталонной (fields — какие поля);
+//   corrupt   — копию не удалось прочитать (испорченный JSON, нет uid/updatedAt,
+//               id в файле не совпадает с именем);
+//   purged    — заметка удалена окончательно (tombstone в SQLite), а копия осталась;
+//   extra     — копия есть, а в хранилище-эталоне (options.source) заметки нет;
+//   pending   — Firestore отстаёт, но запись уже ждёт отправки в очереди (lib/outbox.js),
+//               такие копии не чинятся — их догонит очередь.
+// Эталон — самая новая копия (updatedAt, затем revision) или копия из указанного
+// хранилища (options.source). С options.repair остальные копии перезаписываются
+// эталоном (или удаляются, если эталона нет), после чего запись перечитывается.
+//
+// Используется в tools/fsck.js и в GET /admin/fsck, POST /admin/fsck/repair.
+
+import * as SqliteAdapter from '../adapters/sqliteAdapter.js';
+import * as FileAdapter from '../adapters/fileAdapter.js';
+import { parseStorageSpec } from '../adapters/registry.js';
+import { getFirestore } from './firestore.js';
+import { publishChange } from './changeBus.js';
+
+export const REPAIR_SOURCES = ['newest', 'sqlite', 'file', 'firestore'];
+
+// Поля, по которым сравниваются копии (seq — локальный номер SQLite, не сравнивается)
+const COMPARED_FIELDS = [
+  'uid', 'title', 'body', 'tags', 'date', 'time', 'notebookId', 'reminderAt', 'recurrence',
+  'isDeleted', 'deletedAt', 'createdAt', 'updatedAt', 'revision'
+];
+
+async function scanFirestore({ uid } = {}) {
+  const collection = getFirestore().collection('notes');
+  const snap = await (uid ? collection.where('uid', '==', uid) : collection).get();
+  return { notes: snap.docs.map(doc => ({ ...doc.data(), id: doc.id })), corrupt: [] };
+}
+
+// Хранилища: scan — все копии, get/put/remove — для исправления и перечитывания
+const STORES = {
+  sqlite: {
+    scan: options => SqliteAdapter.scanNotes(options),
+    get: id => SqliteAdapter.get(id),
+    put: async (note, corrupt) => {
+      if (corrupt) await SqliteAdapter.clearCorruptTags(note.id);
+      await SqliteAdapter.upsert({ ...note }, { keepRevision: true });
+      publishChange([note.uid]);
+    },
+    remove: async (id, corrupt) => {
+      if (corrupt) await SqliteAdapter.clearCorruptTags(id);
+      const existing = await SqliteAdapter.get(id);
+      if (await SqliteAdapter.remove(id)) publishChange([existing && existing.uid]);
+    }
+  },
+  file: {
+    scan: options => FileAdapter.scanNotes(options),
+    get: id => FileAdapter.get(id),
+    put: note => FileAdapter.upsert({ ...note }),
+    remove: id => FileAdapter.remove(id)
+  },
+  firestore: {
+    scan: scanFirestore,
+    get: async id => {
+      const snap = await getFirestore().collection('notes').doc(id).get();
+      return snap.exists ? snap.data() : null;
+    },
+    put: note => getFirestore().collection('notes').doc(note.id).set({ ...note }),
+    remove: id => getFirestore().collection('notes').doc(id).delete()
+  }
+};
+
+/**
+ * Хранилища заметок, которые есть при данном STORAGE и которые можно сверить:
+ * dual → sqlite, file, firestore (если Firestore настроен); sqlite+file → sqlite, file.
+ */
+export function fsckStores(spec) {
+  const names = parseStorageSpec(spec);
+  const stores = names[0] === 'dual' ? ['sqlite', 'file', 'firestore'] : names.filter(name => STORES[name]);
+  return stores.filter(name => name !== 'firestore' || getFirestore());
+}
+
+// Почему копия не годится (null — годится)
+function shapeError(note) {
+  if (typeof note.uid !== 'string' || !note.uid) return 'нет uid';
+  if (!Number.isFinite(note.updatedAt)) return 'нет updatedAt';
+  if (note.tags !== undefined && note.tags !== null && !Array.isArray(note.tags)) return 'tags — не массив';
+  return null;
+}
+
+function normalized(note, field) {
+  const value = note[field];
+  if (field === 'isDeleted') return !!value;
+  if (field === 'tags') return value || [];
+  return value === undefined ? null : value;
+}
+
+/**
+ * Поля, которыми отличаются две копии заметки (seq не сравнивается).
+ */
+export function differentFields(a, b) {
+  return COMPARED_FIELDS.filter(f => JSON.stringify(normalized(a, f)) !== JSON.stringify(normalized(b, f)));
+}
+
+// Какая копия новее: updatedAt, затем revision
+function compareCopies(a, b) {
+  return ((a.updatedAt || 0) - (b.updatedAt || 0)) || ((a.revision || 0) - (b.revision || 0));
+}
+
+// Все копии всех хранилищ: id → { copies: { store: note }, corrupt: { store: error } }
+async function collect(stores, uid) {
+  const byId = new Map();
+  const entry = id => {
+    if (!byId.has(id)) byId.set(id, { id, copies: {}, corrupt: {} });
+    return byId.get(id);
+  };
+  for (const store of stores) {
+    const { notes, corrupt } = await STORES[store].scan({ uid });
+    for (const note of notes) {
+      const error = shapeError(note);
+      if (error) entry(note.id).corrupt[store] = error;
+      else entry(note.id).copies[store] = note;
+    }
+    for (const item of corrupt) entry(item.id).corrupt[store] = item.error;
+  }
+  // при проверке одного пользователя испорченные копии без владельца показываем,
+  // только если у него есть целая копия той же заметки
+  if (uid) {
+    for (const [id, item] of byId) {
+      if (!Object.keys(item.copies).length) byId.delete(id);
+    }
+  }
+  return byId;
+}
+
+// Эталон для заметки: { note } — копия-эталон, { note: null } — заметки быть не должно,
+// { skip } — исправлять нельзя (причина)
+function referenceFor(item, source, purged) {
+  if (source === 'newest') {
+    if (purged) return { note: null };
+    const copies = Object.values(item.copies).sort(compareCopies);
+    if (!copies.length) return { skip: 'нет ни одной целой копии' };
+    return { note: copies[copies.length - 1] };
+  }
+  if (item.corrupt[source]) return { skip: `копия в ${source} повреждена` };
+  return { note: item.copies[source] || null };
+}
+
+// Проблемы копий заметки относительно эталона
+function findProblems(item, stores, reference, purged, queued) {
+  const problems = [];
+  for (const store of stores) {
+    const copy = item.copies[store];
+    let problem = null;
+    if (item.corrupt[store]) {
+      problem = { store, type: 'corrupt', error: item.corrupt[store] };
+    } else if (!reference.note) {
+      if (copy) problem = { store, type: purged ? 'purged' : 'extra' };
+    } else if (!copy) {
+      problem = { store, type: 'missing' };
+    } else {
+      const fields = differentFields(copy, reference.note);
+      if (fields.length) problem = { store, type: 'divergent', fields, updatedAt: copy.updatedAt, revision: copy.revision };
+    }
+    if (!problem) continue;
+    if (store === 'firestore' && queued.has(item.id)) problem.type = 'pending';
+    problems.push(problem);
+  }
+  return problems;
+}
+
+// Перезаписать (или удалить) проблемные копии эталоном и перечитать их
+async function repairItem(item, reference, problems) {
+  const repair = { action: reference.note ? 'write' : 'delete', stores: [], errors: [] };
+  for (const problem of problems) {
+    if (problem.type === 'pending') continue;
+    const store = STORES[problem.store];
+    const corrupt = problem.type === 'corrupt';
+    try {
+      if (reference.note) await store.put(reference.note, corrupt);
+      else await store.remove(item.id, corrupt);
+
+      const after = await store.get(item.id);
+      const ok = reference.note
+        ? after && !differentFields(after, reference.note).length
+        : !after;
+      if (!ok) throw new Error('после записи копия не совпадает с эталоном');
+      repair.stores.push(problem.store);
+    } catch (e) {
+      repair.errors.push({ store: problem.store, error: e && e.message });
+    }
+  }
+  return repair;
+}
+
+/**
+ * Сверить копии заметок.
+ * options.stores — хранилища (fsckStores(STORAGE));
+ * options.uid — только заметки пользователя;
+ * options.source — эталон: 'newest' (по умолчанию) или имя хранилища;
+ * options.repair — исправить найденное.
+ * @returns {Promise<object>} отчёт { stores, source, repair, summary, issues, sqliteIntegrity?, startedAt, finishedAt }
+ */
+export async function checkConsistency({ stores, uid = null, source = 'newest', repair = false } = {}) {
+  if (!REPAIR_SOURCES.includes(source) || (source !== 'newest' && !stores.includes(source))) {
+    throw new Error(`Неизвестный эталон "${source}" (допустимо: newest, ${stores.join(', ')})`);
+  }
+  const startedAt = Date.now();
+  const report = { stores, uid, source, repair, startedAt };
+  if (stores.includes('sqlite')) report.sqliteIntegrity = await SqliteAdapter.integrityCheck();
+
+  // заметки, которые уже ждут отправки в Firestore
+  const queued = new Set();
+  if (stores.includes('sqlite') && stores.includes('firestore')) {
+    for (const e of await SqliteAdapter.listOutbox()) {
+      if (e.collection === 'notes') queued.add(e.docId);
+    }
+  }
+
+  const summary = { checked: 0, consistent: 0, missing: 0, divergent: 0, corrupt: 0, purged: 0, extra: 0, pending: 0, repaired: 0, failed: 0 };
+  const issues = [];
+  for (const item of (await collect(stores, uid)).values()) {
+    summary.checked++;
+    const purged = stores.includes('sqlite') && !item.copies.sqlite && !item.corrupt.sqlite
+      && await SqliteAdapter.wasPurged(item.id);
+    let reference = referenceFor(item, source, purged);
+    // Firestore отстаёт из-за очереди — он не может быть эталоном для этой заметки
+    if (source === 'firestore' && queued.has(item.id)) reference = { skip: 'запись в Firestore ждёт отправки в очереди' };
+
+    const problems = findProblems(item, stores, reference.skip ? referenceFor(item, 'newest', purged) : reference, purged, queued);
+    if (!problems.length) {
+      summary.consistent++;
+      continue;
+    }
+    for (const type of new Set(problems.map(p => p.type))) summary[type]++;
+
+    const known = Object.values(item.copies)[0];
+    const issue = { id: item.id, uid: known ? known.uid : null, problems };
+    if (repair && problems.some(p => p.type !== 'pending')) {
+      issue.repair = reference.skip
+        ? { action: 'skip', reason: reference.skip, stores: [], errors: [] }
+        : await repairItem(item, reference, problems);
+      if (issue.repair.action !== 'skip' && !issue.repair.errors.length) summary.repaired++;
+      else summary.failed++;
+    }
+    issues.push(issue);
+  }
+
+  report.summary = summary;
+  report.issues = issues;
+  report.finishedAt = Date.now();
+  console.log(`[Fsck] Проверено заметок: ${summary.checked}, с проблемами: ${issues.length}` +
+    (repair ? `, исправлено: ${summary.repaired}, не удалось: ${summary.failed}` : ''));
+  return report;
+}
@@ -0,0 +1,463 @@
+// lib/import.js
+// Разбор файлов импорта заметок (POST /notes/import).
+//
+// Поддерживаемые форматы (определяются по ?format=, расширению файла или содержимому):
+//   md    — Markdown (.md/.markdown/.txt); метаданные — во front matter (как в нашем экспорте),
+//           заголовок — title из front matter, первая строка "# ..." или имя файла;
+//   zip   — архив с файлами любых поддерживаемых форматов (в т.ч. наш GET /notes/export
+//           и Google Takeout с папкой Keep);
+//   enex  — экспорт Evernote (ENML преобразуется в текст);
+//   json  — заметка Google Keep (Takeout), наша заметка, массив заметок или { notes: [...] };
+//   ics   — iCalendar (VEVENT и VTODO); дата и время события переводятся в часовой пояс
+//           пользователя (options.tz).
+//
+// parseImportFile возвращает { items, errors }: items — черновики заметок
+// { title, body, tags, date, time, createdAt, updatedAt, id?, source },
+// errors — файлы, которые не удалось разобрать ({ source, reason }).
+
+import crypto from 'crypto';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { XMLParser } from 'fast-xml-parser';
+import { isValidTimeZone, serverTimeZone, zonedParts, zonedTimeToUtc } from './timezone.js';
+
+export const IMPORT_FORMATS = ['md', 'zip', 'enex', 'json', 'ics'];
+
+// Ограничения для архивов (защита от zip-бомб)
+const ZIP_MAX_ENTRIES = 5000;
+const ZIP_MAX_UNCOMPRESSED_BYTES = 200 * 1024 * 1024;
+
+const EXTENSION_FORMATS = {
+  '.md': 'md', '.markdown': 'md', '.txt': 'md',
+  '.zip': 'zip', '.enex': 'enex', '.json': 'json', '.ics': 'ics'
+};
+
+// Ошибка разбора файла (reason — код для отчёта)
+export class ImportParseError extends Error {
+  constructor(reason, message) {
+    super(message || reason);
+    this.reason = reason;
+  }
+}
+
+/**
+ * Формат файла: явно заданный, по расширению или по содержимому.
+ * @returns {string|null} null — формат не поддерживается
+ */
+export function detectFormat(filename, buffer, requested) {
+  if (requested) return IMPORT_FORMATS.includes(requested) ? requested : null;
+  const byExtension = EXTENSION_FORMATS[path.extname(filename || '').toLowerCase()];
+  if (byExtension) return byExtension;
+
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) return 'zip';
+  const head = buffer.subarray(0, 200).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  if (head.startsWith('<?xml') || head.startsWith('<en-export')) return 'enex';
+  if (head.startsWith('{') || head.startsWith('[')) return 'json';
+  if (/^BEGIN:VCALENDAR/i.test(head)) return 'ics';
+  return 'md';
+}
+
+// Дата из ISO-строки / timestamp → ms или null
+function toTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+function toTags(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(t => String(t).trim().replace(/^#/, ''))
+    .filter(Boolean);
+}
+
+// -----------------------
+// Markdown
+// -----------------------
+
+// Значение из front matter: JSON (как в нашем экспорте), [a, b] или строка
+function frontMatterValue(raw) {
+  const value = raw.trim();
+  if (!value) return '';
+  try {
+    return JSON.parse(value);
+  } catch {
+    if (value.startsWith('[') && value.endsWith(']')) {
+      return value.slice(1, -1).split(',').map(v => v.trim().replace(/^["']|["']$/g, '')).filter(Boolean);
+    }
+    return value.replace(/^'(.*)'$/, '$1');
+  }
+}
+
+// Простой разбор YAML front matter: "key: value" и списки "- item"
+function parseFrontMatter(text) {
+  const meta = {};
+  let listKey = null;
+  for (const line of text.split(/\r?\n/)) {
+    const item = line.match(/^\s+-\s+(.*)$/);
+    if (item && listKey) {
+      meta[listKey].push(frontMatterValue(item[1]));
+      continue;
+    }
+    const pair = line.match(/^([A-Za-z_][\w-]*):\s*(.*)$/);
+    if (!pair) continue;
+    listKey = null;
+    if (pair[2].trim() === '') {
+      meta[pair[1]] = [];
+      listKey = pair[1];
+    } else {
+      meta[pair[1]] = frontMatterValue(pair[2]);
+    }
+  }
+  return meta;
+}
+
+/**
+ * Markdown-файл → черновик заметки.
+ */
+export function parseMarkdown(text, filename) {
+  let content = text.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n');
+  let meta = {};
+  const fm = content.match(/^---\n([\s\S]*?)\n---\n?/);
+  if (fm) {
+    meta = parseFrontMatter(fm[1]);
+    content = content.slice(fm[0].length);
+  }
+
+  let title = typeof meta.title === 'string' ? meta.title : '';
+  const heading = content.match(/^\s*#\s+(.+)\n?/);
+  if (heading && (!title || heading[1].trim() === title.trim())) {
+    title = heading[1].trim();
+    content = content.slice(heading[0].length);
+  }
+  if (!title && filename) {
+    title = path.basename(filename, path.extname(filename));
+  }
+
+  const createdAt = toTimestamp(meta.createdAt ?? meta.created);
+  const updatedAt = toTimestamp(meta.updatedAt ?? meta.updated);
+  return {
+    id: typeof meta.id === 'string' ? meta.id : undefined,
+    title,
+    body: content.replace(/^\n+/, '').replace(/\s+$/, ''),
+    tags: toTags(meta.tags),
+    date: toTimestamp(meta.date),
+    time: typeof meta.time === 'string' ? meta.time : null,
+    createdAt,
+    updatedAt: updatedAt ?? createdAt
+  };
+}
+
+// -----------------------
+// Evernote ENEX
+// -----------------------
+
+// Дата Evernote: 20200131T235959Z
+function enexDate(value) {
+  const m = String(value || '').match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+  return m ? Date.UTC(+m[1], m[2] - 1, +m[3], +m[4], +m[5], +m[6]) : toTimestamp(value);
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) ? String.fromCodePoint(n) : entity;
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+// ENML (XHTML) → текст: блоки — с новой строки, чекбоксы — [ ] / [x]
+export function enmlToText(enml) {
+  return decodeEntities(String(enml || '')
+    .replace(/<\?xml[\s\S]*?\?>|<!DOCTYPE[\s\S]*?>/gi, '')
+    .replace(/<en-todo\s+checked="true"\s*\/?>/gi, '[x] ')
+    .replace(/<en-todo[^>]*>/gi, '[ ] ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<\/(div|p|li|h[1-6]|tr|blockquote|pre)>/gi, '\n')
+    .replace(/<[^>]+>/g, ''))
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Экспорт Evernote → черновики заметок.
+ */
+export function parseEnex(text) {
+  const parser = new XMLParser({
+    ignoreAttributes: true,
+    processEntities: false,
+    parseTagValue: false,
+    isArray: name => name === 'note' || name === 'tag'
+  });
+  let doc;
+  try {
+    doc = parser.parse(text);
+  } catch (e) {
+    throw new ImportParseError('invalid_enex', e && e.message);
+  }
+  if (!doc || !doc['en-export']) throw new ImportParseError('invalid_enex');
+
+  return (doc['en-export'].note || []).map(note => {
+    const createdAt = enexDate(note.created);
+    return {
+      title: decodeEntities(String(note.title ?? '')).trim(),
+      body: enmlToText(note.content),
+      tags: toTags(note.tag).map(decodeEntities),
+      createdAt,
+      updatedAt: enexDate(note.updated) ?? createdAt
+    };
+  });
+}
+
+// -----------------------
+// JSON: Google Keep и наш формат
+// -----------------------
+
+function isKeepNote(obj) {
+  return 'textContent' in obj || 'listContent' in obj ||
+    'userEditedTimestampUsec' in obj || 'createdTimestampUsec' in obj;
+}
+
+// Манифест нашего ZIP-экспорта — не заметка
+function isExportManifest(obj) {
+  return 'exportedAt' in obj && Array.isArray(obj.notes) && obj.notes.every(n => n && 'file' in n);
+}
+
+function fromKeep(obj) {
+  const lines = Array.isArray(obj.listContent)
+    ? obj.listContent.map(item => `- [${item.isChecked ? 'x' : ' '}] ${item.text ?? ''}`)
+    : [];
+  const body = [obj.textContent || '', lines.join('\n')].filter(Boolean).join('\n\n');
+  const createdAt = obj.createdTimestampUsec ? Math.round(Number(obj.createdTimestampUsec) / 1000) : null;
+  const updatedAt = obj.userEditedTimestampUsec ? Math.round(Number(obj.userEditedTimestampUsec) / 1000) : createdAt;
+  return {
+    title: String(obj.title ?? '').trim(),
+    body,
+    tags: toTags(Array.isArray(obj.labels) ? obj.labels.map(l => l && l.name) : []),
+    createdAt: createdAt || null,
+    updatedAt: updatedAt || null,
+    isDeleted: !!obj.isTrashed
+  };
+}
+
+function fromOwn(obj) {
+  return {
+    id: typeof obj.id === 'string' ? obj.id : undefined,
+    title: String(obj.title ?? ''),
+    body: String(obj.body ?? ''),
+    tags: toTags(obj.tags),
+    date: toTimestamp(obj.date),
+    time: typeof obj.time === 'string' ? obj.time : null,
+    createdAt: toTimestamp(obj.createdAt),
+    updatedAt: toTimestamp(obj.updatedAt),
+    isDeleted: !!obj.isDeleted
+  };
+}
+
+/**
+ * JSON-файл → черновики заметок (Keep, одна наша заметка, массив или { notes: [...] }).
+ */
+export function parseJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch (e) {
+    throw new ImportParseError('invalid_json', e && e.message);
+  }
+  if (data && !Array.isArray(data) && typeof data === 'object') {
+    if (isExportManifest(data)) return [];
+    if (Array.isArray(data.notes)) data = data.notes;
+  }
+  const list = Array.isArray(data) ? data : [data];
+  if (list.some(obj => !obj || typeof obj !== 'object' || Array.isArray(obj))) {
+    throw new ImportParseError('invalid_json', 'ожидается объект заметки или массив заметок');
+  }
+  return list.map(obj => (isKeepNote(obj) ? fromKeep(obj) : fromOwn(obj)));
+}
+
+// -----------------------
+// iCalendar (.ics)
+// -----------------------
+
+// Экранирование текста iCalendar: \\ \; \, \n
+function unescapeIcsText(value) {
+  return value.replace(/\\([\\;,nN])/g, (m, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+// Строка свойства "NAME;PARAM=VALUE:значение" → { name, params, value }
+function parseIcsLine(line) {
+  let quoted = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ':' && !quoted) { colon = i; break; }
+  }
+  if (colon < 0) return null;
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const param of rawParams) {
+    const eq = param.indexOf('=');
+    if (eq > 0) params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// DTSTART / DUE → { date, time } в часовом поясе пользователя.
+// Событие на весь день — полночь этого дня и time: null.
+function icsDateTime(prop, tz) {
+  const m = prop.value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!m) return null;
+  const [year, month, day] = [+m[1], +m[2], +m[3]];
+  if (!m[4] || prop.params.VALUE === 'DATE') {
+    return { date: zonedTimeToUtc({ year, month, day }, tz), time: null };
+  }
+  const wall = { year, month, day, hour: +m[4], minute: +m[5], second: +m[6] };
+  // UTC, время в поясе из TZID или "плавающее" время (в поясе пользователя)
+  const sourceTz = prop.params.TZID && isValidTimeZone(prop.params.TZID) ? prop.params.TZID : tz;
+  const date = m[7] ? Date.UTC(year, month - 1, day, wall.hour, wall.minute, wall.second) : zonedTimeToUtc(wall, sourceTz);
+  const local = zonedParts(date, tz);
+  return { date, time: `${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}` };
+}
+
+// Метка времени (CREATED, LAST-MODIFIED, DTSTAMP) → ms
+function icsTimestamp(prop) {
+  if (!prop) return null;
+  const m = prop.value.trim().match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+  return m ? Date.UTC(+m[1], m[2] - 1, +m[3], +m[4], +m[5], +m[6]) : null;
+}
+
+/**
+ * Календарь iCalendar → черновики заметок: события (VEVENT) и задачи (VTODO).
+ * Отменённые события (STATUS:CANCELLED) пропускаются; вложенные компоненты (VALARM) не учитываются.
+ */
+export function parseIcs(text, options = {}) {
+  const tz = options.tz || serverTimeZone();
+  // строки, перенесённые по RFC 5545 (продолжение начинается с пробела или табуляции)
+  const lines = text.replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  if (!/^BEGIN:VCALENDAR$/i.test((lines[0] || '').trim())) throw new ImportParseError('invalid_ics');
+
+  const components = [];
+  const stack = [];
+  for (const raw of lines) {
+    const line = raw.trim();
+    if (!line) continue;
+    const prop = parseIcsLine(line);
+    if (!prop) continue;
+    if (prop.name === 'BEGIN') {
+      const component = { type: prop.value.toUpperCase(), props: {} };
+      stack.push(component);
+      if (component.type === 'VEVENT' || component.type === 'VTODO') components.push(component);
+    } else if (prop.name === 'END') {
+      stack.pop();
+    } else if (stack.length && !(prop.name in stack[stack.length - 1].props)) {
+      stack[stack.length - 1].props[prop.name] = prop;
+    }
+  }
+
+  return components
+    .filter(c => !c.props.STATUS || c.props.STATUS.value.toUpperCase() !== 'CANCELLED')
+    .map(c => {
+      const textProp = name => (c.props[name] ? unescapeIcsText(c.props[name].value) : '');
+      const start = c.props.DTSTART || c.props.DUE;
+      const when = (start && icsDateTime(start, tz)) || { date: null, time: null };
+      const createdAt = icsTimestamp(c.props.CREATED) ?? icsTimestamp(c.props.DTSTAMP);
+      return {
+        title: textProp('SUMMARY').trim(),
+        body: textProp('DESCRIPTION').replace(/\r\n/g, '\n').trim(),
+        tags: c.props.CATEGORIES ? toTags(c.props.CATEGORIES.value.split(/(?<!\\),/).map(unescapeIcsText)) : [],
+        date: when.date,
+        time: when.time,
+        createdAt,
+        updatedAt: icsTimestamp(c.props['LAST-MODIFIED']) ?? createdAt
+      };
+    });
+}
+
+// -----------------------
+// ZIP
+// -----------------------
+
+function parseZip(buffer, options) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (e) {
+    throw new ImportParseError('invalid_zip', e && e.message);
+  }
+
+  const entries = zip.getEntries().filter(entry => !entry.isDirectory &&
+    !entry.entryName.startsWith('__MACOSX/') && !path.basename(entry.entryName).startsWith('.'));
+  if (entries.length > ZIP_MAX_ENTRIES) {
+    throw new ImportParseError('too_many_files', `в архиве больше ${ZIP_MAX_ENTRIES} файлов`);
+  }
+  const total = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+  if (total > ZIP_MAX_UNCOMPRESSED_BYTES) {
+    throw new ImportParseError('archive_too_large');
+  }
+
+  const items = [];
+  const errors = [];
+  for (const entry of entries) {
+    const format = EXTENSION_FORMATS[path.extname(entry.entryName).toLowerCase()];
+    // Прочие файлы (HTML-версии Keep, вложения) пропускаются
+    if (!format || format === 'zip') continue;
+    try {
+      const parsed = parseBuffer(entry.getData(), format, entry.entryName, options);
+      parsed.forEach((item, i) => items.push({
+        ...item,
+        source: parsed.length > 1 ? `${entry.entryName}#${i + 1}` : entry.entryName
+      }));
+    } catch (e) {
+      if (!(e instanceof ImportParseError)) throw e;
+      errors.push({ source: entry.entryName, reason: e.reason });
+    }
+  }
+  return { items, errors };
+}
+
+function parseBuffer(buffer, format, filename, options) {
+  const text = buffer.toString('utf8');
+  switch (format) {
+    case 'md': return [parseMarkdown(text, filename)];
+    case 'enex': return parseEnex(text);
+    case 'json': return parseJson(text);
+    case 'ics': return parseIcs(text, options);
+    default: throw new ImportParseError('unsupported_format');
+  }
+}
+
+/**
+ * Разбор загруженного файла. options.tz — часовой пояс пользователя (для ics).
+ * @returns {{ format: string, items: object[], errors: { source, reason }[] }}
+ * @throws {ImportParseError} файл целиком не разобран (или формат не поддерживается)
+ */
+export function parseImportFile(buffer, filename, requestedFormat, options = {}) {
+  const format = detectFormat(filename, buffer, requestedFormat);
+  if (!format) throw new ImportParseError('unsupported_format');
+
+  if (format === 'zip') return { format, ...parseZip(buffer, options) };
+
+  const parsed = parseBuffer(buffer, format, filename, options);
+  const name = filename || `upload.${format}`;
+  return {
+    format,
+    items: parsed.map((item, i) => ({ ...item, source: parsed.length > 1 ? `${name}#${i + 1}` : name })),
+    errors: []
+  };
+}
+
+/**
+ * Ключ для поиска повторного импорта: хеш названия и текста
+ * (пробелы по краям и переводы строк CRLF не учитываются).
+ */
+export function importKey(note) {
+  const norm = value => String(value ?? '').replace(/\r\n/g, '\n').trim();
+  return crypto.createHash('sha256').update(`${norm(note.title)}\u0000${norm(note.body)}`).digest('hex');
+}
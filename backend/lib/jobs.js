@@ -0,0 +1,85 @@
+// lib/jobs.js
+// Фоновые задачи (большие импорты): выполняются в этом же процессе,
+// статус доступен владельцу по id (GET /notes/import/:jobId).
+//
+// Задачи хранятся в памяти: после перезапуска сервера статус теряется.
+// Завершённые задачи удаляются через JOB_TTL_MINUTES минут (по умолчанию 60).
+
+import { nanoid } from 'nanoid';
+
+const jobs = new Map();
+
+function getJobTtlMs() {
+  const minutes = Number(process.env.JOB_TTL_MINUTES);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : 60) * 60 * 1000;
+}
+
+/**
+ * Новая задача пользователя uid (status: queued).
+ */
+export function createJob(uid, type, total = 0) {
+  const job = {
+    id: nanoid(),
+    uid,
+    type,
+    status: 'queued',
+    total,
+    processed: 0,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null
+  };
+  jobs.set(job.id, job);
+  return job;
+}
+
+/**
+ * Задача по id — только своя (иначе null).
+ */
+export function getJob(id, uid) {
+  const job = jobs.get(id);
+  return job && job.uid === uid ? job : null;
+}
+
+/**
+ * Запуск задачи в фоне: task(job) может обновлять job.processed,
+ * её результат сохраняется в job.result. Ошибки не пробрасываются — попадают в job.error.
+ */
+export function runJob(job, task) {
+  setImmediate(async () => {
+    job.status = 'running';
+    job.startedAt = Date.now();
+    try {
+      job.result = await task(job);
+      job.status = 'done';
+    } catch (e) {
+      console.error(`[Jobs] Задача ${job.id} (${job.type}) завершилась с ошибкой:`, e && e.message);
+      job.status = 'failed';
+      job.error = 'server_error';
+    }
+    job.finishedAt = Date.now();
+    setTimeout(() => jobs.delete(job.id), getJobTtlMs()).unref();
+  });
+  return job;
+}
+
+/**
+ * Задача для ответа клиенту.
+ */
+export function jobView(job) {
+  const view = {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    total: job.total,
+    processed: job.processed,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+  if (job.result) Object.assign(view, job.result);
+  if (job.error) view.error = job.error;
+  return view;
+}
@@ -0,0 +1,82 @@
+// lib/memoryFirestore.js
+// Firestore в памяти процесса — замена облака для разработки (FIRESTORE=memory).
+//
+// Поддерживает только то, чем пользуется сервер:
+//   collection(name).doc(id).get() / set(data, { merge }) / delete();
+//   collection(name).where(field, '==', value).get() и collection(name).get().
+// Данные копируются при записи и чтении, как при передаче по сети.
+// failNext(n, message) — следующие n записей завершатся ошибкой (проверка повторов очереди).
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function snapshot(id, data) {
+  return {
+    id,
+    exists: data !== undefined,
+    data: () => clone(data)
+  };
+}
+
+/**
+ * Новый пустой Firestore в памяти.
+ */
+export function createMemoryFirestore() {
+  const collections = new Map(); // name → Map<id, data>
+  let failures = { count: 0, message: '' };
+
+  const store = name => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+
+  const checkFailure = () => {
+    if (failures.count > 0) {
+      failures.count--;
+      throw new Error(failures.message || 'UNAVAILABLE: memory firestore');
+    }
+  };
+
+  const query = (name, filters) => ({
+    where(field, op, value) {
+      if (op !== '==') throw new Error(`memory firestore: оператор ${op} не поддерживается`);
+      return query(name, [...filters, { field, value }]);
+    },
+    async get() {
+      const docs = [...store(name)]
+        .filter(([, data]) => filters.every(f => data[f.field] === f.value))
+        .map(([id, data]) => snapshot(id, data));
+      return { docs, size: docs.length, empty: !docs.length };
+    }
+  });
+
+  return {
+    collection(name) {
+      return {
+        ...query(name, []),
+        doc(id) {
+          return {
+            id,
+            async get() {
+              return snapshot(id, store(name).get(id));
+            },
+            async set(data, options = {}) {
+              checkFailure();
+              const current = options.merge ? store(name).get(id) : undefined;
+              store(name).set(id, { ...(current || {}), ...clone(data) });
+            },
+            async delete() {
+              checkFailure();
+              store(name).delete(id);
+            }
+          };
+        }
+      };
+    },
+
+    failNext(count, message) {
+      failures = { count, message };
+    }
+  };
+}
@@ -0,0 +1,93 @@
+// lib/merge.js
+// Трёхстороннее (three-way) слияние заметок для /sync/push.
+//
+// Клиент присылает свою версию заметки и номер ревизии (baseRevision),
+// от которой он начинал редактирование. Сервер сравнивает по каждому полю:
+//   base   — версия, от которой отталкивался клиент;
+//   local  — то, что прислал клиент;
+//   server — текущая версия на сервере.
+//
+// Правила:
+//   - поле изменил только клиент  → берём значение клиента;
+//   - поле изменил только сервер  → оставляем серверное;
+//   - оба изменили одинаково      → конфликта нет;
+//   - оба изменили по-разному     → конфликт (оставляем серверное значение,
+//                                   клиенту возвращаем оба варианта);
+//   - теги сливаются как множества: добавления и удаления с обеих сторон
+//     применяются вместе, поэтому конфликтов по тегам не бывает.
+
+// Поля заметки, которые участвуют в слиянии
+export const MERGE_FIELDS = ['title', 'body', 'tags', 'date', 'time', 'isDeleted', 'notebookId', 'reminderAt', 'recurrence'];
+
+// Сравнение значений полей (теги — массивы, остальное — примитивы)
+function sameValue(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    const x = Array.isArray(a) ? a : [];
+    const y = Array.isArray(b) ? b : [];
+    return x.length === y.length && x.every((v, i) => v === y[i]);
+  }
+  return (a ?? null) === (b ?? null);
+}
+
+// Слияние тегов как множеств: server + (добавленные клиентом) − (удалённые клиентом)
+function mergeTags(base = [], local = [], server = []) {
+  const added = local.filter(t => !base.includes(t));
+  const removed = base.filter(t => !local.includes(t));
+  const result = server.filter(t => !removed.includes(t));
+  for (const t of added) {
+    if (!result.includes(t)) result.push(t);
+  }
+  return result;
+}
+
+/**
+ * Трёхстороннее слияние полей заметки.
+ * @param {object} base   — снимок базовой ревизии
+ * @param {object} local  — заметка от клиента
+ * @param {object} server — текущая заметка на сервере
+ * @returns {{ merged: object, conflicts: Array<{field, base, local, server}> }}
+ *   merged — серверная заметка с применёнными неконфликтными изменениями клиента.
+ */
+export function threeWayMerge(base, local, server) {
+  const merged = { ...server };
+  const conflicts = [];
+
+  for (const field of MERGE_FIELDS) {
+    if (field === 'tags') {
+      merged.tags = mergeTags(base.tags || [], local.tags || [], server.tags || []);
+      continue;
+    }
+
+    const localChanged = !sameValue(local[field], base[field]);
+    const serverChanged = !sameValue(server[field], base[field]);
+
+    if (localChanged && !serverChanged) {
+      merged[field] = local[field];
+    } else if (localChanged && serverChanged && !sameValue(local[field], server[field])) {
+      conflicts.push({
+        field,
+        base: base[field] ?? null,
+        local: local[field] ?? null,
+        server: server[field] ?? null
+      });
+    }
+  }
+
+  return { merged, conflicts };
+}
+
+/**
+ * Список полей, которыми различаются две версии заметки.
+ * @returns {string[]}
+ */
+export function diffFields(a = {}, b = {}) {
+  return MERGE_FIELDS.filter(field => !sameValue(a[field], b[field]));
+}
+
+/**
+ * Есть ли между двумя версиями различия в полях слияния.
+ * Используется, чтобы не плодить ревизии при повторной отправке той же заметки.
+ */
+export function hasChanges(a, b) {
+  return diffFields(a, b).length > 0;
+}
@@ -0,0 +1,222 @@
+// lib/noteQuery.js
+// Сортировка, постраничная выдача (cursor) и проекция полей для GET /notes.
+//
+// sort   — updatedAt | createdAt | date | title, направление: "-title" или "title:desc"
+//          (по умолчанию -updatedAt, при поиске q — relevance);
+// limit  — размер страницы (1..MAX_PAGE_LIMIT);
+// cursor — непрозрачный курсор из nextCursor предыдущей страницы;
+// fields — список полей через запятую (id и revision — версия для If-Match — возвращаются всегда).
+//
+// Порядок здесь и в SQL (sqliteAdapter.findPage) обязан совпадать: по ключу сортировки,
+// при равенстве — по id в том же направлении. Пустые значения считаются 0 / ''.
+// title сравнивается без учёта регистра латиницы — как COLLATE NOCASE в SQLite.
+
+import { encodeCursor, decodeCursor } from './cursor.js';
+import { parseSearchQuery, searchNotes } from './search.js';
+
+export const DEFAULT_PAGE_LIMIT = 50;
+export const MAX_PAGE_LIMIT = 200;
+
+export const SORT_FIELDS = ['updatedAt', 'createdAt', 'date', 'title'];
+
+// Поля заметки, которые можно запросить через fields=
+export const NOTE_FIELDS = [
+  'id', 'uid', 'title', 'body', 'createdAt', 'updatedAt', 'date', 'time',
+  'tags', 'isDeleted', 'revision', 'seq', 'deletedAt', 'notebookId', 'reminderAt', 'recurrence'
+];
+
+/**
+ * Разбор параметра sort. Возвращает null, если значение неизвестно.
+ * @returns {{ field: string, dir: 'asc'|'desc' }|null}
+ */
+export function parseSort(value, { search = false } = {}) {
+  if (!value) return search ? { field: 'relevance', dir: 'desc' } : { field: 'updatedAt', dir: 'desc' };
+
+  let raw = String(value).trim();
+  let dir = 'asc';
+  if (raw.startsWith('-')) { dir = 'desc'; raw = raw.slice(1); }
+  const [field, suffix] = raw.split(':');
+  if (suffix) {
+    if (suffix !== 'asc' && suffix !== 'desc') return null;
+    dir = suffix;
+  }
+
+  if (field === 'relevance') return search ? { field, dir: 'desc' } : null;
+  return SORT_FIELDS.includes(field) ? { field, dir } : null;
+}
+
+/**
+ * Разбор параметра fields. undefined — все поля, null — есть неизвестное поле.
+ * @returns {string[]|undefined|null}
+ */
+export function parseFields(value) {
+  if (!value) return undefined;
+  const fields = String(value).split(',').map(f => f.trim()).filter(Boolean);
+  if (fields.some(f => !NOTE_FIELDS.includes(f))) return null;
+  return [...new Set(['id', 'revision', ...fields])];
+}
+
+/**
+ * Разбор размера страницы. null — некорректное значение.
+ */
+export function parseLimit(value) {
+  if (value === undefined || value === '') return DEFAULT_PAGE_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) return null;
+  return Math.min(limit, MAX_PAGE_LIMIT);
+}
+
+// Свёртка регистра только для ASCII — как NOCASE в SQLite
+function nocase(s) {
+  return String(s ?? '').replace(/[A-Z]/g, c => c.toLowerCase());
+}
+
+/**
+ * Значение ключа сортировки у заметки.
+ */
+export function sortKey(note, field) {
+  if (field === 'title') return nocase(note.title);
+  return Number(note[field]) || 0;
+}
+
+/**
+ * Сравнение двух заметок в заданном порядке (для сортировки в памяти).
+ */
+export function compareNotes(a, b, sort) {
+  const ka = sortKey(a, sort.field);
+  const kb = sortKey(b, sort.field);
+  let cmp = ka < kb ? -1 : ka > kb ? 1 : 0;
+  if (cmp === 0) cmp = a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  return sort.dir === 'desc' ? -cmp : cmp;
+}
+
+/**
+ * Курсор, указывающий на позицию сразу после заметки note.
+ * Для relevance курсор — смещение, для остальных — ключ сортировки + id.
+ */
+export function cursorAfter(note, sort, offset) {
+  if (sort.field === 'relevance') return encodeCursor({ o: offset });
+  return encodeCursor({ s: `${sort.field}:${sort.dir}`, k: sortKey(note, sort.field), id: note.id });
+}
+
+/**
+ * Раскодировать курсор для заданной сортировки. null — курсор повреждён
+ * или выдан для другой сортировки.
+ * @returns {{ offset: number }|{ key: any, id: string }|null}
+ */
+export function readCursor(cursor, sort) {
+  const state = decodeCursor(cursor);
+  if (!state) return null;
+  if (sort.field === 'relevance') {
+    return Number.isInteger(state.o) && state.o >= 0 ? { offset: state.o } : null;
+  }
+  if (state.s !== `${sort.field}:${sort.dir}` || typeof state.id !== 'string') return null;
+  // ключ попадает в SQL как параметр — только того типа, что выдаёт sortKey
+  const validKey = sort.field === 'title' ? typeof state.k === 'string' : Number.isFinite(state.k);
+  if (!validKey) return null;
+  return { key: state.k, id: state.id };
+}
+
+/**
+ * Идёт ли заметка после позиции курсора (keyset-пагинация в памяти).
+ */
+export function isAfterCursor(note, position, sort) {
+  return compareNotes(note, { id: position.id, [sort.field]: position.key }, sort) > 0;
+}
+
+/**
+ * Оставить в заметке только запрошенные поля (+ score/snippet результата поиска).
+ */
+export function projectNote(note, fields) {
+  if (!fields) return note;
+  const out = {};
+  for (const f of fields) {
+    if (f in note) out[f] = note[f];
+  }
+  if ('score' in note) out.score = note.score;
+  if ('snippet' in note) out.snippet = note.snippet;
+  return out;
+}
+
+/**
+ * Фильтрация и сортировка заметок в памяти — те же фильтры, что у SqliteAdapter.find
+ * (uid, корзина, даты, время, теги, блокноты, поиск q). Для адаптеров без SQL
+ * (файлы, память, Firestore).
+ */
+export function filterNotes(notes, filters = {}) {
+  // Базовая фильтрация (onlyDeleted — только корзина)
+  let result = notes.filter(n => filters.onlyDeleted ? n.isDeleted : (filters.includeDeleted ? true : !n.isDeleted));
+
+  // Фильтр по пользователю (uid)
+  if (filters.uid) {
+    result = result.filter(n => n.uid === filters.uid);
+  }
+
+  // Фильтры по датам
+  if (filters.updatedAfter) result = result.filter(n => (n.updatedAt || 0) > filters.updatedAfter);
+  if (filters.dateFrom) result = result.filter(n => n.date && n.date >= filters.dateFrom);
+  if (filters.dateTo) result = result.filter(n => n.date && n.date <= filters.dateTo);
+
+  // Фильтр по времени
+  if (filters.time) result = result.filter(n => n.time === filters.time);
+
+  // Фильтр по тегам
+  if (Array.isArray(filters.tags) && filters.tags.length) {
+    result = result.filter(n => Array.isArray(n.tags) && filters.tags.every(t => n.tags.includes(t)));
+  }
+
+  // Фильтр по блокнотам (блокнот и, при recursive, вложенные в него)
+  if (Array.isArray(filters.notebookIds)) {
+    result = result.filter(n => filters.notebookIds.includes(n.notebookId));
+  }
+
+  // Полнотекстовый поиск по title/body — сортировка по релевантности,
+  // иначе по filters.sort (по умолчанию updatedAt, новые сверху)
+  const search = filters.q ? parseSearchQuery(filters.q) : null;
+  const sort = filters.sort || parseSort(null, { search: !!search });
+  if (search) result = searchNotes(result, search);
+  if (sort.field !== 'relevance') result.sort((a, b) => compareNotes(a, b, sort));
+
+  return filters.fields ? result.map(n => projectNote(n, filters.fields)) : result;
+}
+
+/**
+ * Теги с количеством заметок — в том же порядке, что и SqliteAdapter.tagCounts.
+ */
+export function countTags(notes) {
+  const counts = new Map();
+  for (const note of notes) {
+    for (const tag of new Set(Array.isArray(note.tags) ? note.tags : [])) {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+  }
+  return [...counts.entries()]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => (b.count - a.count) || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+}
+
+/**
+ * Постраничная выдача списка заметок в памяти (адаптеры без SQL).
+ * notes уже отфильтрованы; при сортировке relevance — уже упорядочены.
+ * @returns {{ notes: object[], nextCursor: string|null }}
+ */
+export function paginateInMemory(notes, { sort, limit, cursor, fields }) {
+  let list = notes;
+  let offset = 0;
+
+  if (sort.field === 'relevance') {
+    offset = cursor ? cursor.offset : 0;
+    list = list.slice(offset);
+  } else {
+    list = [...list].sort((a, b) => compareNotes(a, b, sort));
+    if (cursor) list = list.filter(n => isAfterCursor(n, cursor, sort));
+  }
+
+  const page = list.slice(0, limit);
+  const hasMore = list.length > limit;
+  const last = page[page.length - 1];
+  return {
+    notes: page.map(n => projectNote(n, fields)),
+    nextCursor: hasMore ? cursorAfter(last, sort, offset + page.length) : null
+  };
+}
@@ -0,0 +1,253 @@
+// lib/noteSchema.js
+// Схема заметки: проверка и нормализация того, что присылает клиент (/notes, /sync/push, импорт).
+//
+// В заметку попадают только известные поля — ничего лишнего не дойдёт ни до SQLite,
+// ни до файлов, ни до Firestore. Поля, которые заполняет сервер (uid, revision, seq, ...),
+// клиенты часто присылают обратно вместе с заметкой — они молча отбрасываются;
+// неизвестные поля — ошибка unknown_field.
+//
+// Режимы:
+//   buildNote        — новая заметка или полная версия (POST /notes, пакетное create, импорт,
+//                      /sync/push): недостающие поля получают значения по умолчанию;
+//   parseNoteChanges — частичное изменение (PUT /notes/:id, пакетное update): только
+//                      содержимое; createdAt, updatedAt и isDeleted меняет сервер
+//                      (корзина — DELETE /notes/:id и POST /notes/:id/restore).
+//
+// Ошибки — массив { path, code, message } (lib/errors.js), пустой — всё в порядке.
+
+import { nanoid } from 'nanoid';
+import { parseRecurrence, formatRecurrence } from './recurrence.js';
+import { parseTimeOfDay } from './timezone.js';
+import { fieldError } from './errors.js';
+
+export const NOTE_LIMITS = {
+  idLength: 128,
+  titleLength: 500,
+  bodyLength: 100000,
+  tags: 50,
+  tagLength: 100
+};
+
+const ID_PATTERN = /^[\w.:-]+$/;
+
+// Содержимое заметки — его можно менять и при создании, и при правке
+const CONTENT_FIELDS = ['title', 'body', 'tags', 'date', 'time', 'notebookId', 'reminderAt', 'recurrence'];
+const FULL_FIELDS = ['id', ...CONTENT_FIELDS, 'createdAt', 'updatedAt', 'isDeleted'];
+
+// Поля, которые заполняет сервер
+const SERVER_FIELDS = [
+  'uid', 'revision', 'seq', 'deletedAt', 'purgeAt', 'permission', 'attachments', 'score', 'snippet', 'changeSeq'
+];
+
+// Управляющие символы, кроме табуляции и перевода строки
+const CONTROL_CHARS = /[\x00-\x08\x0b-\x1f\x7f]/g;
+
+function joinPath(base, field) {
+  return base ? `${base}.${field}` : field;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Момент времени: timestamp (ms) или ISO-строка
+function toTimestamp(value) {
+  const ts = typeof value === 'number' ? value : (typeof value === 'string' && value.trim() ? Date.parse(value) : NaN);
+  return Number.isFinite(ts) && !Number.isNaN(new Date(ts).getTime()) ? Math.round(ts) : null;
+}
+
+// Проверка одного поля. Возвращает нормализованное значение; ошибки добавляет в errors.
+const FIELD_RULES = {
+  id(value, path, errors) {
+    if (typeof value !== 'string') return errors.push(fieldError(path, 'invalid_type', 'Ожидается строка'));
+    if (!value || value.length > NOTE_LIMITS.idLength || !ID_PATTERN.test(value)) {
+      return errors.push(fieldError(path, 'invalid_value', 'Допустимы латинские буквы, цифры и символы _ - . :'));
+    }
+    return value;
+  },
+
+  title(value, path, errors) {
+    if (value === null) return '';
+    if (typeof value !== 'string') return errors.push(fieldError(path, 'invalid_type', 'Ожидается строка'));
+    const title = value.replace(/\r?\n/g, ' ').replace(CONTROL_CHARS, '').trim();
+    if (title.length > NOTE_LIMITS.titleLength) {
+      return errors.push(fieldError(path, 'too_long', `Не длиннее ${NOTE_LIMITS.titleLength} символов`));
+    }
+    return title;
+  },
+
+  body(value, path, errors) {
+    if (value === null) return '';
+    if (typeof value !== 'string') return errors.push(fieldError(path, 'invalid_type', 'Ожидается строка'));
+    const body = value.replace(/\r\n?/g, '\n').replace(CONTROL_CHARS, '');
+    if (body.length > NOTE_LIMITS.bodyLength) {
+      return errors.push(fieldError(path, 'too_long', `Не длиннее ${NOTE_LIMITS.bodyLength} символов`));
+    }
+    return body;
+  },
+
+  tags(value, path, errors) {
+    if (value === null || value === '') return [];
+    const list = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(list)) return errors.push(fieldError(path, 'invalid_type', 'Ожидается массив строк'));
+    const tags = [];
+    for (const [i, tag] of list.entries()) {
+      if (typeof tag !== 'string') {
+        errors.push(fieldError(`${path}[${i}]`, 'invalid_type', 'Ожидается строка'));
+        continue;
+      }
+      const name = tag.replace(CONTROL_CHARS, '').trim();
+      if (name.length > NOTE_LIMITS.tagLength) {
+        errors.push(fieldError(`${path}[${i}]`, 'too_long', `Не длиннее ${NOTE_LIMITS.tagLength} символов`));
+      } else if (name && !tags.includes(name)) {
+        tags.push(name);
+      }
+    }
+    if (tags.length > NOTE_LIMITS.tags) {
+      errors.push(fieldError(path, 'too_many', `Не больше ${NOTE_LIMITS.tags} тегов`));
+    }
+    return tags;
+  },
+
+  date(value, path, errors) {
+    if (value === null || value === '') return null;
+    const ts = toTimestamp(typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value);
+    if (ts === null) return errors.push(fieldError(path, 'invalid_value', 'Ожидается timestamp (мс) или дата ISO 8601'));
+    return ts;
+  },
+
+  time(value, path, errors) {
+    if (value === null || value === '') return null;
+    const time = parseTimeOfDay(value);
+    if (!time) return errors.push(fieldError(path, 'invalid_value', 'Ожидается время HH:MM'));
+    return `${String(time.hour).padStart(2, '0')}:${String(time.minute).padStart(2, '0')}`;
+  },
+
+  notebookId(value, path, errors) {
+    if (value === null || value === '') return null;
+    return FIELD_RULES.id(value, path, errors);
+  },
+
+  reminderAt(value, path, errors) {
+    if (value === null || value === '') return null;
+    const ts = toTimestamp(value);
+    if (ts === null || ts <= 0) return errors.push(fieldError(path, 'invalid_reminder'));
+    return ts;
+  },
+
+  recurrence(value, path, errors) {
+    if (value === null || value === '') return null;
+    const rule = parseRecurrence(value);
+    if (!rule) return errors.push(fieldError(path, 'invalid_recurrence'));
+    return formatRecurrence(rule);
+  },
+
+  createdAt(value, path, errors) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      return errors.push(fieldError(path, 'invalid_value', 'Ожидается timestamp (мс)'));
+    }
+    return Math.round(value);
+  },
+
+  updatedAt(value, path, errors) {
+    return FIELD_RULES.createdAt(value, path, errors);
+  },
+
+  isDeleted(value, path, errors) {
+    if (value === true || value === 1) return true;
+    if (value === false || value === 0 || value === null) return false;
+    return errors.push(fieldError(path, 'invalid_type', 'Ожидается true или false'));
+  },
+
+  baseRevision(value, path, errors) {
+    if (value === null) return null;
+    const rev = typeof value === 'string' && value.trim() ? Number(value) : value;
+    if (!Number.isInteger(rev) || rev < 0) {
+      return errors.push(fieldError(path, 'invalid_value', 'Ожидается номер ревизии'));
+    }
+    return rev;
+  }
+};
+
+// Проверка объекта по списку разрешённых полей; ignored — поля, которые отбрасываются
+function parseFields(input, allowed, ignored, path) {
+  const errors = [];
+  const values = {};
+  if (!isPlainObject(input)) {
+    return { values, errors: [fieldError(path || '', 'invalid_type', 'Ожидается объект заметки')] };
+  }
+  for (const [field, value] of Object.entries(input)) {
+    if (value === undefined || ignored.includes(field)) continue;
+    const fieldPath = joinPath(path, field);
+    if (!allowed.includes(field)) {
+      errors.push(fieldError(fieldPath, 'unknown_field'));
+      continue;
+    }
+    const before = errors.length;
+    const normalized = FIELD_RULES[field](value, fieldPath, errors);
+    if (errors.length === before) values[field] = normalized;
+  }
+  return { values, errors };
+}
+
+// reminderAt и recurrence проверяются вместе: повторение без времени первого напоминания невозможно
+function checkReminderPair(note, path, errors) {
+  if (note.recurrence && !note.reminderAt) {
+    errors.push(fieldError(joinPath(path, 'reminderAt'), 'invalid_reminder', 'Для правила повторения нужно время напоминания'));
+  }
+}
+
+/**
+ * Новая заметка (или полная версия заметки из /sync/push) с владельцем user.
+ * options.sync — разрешить baseRevision (возвращается отдельно, в заметку не попадает);
+ * options.create — новая заметка от клиента (POST /notes, create в пакете): createdAt, updatedAt
+ *   и isDeleted ставит сервер, присланные значения отбрасываются;
+ * options.path — префикс путей в ошибках (например, "notes[3]").
+ * @returns {{ note: object, baseRevision: number|null, errors: object[] }}
+ */
+export function buildNote(input, user, { sync = false, create = false, path = '' } = {}) {
+  const allowed = sync ? [...FULL_FIELDS, 'baseRevision'] : FULL_FIELDS;
+  const ignored = create ? [...SERVER_FIELDS, 'createdAt', 'updatedAt', 'isDeleted'] : SERVER_FIELDS;
+  const { values, errors } = parseFields(input, allowed, ignored, path);
+  const now = Date.now();
+  const { baseRevision = null, ...fields } = values;
+  const note = {
+    id: nanoid(),
+    title: '',
+    body: '',
+    createdAt: now,
+    updatedAt: now,
+    date: null,
+    time: null,
+    tags: [],
+    isDeleted: false,
+    notebookId: null,
+    reminderAt: null,
+    recurrence: null,
+    ...fields,
+    uid: user?.uid ?? null
+  };
+  checkReminderPair(note, path, errors);
+  return { note, baseRevision, errors };
+}
+
+/**
+ * Изменения содержимого заметки: только присланные поля, уже нормализованные.
+ * Проверку reminderAt + recurrence после слияния с заметкой делает checkNoteChanges.
+ * @returns {{ changes: object, errors: object[] }}
+ */
+export function parseNoteChanges(input, { path = '' } = {}) {
+  const ignored = [...SERVER_FIELDS, 'id', 'createdAt', 'updatedAt', 'isDeleted', 'baseRevision'];
+  const { values, errors } = parseFields(input, CONTENT_FIELDS, ignored, path);
+  return { changes: values, errors };
+}
+
+/**
+ * Проверка заметки после применения изменений (поля, зависящие друг от друга).
+ * @returns {object[]} ошибки
+ */
+export function checkNoteChanges(note, { path = '' } = {}) {
+  const errors = [];
+  checkReminderPair(note, path, errors);
+  return errors;
+}
@@ -0,0 +1,144 @@
+// lib/notebooks.js
+// Блокноты (папки) для заметок: вложенность, дерево, удаление ветки.
+//
+// Блокнот: { id, uid, name, parentId, createdAt, updatedAt, isDeleted, deletedAt, seq }.
+// parentId = null — блокнот верхнего уровня. Заметка ссылается на блокнот полем notebookId.
+// Удалённые блокноты не стираются, а помечаются isDeleted — так удаление доходит
+// до других устройств через /sync/pull, как и у заметок.
+
+import { nanoid } from 'nanoid';
+
+// Максимальная длина названия блокнота
+export const NOTEBOOK_NAME_MAX_LENGTH = 200;
+
+/**
+ * Проверка названия блокнота. Возвращает обрезанное название или null.
+ */
+export function normalizeNotebookName(value) {
+  if (typeof value !== 'string') return null;
+  const name = value.trim();
+  return name && name.length <= NOTEBOOK_NAME_MAX_LENGTH ? name : null;
+}
+
+/**
+ * Нормализация входных данных блокнота и установка владельца (uid).
+ * Название не проверяется — см. normalizeNotebookName.
+ */
+export function normalizeNotebookInput(body, user) {
+  return {
+    id: body.id ?? nanoid(),
+    uid: user?.uid ?? body.uid ?? null,
+    name: typeof body.name === 'string' ? body.name.trim() : '',
+    parentId: body.parentId ?? null,
+    createdAt: body.createdAt ?? Date.now(),
+    updatedAt: body.updatedAt ?? Date.now(),
+    isDeleted: !!body.isDeleted
+  };
+}
+
+/**
+ * Блокнот пользователя, в который можно положить заметку или вложить другой блокнот:
+ * существует, принадлежит uid и не удалён. Иначе null.
+ */
+export async function findOwnedNotebook(adapter, id, uid) {
+  if (!id) return null;
+  const notebook = await adapter.getNotebook(String(id));
+  if (!notebook || notebook.uid !== uid || notebook.isDeleted) return null;
+  return notebook;
+}
+
+/**
+ * id блокнота и всех вложенных в него (на любую глубину).
+ * @param {object[]} notebooks — все блокноты пользователя
+ * @returns {string[]}
+ */
+export function descendantIds(notebooks, id) {
+  const children = new Map();
+  for (const nb of notebooks) {
+    if (!nb.parentId) continue;
+    if (!children.has(nb.parentId)) children.set(nb.parentId, []);
+    children.get(nb.parentId).push(nb.id);
+  }
+
+  const ids = [id];
+  const seen = new Set(ids);
+  for (let i = 0; i < ids.length; i++) {
+    for (const child of children.get(ids[i]) || []) {
+      if (seen.has(child)) continue;
+      seen.add(child);
+      ids.push(child);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Получится ли цикл, если блокнот id переместить в parentId
+ * (parentId — сам блокнот или один из его потомков).
+ */
+export function wouldCreateCycle(notebooks, id, parentId) {
+  if (!parentId) return false;
+  const byId = new Map(notebooks.map(nb => [nb.id, nb]));
+  const seen = new Set();
+  for (let cur = parentId; cur; cur = byId.get(cur)?.parentId) {
+    if (cur === id) return true;
+    if (seen.has(cur)) return true; // цикл уже есть в данных — не усугубляем
+    seen.add(cur);
+  }
+  return false;
+}
+
+/**
+ * Дерево блокнотов: [{ ...notebook, noteCount, children: [...] }].
+ * Блокноты, чей родитель отсутствует, показываются на верхнем уровне.
+ * Сортировка на каждом уровне — по названию без учёта регистра.
+ * @param {object[]} notebooks — неудалённые блокноты пользователя
+ * @param {Map<string, number>} noteCounts — число заметок в каждом блокноте
+ */
+export function buildNotebookTree(notebooks, noteCounts = new Map()) {
+  const nodes = new Map(notebooks.map(nb => [nb.id, { ...nb, noteCount: noteCounts.get(nb.id) || 0, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentId && node.parentId !== node.id ? nodes.get(node.parentId) : null;
+    (parent ? parent.children : roots).push(node);
+  }
+
+  const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }) || (a.id < b.id ? -1 : 1);
+  const sortLevel = (list) => {
+    list.sort(byName);
+    for (const node of list) sortLevel(node.children);
+  };
+  sortLevel(roots);
+  return roots;
+}
+
+/**
+ * Удаление блокнота вместе с вложенными: блокноты помечаются isDeleted,
+ * их заметки перемещаются в корзину. Всё в одной транзакции.
+ * @returns {Promise<{ notebooks: number, notes: number }>} сколько блокнотов и заметок удалено
+ */
+export async function trashNotebook(adapter, notebook, actor) {
+  return adapter.transaction(async () => {
+    const all = await adapter.findNotebooks({ uid: notebook.uid });
+    const ids = descendantIds(all, notebook.id);
+    const now = Date.now();
+
+    const notes = await adapter.find({ uid: notebook.uid, notebookIds: ids });
+    for (const note of notes) {
+      note.isDeleted = true;
+      note.updatedAt = now;
+      await adapter.upsert(note, { actor });
+    }
+
+    const byId = new Map(all.map(nb => [nb.id, nb]));
+    byId.set(notebook.id, notebook);
+    for (const id of ids) {
+      const nb = byId.get(id);
+      nb.isDeleted = true;
+      nb.updatedAt = now;
+      await adapter.upsertNotebook(nb);
+    }
+
+    return { notebooks: ids.length, notes: notes.length };
+  });
+}
@@ -0,0 +1,179 @@
+// lib/notifiers.js
+// Уведомители — способы доставки напоминаний (lib/reminders.js).
+//
+// Набор задаётся REMINDER_NOTIFIERS через запятую (по умолчанию log):
+//   log     — запись в лог сервера (и в память — getLoggedNotifications, для проверок);
+//   webhook — POST JSON на REMINDER_WEBHOOK_URL; если задан REMINDER_WEBHOOK_SECRET —
+//             заголовок X-Signature: sha256=<HMAC тела>;
+//   expo    — Expo Push API для устройств пользователя с provider: expo;
+//   fcm     — Firebase Cloud Messaging (firebase-admin) для устройств с provider: fcm.
+// Устройства регистрируются через PUT /reminders/devices.
+//
+// Уведомитель — объект { name, send(notification) }; send возвращает 'sent' или 'skipped'
+// (например, у пользователя нет устройств) либо бросает ошибку. Свои уведомители
+// подключаются через registerNotifier(name, factory), factory(adapter) → уведомитель.
+
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import admin from 'firebase-admin';
+
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+const LOG_LIMIT = 100;
+
+export const DEVICE_PROVIDERS = ['expo', 'fcm'];
+
+const loggedNotifications = [];
+
+/**
+ * Последние уведомления, отправленные через log.
+ */
+export function getLoggedNotifications() {
+  return [...loggedNotifications];
+}
+
+function logNotifier() {
+  return {
+    name: 'log',
+    async send(notification) {
+      console.log(`[Notify][log] Пользователь ${notification.uid}: напоминание по заметке ${notification.noteId} — ${notification.title}`);
+      loggedNotifications.push({ ...notification, sentAt: Date.now() });
+      if (loggedNotifications.length > LOG_LIMIT) loggedNotifications.shift();
+      return 'sent';
+    }
+  };
+}
+
+function webhookNotifier() {
+  return {
+    name: 'webhook',
+    async send(notification) {
+      const url = process.env.REMINDER_WEBHOOK_URL;
+      if (!url) return 'skipped';
+      const body = JSON.stringify({ type: 'reminder', ...notification });
+      const headers = { 'Content-Type': 'application/json' };
+      if (process.env.REMINDER_WEBHOOK_SECRET) {
+        const signature = crypto.createHmac('sha256', process.env.REMINDER_WEBHOOK_SECRET).update(body).digest('hex');
+        headers['X-Signature'] = `sha256=${signature}`;
+      }
+      const res = await fetch(url, { method: 'POST', headers, body, timeout: 10000 });
+      if (!res.ok) throw new Error(`webhook ответил ${res.status}`);
+      return 'sent';
+    }
+  };
+}
+
+function expoNotifier(adapter) {
+  return {
+    name: 'expo',
+    async send(notification) {
+      const devices = (await adapter.listDevices(notification.uid)).filter(d => d.provider === 'expo');
+      if (!devices.length) return 'skipped';
+
+      const messages = devices.map(d => ({
+        to: d.token,
+        title: notification.title,
+        body: notification.body,
+        sound: 'default',
+        data: { noteId: notification.noteId, type: 'reminder' }
+      }));
+      const res = await fetch(EXPO_PUSH_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify(messages),
+        timeout: 10000
+      });
+      if (!res.ok) throw new Error(`Expo Push API ответил ${res.status}`);
+
+      const { data = [] } = await res.json();
+      let delivered = 0;
+      for (const [i, ticket] of data.entries()) {
+        if (ticket.status === 'ok') {
+          delivered++;
+        } else if (ticket.details && ticket.details.error === 'DeviceNotRegistered') {
+          // приложение удалено или токен устарел
+          await adapter.removeDevice(devices[i].token);
+        }
+      }
+      if (!delivered) throw new Error('Expo: ни одно устройство не приняло уведомление');
+      return 'sent';
+    }
+  };
+}
+
+function fcmNotifier(adapter) {
+  return {
+    name: 'fcm',
+    async send(notification) {
+      const devices = (await adapter.listDevices(notification.uid)).filter(d => d.provider === 'fcm');
+      if (!devices.length) return 'skipped';
+
+      let messaging;
+      try {
+        messaging = admin.messaging();
+      } catch (e) {
+        throw new Error('Firebase не инициализирован — FCM недоступен');
+      }
+      const response = await messaging.sendEachForMulticast({
+        tokens: devices.map(d => d.token),
+        notification: { title: notification.title, body: notification.body },
+        data: { noteId: String(notification.noteId), type: 'reminder' }
+      });
+      for (const [i, r] of response.responses.entries()) {
+        if (!r.success && r.error && r.error.code === 'messaging/registration-token-not-registered') {
+          await adapter.removeDevice(devices[i].token);
+        }
+      }
+      if (!response.successCount) throw new Error('FCM: ни одно устройство не приняло уведомление');
+      return 'sent';
+    }
+  };
+}
+
+const factories = new Map([
+  ['log', logNotifier],
+  ['webhook', webhookNotifier],
+  ['expo', expoNotifier],
+  ['fcm', fcmNotifier]
+]);
+
+/**
+ * Подключить свой способ доставки.
+ */
+export function registerNotifier(name, factory) {
+  factories.set(name, factory);
+}
+
+/**
+ * Уведомители из REMINDER_NOTIFIERS (неизвестные имена пропускаются с предупреждением).
+ */
+export function createNotifiers(adapter, names = process.env.REMINDER_NOTIFIERS || 'log') {
+  const notifiers = [];
+  for (const name of String(names).split(',').map(n => n.trim()).filter(Boolean)) {
+    const factory = factories.get(name);
+    if (!factory) {
+      console.warn(`[Notify] Неизвестный уведомитель "${name}" — пропускаем`);
+      continue;
+    }
+    notifiers.push(factory(adapter));
+  }
+  return notifiers;
+}
+
+/**
+ * Доставка уведомления всеми уведомителями.
+ * Ошибка — только если ни один не доставил, а хотя бы один упал.
+ */
+export async function deliver(notifiers, notification) {
+  const errors = [];
+  let sent = 0;
+  for (const notifier of notifiers) {
+    try {
+      if ((await notifier.send(notification)) === 'sent') sent++;
+    } catch (e) {
+      console.warn(`[Notify][${notifier.name}] Ошибка доставки:`, e && e.message);
+      errors.push(`${notifier.name}: ${e && e.message}`);
+    }
+  }
+  if (!sent && errors.length) throw new Error(errors.join('; '));
+  return sent;
+}
@@ -0,0 +1,164 @@
+// lib/outbox.js
+// Очередь записей в Firestore (outbox).
+//
+// Адаптер не пишет в Firestore сам: в той же транзакции SQLite, что и изменение,
+// он добавляет строку в таблицу firestore_outbox (по одной на документ — последнее
+// состояние). Так запись не теряется ни при сбое сети, ни при перезапуске сервера.
+//
+// Обработчик (startOutboxWorker) раз в OUTBOX_POLL_SECONDS секунд (по умолчанию 5)
+// и сразу после новых записей (wakeOutbox) отправляет наступившие записи.
+// При ошибке запись повторяется с растущей паузой (5 с, 10 с, 20 с ... до 10 минут,
+// со случайным разбросом), после OUTBOX_MAX_ATTEMPTS попыток (по умолчанию 8) —
+// status: failed; такие записи видны в GET /admin/replication и возвращаются
+// в очередь через POST /admin/replication/retry.
+//
+// При старте обработчик сверяет SQLite с Firestore (adapter.reconcileFirestore):
+// изменения, сделанные до появления очереди или пока Firestore не был настроен,
+// тоже доходят до облака.
+
+import { getFirestore } from './firestore.js';
+
+const RETRY_BASE_MS = 5 * 1000;
+const RETRY_MAX_MS = 10 * 60 * 1000;
+
+// Состояние обработчика для отчёта администратору
+const state = {
+  lastSuccessAt: null,
+  lastError: null,
+  lastReconcile: null
+};
+
+let wake = null;
+
+function getMaxAttempts() {
+  const value = Number(process.env.OUTBOX_MAX_ATTEMPTS);
+  return Number.isInteger(value) && value > 0 ? value : 8;
+}
+
+/**
+ * Пауза перед следующей попыткой (attempts — сколько попыток уже не удалось).
+ */
+export function retryDelay(attempts, random = Math.random) {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+  return Math.round(delay * (0.75 + random() * 0.5));
+}
+
+// Запись одного документа в Firestore
+async function applyEntry(firestore, entry) {
+  const doc = firestore.collection(entry.collection).doc(entry.docId);
+  if (entry.op === 'delete') await doc.delete();
+  else if (entry.op === 'set') await doc.set(entry.data);
+  else await doc.set(entry.data, { merge: true });
+}
+
+/**
+ * Один проход обработчика: отправка наступивших записей.
+ * @returns {Promise<number>} сколько записей отправлено
+ */
+export async function processOutbox(adapter, now = Date.now()) {
+  const firestore = getFirestore();
+  if (!firestore) return 0;
+
+  const due = await adapter.dueOutbox(now, 100);
+  let sent = 0;
+
+  for (const entry of due) {
+    try {
+      await applyEntry(firestore, entry);
+    } catch (e) {
+      const attempts = (entry.attempts || 0) + 1;
+      const failed = attempts >= getMaxAttempts();
+      state.lastError = { at: Date.now(), collection: entry.collection, docId: entry.docId, message: e.message };
+      console.warn(`[Outbox] Не удалось записать ${entry.collection}/${entry.docId} в Firestore (попытка ${attempts}):`, e.message);
+      await adapter.failOutbox(entry.id, entry.version, {
+        status: failed ? 'failed' : 'pending',
+        attempts,
+        nextAttemptAt: failed ? null : Date.now() + retryDelay(attempts),
+        lastError: e.message
+      });
+      continue;
+    }
+    // если документ изменили во время отправки — запись останется в очереди с новым состоянием
+    await adapter.completeOutbox(entry.id, entry.version);
+    state.lastSuccessAt = Date.now();
+    sent++;
+  }
+  if (sent) console.log(`[Outbox] Записано в Firestore: ${sent}`);
+  return sent;
+}
+
+/**
+ * Сверка SQLite с Firestore; отчёт сохраняется для GET /admin/replication.
+ */
+export async function reconcile(adapter) {
+  const report = await adapter.reconcileFirestore();
+  if (report) state.lastReconcile = report;
+  wakeOutbox();
+  return report;
+}
+
+/**
+ * Разбудить обработчик (после новых записей в очереди), не дожидаясь таймера.
+ */
+export function wakeOutbox() {
+  if (wake) wake();
+}
+
+/**
+ * Состояние репликации в Firestore: размер очереди, отставание, последняя ошибка.
+ */
+export async function outboxStatus(adapter, now = Date.now()) {
+  const stats = await adapter.outboxStats();
+  return {
+    firestore: !!getFirestore(),
+    pending: stats.pending,
+    failed: stats.failed,
+    oldestPendingAt: stats.oldestPendingAt,
+    lagMs: stats.oldestPendingAt ? Math.max(0, now - stats.oldestPendingAt) : 0,
+    lastSuccessAt: state.lastSuccessAt,
+    lastError: state.lastError,
+    lastReconcile: state.lastReconcile
+  };
+}
+
+/**
+ * Запуск обработчика очереди (и сверки при старте).
+ * @returns {() => void} функция остановки
+ */
+export function startOutboxWorker(adapter) {
+  const seconds = Number(process.env.OUTBOX_POLL_SECONDS);
+  const intervalMs = (Number.isFinite(seconds) && seconds > 0 ? seconds : 5) * 1000;
+
+  let running = false;
+  let again = false;
+  const run = async () => {
+    if (running) {
+      again = true;
+      return;
+    }
+    running = true;
+    try {
+      do {
+        again = false;
+        await processOutbox(adapter);
+      } while (again);
+    } catch (e) {
+      console.error('[Outbox] Ошибка обработчика:', e && e.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  wake = () => setImmediate(run);
+  reconcile(adapter).catch(e => {
+    console.error('[Outbox] Ошибка сверки с Firestore:', e && e.message);
+  });
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  console.log(`[Outbox] Очередь записей в Firestore: проверка раз в ${intervalMs / 1000} с`);
+  return () => {
+    clearInterval(timer);
+    wake = null;
+  };
+}
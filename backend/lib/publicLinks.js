@@ -0,0 +1,111 @@
+// lib/publicLinks.js
+// Публичные ссылки на заметки: просмотр без аккаунта по токену (GET /public/:token).
+//
+// Токен — 32 случайных байта (base64url), угадать его нельзя.
+// У ссылки может быть срок действия (expiresAt) и пароль — хранится только scrypt-хеш с солью.
+// Ссылки отзываются владельцем заметки; при окончательном удалении заметки удаляются вместе с ней.
+// Неверные пароли считаются (failedAttempts): после каждых PUBLIC_LINK_MAX_ATTEMPTS подряд
+// ссылка блокируется (lockedUntil), и каждая следующая блокировка вдвое дольше предыдущей.
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Максимальная длина пароля ссылки
+export const PUBLIC_LINK_PASSWORD_MAX_LENGTH = 200;
+
+const KEY_LENGTH = 32;
+
+// Неверных паролей подряд до блокировки ссылки
+export const PUBLIC_LINK_MAX_ATTEMPTS = 5;
+
+const LOCK_BASE_MS = 15 * 60 * 1000;
+const LOCK_MAX_MS = 24 * 60 * 60 * 1000;
+
+export function generateToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Хеш пароля ссылки.
+ * @returns {Promise<{ passwordHash: string, passwordSalt: string }>}
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(String(password), salt, KEY_LENGTH);
+  return { passwordHash: hash.toString('hex'), passwordSalt: salt };
+}
+
+/**
+ * Проверка пароля (сравнение за постоянное время).
+ */
+export async function verifyPassword(link, password) {
+  if (!link.passwordHash) return true;
+  if (typeof password !== 'string' || !password) return false;
+  const hash = await scrypt(password, link.passwordSalt, KEY_LENGTH);
+  const expected = Buffer.from(link.passwordHash, 'hex');
+  return expected.length === hash.length && crypto.timingSafeEqual(expected, hash);
+}
+
+/**
+ * Срок действия из тела запроса: expiresAt (timestamp или ISO-строка) или expiresIn (секунды).
+ * @returns {{ expiresAt: number|null }|null} null — значение некорректно или уже в прошлом
+ */
+export function parseExpiry(body) {
+  let expiresAt = null;
+  if (body.expiresAt !== undefined && body.expiresAt !== null) {
+    expiresAt = typeof body.expiresAt === 'number' ? body.expiresAt : Date.parse(body.expiresAt);
+  } else if (body.expiresIn !== undefined && body.expiresIn !== null) {
+    const seconds = Number(body.expiresIn);
+    if (!Number.isFinite(seconds) || seconds <= 0) return null;
+    expiresAt = Date.now() + seconds * 1000;
+  } else {
+    return { expiresAt: null };
+  }
+  return Number.isFinite(expiresAt) && expiresAt > Date.now() ? { expiresAt: Math.round(expiresAt) } : null;
+}
+
+export function isExpired(link) {
+  return !!link.expiresAt && link.expiresAt <= Date.now();
+}
+
+export function isLocked(link) {
+  return !!link.lockedUntil && link.lockedUntil > Date.now();
+}
+
+/**
+ * До какого времени заблокировать ссылку после failedAttempts неверных паролей подряд.
+ * @returns {number|null} null — блокировать не нужно
+ */
+export function lockUntil(failedAttempts, now = Date.now()) {
+  if (!failedAttempts || failedAttempts % PUBLIC_LINK_MAX_ATTEMPTS) return null;
+  const lockouts = failedAttempts / PUBLIC_LINK_MAX_ATTEMPTS;
+  return now + Math.min(LOCK_BASE_MS * 2 ** (lockouts - 1), LOCK_MAX_MS);
+}
+
+/**
+ * Ссылка для ответа владельцу: без хеша пароля, с полным url.
+ * baseUrl — PUBLIC_BASE_URL или адрес, по которому пришёл запрос.
+ */
+export function publicLinkView(link, baseUrl) {
+  return {
+    token: link.token,
+    noteId: link.noteId,
+    url: `${baseUrl.replace(/\/$/, '')}/public/${link.token}`,
+    createdAt: link.createdAt,
+    expiresAt: link.expiresAt || null,
+    hasPassword: !!link.passwordHash,
+    views: link.views || 0,
+    lastViewedAt: link.lastViewedAt || null,
+    failedAttempts: link.failedAttempts || 0,
+    lockedUntil: isLocked(link) ? link.lockedUntil : null
+  };
+}
+
+/**
+ * Базовый адрес для ссылок: PUBLIC_BASE_URL или протокол + хост запроса.
+ */
+export function publicBaseUrl(req) {
+  return process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+}
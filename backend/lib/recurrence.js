@@ -0,0 +1,157 @@
+// lib/recurrence.js
+// Правила повторения напоминаний — подмножество RRULE (RFC 5545).
+//
+// Поддерживается:
+//   FREQ=DAILY|WEEKLY|MONTHLY|YEARLY, INTERVAL=n, BYDAY=MO,TU,... (только для WEEKLY),
+//   COUNT=n или UNTIL=YYYYMMDD[THHMMSSZ].
+// Короткие формы: daily, weekly, monthly, yearly. Префикс "RRULE:" допускается.
+// Первое повторение — сам reminderAt; время суток берётся из него.
+// Повторения считаются по местному времени пользователя (tz, lib/timezone.js): "каждый день
+// в 09:00" остаётся в 09:00 и после перехода на летнее/зимнее время. UNTIL без Z — тоже
+// местное время пользователя; в канонической записи он так и остаётся без Z.
+// Без tz — часовой пояс сервера.
+
+import { zonedParts, zonedTimeToUtc, endOfDay, serverTimeZone } from './timezone.js';
+
+export const RECURRENCE_FREQS = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Защита от бесконечного перебора (например, правила, у которых повторения давно закончились)
+const MAX_ITERATIONS = 10000;
+
+/**
+ * Разбор правила. Возвращает { freq, interval, byDay, count, until, untilLocal } или null,
+ * если правило некорректно. until — timestamp; untilLocal — UNTIL без Z как есть
+ * (until для него посчитан в часовом поясе tz).
+ */
+export function parseRecurrence(value, tz = serverTimeZone()) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const text = value.trim().replace(/^RRULE:/i, '');
+  if (RECURRENCE_FREQS.includes(text.toUpperCase())) {
+    return { freq: text.toUpperCase(), interval: 1, byDay: null, count: null, until: null, untilLocal: null };
+  }
+
+  const rule = { freq: null, interval: 1, byDay: null, count: null, until: null, untilLocal: null };
+  for (const part of text.split(';')) {
+    const [key, raw] = part.split('=');
+    const val = (raw || '').trim().toUpperCase();
+    switch ((key || '').trim().toUpperCase()) {
+      case 'FREQ':
+        if (!RECURRENCE_FREQS.includes(val)) return null;
+        rule.freq = val;
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(val);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 1000) return null;
+        break;
+      case 'BYDAY':
+        rule.byDay = val.split(',').map(d => d.trim());
+        if (!rule.byDay.length || rule.byDay.some(d => !WEEKDAYS.includes(d))) return null;
+        break;
+      case 'COUNT':
+        rule.count = Number(val);
+        if (!Number.isInteger(rule.count) || rule.count < 1) return null;
+        break;
+      case 'UNTIL': {
+        const m = val.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+        if (!m) return null;
+        const date = { year: +m[1], month: +m[2], day: +m[3] };
+        const time = m[4] ? { hour: +m[4], minute: +m[5], second: +m[6] } : null;
+        if (m[7]) {
+          rule.until = Date.UTC(date.year, date.month - 1, date.day, time.hour, time.minute, time.second);
+        } else {
+          // дата без времени — до конца этого дня
+          rule.until = time ? zonedTimeToUtc({ ...date, ...time }, tz) : endOfDay(date, tz);
+          rule.untilLocal = val;
+        }
+        break;
+      }
+      default:
+        return null;
+    }
+  }
+  if (!rule.freq) return null;
+  if (rule.byDay && rule.freq !== 'WEEKLY') return null;
+  if (rule.count && rule.until) return null;
+  return rule;
+}
+
+/**
+ * Каноническая запись правила (как хранится в заметке).
+ */
+export function formatRecurrence(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay) parts.push(`BYDAY=${sortDays(rule.byDay).join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.untilLocal) parts.push(`UNTIL=${rule.untilLocal}`);
+  else if (rule.until) parts.push(`UNTIL=${new Date(rule.until).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  return parts.join(';');
+}
+
+// Дни недели по порядку, неделя начинается с понедельника
+function sortDays(days) {
+  const order = d => (WEEKDAYS.indexOf(d) + 6) % 7;
+  return [...new Set(days)].sort((a, b) => order(a) - order(b));
+}
+
+// Календарный день { year, month, day }, сдвинутый на n дней/месяцев/лет
+// (без часовых поясов: число, переполнившее месяц, переходит в следующий)
+function shift(date, unit, n) {
+  const d = new Date(Date.UTC(date.year, date.month - 1, date.day));
+  if (unit === 'day') d.setUTCDate(d.getUTCDate() + n);
+  if (unit === 'month') d.setUTCMonth(d.getUTCMonth() + n);
+  if (unit === 'year') d.setUTCFullYear(d.getUTCFullYear() + n);
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+// День недели календарного дня (0 — воскресенье)
+function weekday(date) {
+  return new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay();
+}
+
+// Все повторения по порядку, начиная с start (включительно); время суток — местное время start в tz
+function* occurrences(rule, start, tz) {
+  const { hour, minute, second, ...first } = zonedParts(start, tz);
+  const ms = start % 1000;
+  const at = date => zonedTimeToUtc({ ...date, hour, minute, second }, tz) + ms;
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    if (rule.freq === 'DAILY') {
+      yield at(shift(first, 'day', i * rule.interval));
+    } else if (rule.freq === 'WEEKLY') {
+      if (!rule.byDay) {
+        yield at(shift(first, 'day', i * 7 * rule.interval));
+        continue;
+      }
+      // понедельник недели start + i * interval недель
+      const mondayOffset = (weekday(first) + 6) % 7;
+      const weekStart = shift(first, 'day', i * 7 * rule.interval - mondayOffset);
+      for (const day of sortDays(rule.byDay)) {
+        const ts = at(shift(weekStart, 'day', (WEEKDAYS.indexOf(day) + 6) % 7));
+        if (ts >= start) yield ts;
+      }
+    } else {
+      // MONTHLY / YEARLY: месяцы без такого числа (31-е, 29 февраля) пропускаются
+      const unit = rule.freq === 'MONTHLY' ? 'month' : 'year';
+      const date = shift(first, unit, i * rule.interval);
+      if (date.day === first.day) yield at(date);
+    }
+  }
+}
+
+/**
+ * Ближайшее повторение строго после after (или null, если повторений больше нет).
+ * start — первое повторение (reminderAt заметки), tz — часовой пояс пользователя.
+ */
+export function nextOccurrence(rule, start, after, tz = serverTimeZone()) {
+  let n = 0;
+  for (const ts of occurrences(rule, start, tz)) {
+    n++;
+    if (rule.count && n > rule.count) return null;
+    if (rule.until && ts > rule.until) return null;
+    if (ts > after) return ts;
+  }
+  return null;
+}
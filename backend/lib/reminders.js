@@ -0,0 +1,167 @@
+// lib/reminders.js
+// Напоминания по заметкам.
+//
+// У заметки есть поля reminderAt (timestamp, ms) и recurrence (правило повторения,
+// lib/recurrence.js). При каждой записи заметки SQLite-адаптер обновляет строку
+// таблицы reminders — расписание хранится в базе и переживает перезапуск сервера.
+//
+// Планировщик (startReminderScheduler) раз в REMINDER_POLL_SECONDS секунд (по умолчанию 30)
+// берёт наступившие напоминания и отправляет их через уведомители (lib/notifiers.js).
+// После отправки повторяющееся напоминание переносится на следующее повторение,
+// разовое получает status: sent. При ошибке отправка повторяется с растущей паузой,
+// после REMINDER_MAX_ATTEMPTS попыток (по умолчанию 5) — status: failed.
+//
+// Статусы: pending — ждёт отправки; sent — отправлено; dismissed — отклонено пользователем;
+// failed — не удалось доставить; expired — разовое напоминание, поставленное в прошлом
+// больше чем на сутки (например, старая заметка из импорта).
+
+import { parseRecurrence, nextOccurrence } from './recurrence.js';
+import { serverTimeZone } from './timezone.js';
+import { createNotifiers, deliver } from './notifiers.js';
+
+const MINUTE_MS = 60 * 1000;
+const EXPIRE_AFTER_MS = 24 * 60 * MINUTE_MS;
+
+// Отложить напоминание можно не больше чем на 30 дней
+export const SNOOZE_MAX_MINUTES = 30 * 24 * 60;
+export const SNOOZE_DEFAULT_MINUTES = 10;
+
+function getMaxAttempts() {
+  const value = Number(process.env.REMINDER_MAX_ATTEMPTS);
+  return Number.isInteger(value) && value > 0 ? value : 5;
+}
+
+/**
+ * Начальное расписание напоминания заметки: { occurrenceAt, dueAt, status }
+ * или null, если напоминания нет. tz — часовой пояс владельца (повторения — по его местному времени).
+ */
+export function initialSchedule(note, now = Date.now(), tz = serverTimeZone()) {
+  if (!note.reminderAt || note.isDeleted) return null;
+  const rule = parseRecurrence(note.recurrence, tz);
+
+  if (!rule) {
+    const status = note.reminderAt < now - EXPIRE_AFTER_MS ? 'expired' : 'pending';
+    return { occurrenceAt: note.reminderAt, dueAt: note.reminderAt, status };
+  }
+  // прошедшие повторения пропускаем; ближайшее — не раньше текущей минуты
+  const occurrenceAt = note.reminderAt >= now
+    ? note.reminderAt
+    : nextOccurrence(rule, note.reminderAt, now - MINUTE_MS, tz);
+  return occurrenceAt
+    ? { occurrenceAt, dueAt: occurrenceAt, status: 'pending' }
+    : { occurrenceAt: note.reminderAt, dueAt: note.reminderAt, status: 'expired' };
+}
+
+/**
+ * Расписание после отправки или отклонения текущего повторения.
+ * Повторения, пропущенные пока сервер не работал, не отправляются задним числом.
+ * tz — часовой пояс владельца (по умолчанию reminder.tz из user_settings или пояс сервера).
+ */
+export function advanceSchedule(reminder, now = Date.now(), tz = reminder.tz || serverTimeZone()) {
+  const rule = parseRecurrence(reminder.recurrence, tz);
+  const next = rule ? nextOccurrence(rule, reminder.reminderAt, Math.max(reminder.occurrenceAt, now), tz) : null;
+  return next ? { occurrenceAt: next, dueAt: next, status: 'pending' } : null;
+}
+
+/**
+ * Напоминание для ответа клиенту.
+ */
+export function reminderView(reminder) {
+  return {
+    noteId: reminder.noteId,
+    title: reminder.title ?? undefined,
+    reminderAt: reminder.reminderAt,
+    recurrence: reminder.recurrence || null,
+    occurrenceAt: reminder.occurrenceAt,
+    dueAt: reminder.dueAt,
+    status: reminder.status,
+    snoozed: reminder.status === 'pending' && reminder.dueAt !== reminder.occurrenceAt,
+    lastSentAt: reminder.lastSentAt || null
+  };
+}
+
+/**
+ * Отложить напоминание: { minutes } или { until } (timestamp / ISO-строка).
+ * @returns {number|null} новое время отправки или null, если параметры некорректны
+ */
+export function snoozeUntil(body, now = Date.now()) {
+  if (body.until !== undefined && body.until !== null) {
+    const ts = typeof body.until === 'number' ? body.until : Date.parse(body.until);
+    return Number.isFinite(ts) && ts > now && ts <= now + SNOOZE_MAX_MINUTES * MINUTE_MS ? ts : null;
+  }
+  const minutes = body.minutes === undefined ? SNOOZE_DEFAULT_MINUTES : Number(body.minutes);
+  return Number.isFinite(minutes) && minutes > 0 && minutes <= SNOOZE_MAX_MINUTES
+    ? now + Math.round(minutes * MINUTE_MS)
+    : null;
+}
+
+/**
+ * Один проход планировщика: отправка наступивших напоминаний.
+ * @returns {Promise<number>} сколько напоминаний отправлено
+ */
+export async function processDueReminders(adapter, notifiers, now = Date.now()) {
+  const due = await adapter.dueReminders(now, 100);
+  let sent = 0;
+
+  for (const reminder of due) {
+    const notification = {
+      uid: reminder.uid,
+      noteId: reminder.noteId,
+      title: reminder.title || 'Напоминание',
+      body: (reminder.body || '').slice(0, 200),
+      occurrenceAt: reminder.occurrenceAt,
+      recurrence: reminder.recurrence || null
+    };
+
+    let error = null;
+    try {
+      await deliver(notifiers, notification);
+    } catch (e) {
+      error = e;
+    }
+
+    let changes;
+    if (!error) {
+      sent++;
+      changes = { ...(advanceSchedule(reminder, now) || { status: 'sent' }), attempts: 0, lastSentAt: now, lastError: null };
+    } else {
+      const attempts = (reminder.attempts || 0) + 1;
+      console.warn(`[Reminders] Не удалось отправить напоминание по заметке ${reminder.noteId} (попытка ${attempts}):`, error.message);
+      changes = attempts >= getMaxAttempts()
+        ? { ...(advanceSchedule(reminder, now) || { status: 'failed' }), attempts: 0, lastError: error.message }
+        : { dueAt: now + 2 ** (attempts - 1) * MINUTE_MS, attempts, lastError: error.message };
+    }
+    // если заметку или напоминание изменили во время отправки — их расписание важнее
+    await adapter.updateReminder(reminder.noteId, changes, reminder.dueAt);
+  }
+  if (sent) console.log(`[Reminders] Отправлено напоминаний: ${sent}`);
+  return sent;
+}
+
+/**
+ * Запуск планировщика напоминаний.
+ * @returns {() => void} функция остановки
+ */
+export function startReminderScheduler(adapter, notifiers = createNotifiers(adapter)) {
+  const seconds = Number(process.env.REMINDER_POLL_SECONDS);
+  const intervalMs = (Number.isFinite(seconds) && seconds > 0 ? seconds : 30) * 1000;
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueReminders(adapter, notifiers);
+    } catch (e) {
+      console.error('[Reminders] Ошибка планировщика:', e && e.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  console.log(`[Reminders] Планировщик напоминаний: проверка раз в ${intervalMs / 1000} с, уведомители: ${notifiers.map(n => n.name).join(', ')}`);
+  return () => clearInterval(timer);
+}
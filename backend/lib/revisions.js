@@ -0,0 +1,25 @@
+// lib/revisions.js
+// Настройки хранения истории ревизий заметок.
+//
+// Переменные окружения:
+//   REVISIONS_MAX_COUNT    — сколько последних ревизий хранить на заметку (по умолчанию 50);
+//   REVISIONS_MAX_AGE_DAYS — удалять ревизии старше N дней (0 — не удалять по возрасту).
+// Последняя ревизия заметки не удаляется никогда — она нужна как база для слияния.
+//
+// Значения читаются при каждом вызове, а не при импорте модуля:
+// маршруты импортируются раньше, чем server.js загружает .env.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Текущая политика хранения ревизий.
+ * @returns {{ maxCount: number, maxAgeMs: number }} maxAgeMs = 0 — без ограничения по возрасту
+ */
+export function getRevisionRetention() {
+  const maxCount = Number(process.env.REVISIONS_MAX_COUNT);
+  const maxAgeDays = Number(process.env.REVISIONS_MAX_AGE_DAYS);
+  return {
+    maxCount: Number.isFinite(maxCount) && maxCount >= 1 ? Math.floor(maxCount) : 50,
+    maxAgeMs: Number.isFinite(maxAgeDays) && maxAgeDays > 0 ? maxAgeDays * DAY_MS : 0
+  };
+}
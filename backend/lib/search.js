@@ -0,0 +1,241 @@
+// lib/search.js
+// Полнотекстовый поиск по заметкам (параметр q в GET /notes).
+//
+// Синтаксис запроса:
+//   слово            — слово целиком (регистр не важен, кириллица тоже);
+//   слов*            — префикс;
+//   "точная фраза"   — слова подряд;
+//   a b              — оба слова (AND подразумевается);
+//   a OR b           — любое из слов;
+//   -a, NOT a        — исключить слово.
+//
+// Один и тот же разобранный запрос используется:
+//   - в SQLite — переводится в выражение FTS5 MATCH (toFtsQuery);
+//   - в файловом адаптере и для заметок из Firestore — проверяется в JS
+//     (matchesSearch, scoreNote, buildSnippet), чтобы результаты совпадали.
+// Токенизация в JS повторяет FTS5 unicode61 remove_diacritics 2: буквы и цифры,
+// регистр сворачивается для любых алфавитов, диакритика снимается только у латиницы.
+
+export const HIGHLIGHT_OPEN = '<mark>';
+export const HIGHLIGHT_CLOSE = '</mark>';
+export const SNIPPET_ELLIPSIS = '…';
+export const SNIPPET_TOKENS = 12;
+
+// Вес совпадения в заголовке относительно тела (как в bm25(notes_fts, 10.0, 1.0))
+export const TITLE_WEIGHT = 10;
+
+const TOKEN_RE = /[\p{L}\p{N}]+/gu;
+
+// Свёртка токена: нижний регистр + снятие диакритики у латинских букв
+export function foldToken(token) {
+  return token
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/([a-z])\p{M}+/gu, '$1')
+    .normalize('NFC');
+}
+
+// Токены текста с позициями в исходной строке
+function tokenize(text) {
+  const tokens = [];
+  for (const m of String(text || '').matchAll(TOKEN_RE)) {
+    tokens.push({ value: foldToken(m[0]), start: m.index, end: m.index + m[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Разбор строки запроса.
+ * Результат — дизъюнкция групп: [{ include: [term], exclude: [term] }],
+ * где term = { words: string[], prefix: boolean } (words из нескольких слов — фраза).
+ * Группы без положительных условий отбрасываются (FTS5 не умеет «только NOT»).
+ * @returns {Array|null} null — если в запросе нет ни одного условия
+ */
+export function parseSearchQuery(q) {
+  const raw = String(q || '');
+  const parts = raw.match(/-?"[^"]*"?|\S+/g) || [];
+
+  const groups = [{ include: [], exclude: [] }];
+  let negateNext = false;
+
+  for (let part of parts) {
+    if (part === 'OR') { groups.push({ include: [], exclude: [] }); continue; }
+    if (part === 'AND') continue;
+    if (part === 'NOT') { negateNext = true; continue; }
+
+    let negate = negateNext;
+    negateNext = false;
+    if (part.startsWith('-') && part.length > 1) { negate = true; part = part.slice(1); }
+
+    let term;
+    if (part.startsWith('"')) {
+      const words = tokenize(part.replace(/"/g, '')).map(t => t.value);
+      if (!words.length) continue;
+      term = { words, prefix: false };
+    } else {
+      const prefix = part.endsWith('*');
+      const words = tokenize(part).map(t => t.value);
+      if (!words.length) continue;
+      // «foo-bar» токенизируется в два слова — ищем их фразой, как это делает FTS5
+      term = { words, prefix };
+    }
+
+    groups[groups.length - 1][negate ? 'exclude' : 'include'].push(term);
+  }
+
+  const valid = groups.filter(g => g.include.length);
+  return valid.length ? valid : null;
+}
+
+// Термин → строка FTS5 (каждое слово в кавычках, чтобы пользовательский ввод
+// не мог сломать синтаксис MATCH)
+function termToFts(term) {
+  const phrase = `"${term.words.join(' ').replace(/"/g, '""')}"`;
+  return term.prefix ? `${phrase}*` : phrase;
+}
+
+/**
+ * Разобранный запрос → выражение для notes_fts MATCH.
+ */
+export function toFtsQuery(groups) {
+  return groups.map(g => {
+    let expr = `(${g.include.map(termToFts).join(' AND ')})`;
+    for (const term of g.exclude) expr = `(${expr} NOT ${termToFts(term)})`;
+    return expr;
+  }).join(' OR ');
+}
+
+// Позиции вхождений термина в последовательности токенов
+function termPositions(term, tokens) {
+  const positions = [];
+  const n = term.words.length;
+  for (let i = 0; i + n <= tokens.length; i++) {
+    let ok = true;
+    for (let k = 0; k < n; k++) {
+      const isLast = k === n - 1;
+      const token = tokens[i + k].value;
+      const word = term.words[k];
+      if ((isLast && term.prefix) ? !token.startsWith(word) : token !== word) { ok = false; break; }
+    }
+    if (ok) positions.push(i);
+  }
+  return positions;
+}
+
+function termMatches(term, fields) {
+  return fields.some(tokens => termPositions(term, tokens).length > 0);
+}
+
+function groupMatches(group, fields) {
+  return group.include.every(t => termMatches(t, fields)) &&
+    !group.exclude.some(t => termMatches(t, fields));
+}
+
+/**
+ * Подходит ли заметка под разобранный запрос (JS-аналог FTS5 MATCH).
+ */
+export function matchesSearch(note, groups) {
+  const fields = [tokenize(note.title), tokenize(note.body)];
+  return groups.some(g => groupMatches(g, fields));
+}
+
+/**
+ * Релевантность заметки: число вхождений положительных терминов,
+ * совпадения в заголовке весят TITLE_WEIGHT, длинные тексты немного штрафуются.
+ * Чем больше — тем выше в выдаче.
+ */
+export function scoreNote(note, groups) {
+  const title = tokenize(note.title);
+  const body = tokenize(note.body);
+  let score = 0;
+  for (const g of groups) {
+    if (!groupMatches(g, [title, body])) continue;
+    for (const term of g.include) {
+      score += TITLE_WEIGHT * termPositions(term, title).length / Math.sqrt(title.length || 1);
+      score += termPositions(term, body).length / Math.sqrt(body.length || 1);
+    }
+  }
+  return score;
+}
+
+// Участки подсветки: Map(индекс первого токена → индекс последнего токена).
+// Фраза подсвечивается одним участком, как это делает FTS5.
+function highlightSpans(tokens, groups) {
+  const spans = new Map();
+  for (const g of groups) {
+    for (const term of g.include) {
+      for (const pos of termPositions(term, tokens)) {
+        const end = pos + term.words.length - 1;
+        spans.set(pos, Math.max(end, spans.get(pos) ?? end));
+      }
+    }
+  }
+  return spans;
+}
+
+// Вставка тегов подсветки в диапазон токенов [from, to) исходного текста
+function renderTokens(text, tokens, spans, from, to) {
+  let out = '';
+  let cursor = tokens[from].start;
+  for (let i = from; i < to; i++) {
+    const t = tokens[i];
+    out += text.slice(cursor, t.start);
+    if (spans.has(i)) {
+      const last = Math.min(spans.get(i), to - 1);
+      out += HIGHLIGHT_OPEN + text.slice(t.start, tokens[last].end) + HIGHLIGHT_CLOSE;
+      cursor = tokens[last].end;
+      i = last;
+    } else {
+      out += text.slice(t.start, t.end);
+      cursor = t.end;
+    }
+  }
+  return out;
+}
+
+/**
+ * Подсвеченные фрагменты заметки — тот же формат, что у highlight()/snippet() FTS5:
+ *   title — заголовок целиком с <mark>…</mark>;
+ *   body  — окно из SNIPPET_TOKENS токенов вокруг первого совпадения.
+ */
+export function buildSnippet(note, groups) {
+  const title = String(note.title || '');
+  const body = String(note.body || '');
+  const titleTokens = tokenize(title);
+  const bodyTokens = tokenize(body);
+
+  let titleOut = title;
+  const titleMarked = highlightSpans(titleTokens, groups);
+  if (titleMarked.size) {
+    titleOut = title.slice(0, titleTokens[0].start) +
+      renderTokens(title, titleTokens, titleMarked, 0, titleTokens.length) +
+      title.slice(titleTokens[titleTokens.length - 1].end);
+  }
+
+  let bodyOut = '';
+  if (bodyTokens.length) {
+    const bodyMarked = highlightSpans(bodyTokens, groups);
+    const first = bodyMarked.size ? Math.min(...bodyMarked.keys()) : 0;
+    const from = Math.max(0, Math.min(first - Math.floor(SNIPPET_TOKENS / 4), bodyTokens.length - SNIPPET_TOKENS));
+    const to = Math.min(bodyTokens.length, from + SNIPPET_TOKENS);
+    bodyOut = (from > 0 ? SNIPPET_ELLIPSIS : body.slice(0, bodyTokens[0].start)) +
+      renderTokens(body, bodyTokens, bodyMarked, from, to) +
+      (to < bodyTokens.length ? SNIPPET_ELLIPSIS : body.slice(bodyTokens[bodyTokens.length - 1].end));
+  }
+
+  return { title: titleOut, body: bodyOut };
+}
+
+/**
+ * Применить поиск к списку заметок в памяти: фильтр + релевантность + подсветка.
+ * Возвращает новые объекты с полями score и snippet, отсортированные по релевантности
+ * (при равенстве — новые сверху, затем по id — как ORDER BY в sqliteAdapter).
+ */
+export function searchNotes(notes, groups) {
+  return notes
+    .filter(n => matchesSearch(n, groups))
+    .map(n => ({ ...n, score: scoreNote(n, groups), snippet: buildSnippet(n, groups) }))
+    .sort((a, b) => (b.score - a.score) ||
+      ((b.updatedAt || 0) - (a.updatedAt || 0)) ||
+      (a.id < b.id ? 1 : a.id > b.id ? -1 : 0));
+}
@@ -0,0 +1,81 @@
+// lib/sharing.js
+// Совместный доступ к заметкам.
+//
+// Владелец (note.uid) может открыть заметку другому пользователю с ролью:
+//   viewer — только чтение;
+//   editor — чтение и правка содержимого (title, body, tags, date, time).
+// Удалять заметку, перемещать её по блокнотам, ставить напоминания (они приходят владельцу)
+// и управлять доступом может только владелец.
+// Заметка, открытая пользователю, приходит ему в /sync/pull с полем permission.
+
+import admin from 'firebase-admin';
+
+export const SHARE_ROLES = ['viewer', 'editor'];
+
+// Какие роли допускают действие
+const ACCESS_LEVELS = { read: ['viewer', 'editor', 'owner'], write: ['editor', 'owner'], owner: ['owner'] };
+
+/**
+ * Роль пользователя uid по отношению к заметке: owner | editor | viewer | null.
+ */
+export async function noteRole(adapter, note, uid) {
+  if (!note || !uid) return null;
+  if (note.uid === uid) return 'owner';
+  // хранилище без доступов (adapters/registry.js) — заметка видна только владельцу
+  if (!adapter.getShare) return null;
+  const share = await adapter.getShare(note.id, uid);
+  return share ? share.role : null;
+}
+
+/**
+ * Достаточно ли роли для действия: read | write | owner.
+ */
+export function roleAllows(role, access) {
+  return !!role && ACCESS_LEVELS[access].includes(role);
+}
+
+/**
+ * Изменения от не-владельца: поля, которыми распоряжается только владелец,
+ * остаются как в текущей версии заметки.
+ */
+export function keepOwnerFields(note, existing) {
+  note.uid = existing.uid;
+  note.notebookId = existing.notebookId ?? null;
+  note.isDeleted = !!existing.isDeleted;
+  note.reminderAt = existing.reminderAt ?? null;
+  note.recurrence = existing.recurrence ?? null;
+  return note;
+}
+
+function getAuthSafe() {
+  try {
+    return admin.auth();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Получатель доступа по email или uid (через Firebase Auth).
+ * Без Firebase принимается только uid — проверить его не у кого.
+ * @returns {Promise<{ uid: string, email: string|null }|null>} null — пользователь не найден
+ */
+export async function resolveRecipient({ uid, email }) {
+  const auth = getAuthSafe();
+  try {
+    if (email) {
+      if (!auth) return null;
+      const user = await auth.getUserByEmail(String(email).trim());
+      return { uid: user.uid, email: user.email || null };
+    }
+    if (uid) {
+      if (!auth) return { uid: String(uid), email: null };
+      const user = await auth.getUser(String(uid));
+      return { uid: user.uid, email: user.email || null };
+    }
+  } catch (e) {
+    if (e && e.code === 'auth/user-not-found') return null;
+    throw e;
+  }
+  return null;
+}
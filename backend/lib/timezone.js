@@ -0,0 +1,139 @@
+// lib/timezone.js
+// Часовые пояса (IANA, например Europe/Moscow) без сторонних библиотек — через Intl.
+//
+// Дата заметки (поле date) — timestamp, время (поле time) — строка "HH:MM" по местному
+// времени пользователя. Чтобы получить календарный день и момент начала в нужном поясе,
+// timestamp раскладывается на части (zonedParts), а местное время собирается обратно
+// в timestamp (zonedTimeToUtc).
+//
+// Часовой пояс запроса (resolveTimeZone): параметр ?tz=, иначе настройка пользователя
+// (PUT /settings { tz }), иначе пояс сервера. Границы дня (фильтры dateFrom/dateTo,
+// экспорт, календарь) считаются в этом поясе.
+
+const HALF_DAY_MS = 12 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function getFormatter(tz) {
+  if (!formatters.has(tz)) {
+    formatters.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  return formatters.get(tz);
+}
+
+/**
+ * Известен ли часовой пояс (имя IANA).
+ */
+export function isValidTimeZone(tz) {
+  if (typeof tz !== 'string' || !tz || tz.length > 64) return false;
+  try {
+    getFormatter(tz);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Часовой пояс сервера (TZ или системный), по умолчанию для пользователей без настройки.
+ */
+export function serverTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Части даты в часовом поясе: { year, month (1–12), day, hour, minute, second }.
+ */
+export function zonedParts(timestamp, tz) {
+  const parts = {};
+  for (const { type, value } of getFormatter(tz).formatToParts(new Date(timestamp))) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return {
+    year: parts.year, month: parts.month, day: parts.day,
+    hour: parts.hour, minute: parts.minute, second: parts.second
+  };
+}
+
+// Смещение пояса относительно UTC (ms) в момент timestamp
+function offsetAt(timestamp, tz) {
+  const p = zonedParts(timestamp, tz);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Местное время в часовом поясе → timestamp.
+ * Для несуществующего времени (переход на летнее) берётся момент после перехода,
+ * для повторяющегося (переход на зимнее) — первый из двух.
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, tz) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  // смещения до и после возможного перехода (переходы не бывают чаще раза в сутки)
+  const before = asUtc - offsetAt(asUtc - HALF_DAY_MS, tz);
+  const after = asUtc - offsetAt(asUtc + HALF_DAY_MS, tz);
+  const matches = ts => {
+    const p = zonedParts(ts, tz);
+    return p.year === year && p.month === month && p.day === day &&
+      p.hour === hour && p.minute === minute && p.second === second;
+  };
+  const valid = [before, after].filter(matches);
+  // нет подходящего момента — время попало в "дыру": смещение до перехода даёт время после него
+  return valid.length ? Math.min(...valid) : before;
+}
+
+/**
+ * Время "HH:MM" или "HH:MM:SS" → { hour, minute, second } или null.
+ */
+export function parseTimeOfDay(value) {
+  const m = typeof value === 'string' && value.trim().match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (!m) return null;
+  const [hour, minute, second] = [Number(m[1]), Number(m[2]), Number(m[3] || 0)];
+  return hour < 24 && minute < 60 && second < 60 ? { hour, minute, second } : null;
+}
+
+/**
+ * Дата "YYYY-MM-DD" → { year, month, day } или null (в т.ч. для несуществующих дат вроде 2025-02-30).
+ */
+export function parseLocalDate(value) {
+  const m = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return null;
+  const [year, month, day] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return d.getUTCFullYear() === year && d.getUTCMonth() === month - 1 && d.getUTCDate() === day
+    ? { year, month, day }
+    : null;
+}
+
+/**
+ * Первая миллисекунда дня в часовом поясе.
+ */
+export function startOfDay({ year, month, day }, tz) {
+  return zonedTimeToUtc({ year, month, day }, tz);
+}
+
+/**
+ * Последняя миллисекунда дня в часовом поясе (день бывает 23 или 25 часов — при переходе на летнее/зимнее время).
+ */
+export function endOfDay({ year, month, day }, tz) {
+  const next = new Date(Date.UTC(year, month - 1, day + 1));
+  return zonedTimeToUtc({ year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() }, tz) - 1;
+}
+
+/**
+ * Часовой пояс для запроса пользователя: requested (?tz=), настройка пользователя или пояс сервера.
+ * @returns {Promise<string|null>} null — requested задан, но такого пояса нет
+ */
+export async function resolveTimeZone(adapter, uid, requested) {
+  if (requested !== undefined && requested !== null && requested !== '') {
+    return isValidTimeZone(requested) ? requested : null;
+  }
+  // хранилище без настроек пользователей (adapters/registry.js) — пояс сервера
+  const settings = uid && adapter.getUserSettings ? await adapter.getUserSettings(uid) : null;
+  return (settings && settings.tz) || serverTimeZone();
+}
@@ -0,0 +1,74 @@
+// lib/trash.js
+// Автоочистка корзины.
+//
+// Заметки, удалённые (isDeleted) больше TRASH_RETENTION_DAYS дней назад (по умолчанию 30),
+// удаляются окончательно через adapter.remove — из SQLite, файлов и Firestore.
+// Проверка запускается при старте сервера и затем раз в TRASH_PURGE_INTERVAL_MINUTES
+// минут (по умолчанию 60). Заодно удаляются файлы вложений, на которые больше
+// нет ссылок (collectOrphanBlobs).
+
+import { collectOrphanBlobs } from './attachments.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Сколько дней заметка хранится в корзине.
+ * @returns {number}
+ */
+export function getTrashRetentionDays() {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : 30;
+}
+
+/**
+ * Когда заметка будет удалена из корзины окончательно (timestamp) или null.
+ */
+export function purgeAtFor(note) {
+  if (!note.isDeleted || !note.deletedAt) return null;
+  return note.deletedAt + getTrashRetentionDays() * DAY_MS;
+}
+
+/**
+ * Один проход очистки корзины.
+ * @returns {Promise<number>} сколько заметок удалено
+ */
+export async function purgeExpiredTrash(adapter) {
+  const before = Date.now() - getTrashRetentionDays() * DAY_MS;
+  const expired = await adapter.findExpiredTrash(before);
+
+  let purged = 0;
+  for (const { id } of expired) {
+    try {
+      if (await adapter.remove(id)) purged++;
+    } catch (e) {
+      console.error(`[Trash] Ошибка при окончательном удалении заметки ${id}:`, e && e.message);
+    }
+  }
+  if (purged) console.log(`[Trash] Корзина очищена: удалено заметок ${purged}`);
+
+  try {
+    await collectOrphanBlobs(adapter);
+  } catch (e) {
+    console.error('[Trash] Ошибка очистки файлов вложений:', e && e.message);
+  }
+  return purged;
+}
+
+/**
+ * Запуск периодической очистки корзины.
+ * @returns {() => void} функция остановки
+ */
+export function startTrashPurge(adapter) {
+  const minutes = Number(process.env.TRASH_PURGE_INTERVAL_MINUTES);
+  const intervalMs = (Number.isFinite(minutes) && minutes > 0 ? minutes : 60) * 60 * 1000;
+
+  const run = () => purgeExpiredTrash(adapter).catch(e => {
+    console.error('[Trash] Ошибка автоочистки корзины:', e && e.message);
+  });
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  console.log(`[Trash] Автоочистка корзины: хранение ${getTrashRetentionDays()} дн., проверка раз в ${intervalMs / 60000} мин.`);
+  return () => clearInterval(timer);
+}
@@ -9,9 +9,10 @@
 //   1. Проверить, что клиент прислал заголовок Authorization: Bearer <idToken>.
 //   2. Верифицировать токен через Firebase Admin.
 //   3. При успехе → добавить req.user (uid/email).
-//   4. Если невалиден → вернуть 401 Unauthorized.
+//   4. Если невалиден → вернуть 401 Unauthorized (в общем формате ошибок, lib/errors.js).
 
 import admin from 'firebase-admin';
+import { sendError } from '../lib/errors.js';
 
 /**
  * authMiddleware
@@ -33,23 +34,33 @@ export async function authMiddleware(req, res, next) {
   // Достаём заголовок Authorization
   const header = req.headers['authorization'] || req.headers['Authorization'];
   if (!header) {
-    return res.status(401).json({
-      error: 'unauthorized',
-      reason: 'no_authorization_header'
-    });
+    return sendError(res, 401, 'unauthorized', { reason: 'no_authorization_header' });
   }
 
   // Проверяем формат: "Bearer <token>"
   const parts = header.split(' ');
   if (parts.length !== 2 || parts[0].toLowerCase() !== 'bearer') {
-    return res.status(401).json({
-      error: 'unauthorized',
-      reason: 'bad_authorization_format'
-    });
+    return sendError(res, 401, 'unauthorized', { reason: 'bad_authorization_format' });
   }
 
-  const token = parts[1];
+  return verifyToken(parts[1], req, res, next);
+}
+
+/**
+ * streamAuthMiddleware
+ * -------------------------------
+ * То же, что authMiddleware, но токен можно передать и в query: ?access_token=<idToken>.
+ * Нужен для GET /sync/stream: браузерный EventSource не умеет отправлять заголовки.
+ * Заголовок Authorization, если он есть, важнее query.
+ */
+export async function streamAuthMiddleware(req, res, next) {
+  const header = req.headers['authorization'];
+  if (header || !req.query.access_token) return authMiddleware(req, res, next);
+  return verifyToken(String(req.query.access_token), req, res, next);
+}
 
+// Проверка Firebase ID token и установка req.user
+async function verifyToken(token, req, res, next) {
   try {
     // 🔑 Firebase Admin проверяет подпись токена и возвращает payload:
     //   { uid: "...", email: "...", auth_time: ..., exp: ... }
@@ -62,6 +73,20 @@ export async function authMiddleware(req, res, next) {
     next();
   } catch (err) {
     console.error('[Auth] Token verification failed:', err && err.message);
-    return res.status(401).json({ error: 'invalid_token' });
+    return sendError(res, 401, 'invalid_token');
   }
 }
+
+/**
+ * adminMiddleware
+ * -------------------------------
+ * Доступ к служебным маршрутам /admin. Ставится после authMiddleware.
+ * Администратор — пользователь с custom claim admin: true
+ * или с uid из переменной ADMIN_UIDS (через запятую).
+ */
+export function adminMiddleware(req, res, next) {
+  const admins = (process.env.ADMIN_UIDS || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (req.user && (req.user.admin === true || admins.includes(req.user.uid))) return next();
+  console.warn(`[Auth] Отказано в доступе к ${req.originalUrl} — пользователь ${req.user && req.user.uid} не администратор`);
+  return sendError(res, 403, 'forbidden');
+}
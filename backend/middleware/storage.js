@@ -0,0 +1,24 @@
+// middleware/storage.js
+// ==================
+// Проверка возможностей хранилища (adapters/registry.js) перед маршрутом.
+// Если выбранное STORAGE не умеет нужного (например, история ревизий есть только
+// у SQLite) — 501 not_implemented вместо 500 на середине запроса.
+
+import { hasCapability } from '../adapters/registry.js';
+import { sendError } from '../lib/errors.js';
+
+/**
+ * requireCapability(adapter, ...names)
+ * -------------------------------
+ * Использование:
+ *   router.get('/:id/revisions', requireCapability(adapter, 'revisions'), handler);
+ *   app.use('/reminders', requireCapability(adapter, 'reminders'), remindersRouter);
+ */
+export function requireCapability(adapter, ...names) {
+  const missing = names.filter(name => !hasCapability(adapter, name));
+  return (req, res, next) => {
+    if (!missing.length) return next();
+    console.warn(`[Storage] ${req.method} ${req.originalUrl}: хранилище не поддерживает ${missing.join(', ')}`);
+    return sendError(res, 501, 'not_implemented', { capability: missing[0] });
+  };
+}
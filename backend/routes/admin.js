@@ -0,0 +1,193 @@
+// routes/admin.js
+// Служебные маршруты администратора (/admin). Экспортирует функцию registerAdminRoutes(adapter).
+// Доступ — только администраторам (adminMiddleware в middleware/auth.js).
+//
+// - GET  /admin/replication           — состояние очереди записей в Firestore (lib/outbox.js):
+//                                       сколько записей ждёт отправки, отставание (lagMs),
+//                                       последняя ошибка и отчёт сверки; ?limit= — сколько
+//                                       неудавшихся записей (failed) показать (по умолчанию 50);
+// - POST /admin/replication/retry     — вернуть неудавшиеся записи в очередь
+//                                       ({ ids: [...] } — только эти, без тела — все);
+// - POST /admin/replication/reconcile — сверить SQLite с Firestore прямо сейчас.
+// Маршруты репликации есть только у STORAGE=dual (у остальных — 501).
+//
+// - GET  /admin/fsck                  — сравнить копии заметок в SQLite, файлах и Firestore
+//                                       (lib/fsck.js): отсутствующие, расходящиеся, повреждённые;
+//                                       ?uid= — только заметки пользователя, ?source= — эталон
+//                                       (newest по умолчанию | sqlite | file | firestore);
+// - POST /admin/fsck/repair           — то же и перезаписать проблемные копии эталоном
+//                                       ({ source?, uid? }).
+// Те же проверки без сервера — node tools/fsck.js.
+//
+// - GET  /admin/backups               — список резервных копий (data/backups, lib/backup.js);
+// - POST /admin/backups               — сделать копию сейчас ({ uid } — только заметки пользователя,
+//                                       { users: true } — полная копия с users/<uid>.json);
+// - POST /admin/backups/:name/restore — вернуть заметки пользователя к состоянию копии
+//                                       ({ uid, dryRun? }), остальные пользователи не затрагиваются.
+// Базу целиком можно восстановить только при остановленном сервере: node tools/backup.js restore.
+
+import express from 'express';
+import path from 'path';
+import { outboxStatus, reconcile, wakeOutbox } from '../lib/outbox.js';
+import { getFirestore } from '../lib/firestore.js';
+import { sendError } from '../lib/errors.js';
+import { requireCapability } from '../middleware/storage.js';
+import { checkConsistency, fsckStores, REPAIR_SOURCES } from '../lib/fsck.js';
+import { createBackup, listBackups, restoreUser, rotateBackups, backupDir, isBackupName } from '../lib/backup.js';
+
+// Запись очереди для ответа (без данных документа — они бывают большими)
+function outboxEntryView(entry) {
+  return {
+    id: entry.id,
+    collection: entry.collection,
+    docId: entry.docId,
+    op: entry.op,
+    status: entry.status,
+    attempts: entry.attempts,
+    nextAttemptAt: entry.nextAttemptAt,
+    lastError: entry.lastError,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt
+  };
+}
+
+// Параметры проверки: { source, uid } или null, если эталон не из списка хранилищ
+function fsckOptions(params, stores) {
+  const source = params.source === undefined ? 'newest' : params.source;
+  if (!REPAIR_SOURCES.includes(source) || (source !== 'newest' && !stores.includes(source))) return null;
+  return { source, uid: params.uid ? String(params.uid) : null };
+}
+
+/**
+ * storage — значение STORAGE: по нему fsck выбирает, какие хранилища сверять, а копия — что копировать;
+ * dataDir — каталог данных (копии — в dataDir/backups).
+ */
+export function registerAdminRoutes(adapter, { storage, dataDir } = {}) {
+  const router = express.Router();
+  const stores = () => fsckStores(storage);
+
+  // -----------------------
+  // GET /admin/replication
+  router.get('/replication', requireCapability(adapter, 'replication'), async (req, res) => {
+    try {
+      const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+        return sendError(res, 400, 'invalid_limit');
+      }
+      const status = await outboxStatus(adapter);
+      const failedItems = await adapter.listOutbox({ status: 'failed', limit });
+      res.json({ ...status, failedItems: failedItems.map(outboxEntryView) });
+    } catch (e) {
+      console.error('[GET /admin/replication] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  });
+
+  // -----------------------
+  // POST /admin/replication/retry
+  router.post('/replication/retry', requireCapability(adapter, 'replication'), async (req, res) => {
+    try {
+      const ids = (req.body || {}).ids;
+      if (ids !== undefined && (!Array.isArray(ids) || !ids.length || !ids.every(Number.isInteger))) {
+        return sendError(res, 400, 'invalid_ids');
+      }
+      const retried = await adapter.retryOutbox(ids || null);
+      if (retried) wakeOutbox();
+      console.log(`[POST /admin/replication/retry] ${req.user.uid} вернул в очередь записей: ${retried}`);
+      res.json({ retried });
+    } catch (e) {
+      console.error('[POST /admin/replication/retry] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  });
+
+  // -----------------------
+  // POST /admin/replication/reconcile
+  router.post('/replication/reconcile', requireCapability(adapter, 'replication'), async (req, res) => {
+    try {
+      if (!getFirestore()) return sendError(res, 409, 'firestore_unavailable');
+      const report = await reconcile(adapter);
+      console.log(`[POST /admin/replication/reconcile] Сверку запустил ${req.user.uid}`);
+      res.json(report);
+    } catch (e) {
+      console.error('[POST /admin/replication/reconcile] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  });
+
+  // -----------------------
+  // GET /admin/fsck
+  router.get('/fsck', async (req, res) => {
+    try {
+      const options = fsckOptions(req.query, stores());
+      if (!options) return sendError(res, 400, 'invalid_fsck_source', { sources: ['newest', ...stores()] });
+      res.json(await checkConsistency({ stores: stores(), ...options }));
+    } catch (e) {
+      console.error('[GET /admin/fsck] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  });
+
+  // -----------------------
+  // POST /admin/fsck/repair
+  router.post('/fsck/repair', async (req, res) => {
+    try {
+      const options = fsckOptions(req.body || {}, stores());
+      if (!options) return sendError(res, 400, 'invalid_fsck_source', { sources: ['newest', ...stores()] });
+      const report = await checkConsistency({ stores: stores(), ...options, repair: true });
+      console.log(`[POST /admin/fsck/repair] ${req.user.uid} исправил заметок: ${report.summary.repaired} (эталон ${options.source})`);
+      res.json(report);
+    } catch (e) {
+      console.error('[POST /admin/fsck/repair] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  });
+
+  // -----------------------
+  // GET /admin/backups
+  router.get('/backups', async (req, res) => {
+    try {
+      res.json({ backups: await listBackups(dataDir) });
+    } catch (e) {
+      console.error('[GET /admin/backups] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  });
+
+  // -----------------------
+  // POST /admin/backups
+  router.post('/backups', async (req, res) => {
+    try {
+      const { uid, users } = req.body || {};
+      if (uid !== undefined && (typeof uid !== 'string' || !uid)) return sendError(res, 400, 'uid_required');
+      const backup = await createBackup(adapter, { dataDir, storage, uid: uid || null, users: users === true });
+      if (!uid) await rotateBackups(dataDir);
+      console.log(`[POST /admin/backups] ${req.user.uid} создал копию ${backup.name}`);
+      res.status(201).json(backup);
+    } catch (e) {
+      console.error('[POST /admin/backups] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  });
+
+  // -----------------------
+  // POST /admin/backups/:name/restore
+  router.post('/backups/:name/restore', async (req, res) => {
+    try {
+      const { uid, dryRun } = req.body || {};
+      if (typeof uid !== 'string' || !uid) return sendError(res, 400, 'uid_required');
+      const { name } = req.params;
+      const backups = await listBackups(dataDir);
+      if (!isBackupName(name) || !backups.some(b => b.name === name)) return sendError(res, 404, 'backup_not_found');
+
+      const result = await restoreUser(adapter, path.join(backupDir(dataDir), name), uid, { dryRun: dryRun === true });
+      console.log(`[POST /admin/backups/:name/restore] ${req.user.uid} ${dryRun === true ? 'проверил' : 'выполнил'} восстановление ${uid} из ${name}`);
+      res.json({ backup: name, uid, ...result });
+    } catch (e) {
+      console.error('[POST /admin/backups/:name/restore] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,164 @@
+// routes/calendar.js
+// Календарная подписка на заметки с датой (iCalendar, lib/calendar.js).
+//
+// registerCalendarFeedRoutes(adapter) — сама подписка, без авторизации (адрес содержит
+// секретный токен; календарные приложения не умеют передавать Firebase-токен):
+// - GET /calendar/:token.ics — заметки пользователя в формате .ics. Часовой пояс: ?tz=,
+//   пояс подписки (если задан), иначе пояс пользователя (PUT /settings).
+//
+// registerCalendarRoutes(adapter) — управление подпиской (под authMiddleware):
+// - GET    /calendar/feed — адрес подписки и часовой пояс;
+// - POST   /calendar/feed — включить подписку или выпустить новый адрес ({ tz? });
+//                           старый адрес перестаёт работать;
+// - PUT    /calendar/feed — сменить часовой пояс подписки ({ tz }; null — пояс пользователя);
+// - DELETE /calendar/feed — отключить подписку.
+
+import express from 'express';
+import { buildCalendar } from '../lib/calendar.js';
+import { isValidTimeZone, resolveTimeZone } from '../lib/timezone.js';
+import { generateToken, publicBaseUrl } from '../lib/publicLinks.js';
+
+// Подписка для ответа клиенту; tz: null — используется пояс пользователя
+function feedView(feed, req) {
+  return {
+    url: `${publicBaseUrl(req)}/calendar/${feed.token}.ics`,
+    tz: feed.tz || null,
+    createdAt: feed.createdAt,
+    updatedAt: feed.updatedAt
+  };
+}
+
+export function registerCalendarFeedRoutes(adapter) {
+  const router = express.Router();
+
+  // -----------------------
+  // GET /calendar/:token.ics
+  router.get('/:token.ics', async (req, res) => {
+    try {
+      const feed = await adapter.getCalendarFeedByToken(req.params.token);
+      if (!feed) {
+        console.warn('[GET /calendar/:token.ics] Подписка не найдена (отключена или адрес устарел)');
+        return res.status(404).json({ error: 'not_found' });
+      }
+
+      const tz = await resolveTimeZone(adapter, feed.uid, req.query.tz || feed.tz);
+      if (!tz) {
+        return res.status(400).json({ error: 'invalid_timezone' });
+      }
+
+      const notes = await adapter.find({ uid: feed.uid });
+      const ics = buildCalendar(notes, { tz });
+      console.log(`[GET /calendar/:token.ics] Подписка пользователя ${feed.uid}: заметок ${notes.length}, пояс ${tz}`);
+
+      // календарь перепроверяет подписку по ETag (Express ответит 304, если ничего не изменилось)
+      res.setHeader('Cache-Control', 'private, no-cache');
+      res.setHeader('Content-Disposition', 'inline; filename="notes.ics"');
+      res.type('text/calendar; charset=utf-8').send(ics);
+    } catch (e) {
+      console.error('[GET /calendar/:token.ics] Ошибка:', e && e.message);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  return router;
+}
+
+export function registerCalendarRoutes(adapter) {
+  const router = express.Router();
+
+  // -----------------------
+  // GET /calendar/feed
+  router.get('/feed', async (req, res) => {
+    try {
+      if (!req.user || !req.user.uid) {
+        console.warn('[GET /calendar/feed] Отказано — пользователь не авторизован');
+        return res.status(401).json({ error: 'unauthorized' });
+      }
+      const feed = await adapter.getCalendarFeed(req.user.uid);
+      if (!feed) {
+        return res.status(404).json({ error: 'feed_not_found' });
+      }
+      res.json(feedView(feed, req));
+    } catch (e) {
+      console.error('[GET /calendar/feed] Ошибка:', e && e.message);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // -----------------------
+  // POST /calendar/feed
+  // Ответ: 201 — подписка создана, 200 — выпущен новый адрес
+  router.post('/feed', async (req, res) => {
+    try {
+      if (!req.user || !req.user.uid) {
+        console.warn('[POST /calendar/feed] Отказано — пользователь не авторизован');
+        return res.status(401).json({ error: 'unauthorized' });
+      }
+      const body = req.body || {};
+      if (body.tz !== undefined && body.tz !== null && !isValidTimeZone(body.tz)) {
+        return res.status(400).json({ error: 'invalid_timezone' });
+      }
+
+      const existing = await adapter.getCalendarFeed(req.user.uid);
+      const now = Date.now();
+      const feed = await adapter.saveCalendarFeed({
+        uid: req.user.uid,
+        token: generateToken(),
+        tz: body.tz ?? (existing ? existing.tz : null),
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now
+      });
+      console.log(`[POST /calendar/feed] Пользователь ${req.user.uid} ${existing ? 'выпустил новый адрес подписки' : 'включил подписку'}`);
+      res.status(existing ? 200 : 201).json(feedView(feed, req));
+    } catch (e) {
+      console.error('[POST /calendar/feed] Ошибка:', e && e.message);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // -----------------------
+  // PUT /calendar/feed
+  router.put('/feed', async (req, res) => {
+    try {
+      if (!req.user || !req.user.uid) {
+        console.warn('[PUT /calendar/feed] Отказано — пользователь не авторизован');
+        return res.status(401).json({ error: 'unauthorized' });
+      }
+      const tz = req.body ? req.body.tz : undefined;
+      if (tz !== null && !isValidTimeZone(tz)) {
+        return res.status(400).json({ error: 'invalid_timezone' });
+      }
+
+      const existing = await adapter.getCalendarFeed(req.user.uid);
+      if (!existing) {
+        return res.status(404).json({ error: 'feed_not_found' });
+      }
+      const feed = await adapter.saveCalendarFeed({ ...existing, tz, updatedAt: Date.now() });
+      res.json(feedView(feed, req));
+    } catch (e) {
+      console.error('[PUT /calendar/feed] Ошибка:', e && e.message);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // -----------------------
+  // DELETE /calendar/feed
+  router.delete('/feed', async (req, res) => {
+    try {
+      if (!req.user || !req.user.uid) {
+        console.warn('[DELETE /calendar/feed] Отказано — пользователь не авторизован');
+        return res.status(401).json({ error: 'unauthorized' });
+      }
+      if (!(await adapter.removeCalendarFeed(req.user.uid))) {
+        return res.status(404).json({ error: 'feed_not_found' });
+      }
+      console.log(`[DELETE /calendar/feed] Пользователь ${req.user.uid} отключил подписку`);
+      res.json({ ok: true });
+    } catch (e) {
+      console.error('[DELETE /calendar/feed] Ошибка:', e && e.message);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  return router;
+}
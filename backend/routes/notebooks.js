@@ -0,0 +1,225 @@
+// routes/notebooks.js
+// Блокноты (папки) для заметок (/notebooks).
+// Экспортирует функцию registerNotebooksRoutes(adapter); adapter должен предоставлять
+// getNotebook(id), upsertNotebook(notebook), findNotebooks(filters), а также
+// find/upsert/transaction для заметок (удаление блокнота переносит заметки в корзину).
+//
+// - GET    /notebooks           — список блокнотов (?includeDeleted=1 — вместе с удалёнными);
+// - GET    /notebooks/tree      — дерево [{ ...notebook, noteCount, children }];
+// - GET    /notebooks/:id       — блокнот;
+// - POST   /notebooks           — создать: { name, parentId? };
+// - PUT    /notebooks/:id       — переименовать / переместить: { name?, parentId? };
+// - POST   /notebooks/:id/move  — переместить: { parentId } (null — на верхний уровень);
+// - DELETE /notebooks/:id       — удалить вместе с вложенными, заметки — в корзину
+//                                  (нужны транзакции хранилища, иначе 501).
+//
+// Заметки блокнота: GET /notes?notebookId=<id>[&recursive=1].
+
+import express from 'express';
+import {
+  normalizeNotebookName, normalizeNotebookInput, findOwnedNotebook,
+  wouldCreateCycle, buildNotebookTree, trashNotebook
+} from '../lib/notebooks.js';
+import { requireCapability } from '../middleware/storage.js';
+
+export function registerNotebooksRoutes(adapter) {
+  const router = express.Router();
+
+  // -----------------------
+  // Загрузка блокнота с проверкой авторизации и владения.
+  // Если доступа нет — сам отправляет ответ с ошибкой и возвращает null.
+  async function getOwnedNotebook(req, res, logTag) {
+    if (!req.user || !req.user.uid) {
+      console.warn(`[${logTag}] Отказано — пользователь не авторизован`);
+      res.status(401).json({ error: 'unauthorized' });
+      return null;
+    }
+
+    const notebook = await adapter.getNotebook(req.params.id);
+    if (!notebook || notebook.isDeleted) {
+      console.log(`[${logTag}] Блокнот ${req.params.id} не найден`);
+      res.status(404).json({ error: 'not_found' });
+      return null;
+    }
+
+    if (notebook.uid !== req.user.uid) {
+      console.warn(`[${logTag}] Доступ к блокноту ${req.params.id} запрещён — не принадлежит пользователю ${req.user.uid}`);
+      res.status(403).json({ error: 'forbidden' });
+      return null;
+    }
+    return notebook;
+  }
+
+  // Проверка нового родителя блокнота. Возвращает код ошибки или null.
+  async function checkParent(notebook, parentId, uid) {
+    if (!parentId) return null;
+    if (!(await findOwnedNotebook(adapter, parentId, uid))) return 'invalid_parent';
+    const all = await adapter.findNotebooks({ uid });
+    return wouldCreateCycle(all, notebook.id, parentId) ? 'notebook_cycle' : null;
+  }
+
+  // -----------------------
+  // GET /notebooks
+  router.get('/', async (req, res) => {
+    try {
+      if (!req.user || !req.user.uid) {
+        console.warn('[GET /notebooks] Отказано — пользователь не авторизован');
+        return res.status(401).json({ error: 'unauthorized' });
+      }
+
+      const includeDeleted = req.query.includeDeleted === '1' || req.query.includeDeleted === 'true';
+      const notebooks = await adapter.findNotebooks({ uid: req.user.uid, includeDeleted });
+      console.log(`[GET /notebooks] Пользователь ${req.user.uid}: блокнотов ${notebooks.length}`);
+      res.json(notebooks);
+    } catch (e) {
+      console.error('[GET /notebooks] Ошибка:', e && e.message);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // -----------------------
+  // GET /notebooks/tree
+  // Вложенное дерево блокнотов; noteCount — число заметок непосредственно в блокноте
+  // (объявлен до /:id, иначе "tree" воспримется как id)
+  router.get('/tree', async (req, res) => {
+    try {
+      if (!req.user || !req.user.uid) {
+        console.warn('[GET /notebooks/tree] Отказано — пользователь не авторизован');
+        return res.status(401).json({ error: 'unauthorized' });
+      }
+
+      const notebooks = await adapter.findNotebooks({ uid: req.user.uid });
+      const notes = await adapter.find({ uid: req.user.uid, fields: ['id', 'notebookId'] });
+      const counts = new Map();
+      for (const n of notes) {
+        if (n.notebookId) counts.set(n.notebookId, (counts.get(n.notebookId) || 0) + 1);
+      }
+
+      res.json(buildNotebookTree(notebooks, counts));
+    } catch (e) {
+      console.error('[GET /notebooks/tree] Ошибка:', e && e.message);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // -----------------------
+  // GET /notebooks/:id
+  router.get('/:id', async (req, res) => {
+    try {
+      const notebook = await getOwnedNotebook(req, res, 'GET /notebooks/:id');
+      if (!notebook) return;
+      res.json(notebook);
+    } catch (e) {
+      console.error('[GET /notebooks/:id] Ошибка:', e && e.message);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // -----------------------
+  // POST /notebooks
+  // Создать блокнот: { name, parentId? }
+  router.post('/', async (req, res) => {
+    try {
+      if (!req.user || !req.user.uid) {
+        console.warn('[POST /notebooks] Отказано — пользователь не авторизован');
+        return res.status(401).json({ error: 'unauthorized' });
+      }
+
+      const notebook = normalizeNotebookInput({ ...req.body, isDeleted: false }, req.user);
+      if (!normalizeNotebookName(req.body.name)) {
+        return res.status(400).json({ error: 'invalid_name' });
+      }
+      if (req.body.id && await adapter.getNotebook(String(req.body.id))) {
+        return res.status(409).json({ error: 'already_exists' });
+      }
+      const parentError = await checkParent(notebook, notebook.parentId, req.user.uid);
+      if (parentError) {
+        return res.status(parentError === 'notebook_cycle' ? 409 : 400).json({ error: parentError });
+      }
+
+      await adapter.upsertNotebook(notebook);
+      console.log(`[POST /notebooks] Пользователь ${req.user.uid} создал блокнот ${notebook.id}`);
+      res.status(201).json(notebook);
+    } catch (e) {
+      console.error('[POST /notebooks] Ошибка:', e && e.message);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // -----------------------
+  // PUT /notebooks/:id
+  // Переименование и/или перемещение: { name?, parentId? }
+  router.put('/:id', async (req, res) => {
+    try {
+      const notebook = await getOwnedNotebook(req, res, 'PUT /notebooks/:id');
+      if (!notebook) return;
+
+      if (req.body.name !== undefined) {
+        const name = normalizeNotebookName(req.body.name);
+        if (!name) {
+          return res.status(400).json({ error: 'invalid_name' });
+        }
+        notebook.name = name;
+      }
+      if (req.body.parentId !== undefined) {
+        const parentError = await checkParent(notebook, req.body.parentId, req.user.uid);
+        if (parentError) {
+          return res.status(parentError === 'notebook_cycle' ? 409 : 400).json({ error: parentError });
+        }
+        notebook.parentId = req.body.parentId || null;
+      }
+
+      notebook.updatedAt = Date.now();
+      await adapter.upsertNotebook(notebook);
+      console.log(`[PUT /notebooks/:id] Пользователь ${req.user.uid} обновил блокнот ${notebook.id}`);
+      res.json(notebook);
+    } catch (e) {
+      console.error('[PUT /notebooks/:id] Ошибка:', e && e.message);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // -----------------------
+  // POST /notebooks/:id/move
+  // Перемещение блокнота: { parentId } — нельзя переместить в самого себя или во вложенный
+  router.post('/:id/move', async (req, res) => {
+    try {
+      const notebook = await getOwnedNotebook(req, res, 'POST /notebooks/:id/move');
+      if (!notebook) return;
+
+      const parentId = req.body.parentId || null;
+      const parentError = await checkParent(notebook, parentId, req.user.uid);
+      if (parentError) {
+        return res.status(parentError === 'notebook_cycle' ? 409 : 400).json({ error: parentError });
+      }
+
+      notebook.parentId = parentId;
+      notebook.updatedAt = Date.now();
+      await adapter.upsertNotebook(notebook);
+      console.log(`[POST /notebooks/:id/move] Пользователь ${req.user.uid} переместил блокнот ${notebook.id} в ${parentId || 'корень'}`);
+      res.json(notebook);
+    } catch (e) {
+      console.error('[POST /notebooks/:id/move] Ошибка:', e && e.message);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // -----------------------
+  // DELETE /notebooks/:id
+  // Удаляет блокнот и все вложенные; их заметки перемещаются в корзину
+  router.delete('/:id', requireCapability(adapter, 'transactions'), async (req, res) => {
+    try {
+      const notebook = await getOwnedNotebook(req, res, 'DELETE /notebooks/:id');
+      if (!notebook) return;
+
+      const removed = await trashNotebook(adapter, notebook, req.user.uid);
+      console.log(`[DELETE /notebooks/:id] Пользователь ${req.user.uid} удалил блокнот ${notebook.id} (блокнотов: ${removed.notebooks}, заметок в корзину: ${removed.notes})`);
+      res.json({ ok: true, ...removed });
+    } catch (e) {
+      console.error('[DELETE /notebooks/:id] Ошибка:', e && e.message);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  return router;
+}
@@ -1,384 +1,1362 @@
 // routes/notes.js
 // Маршруты CRUD для заметок (/notes).
-// Экспортирует функцию registerNotesRoutes(adapter), где adapter должен предоставлять
-// методы: init(basePath), get(id), upsert(note), find(filters).
+// Экспортирует функцию registerNotesRoutes(adapter), где adapter — хранилище из реестра
+// (adapters/registry.js): init(basePath), get(id), upsert(note), find(filters), remove(id).
+// Ревизии, доступы, публичные ссылки, вложения, импорт и пакеты требуют соответствующих
+// возможностей хранилища — без них эти маршруты отвечают 501 (middleware/storage.js).
 //
 // Логика:
-// - Все операции привязаны к текущему пользователю (req.user.uid) — проверяем право владения.
-// - POST — создание/upsert заметки (uid берём из req.user).
+// - Все операции привязаны к текущему пользователю (req.user.uid) — проверяем права доступа:
+//   владелец может всё, получатели доступа (lib/sharing.js) — читать (viewer) или править (editor).
+// - POST — создание заметки (uid берём из req.user; занятый id — 409, а не перезапись).
 // - PUT  — обновление (проверяем существование + владение).
-// - DELETE — мягкое удаление (isDeleted = true).
+// - Тело заметки проверяется по схеме (lib/noteSchema.js), ошибки — в едином формате (lib/errors.js).
+// - Условные запросы (lib/etag.js): GET /:id отдаёт ETag и отвечает 304 на If-None-Match,
+//   PUT и DELETE с If-Match отклоняются с 412 и текущей версией, если заметку уже изменили.
+// - DELETE — мягкое удаление (isDeleted = true), с ?permanent=1 — окончательное.
+// - GET /trash, POST /:id/restore — корзина.
+// - POST /batch — пакет операций над заметками в одной транзакции.
 // - GET / — поиск/фильтрация заметок (adapter.find поддерживает фильтры).
 // - GET /:id — получить заметку по id (проверяем владение).
+// - GET /:id/revisions, /:id/revisions/:rev, /:id/revisions/:rev/diff,
+//   POST /:id/revisions/:rev/restore — история ревизий заметки.
+// - GET /shared-with-me, POST/GET /:id/shares, DELETE /:id/shares/:uid — совместный доступ.
+// - POST/GET/DELETE /:id/public-link — публичные ссылки (просмотр — routes/public.js).
+// - GET /:id/export?format=..., GET /export — экспорт заметки / ZIP-архив всех заметок.
+// - POST /import, POST /import/ics, GET /import/:jobId — импорт заметок из файла (lib/import.js).
+// - POST/GET /:id/attachments, GET/DELETE /:id/attachments/:attachmentId — вложения (lib/attachments.js).
 //
 // Предполагается, что в server.js к роутам /notes применён authMiddleware,
 // который кладёт decoded token в req.user (с полем uid).
 
 import express from 'express';
+import archiver from 'archiver';
+import multer from 'multer';
 import { nanoid } from 'nanoid';
+import { diffFields } from '../lib/merge.js';
+import { unifiedDiff } from '../lib/diff.js';
+import { purgeAtFor } from '../lib/trash.js';
+import { parseSort, parseFields, parseLimit, readCursor } from '../lib/noteQuery.js';
+import { findOwnedNotebook, descendantIds } from '../lib/notebooks.js';
+import { SHARE_ROLES, noteRole, roleAllows, keepOwnerFields, resolveRecipient } from '../lib/sharing.js';
+import {
+  EXPORT_FORMATS, EXPORT_CONTENT_TYPES, exportFilename, contentDisposition, renderNote
+} from '../lib/export.js';
+import { parseImportFile, importKey, ImportParseError, IMPORT_FORMATS } from '../lib/import.js';
+import { createJob, getJob, runJob, jobView } from '../lib/jobs.js';
+import { buildNote, parseNoteChanges, checkNoteChanges } from '../lib/noteSchema.js';
+import { sendError, VersionMismatchError } from '../lib/errors.js';
+import { requireCapability } from '../middleware/storage.js';
+import { noteEtag, parseIfMatch, ifMatchAllows } from '../lib/etag.js';
+import { parseLocalDate, startOfDay, endOfDay, resolveTimeZone } from '../lib/timezone.js';
+import {
+  putBlob, blobPath, removeBlobIfOrphan, sniffMime, normalizeFilename, attachmentView,
+  attachmentDisposition, withAttachments, getAttachmentMaxBytes, getAttachmentQuotaBytes
+} from '../lib/attachments.js';
+import {
+  generateToken, hashPassword, parseExpiry, publicLinkView, publicBaseUrl,
+  PUBLIC_LINK_PASSWORD_MAX_LENGTH
+} from '../lib/publicLinks.js';
 
 export function registerNotesRoutes(adapter) {
   const router = express.Router();
 
-  // Нормализация входных данных заметки и установка владельца (uid)
-  function normalizeNoteInput(body, user) {
-    return {
-      id: body.id ?? nanoid(),
-      uid: user?.uid ?? body.uid ?? null,
-      title: body.title ?? '',
-      body: body.body ?? '',
-      createdAt: body.createdAt ?? Date.now(),
-      updatedAt: body.updatedAt ?? Date.now(),
-      date: body.date ?? null,
-      time: body.time ?? null,
-      tags: Array.isArray(body.tags)
-        ? body.tags
-        : (body.tags ? String(body.tags).split(',').map(t => t.trim()).filter(Boolean) : []),
-      isDeleted: body.isDeleted ? true : false
+  // Блокнот заметки (если указан) должен существовать, принадлежать пользователю и не быть удалён.
+  // previous — текущая версия заметки: если блокнот не меняется, он не проверяется.
+  async function notebookIsValid(note, user, previous = null) {
+    if (!note.notebookId || (previous && previous.notebookId === note.notebookId)) return true;
+    return !!(await findOwnedNotebook(adapter, note.notebookId, user.uid));
+  }
+
+  // Фильтры и сортировка списка заметок из query-параметров (GET /notes, GET /notes/export).
+  // dateFrom/dateTo — дни "YYYY-MM-DD" в часовом поясе пользователя (или ?tz=):
+  // от начала dateFrom до конца dateTo включительно; пустое значение — без фильтра.
+  // Возвращает { filters, tz } или { error } — код ошибки для ответа 400.
+  async function parseListFilters(req) {
+    const tz = await resolveTimeZone(adapter, req.user.uid, req.query.tz);
+    if (!tz) return { error: 'invalid_timezone' };
+
+    let dateFrom;
+    let dateTo;
+    if (req.query.dateFrom) {
+      const day = parseLocalDate(req.query.dateFrom);
+      if (!day) return { error: 'invalid_date_from' };
+      dateFrom = startOfDay(day, tz);
+    }
+    if (req.query.dateTo) {
+      const day = parseLocalDate(req.query.dateTo);
+      if (!day) return { error: 'invalid_date_to' };
+      dateTo = endOfDay(day, tz);
+    }
+    if (dateFrom !== undefined && dateTo !== undefined && dateFrom > dateTo) {
+      return { error: 'invalid_date_range' };
+    }
+
+    let updatedAfter;
+    if (req.query.updatedAfter) {
+      updatedAfter = Number(req.query.updatedAfter);
+      if (!Number.isFinite(updatedAfter) || updatedAfter < 0) {
+        return { error: 'invalid_updated_after' };
+      }
+    }
+
+    const filters = {
+      q: req.query.q,
+      dateFrom,
+      dateTo,
+      time: req.query.time,
+      tags: req.query.tags ? String(req.query.tags).split(',').map(t => t.trim()).filter(Boolean) : undefined,
+      updatedAfter: updatedAfter || undefined,
+      includeDeleted: req.query.includeDeleted === '1' || req.query.includeDeleted === 'true',
+      uid: req.user.uid
     };
+
+    if (req.query.notebookId) {
+      const notebookId = String(req.query.notebookId);
+      const recursive = req.query.recursive === '1' || req.query.recursive === 'true';
+      filters.notebookIds = recursive
+        ? descendantIds(await adapter.findNotebooks({ uid: req.user.uid }), notebookId)
+        : [notebookId];
+    }
+
+    filters.sort = parseSort(req.query.sort, { search: !!req.query.q });
+    if (!filters.sort) return { error: 'invalid_sort' };
+    return { filters, tz };
   }
 
   // -----------------------
   // GET /notes
   // Список заметок с фильтрами.
   // Фильтрация по uid выполняется на сервере — возвращаем только заметки пользователя.
-  // Query params: q, dateFrom, dateTo, time, tags (csv), updatedAfter, includeDeleted
+  // Query params: q, dateFrom, dateTo (YYYY-MM-DD), tz, time, tags (csv), updatedAfter, includeDeleted,
+  //   notebookId (+ recursive=1 — вместе с вложенными блокнотами),
+  //   sort (updatedAt|createdAt|date|title, "-" — по убыванию), fields (csv),
+  //   limit, cursor — постраничная выдача.
+  // Без limit/cursor ответ — массив заметок (как раньше); с ними — { notes, nextCursor }.
 router.get('/', async (req, res) => {
   try {
     if (!req.user || !req.user.uid) {
       console.warn('[GET /notes] Отказано — пользователь не авторизован');
-      return res.status(401).json({ error: 'unauthorized' });
+      return sendError(res, 401, 'unauthorized');
     }
 
-    const filters = {
-      q: req.query.q,
-  
-      dateFrom: req.query.dateFrom ? new Date(req.query.dateFrom + 'T00:00:00').getTime() : undefined,
-      dateTo: req.query.dateTo ? new Date(req.query.dateTo + 'T23:59:59').getTime() : undefined,
-      time: req.query.time,
-      tags: req.query.tags ? String(req.query.tags).split(',').map(t => t.trim()).filter(Boolean) : undefined,
-      updatedAfter: req.query.updatedAfter ? Number(req.query.updatedAfter) : undefined,
-      includeDeleted: req.query.includeDeleted === '1' || req.query.includeDeleted === 'true',
-      uid: req.user.uid
-    };
+    const { filters, tz, error } = await parseListFilters(req);
+    if (error) {
+      return sendError(res, 400, error);
+    }
+    filters.fields = parseFields(req.query.fields);
+    if (filters.fields === null) {
+      return sendError(res, 400, 'invalid_fields');
+    }
+
+    const paginated = req.query.limit !== undefined || req.query.cursor !== undefined;
+    if (paginated) {
+      filters.limit = parseLimit(req.query.limit);
+      if (!filters.limit) {
+        return sendError(res, 400, 'invalid_limit');
+      }
+      if (req.query.cursor) {
+        filters.cursor = readCursor(req.query.cursor, filters.sort);
+        if (!filters.cursor) {
+          return sendError(res, 400, 'invalid_cursor');
+        }
+      }
+    }
 
     console.log(`[GET /notes] Пользователь ${req.user.uid} запрашивает заметки с фильтрами:`, {
       ...filters,
       dateFrom: req.query.dateFrom,
       dateTo: req.query.dateTo,
+      tz,
       dateFromTimestamp: filters.dateFrom,
       dateToTimestamp: filters.dateTo
     });
 
+    if (paginated) {
+      const page = await adapter.findPage(filters);
+      console.log(`[GET /notes] Страница: ${page.notes.length} заметок, есть продолжение: ${!!page.nextCursor}`);
+      return res.json(page);
+    }
+
     const notes = await adapter.find(filters);
     console.log(`[GET /notes] Найдено заметок: ${notes.length}`);
     res.json(notes);
   } catch (e) {
     console.error('[GET /notes] Ошибка:', e && e.message);
-    res.status(500).json({ error: 'server_error' });
+    sendError(res, 500, 'server_error');
   }
 });
+
   // -----------------------
-  // GET /notes/:id
-  // Получить заметку по id — только если принадлежит текущему пользователю
-  router.get('/:id', async (req, res) => {
+  // GET /notes/trash
+  // Содержимое корзины: удалённые заметки пользователя + когда они будут удалены окончательно.
+  // (объявлен до /:id, иначе "trash" воспримется как id)
+  router.get('/trash', async (req, res) => {
+    try {
+      if (!req.user || !req.user.uid) {
+        console.warn('[GET /notes/trash] Отказано — пользователь не авторизован');
+        return sendError(res, 401, 'unauthorized');
+      }
+
+      const notes = await adapter.find({ uid: req.user.uid, onlyDeleted: true });
+      console.log(`[GET /notes/trash] В корзине пользователя ${req.user.uid}: ${notes.length}`);
+      res.json(notes.map(n => ({ ...n, purgeAt: purgeAtFor(n) })));
+    } catch (e) {
+      console.error('[GET /notes/trash] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  });
+  // -----------------------
+  // GET /notes/shared-with-me
+  // Заметки других пользователей, открытые текущему; permission — роль (viewer | editor)
+  router.get('/shared-with-me', requireCapability(adapter, 'sharing'), async (req, res) => {
+    try {
+      if (!req.user || !req.user.uid) {
+        console.warn('[GET /notes/shared-with-me] Отказано — пользователь не авторизован');
+        return sendError(res, 401, 'unauthorized');
+      }
+
+      const notes = await adapter.findSharedWith(req.user.uid);
+      console.log(`[GET /notes/shared-with-me] Пользователю ${req.user.uid} открыто заметок: ${notes.length}`);
+      res.json(notes);
+    } catch (e) {
+      console.error('[GET /notes/shared-with-me] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  });
+
+  // -----------------------
+  // GET /notes/export?format=md|txt|html|json|pdf
+  // ZIP-архив заметок пользователя (по умолчанию md): по файлу на заметку + manifest.json.
+  // Принимает те же фильтры, что и GET /notes (q, tags, notebookId, dateFrom, ...);
+  // даты в файлах — в часовом поясе пользователя (или ?tz=).
+  // Архив отдаётся потоком, по мере формирования. (объявлен до /:id)
+  router.get('/export', async (req, res) => {
+    try {
+      if (!req.user || !req.user.uid) {
+        console.warn('[GET /notes/export] Отказано — пользователь не авторизован');
+        return sendError(res, 401, 'unauthorized');
+      }
+
+      const format = String(req.query.format || 'md').toLowerCase();
+      if (!EXPORT_FORMATS.includes(format)) {
+        return sendError(res, 400, 'invalid_format', { formats: EXPORT_FORMATS });
+      }
+      const { filters, tz, error } = await parseListFilters(req);
+      if (error) {
+        return sendError(res, 400, error);
+      }
+
+      const notes = await adapter.find(filters);
+      console.log(`[GET /notes/export] Пользователь ${req.user.uid} экспортирует заметок: ${notes.length} (${format})`);
+
+      const archive = archiver('zip', { zlib: { level: 6 } });
+      archive.on('warning', e => console.warn('[GET /notes/export] Предупреждение:', e && e.message));
+      archive.on('error', e => {
+        console.error('[GET /notes/export] Ошибка архива:', e && e.message);
+        res.destroy(e);
+      });
+      res.on('close', () => {
+        if (!res.writableFinished) archive.abort();
+      });
+
+      const stamp = new Date().toISOString().slice(0, 10);
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="notes_${stamp}.zip"`);
+      archive.pipe(res);
+
+      // Одинаковые названия → file.md, file_2.md, ... (manifest.json занят)
+      const usedNames = new Set(['manifest.json']);
+      const manifest = [];
+      for (const note of notes) {
+        if (res.destroyed) return;
+        let file = exportFilename(note, format);
+        for (let n = 2; usedNames.has(file); n++) {
+          file = exportFilename(note, format).replace(/(\.[a-z]+)$/, `_${n}$1`);
+        }
+        usedNames.add(file);
+
+        archive.append(await renderNote(note, format, { tz }), { name: file, date: new Date(note.updatedAt || Date.now()) });
+        manifest.push({
+          id: note.id,
+          title: note.title || '',
+          file,
+          tags: Array.isArray(note.tags) ? note.tags : [],
+          notebookId: note.notebookId ?? null,
+          createdAt: note.createdAt ?? null,
+          updatedAt: note.updatedAt ?? null,
+          isDeleted: !!note.isDeleted
+        });
+      }
+
+      archive.append(JSON.stringify({
+        exportedAt: Date.now(),
+        uid: req.user.uid,
+        format,
+        tz,
+        count: manifest.length,
+        notes: manifest
+      }, null, 2), { name: 'manifest.json' });
+      await archive.finalize();
+    } catch (e) {
+      console.error('[GET /notes/export] Ошибка:', e && e.message);
+      if (res.headersSent) return res.destroy(e);
+      sendError(res, 500, 'server_error');
+    }
+  });
+
+  // -----------------------
+  // POST /notes/import
+  // Импорт заметок из файла (multipart, поле file): Markdown или ZIP с Markdown, Evernote .enex,
+  // JSON из Google Keep (Takeout), наш JSON / ZIP-экспорт или календарь .ics.
+  // Параметры (query или поля формы):
+  //   format     — md | zip | enex | json | ics (по умолчанию — по расширению и содержимому);
+  //   notebookId — блокнот для всех импортируемых заметок;
+  //   tz         — часовой пояс для дат событий .ics (по умолчанию — пояс пользователя);
+  //   async=1    — выполнить в фоне (при больших объёмах — всегда в фоне).
+  // Повторный импорт не создаёт дубликатов: заметка с тем же названием и текстом
+  // (или тем же id из нашего экспорта) пропускается со status: duplicate.
+  // Ответ: { format, summary, items: [{ index, source, title, status, id?, reason? }] },
+  // status: created | duplicate | invalid | failed. Фоновый импорт — 202 { jobId, status, statusUrl }.
+  const IMPORT_MAX_FILE_MB = 50;
+  const IMPORT_CHUNK_SIZE = 100;
+
+  function getImportSyncLimit() {
+    const limit = Number(process.env.IMPORT_SYNC_MAX_ITEMS);
+    return Number.isFinite(limit) && limit >= 0 ? limit : 200;
+  }
+
+  const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: IMPORT_MAX_FILE_MB * 1024 * 1024, files: 1 }
+  }).single('file');
+
+  // Импорт разобранных черновиков: по IMPORT_CHUNK_SIZE заметок в транзакции,
+  // каждая заметка — во вложенной (SAVEPOINT)
+  async function importItems(items, user, notebookId, job) {
+    const existing = await adapter.find({ uid: user.uid, includeDeleted: true, fields: ['id', 'title', 'body'] });
+    const known = new Map(existing.map(n => [importKey(n), n.id]));
+    const knownIds = new Set(existing.map(n => n.id));
+    const results = [];
+
+    for (let start = 0; start < items.length; start += IMPORT_CHUNK_SIZE) {
+      const chunk = items.slice(start, start + IMPORT_CHUNK_SIZE);
+      await adapter.transaction(async () => {
+        for (const [offset, item] of chunk.entries()) {
+          const result = { index: start + offset, source: item.source, title: item.title || '' };
+          results.push(result);
+          try {
+            if (!item.title && !item.body) {
+              result.status = 'invalid';
+              result.reason = 'empty_note';
+              continue;
+            }
+            const key = importKey(item);
+            if (known.has(key) || (item.id && knownIds.has(item.id))) {
+              result.status = 'duplicate';
+              result.id = known.get(key) || item.id;
+              continue;
+            }
+
+            // id из нашего экспорта сохраняется, если он свободен
+            let id = item.id ? String(item.id) : undefined;
+            if (id && await adapter.get(id)) id = undefined;
+            const now = Date.now();
+            const { note, errors } = buildNote({
+              id,
+              title: item.title,
+              body: item.body,
+              tags: item.tags,
+              date: item.date,
+              time: item.time,
+              isDeleted: item.isDeleted,
+              createdAt: item.createdAt || now,
+              updatedAt: item.updatedAt || item.createdAt || now,
+              notebookId
+            }, user);
+            if (errors.length) {
+              result.status = 'invalid';
+              result.reason = 'validation_failed';
+              result.details = errors;
+              continue;
+            }
+            // своя точка сохранения: если запись заметки оборвётся на середине,
+            // её частичные изменения откатятся, а остальные заметки пачки сохранятся
+            await adapter.transaction(() => adapter.upsert(note, { actor: user.uid }));
+
+            known.set(key, note.id);
+            knownIds.add(note.id);
+            result.status = 'created';
+            result.id = note.id;
+          } catch (e) {
+            console.error(`[POST /notes/import] Ошибка импорта ${item.source}:`, e && e.message);
+            result.status = 'failed';
+            result.reason = 'server_error';
+          }
+        }
+      });
+      if (job) job.processed = results.length;
+      // Даём серверу обработать другие запросы между пачками
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    return results;
+  }
+
+  function importSummary(results) {
+    const summary = { total: results.length, created: 0, duplicate: 0, invalid: 0, failed: 0 };
+    for (const r of results) summary[r.status]++;
+    return summary;
+  }
+
+  function uploadImportFile(req, res, next) {
+    importUpload(req, res, err => {
+      if (!err) return next();
+      if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+        return sendError(res, 413, 'file_too_large', { maxMb: IMPORT_MAX_FILE_MB });
+      }
+      console.warn('[POST /notes/import] Ошибка загрузки файла:', err && err.message);
+      sendError(res, 400, 'invalid_upload');
+    });
+  }
+
+  // forcedFormat — формат, заданный маршрутом (POST /import/ics)
+  async function handleImport(req, res, forcedFormat) {
     try {
       if (!req.user || !req.user.uid) {
-        console.warn('[GET /notes/:id] Отказано — пользователь не авторизован');
-        return res.status(401).json({ error: 'unauthorized' });
+        console.warn('[POST /notes/import] Отказано — пользователь не авторизован');
+        return sendError(res, 401, 'unauthorized');
+      }
+      if (!req.file) {
+        return sendError(res, 400, 'file_required');
+      }
+
+      const options = { ...req.body, ...req.query };
+      const requestedFormat = forcedFormat || (options.format ? String(options.format).toLowerCase() : undefined);
+      if (requestedFormat && !IMPORT_FORMATS.includes(requestedFormat)) {
+        return sendError(res, 400, 'invalid_format', { formats: IMPORT_FORMATS });
+      }
+      const notebookId = options.notebookId ? String(options.notebookId) : null;
+      if (notebookId && !(await findOwnedNotebook(adapter, notebookId, req.user.uid))) {
+        return sendError(res, 400, 'invalid_notebook');
       }
+      const tz = await resolveTimeZone(adapter, req.user.uid, options.tz);
+      if (!tz) {
+        return sendError(res, 400, 'invalid_timezone');
+      }
+
+      // multer отдаёт имя файла в latin1 — восстанавливаем UTF-8 (кириллица в именах)
+      req.file.originalname = Buffer.from(req.file.originalname, 'latin1').toString('utf8');
 
-      const id = req.params.id;
-      const note = await adapter.get(id);
-      if (!note) {
-        console.log(`[GET /notes/:id] Заметка ${id} не найдена`);
-        return res.status(404).json({ error: 'not_found' });
+      let parsed;
+      try {
+        parsed = parseImportFile(req.file.buffer, req.file.originalname, requestedFormat, { tz });
+      } catch (e) {
+        if (!(e instanceof ImportParseError)) throw e;
+        console.warn(`[POST /notes/import] Файл ${req.file.originalname} не разобран: ${e.message}`);
+        return sendError(res, 400, e.reason);
       }
 
-      if (note.uid !== req.user.uid) {
-        console.warn(`[GET /notes/:id] Доступ к заметке ${id} запрещён — не принадлежит пользователю ${req.user.uid}`);
-        return res.status(403).json({ error: 'forbidden' });
+      const { format, items, errors } = parsed;
+      // Файлы архива, которые не удалось разобрать, попадают в отчёт после заметок
+      const withErrors = results => {
+        const all = results.concat(errors.map((err, i) => ({
+          index: results.length + i, source: err.source, title: '', status: 'invalid', reason: err.reason
+        })));
+        return { format, summary: importSummary(all), items: all };
+      };
+      console.log(`[POST /notes/import] Пользователь ${req.user.uid}: файл ${req.file.originalname} (${format}), заметок ${items.length}, ошибок разбора ${errors.length}`);
+
+      const background = options.async === '1' || options.async === 'true' || items.length > getImportSyncLimit();
+      if (background) {
+        const job = createJob(req.user.uid, 'import', items.length);
+        runJob(job, async job => withErrors(await importItems(items, req.user, notebookId, job)));
+        return res.status(202).json({
+          jobId: job.id,
+          status: job.status,
+          total: job.total,
+          statusUrl: `${req.baseUrl}/import/${job.id}`
+        });
       }
 
-      console.log(`[GET /notes/:id] Пользователь ${req.user.uid} запросил заметку ${id}`);
-      res.json(note);
+      const report = withErrors(await importItems(items, req.user, notebookId, null));
+      console.log(`[POST /notes/import] Пользователь ${req.user.uid}: итог импорта`, report.summary);
+      res.json(report);
+    } catch (e) {
+      console.error('[POST /notes/import] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  }
+
+  router.post('/import', requireCapability(adapter, 'transactions'), uploadImportFile, (req, res) => handleImport(req, res));
+
+  // -----------------------
+  // POST /notes/import/ics
+  // Импорт событий и задач календаря (.ics): каждое событие — заметка с датой и временем
+  // (в часовом поясе tz), SUMMARY — название, DESCRIPTION — текст, CATEGORIES — теги.
+  router.post('/import/ics', requireCapability(adapter, 'transactions'), uploadImportFile, (req, res) => handleImport(req, res, 'ics'));
+
+  // -----------------------
+  // GET /notes/import/:jobId
+  // Статус фонового импорта: { id, status: queued|running|done|failed, total, processed, ... };
+  // после завершения — с summary и items, как в синхронном ответе.
+  router.get('/import/:jobId', (req, res) => {
+    if (!req.user || !req.user.uid) {
+      console.warn('[GET /notes/import/:jobId] Отказано — пользователь не авторизован');
+      return sendError(res, 401, 'unauthorized');
+    }
+    const job = getJob(req.params.jobId, req.user.uid);
+    if (!job || job.type !== 'import') {
+      return sendError(res, 404, 'not_found');
+    }
+    res.json(jobView(job));
+  });
+
+  // -----------------------
+  // GET /notes/:id
+  // Получить заметку по id — владельцу или получателю доступа
+  // (для получателя в ответе есть permission — его роль)
+  router.get('/:id', async (req, res) => {
+    try {
+      const note = await getNoteWithAccess(req, res, 'GET /notes/:id', 'read');
+      if (!note) return;
+
+      console.log(`[GET /notes/:id] Пользователь ${req.user.uid} запросил заметку ${note.id}`);
+      // на If-None-Match с тем же ETag Express сам ответит 304
+      await sendNote(res, note);
     } catch (e) {
       console.error('[GET /notes/:id] Ошибка:', e && e.message);
-      res.status(500).json({ error: 'server_error' });
+      sendError(res, 500, 'server_error');
     }
   });
 
   // -----------------------
   // POST /notes
-  // Создать новую заметку или upsert (если пришёл id) — устанавливаем uid из req.user
+  // Создать новую заметку — uid из req.user. id можно прислать свой (заметка, созданная
+  // на устройстве), но только новый: занятый id — 409 already_exists (своя заметка)
+  // или 403 (чужая); менять заметки — PUT /notes/:id. createdAt, updatedAt и isDeleted ставит сервер.
   router.post('/', async (req, res) => {
     try {
       if (!req.user || !req.user.uid) {
         console.warn('[POST /notes] Отказано — пользователь не авторизован');
-        return res.status(401).json({ error: 'unauthorized' });
+        return sendError(res, 401, 'unauthorized');
       }
 
-      const note = normalizeNoteInput(req.body, req.user);
-      await adapter.upsert(note);
-      console.log(`[POST /notes] Пользователь ${req.user.uid} создал/синхронизировал заметку ${note.id}`);
-      res.status(201).json(note);
+      const { note, errors } = buildNote(req.body, req.user, { create: true });
+      if (errors.length) {
+        console.warn(`[POST /notes] Заметка не прошла проверку: ${errors.map(e => e.path).join(', ')}`);
+        return sendError(res, 400, 'validation_failed', { details: errors });
+      }
+      const existing = await adapter.get(note.id);
+      if (existing) {
+        console.warn(`[POST /notes] Пользователь ${req.user.uid} прислал занятый id ${note.id}`);
+        return existing.uid === req.user.uid
+          ? sendError(res, 409, 'already_exists')
+          : sendError(res, 403, 'forbidden');
+      }
+      if (!(await notebookIsValid(note, req.user))) {
+        return sendError(res, 400, 'invalid_notebook');
+      }
+      await adapter.upsert(note, { actor: req.user.uid });
+      console.log(`[POST /notes] Пользователь ${req.user.uid} создал заметку ${note.id}`);
+      await sendNote(res, note, 201);
     } catch (e) {
       console.error('[POST /notes] Ошибка:', e && e.message);
-      res.status(500).json({ error: 'server_error' });
+      sendError(res, 500, 'server_error');
     }
   });
 
   // -----------------------
-  // PUT /notes/:id
-  // Обновление заметки — проверяем существование и владение
-  router.put('/:id', async (req, res) => {
+  // POST /notes/batch
+  // Пакет операций (массовые действия в приложении) в одной транзакции SQLite.
+  // Body: { atomic?: boolean, operations: [
+  //   { op: 'create', note: {...} },
+  //   { op: 'update', id, changes: {...} },
+  //   { op: 'delete', id, permanent?: boolean },   // по умолчанию — в корзину
+  //   { op: 'tag', id, add?: [..], remove?: [..] }
+  // ] }
+  // Ответ: { committed, results: [{ index, op, id, status, reason?, details?, note? }] },
+  // status: ok | not_found | forbidden | invalid. В режиме atomic любая ошибка
+  // откатывает весь пакет, а успешные операции получают status: rolled_back.
+  const BATCH_MAX_OPERATIONS = 500;
+
+  // Ошибка отдельной операции пакета
+  class BatchItemError extends Error {
+    constructor(status, reason, details) {
+      super(reason || status);
+      this.status = status;
+      this.reason = reason;
+      this.details = details;
+    }
+  }
+
+  // Сигнал отката атомарного пакета
+  class BatchAborted extends Error {}
+
+  // Список тегов из значения операции (массив или строка через запятую)
+  function tagList(value) {
+    if (value === undefined || value === null) return [];
+    return (Array.isArray(value) ? value : String(value).split(','))
+      .map(t => String(t).trim())
+      .filter(Boolean);
+  }
+
+  // Заметка для операции с проверкой прав (access: write | owner)
+  async function loadForBatch(id, user, access) {
+    if (!id) throw new BatchItemError('invalid', 'id_required');
+    const note = await adapter.get(String(id));
+    if (!note) throw new BatchItemError('not_found');
+    if (!roleAllows(await noteRole(adapter, note, user.uid), access)) throw new BatchItemError('forbidden');
+    return note;
+  }
+
+  // Выполнение одной операции; возвращает сохранённую заметку (или null для удаления навсегда)
+  async function runBatchOperation(op, user) {
+    switch (op && op.op) {
+      case 'create': {
+        if (!op.note || typeof op.note !== 'object') throw new BatchItemError('invalid', 'note_required');
+        const { note, errors } = buildNote(op.note, user, { create: true, path: 'note' });
+        if (errors.length) throw new BatchItemError('invalid', 'validation_failed', errors);
+        if (op.note.id) {
+          const existing = await adapter.get(note.id);
+          if (existing) {
+            throw existing.uid === user.uid
+              ? new BatchItemError('invalid', 'already_exists')
+              : new BatchItemError('forbidden');
+          }
+        }
+        if (!(await notebookIsValid(note, user))) throw new BatchItemError('invalid', 'invalid_notebook');
+        await adapter.upsert(note, { actor: user.uid });
+        return note;
+      }
+
+      case 'update': {
+        if (!op.changes || typeof op.changes !== 'object') throw new BatchItemError('invalid', 'changes_required');
+        const { changes, errors } = parseNoteChanges(op.changes, { path: 'changes' });
+        if (errors.length) throw new BatchItemError('invalid', 'validation_failed', errors);
+        const existing = await loadForBatch(op.id, user, 'write');
+        const merged = { ...existing, ...changes, updatedAt: Date.now() };
+        if (existing.uid !== user.uid) keepOwnerFields(merged, existing);
+        const mergeErrors = checkNoteChanges(merged, { path: 'changes' });
+        if (mergeErrors.length) throw new BatchItemError('invalid', 'validation_failed', mergeErrors);
+        if (!(await notebookIsValid(merged, user, existing))) throw new BatchItemError('invalid', 'invalid_notebook');
+        await adapter.upsert(merged, { actor: user.uid });
+        return merged;
+      }
+
+      case 'delete': {
+        const existing = await loadForBatch(op.id, user, 'owner');
+        if (op.permanent) {
+          await adapter.remove(existing.id);
+          return null;
+        }
+        existing.isDeleted = true;
+        existing.updatedAt = Date.now();
+        await adapter.upsert(existing, { actor: user.uid });
+        return existing;
+      }
+
+      case 'tag': {
+        const add = tagList(op.add);
+        const remove = tagList(op.remove);
+        if (!add.length && !remove.length) throw new BatchItemError('invalid', 'tags_required');
+        const existing = await loadForBatch(op.id, user, 'write');
+        const tags = (existing.tags || []).filter(t => !remove.includes(t));
+        for (const t of add) {
+          if (!tags.includes(t)) tags.push(t);
+        }
+        existing.tags = tags;
+        existing.updatedAt = Date.now();
+        await adapter.upsert(existing, { actor: user.uid });
+        return existing;
+      }
+
+      default:
+        throw new BatchItemError('invalid', 'unknown_operation');
+    }
+  }
+
+  router.post('/batch', requireCapability(adapter, 'transactions'), async (req, res) => {
     try {
       if (!req.user || !req.user.uid) {
-        console.warn('[PUT /notes/:id] Отказано — пользователь не авторизован');
-        return res.status(401).json({ error: 'unauthorized' });
+        console.warn('[POST /notes/batch] Отказано — пользователь не авторизован');
+        return sendError(res, 401, 'unauthorized');
       }
 
-      const id = req.params.id;
-      const existing = await adapter.get(id);
-      if (!existing) {
-        console.log(`[PUT /notes/:id] Заметка ${id} не найдена`);
-        return res.status(404).json({ error: 'not_found' });
+      const operations = req.body && req.body.operations;
+      if (!Array.isArray(operations) || !operations.length) {
+        return sendError(res, 400, 'operations_required');
       }
+      if (operations.length > BATCH_MAX_OPERATIONS) {
+        return sendError(res, 400, 'too_many_operations', { max: BATCH_MAX_OPERATIONS });
+      }
+      const atomic = req.body.atomic === true;
+
+      const results = [];
+      let committed = true;
+      try {
+        await adapter.transaction(async () => {
+          for (const [index, op] of operations.entries()) {
+            const item = { index, op: op && op.op, id: (op && (op.id || (op.note && op.note.id))) || null };
+            try {
+              const note = await runBatchOperation(op, req.user);
+              item.status = 'ok';
+              if (note) {
+                item.id = note.id;
+                item.note = note;
+              }
+            } catch (e) {
+              if (!(e instanceof BatchItemError)) throw e;
+              item.status = e.status;
+              if (e.reason) item.reason = e.reason;
+              if (e.details) item.details = e.details;
+            }
+            results.push(item);
+          }
 
-      if (existing.uid !== req.user.uid) {
-        console.warn(`[PUT /notes/:id] Доступ к заметке ${id} запрещён — не принадлежит пользователю ${req.user.uid}`);
-        return res.status(403).json({ error: 'forbidden' });
+          if (atomic && results.some(r => r.status !== 'ok')) throw new BatchAborted();
+        });
+      } catch (e) {
+        if (!(e instanceof BatchAborted)) throw e;
+        committed = false;
+        for (const r of results) {
+          if (r.status === 'ok') {
+            r.status = 'rolled_back';
+            delete r.note;
+          }
+        }
       }
 
-      // Мержим существующую заметку с присланными полями, сохраняем uid и updatedAt
-      const merged = {
-        ...existing,
-        ...req.body,
-        id,
-        uid: req.user.uid,
-        updatedAt: Date.now()
-      };
+      const okCount = results.filter(r => r.status === 'ok').length;
+      console.log(`[POST /notes/batch] Пользователь ${req.user.uid}: операций ${operations.length}, успешно ${okCount}, committed: ${committed}`);
+      res.json({ committed, results });
+    } catch (e) {
+      console.error('[POST /notes/batch] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  });
 
-      await adapter.upsert(merged);
+  // -----------------------
+  // PUT /notes/:id
+  // Обновление заметки — владельцем или получателем доступа с ролью editor
+  router.put('/:id', async (req, res) => {
+    try {
+      const existing = await getNoteWithAccess(req, res, 'PUT /notes/:id', 'write');
+      if (!existing) return;
+      const id = existing.id;
+      const ifMatch = parseIfMatch(req.get('If-Match'));
+      if (!ifMatchAllows(ifMatch, existing)) {
+        return sendPreconditionFailed(res, existing, 'PUT /notes/:id');
+      }
+
+      // Мержим существующую заметку с проверенными полями (lib/noteSchema.js) и обновляем updatedAt
+      const { changes, errors } = parseNoteChanges(req.body);
+      if (errors.length) {
+        console.warn(`[PUT /notes/:id] Изменения заметки ${id} не прошли проверку: ${errors.map(e => e.path).join(', ')}`);
+        return sendError(res, 400, 'validation_failed', { details: errors });
+      }
+      const merged = { ...existing, ...changes, updatedAt: Date.now() };
+      // редактор меняет только содержимое: блокноты и напоминания — за владельцем
+      if (res.locals.noteRole !== 'owner') keepOwnerFields(merged, existing);
+      const mergeErrors = checkNoteChanges(merged);
+      if (mergeErrors.length) {
+        return sendError(res, 400, 'validation_failed', { details: mergeErrors });
+      }
+      if (!(await notebookIsValid(merged, req.user, existing))) {
+        return sendError(res, 400, 'invalid_notebook');
+      }
+
+      // ревизия перепроверяется в транзакции записи — параллельный PUT между чтением и записью тоже даст 412
+      await adapter.upsert(merged, { actor: req.user.uid, expectedRevision: expectedRevision(ifMatch, existing) });
       console.log(`[PUT /notes/:id] Пользователь ${req.user.uid} обновил заметку ${id}`);
-      res.json(merged);
+      await sendNote(res, merged);
     } catch (e) {
+      if (e instanceof VersionMismatchError) return sendPreconditionFailed(res, e.current, 'PUT /notes/:id');
       console.error('[PUT /notes/:id] Ошибка:', e && e.message);
-      res.status(500).json({ error: 'server_error' });
+      sendError(res, 500, 'server_error');
     }
   });
 
   // -----------------------
   // DELETE /notes/:id
-  // Мягкое удаление: помечаем isDeleted = true и обновляем updatedAt
+  // Мягкое удаление: помечаем isDeleted = true и обновляем updatedAt.
+  // DELETE /notes/:id?permanent=1 — окончательное удаление (устройства узнают
+  // о нём через purged в /sync/pull).
   router.delete('/:id', async (req, res) => {
     try {
-      if (!req.user || !req.user.uid) {
-        console.warn('[DELETE /notes/:id] Отказано — пользователь не авторизован');
-        return res.status(401).json({ error: 'unauthorized' });
-      }
-
-      const id = req.params.id;
-      const existing = await adapter.get(id);
-      if (!existing) {
-        console.log(`[DELETE /notes/:id] Заметка ${id} не найдена`);
-        return res.status(404).json({ error: 'not_found' });
+      const existing = await getNoteWithAccess(req, res, 'DELETE /notes/:id');
+      if (!existing) return;
+      const id = existing.id;
+      const ifMatch = parseIfMatch(req.get('If-Match'));
+      if (!ifMatchAllows(ifMatch, existing)) {
+        return sendPreconditionFailed(res, existing, 'DELETE /notes/:id');
       }
 
-      if (existing.uid !== req.user.uid) {
-        console.warn(`[DELETE /notes/:id] Доступ к заметке ${id} запрещён — не принадлежит пользователю ${req.user.uid}`);
-        return res.status(403).json({ error: 'forbidden' });
+      if (req.query.permanent === '1' || req.query.permanent === 'true') {
+        await adapter.remove(id, { expectedRevision: expectedRevision(ifMatch, existing) });
+        console.log(`[DELETE /notes/:id] Пользователь ${req.user.uid} окончательно удалил заметку ${id}`);
+        return res.json({ ok: true, permanent: true });
       }
 
+      const expected = expectedRevision(ifMatch, existing);
       existing.isDeleted = true;
       existing.updatedAt = Date.now();
-      await adapter.upsert(existing);
+      await adapter.upsert(existing, { actor: req.user.uid, expectedRevision: expected });
       console.log(`[DELETE /notes/:id] Пользователь ${req.user.uid} пометил заметку ${id} как удалённую`);
       res.json({ ok: true });
     } catch (e) {
+      if (e instanceof VersionMismatchError) return sendPreconditionFailed(res, e.current, 'DELETE /notes/:id');
       console.error('[DELETE /notes/:id] Ошибка:', e && e.message);
-      res.status(500).json({ error: 'server_error' });
+      sendError(res, 500, 'server_error');
     }
   });
 
+  // -----------------------
+  // POST /notes/:id/restore
+  // Восстановление заметки из корзины
+  router.post('/:id/restore', async (req, res) => {
+    try {
+      const note = await getNoteWithAccess(req, res, 'POST /notes/:id/restore');
+      if (!note) return;
+
+      if (!note.isDeleted) {
+        return sendError(res, 409, 'not_in_trash');
+      }
+
+      note.isDeleted = false;
+      note.updatedAt = Date.now();
+      // блокнот заметки мог быть удалён, пока она лежала в корзине — тогда восстанавливаем вне блокнотов
+      if (!(await notebookIsValid(note, req.user))) note.notebookId = null;
+      await adapter.upsert(note, { actor: req.user.uid });
+      console.log(`[POST /notes/:id/restore] Пользователь ${req.user.uid} восстановил заметку ${note.id} из корзины`);
+      await sendNote(res, note);
+    } catch (e) {
+      console.error('[POST /notes/:id/restore] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  });
+
+  // -----------------------
+  // Заметка в ответе: с вложениями, ролью получателя доступа (permission) и ETag.
+  async function noteView(res, note) {
+    await withAttachments(adapter, [note]);
+    const role = res.locals.noteRole || 'owner';
+    return role === 'owner' ? note : { ...note, permission: role };
+  }
+
+  async function sendNote(res, note, status = 200) {
+    const view = await noteView(res, note);
+    res.setHeader('ETag', noteEtag(view));
+    res.setHeader('Cache-Control', 'private, no-cache');
+    res.status(status).json(view);
+  }
+
+  // 412: версия из If-Match устарела — отдаём текущую, чтобы клиент мог перенести свои правки.
+  // current === null — заметку успели удалить окончательно.
+  async function sendPreconditionFailed(res, current, logTag) {
+    if (!current) return sendError(res, 404, 'not_found');
+    console.warn(`[${logTag}] Версия в If-Match устарела — текущая ревизия заметки ${current.id}: ${current.revision}`);
+    const view = await noteView(res, current);
+    res.setHeader('ETag', noteEtag(view));
+    sendError(res, 412, 'precondition_failed', { current: view });
+  }
+
+  // Ревизия для атомарной проверки при записи: только если клиент прислал конкретные версии
+  function expectedRevision(ifMatch, existing) {
+    return Array.isArray(ifMatch) ? existing.revision || 0 : undefined;
+  }
+
+  // -----------------------
+  // Загрузка заметки с проверкой авторизации и прав доступа.
+  // access: owner (по умолчанию) | write | read — см. lib/sharing.js.
+  // Роль пользователя кладётся в res.locals.noteRole.
+  // Если доступа нет — сам отправляет ответ с ошибкой и возвращает null.
+  async function getNoteWithAccess(req, res, logTag, access = 'owner') {
+    if (!req.user || !req.user.uid) {
+      console.warn(`[${logTag}] Отказано — пользователь не авторизован`);
+      sendError(res, 401, 'unauthorized');
+      return null;
+    }
 
-// GET /notes/:id/export - экспорт заметки в виде TXT-файла
-// router.get('/:id/export', async (req, res) => {
-//   try {
-//     if (!req.user || !req.user.uid) {
-//       return res.status(401).json({ error: 'Неавторизован' });
-//     }
-
-//     const note = await adapter.get(req.params.id);
-//     if (!note) {
-//       return res.status(404).json({ error: 'Заметка не найдена' });
-//     }
-
-//     if (note.uid !== req.user.uid) {
-//       return res.status(403).json({ error: 'Нет доступа к этой заметке' });
-//     }
-
-//     const formatDate = (timestamp) => {
-//       if (!timestamp) return 'не указана';
-//       try {
-//         const date = isNaN(timestamp) ? new Date(timestamp) : new Date(Number(timestamp));
-//         return date.toLocaleDateString('ru-RU');
-//       } catch {
-//         return String(timestamp);
-//       }
-//     };
-
-//     const formatTime = (timestamp, timeStr) => {
-//       if (timeStr) return timeStr;
-//       if (!timestamp) return 'не указано';
-//       try {
-//         const date = isNaN(timestamp) ? new Date(timestamp) : new Date(Number(timestamp));
-//         return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
-//       } catch {
-//         return 'не указано';
-//       }
-//     };
-
-//     const content = `
-// ЗАМЕТКА: ${note.title || '(без названия)'}
-
-// Дата: ${formatDate(note.date)}
-// Время: ${formatTime(note.date, note.time)}
-// Теги: ${Array.isArray(note.tags) && note.tags.length > 0
-//   ? note.tags.map(tag => `#${tag}`).join(', ')
-//   : 'нет тегов'}
-
-// Содержание:
-// ${note.body || '(нет текста)'}
-
-// ---
-// Создана: ${formatDate(note.createdAt)}
-// Обновлена: ${formatDate(note.updatedAt)}
-// `.trim();
-
-//     // 🧹 Безопасное имя файла для заголовка (только ASCII)
-//     const safeFilename = `note_${note.id}.txt`;
-    
-//     // Альтернативное имя с транслитерацией кириллицы
-//     const transliterate = (text) => {
-//       const cyrToLat = {
-//         'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'yo', 'ж': 'zh',
-//         'з': 'z', 'и': 'i', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o',
-//         'п': 'p', 'р': 'r', 'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'h', 'ц': 'ts',
-//         'ч': 'ch', 'ш': 'sh', 'щ': 'sch', 'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu',
-//         'я': 'ya'
-//       };
-      
-//       return text
-//         .toLowerCase()
-//         .split('')
-//         .map(char => cyrToLat[char] || (/[a-z0-9]/.test(char) ? char : '_'))
-//         .join('')
-//         .replace(/_+/g, '_')
-//         .replace(/^_|_$/g, '');
-//     };
-
-//     const titleForFile = note.title ? transliterate(note.title).substring(0, 50) : 'note';
-//     const filenameWithTitle = `note_${titleForFile}_${note.id}.txt`;
-
-//     // Устанавливаем заголовки
-//     res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-//     res.setHeader('Content-Disposition', `attachment; filename="${safeFilename}"`);
-    
-//     // Дополнительный заголовок для Unicode имен (не все браузеры поддерживают)
-//     res.setHeader('X-Filename', encodeURIComponent(filenameWithTitle));
-
-//     // Отправляем содержимое
-//     res.send(content);
-
-//   } catch (error) {
-//     console.error('[Export] Ошибка:', error);
-//     res.status(500).json({ error: 'Ошибка при экспорте заметки' });
-//   }
-// });
-
-router.get('/:id/export', async (req, res) => {
-  try {
     const note = await adapter.get(req.params.id);
     if (!note) {
-      return res.status(404).json({ error: 'Заметка не найдена' });
+      console.log(`[${logTag}] Заметка ${req.params.id} не найдена`);
+      sendError(res, 404, 'not_found');
+      return null;
     }
 
-    // Проверяем права доступа
-    if (note.uid !== req.user.uid) {
-      return res.status(403).json({ error: 'Нет доступа к этой заметке' });
+    const role = await noteRole(adapter, note, req.user.uid);
+    if (!roleAllows(role, access)) {
+      console.warn(`[${logTag}] Доступ к заметке ${req.params.id} запрещён пользователю ${req.user.uid} (роль: ${role || 'нет'})`);
+      sendError(res, 403, 'forbidden');
+      return null;
     }
+    res.locals.noteRole = role;
+    return note;
+  }
 
-    // 🔹 Вспомогательные функции форматирования
-    const formatDate = (timestamp) => {
-      if (!timestamp) return 'не указана';
-      try {
-        const date = new Date(Number(timestamp));
-        return date.toLocaleDateString('ru-RU');
-      } catch {
-        return String(timestamp);
+  // Номер ревизии из параметра маршрута (целое > 0) или null
+  function parseRevision(value) {
+    const rev = Number(value);
+    return Number.isInteger(rev) && rev > 0 ? rev : null;
+  }
+
+  // -----------------------
+  // GET /notes/:id/revisions
+  // История ревизий: [{ revision, author, createdAt, changedFields }], новые сверху
+  router.get('/:id/revisions', requireCapability(adapter, 'revisions'), async (req, res) => {
+    try {
+      const note = await getNoteWithAccess(req, res, 'GET /notes/:id/revisions', 'read');
+      if (!note) return;
+
+      const revisions = await adapter.listRevisions(note.id);
+      res.json({ id: note.id, currentRevision: note.revision, revisions });
+    } catch (e) {
+      console.error('[GET /notes/:id/revisions] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  });
+
+  // -----------------------
+  // GET /notes/:id/revisions/:rev
+  // Одна ревизия со снимком заметки
+  router.get('/:id/revisions/:rev', requireCapability(adapter, 'revisions'), async (req, res) => {
+    try {
+      const note = await getNoteWithAccess(req, res, 'GET /notes/:id/revisions/:rev', 'read');
+      if (!note) return;
+
+      const rev = parseRevision(req.params.rev);
+      const revision = rev && await adapter.getRevision(note.id, rev);
+      if (!revision) {
+        return sendError(res, 404, 'revision_not_found');
       }
-    };
+      res.json(revision);
+    } catch (e) {
+      console.error('[GET /notes/:id/revisions/:rev] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  });
 
-    const formatTime = (timestamp, timeStr) => {
-      if (timeStr) return timeStr;
-      if (!timestamp) return 'не указано';
-      try {
-        const date = new Date(Number(timestamp));
-        return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
-      } catch {
-        return 'не указано';
+  // -----------------------
+  // GET /notes/:id/revisions/:rev/diff?to=<rev>
+  // Разница между ревизией :rev и ревизией to (по умолчанию — текущей версией заметки).
+  // Для title/body — unified diff, для остальных полей — пары значений.
+  router.get('/:id/revisions/:rev/diff', requireCapability(adapter, 'revisions'), async (req, res) => {
+    try {
+      const note = await getNoteWithAccess(req, res, 'GET /notes/:id/revisions/:rev/diff', 'read');
+      if (!note) return;
+
+      const rev = parseRevision(req.params.rev);
+      const from = rev && await adapter.getRevision(note.id, rev);
+      if (!from) {
+        return sendError(res, 404, 'revision_not_found');
       }
-    };
 
-    // 🔹 Формируем текст заметки
-    const fileContent = `
-ЗАМЕТКА: ${note.title || '(без названия)'}
-
-Дата: ${formatDate(note.date)}
-Время: ${formatTime(note.date, note.time)}
-Теги: ${Array.isArray(note.tags) && note.tags.length > 0
-        ? note.tags.map(tag => `#${tag}`).join(', ')
-        : 'нет тегов'}
-
-Содержание:
-${note.body || '(нет текста)'}
-
----
-Создана: ${formatDate(note.createdAt)}
-Обновлена: ${formatDate(note.updatedAt)}
-`.trim();
-
-    // 🔹 Безопасное имя файла
-    const filename = `zametka_${note.title ? note.title.replace(/[^a-zA-Z0-9]/g, '_') : note.id}.txt`;
-    const safeFilename = encodeURIComponent(filename);
-
-    // 🔹 Возвращаем файл или JSON (если передан ?asJson=true)
-    if (req.query.asJson === 'true') {
-      // Вернуть JSON для мобильного клиента
-      return res.json({
-        filename,
-        content: fileContent,
-        note
+      let to = { revision: note.revision, data: note };
+      if (req.query.to && req.query.to !== 'current') {
+        const toRev = parseRevision(req.query.to);
+        to = toRev && await adapter.getRevision(note.id, toRev);
+        if (!to) {
+          return sendError(res, 404, 'revision_not_found');
+        }
+      }
+
+      const changedFields = diffFields(from.data, to.data);
+      const fields = {};
+      for (const field of changedFields) {
+        fields[field] = { from: from.data[field] ?? null, to: to.data[field] ?? null };
+      }
+      const labels = (field) => ({ fromLabel: `${field}@${from.revision}`, toLabel: `${field}@${to.revision}` });
+
+      res.json({
+        id: note.id,
+        from: from.revision,
+        to: to.revision,
+        changedFields,
+        fields,
+        diff: {
+          title: unifiedDiff(from.data.title, to.data.title, labels('title')),
+          body: unifiedDiff(from.data.body, to.data.body, labels('body'))
+        }
       });
-    } else {
-      // Вернуть как файл (для браузера)
-      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-      res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${safeFilename}`);
-      res.send(fileContent);
+    } catch (e) {
+      console.error('[GET /notes/:id/revisions/:rev/diff] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  });
+
+  // -----------------------
+  // POST /notes/:id/revisions/:rev/restore
+  // Восстановить содержимое заметки из ревизии — сохраняется как новая ревизия.
+  // Восстанавливаются только RESTORE_FIELDS: заметка не выходит из корзины и не попадает в неё,
+  // напоминание остаётся текущим.
+  const RESTORE_FIELDS = ['title', 'body', 'tags', 'date', 'time', 'notebookId'];
+
+  router.post('/:id/revisions/:rev/restore', requireCapability(adapter, 'revisions'), async (req, res) => {
+    try {
+      const note = await getNoteWithAccess(req, res, 'POST /notes/:id/revisions/:rev/restore', 'write');
+      if (!note) return;
+
+      const rev = parseRevision(req.params.rev);
+      const revision = rev && await adapter.getRevision(note.id, rev);
+      if (!revision) {
+        return sendError(res, 404, 'revision_not_found');
+      }
+
+      const restored = { ...note, updatedAt: Date.now() };
+      for (const field of RESTORE_FIELDS) restored[field] = revision.data[field] ?? null;
+      restored.tags = Array.isArray(restored.tags) ? restored.tags : [];
+      if (res.locals.noteRole !== 'owner') keepOwnerFields(restored, note);
+      else if (!(await notebookIsValid(restored, req.user))) restored.notebookId = null;
+
+      await adapter.upsert(restored, { actor: req.user.uid });
+      console.log(`[POST /notes/:id/revisions/:rev/restore] Пользователь ${req.user.uid} восстановил заметку ${note.id} из ревизии ${rev}`);
+      await sendNote(res, restored);
+    } catch (e) {
+      console.error('[POST /notes/:id/revisions/:rev/restore] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  });
+
+
+  // -----------------------
+  // POST /notes/:id/shares
+  // Открыть заметку другому пользователю: { email | uid, role: viewer | editor }.
+  // Повторный вызов для того же пользователя меняет роль.
+  router.post('/:id/shares', requireCapability(adapter, 'sharing'), async (req, res) => {
+    try {
+      const note = await getNoteWithAccess(req, res, 'POST /notes/:id/shares');
+      if (!note) return;
+
+      const role = req.body.role || 'viewer';
+      if (!SHARE_ROLES.includes(role)) {
+        return sendError(res, 400, 'invalid_role');
+      }
+      if (!req.body.email && !req.body.uid) {
+        return sendError(res, 400, 'recipient_required');
+      }
+
+      const recipient = await resolveRecipient({ uid: req.body.uid, email: req.body.email });
+      if (!recipient) {
+        return sendError(res, 404, 'user_not_found');
+      }
+      if (recipient.uid === req.user.uid) {
+        return sendError(res, 400, 'cannot_share_with_self');
+      }
+
+      const existing = await adapter.getShare(note.id, recipient.uid);
+      const share = {
+        noteId: note.id,
+        uid: recipient.uid,
+        email: recipient.email || (existing && existing.email) || null,
+        role,
+        createdAt: existing ? existing.createdAt : Date.now(),
+        createdBy: existing ? existing.createdBy : req.user.uid
+      };
+      await adapter.upsertShare(share);
+      console.log(`[POST /notes/:id/shares] Пользователь ${req.user.uid} открыл заметку ${note.id} пользователю ${recipient.uid} (${role})`);
+      res.status(existing ? 200 : 201).json(share);
+    } catch (e) {
+      console.error('[POST /notes/:id/shares] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
     }
+  });
 
-  } catch (error) {
-    console.error('[Export] Ошибка экспорта:', error);
-    res.status(500).json({ error: 'Ошибка при экспорте заметки' });
+  // -----------------------
+  // GET /notes/:id/shares
+  // Кому открыта заметка (только для владельца)
+  router.get('/:id/shares', requireCapability(adapter, 'sharing'), async (req, res) => {
+    try {
+      const note = await getNoteWithAccess(req, res, 'GET /notes/:id/shares');
+      if (!note) return;
+
+      res.json(await adapter.listShares(note.id));
+    } catch (e) {
+      console.error('[GET /notes/:id/shares] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  });
+
+  // -----------------------
+  // DELETE /notes/:id/shares/:uid
+  // Отозвать доступ. Владелец может отозвать любой доступ,
+  // получатель — отказаться от своего. Получатель узнаёт об этом через purged в /sync/pull.
+  router.delete('/:id/shares/:uid', requireCapability(adapter, 'sharing'), async (req, res) => {
+    try {
+      const self = req.user && req.params.uid === req.user.uid;
+      const note = await getNoteWithAccess(req, res, 'DELETE /notes/:id/shares/:uid', self ? 'read' : 'owner');
+      if (!note) return;
+
+      const removed = await adapter.removeShare(note.id, req.params.uid);
+      if (!removed) {
+        return sendError(res, 404, 'share_not_found');
+      }
+      console.log(`[DELETE /notes/:id/shares/:uid] Доступ ${req.params.uid} к заметке ${note.id} отозван пользователем ${req.user.uid}`);
+      res.json({ ok: true });
+    } catch (e) {
+      console.error('[DELETE /notes/:id/shares/:uid] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  });
+
+
+  // -----------------------
+  // POST /notes/:id/public-link
+  // Публичная ссылка для просмотра без аккаунта (только владелец):
+  // { expiresAt?: timestamp | ISO, expiresIn?: секунды, password?: string }.
+  // Ответ: { token, url, expiresAt, hasPassword, views, ... }
+  router.post('/:id/public-link', requireCapability(adapter, 'publicLinks'), async (req, res) => {
+    try {
+      const note = await getNoteWithAccess(req, res, 'POST /notes/:id/public-link');
+      if (!note) return;
+
+      const expiry = parseExpiry(req.body || {});
+      if (!expiry) {
+        return sendError(res, 400, 'invalid_expiry');
+      }
+      const password = req.body && req.body.password;
+      if (password !== undefined && password !== null &&
+          (typeof password !== 'string' || !password || password.length > PUBLIC_LINK_PASSWORD_MAX_LENGTH)) {
+        return sendError(res, 400, 'invalid_password');
+      }
+
+      const link = await adapter.createPublicLink({
+        token: generateToken(),
+        noteId: note.id,
+        uid: req.user.uid,
+        createdAt: Date.now(),
+        expiresAt: expiry.expiresAt,
+        ...(password ? await hashPassword(password) : {})
+      });
+      console.log(`[POST /notes/:id/public-link] Пользователь ${req.user.uid} создал публичную ссылку на заметку ${note.id}`);
+      res.status(201).json(publicLinkView(link, publicBaseUrl(req)));
+    } catch (e) {
+      console.error('[POST /notes/:id/public-link] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  });
+
+  // -----------------------
+  // GET /notes/:id/public-link
+  // Публичные ссылки заметки с числом просмотров (только владелец)
+  router.get('/:id/public-link', requireCapability(adapter, 'publicLinks'), async (req, res) => {
+    try {
+      const note = await getNoteWithAccess(req, res, 'GET /notes/:id/public-link');
+      if (!note) return;
+
+      const links = await adapter.listPublicLinks(note.id);
+      const baseUrl = publicBaseUrl(req);
+      res.json(links.map(link => publicLinkView(link, baseUrl)));
+    } catch (e) {
+      console.error('[GET /notes/:id/public-link] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  });
+
+  // -----------------------
+  // DELETE /notes/:id/public-link/:token — отозвать ссылку
+  // DELETE /notes/:id/public-link        — отозвать все ссылки заметки
+  router.delete('/:id/public-link/:token?', requireCapability(adapter, 'publicLinks'), async (req, res) => {
+    try {
+      const note = await getNoteWithAccess(req, res, 'DELETE /notes/:id/public-link');
+      if (!note) return;
+
+      const removed = await adapter.removePublicLinks(note.id, req.params.token);
+      if (req.params.token && !removed) {
+        return sendError(res, 404, 'link_not_found');
+      }
+      console.log(`[DELETE /notes/:id/public-link] Пользователь ${req.user.uid} отозвал публичные ссылки на заметку ${note.id}: ${removed}`);
+      res.json({ ok: true, removed });
+    } catch (e) {
+      console.error('[DELETE /notes/:id/public-link] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  });
+
+
+  // -----------------------
+  // Вложения заметки
+  // POST   /notes/:id/attachments                — загрузить файл (multipart, поле file);
+  // GET    /notes/:id/attachments                — список: { attachments, usage, quota };
+  // GET    /notes/:id/attachments/:attachmentId  — скачать (поддерживается Range; ?download=1 —
+  //                                                всегда как вложение, а не для просмотра);
+  // DELETE /notes/:id/attachments/:attachmentId  — удалить.
+  // Загружать и удалять может владелец или editor, скачивать — все, кому открыта заметка.
+  // Размер файла и суммарный объём вложений владельца заметки ограничены (lib/attachments.js).
+
+  // Вложение заметки по :attachmentId (или null, если его нет у этой заметки)
+  async function findNoteAttachment(note, attachmentId) {
+    const attachment = await adapter.getAttachment(attachmentId);
+    return attachment && attachment.noteId === note.id ? attachment : null;
   }
-});
 
+  router.post('/:id/attachments', requireCapability(adapter, 'attachments'), async (req, res) => {
+    try {
+      const note = await getNoteWithAccess(req, res, 'POST /notes/:id/attachments', 'write');
+      if (!note) return;
+
+      const maxBytes = getAttachmentMaxBytes();
+      const uploadError = await new Promise(resolve => {
+        multer({ storage: multer.memoryStorage(), limits: { fileSize: maxBytes, files: 1 } })
+          .single('file')(req, res, resolve);
+      });
+      if (uploadError) {
+        if (uploadError instanceof multer.MulterError && uploadError.code === 'LIMIT_FILE_SIZE') {
+          return sendError(res, 413, 'file_too_large', { maxBytes });
+        }
+        console.warn('[POST /notes/:id/attachments] Ошибка загрузки файла:', uploadError.message);
+        return sendError(res, 400, 'invalid_upload');
+      }
+      if (!req.file || !req.file.size) {
+        return sendError(res, 400, 'file_required');
+      }
+
+      const quota = getAttachmentQuotaBytes();
+      if ((await adapter.attachmentUsage(note.uid)) + req.file.size > quota) {
+        return sendError(res, 413, 'quota_exceeded', { quota });
+      }
+
+      const blob = await putBlob(req.file.buffer);
+      const attachment = {
+        id: nanoid(),
+        noteId: note.id,
+        uid: note.uid,
+        // multer отдаёт имя файла в latin1 — восстанавливаем UTF-8
+        filename: normalizeFilename(Buffer.from(req.file.originalname || '', 'latin1').toString('utf8')),
+        mime: sniffMime(req.file.buffer),
+        size: blob.size,
+        sha256: blob.sha256,
+        createdAt: Date.now(),
+        createdBy: req.user.uid
+      };
+      // квота проверяется ещё раз в транзакции — на случай параллельных загрузок
+      if (!(await adapter.addAttachment(attachment, quota))) {
+        await removeBlobIfOrphan(adapter, blob.sha256);
+        return sendError(res, 413, 'quota_exceeded', { quota });
+      }
+
+      console.log(`[POST /notes/:id/attachments] Пользователь ${req.user.uid} добавил вложение ${attachment.id} к заметке ${note.id} (${attachment.mime}, ${attachment.size} байт${blob.deduplicated ? ', файл уже был' : ''})`);
+      res.status(201).json(attachmentView(attachment));
+    } catch (e) {
+      console.error('[POST /notes/:id/attachments] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  });
+
+  router.get('/:id/attachments', requireCapability(adapter, 'attachments'), async (req, res) => {
+    try {
+      const note = await getNoteWithAccess(req, res, 'GET /notes/:id/attachments', 'read');
+      if (!note) return;
+
+      const attachments = (await adapter.listAttachments(note.id)).map(attachmentView);
+      const body = { attachments };
+      if (res.locals.noteRole === 'owner') {
+        body.usage = await adapter.attachmentUsage(note.uid);
+        body.quota = getAttachmentQuotaBytes();
+      }
+      res.json(body);
+    } catch (e) {
+      console.error('[GET /notes/:id/attachments] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  });
+
+  router.get('/:id/attachments/:attachmentId', requireCapability(adapter, 'attachments'), async (req, res) => {
+    try {
+      const note = await getNoteWithAccess(req, res, 'GET /notes/:id/attachments/:attachmentId', 'read');
+      if (!note) return;
+
+      const attachment = await findNoteAttachment(note, req.params.attachmentId);
+      if (!attachment) {
+        return sendError(res, 404, 'attachment_not_found');
+      }
+
+      const forceDownload = req.query.download === '1' || req.query.download === 'true';
+      // Range, 206/416 и If-None-Match обрабатывает res.sendFile
+      res.sendFile(blobPath(attachment.sha256), {
+        etag: false,
+        lastModified: false,
+        headers: {
+          'Content-Type': attachment.mime,
+          'Content-Disposition': attachmentDisposition(attachment, forceDownload),
+          'ETag': `"${attachment.sha256}"`,
+          'Cache-Control': 'private, max-age=31536000, immutable',
+          'X-Content-Type-Options': 'nosniff'
+        }
+      }, err => {
+        if (!err || res.headersSent) return;
+        if (err.status === 416) {
+          // диапазон за пределами файла
+          return res.status(416).set(err.headers || {}).end();
+        }
+        console.error(`[GET /notes/:id/attachments/:attachmentId] Файл вложения ${attachment.id} недоступен:`, err.message);
+        if (err.status === 404) sendError(res, 410, 'blob_missing');
+        else sendError(res, 500, 'server_error');
+      });
+    } catch (e) {
+      console.error('[GET /notes/:id/attachments/:attachmentId] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  });
 
+  router.delete('/:id/attachments/:attachmentId', requireCapability(adapter, 'attachments'), async (req, res) => {
+    try {
+      const note = await getNoteWithAccess(req, res, 'DELETE /notes/:id/attachments/:attachmentId', 'write');
+      if (!note) return;
 
+      const attachment = await findNoteAttachment(note, req.params.attachmentId);
+      if (!attachment) {
+        return sendError(res, 404, 'attachment_not_found');
+      }
+      await adapter.removeAttachment(attachment.id);
+      const blobRemoved = await removeBlobIfOrphan(adapter, attachment.sha256);
 
+      console.log(`[DELETE /notes/:id/attachments/:attachmentId] Пользователь ${req.user.uid} удалил вложение ${attachment.id} заметки ${note.id} (файл удалён: ${blobRemoved})`);
+      res.json({ ok: true });
+    } catch (e) {
+      console.error('[DELETE /notes/:id/attachments/:attachmentId] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  });
 
+  // -----------------------
+  // GET /notes/:id/export?format=txt|md|html|json|pdf
+  // Экспорт заметки файлом (по умолчанию txt), даты — в часовом поясе пользователя (или ?tz=).
+  // ?asJson=true — { filename, content, note }
+  // для мобильного клиента (PDF — content в base64, encoding: 'base64').
+  router.get('/:id/export', async (req, res) => {
+    try {
+      const note = await getNoteWithAccess(req, res, 'GET /notes/:id/export', 'read');
+      if (!note) return;
 
+      const format = String(req.query.format || 'txt').toLowerCase();
+      if (!EXPORT_FORMATS.includes(format)) {
+        return sendError(res, 400, 'invalid_format', { formats: EXPORT_FORMATS });
+      }
+      const tz = await resolveTimeZone(adapter, req.user.uid, req.query.tz);
+      if (!tz) {
+        return sendError(res, 400, 'invalid_timezone');
+      }
+
+      const content = await renderNote(note, format, { tz });
+      const filename = exportFilename(note, format);
+      console.log(`[GET /notes/:id/export] Пользователь ${req.user.uid} экспортировал заметку ${note.id} (${format})`);
+
+      if (req.query.asJson === 'true') {
+        // Вернуть JSON для мобильного клиента
+        return res.json(Buffer.isBuffer(content)
+          ? { filename, content: content.toString('base64'), encoding: 'base64', note }
+          : { filename, content, note });
+      }
+
+      // Вернуть как файл (для браузера)
+      res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+      res.setHeader('Content-Disposition', contentDisposition(filename, note.title, format));
+      res.send(content);
+    } catch (e) {
+      console.error('[GET /notes/:id/export] Ошибка:', e && e.message);
+      sendError(res, 500, 'server_error');
+    }
+  });
 
   return router;
 }
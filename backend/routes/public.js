@@ -0,0 +1,128 @@
+// routes/public.js
+// Просмотр заметки по публичной ссылке (/public) — без авторизации.
+// Экспортирует функцию registerPublicRoutes(adapter). В server.js подключается
+// без authMiddleware. Ссылки создаются через POST /notes/:id/public-link.
+//
+// - GET  /public/:token — заметка в HTML (по умолчанию) или JSON
+//   (?format=json или Accept: application/json);
+//   пароль ссылки — в заголовке X-Link-Password;
+// - POST /public/:token — то же, пароль в теле { password } (форма HTML-страницы или JSON).
+//
+// Ответы: 404 — ссылки нет (отозвана) или заметка удалена; 410 — срок действия истёк;
+// 401 — нужен пароль; 403 — пароль неверный; 429 — слишком много неверных паролей,
+// ссылка временно заблокирована (Retry-After). Каждый успешный просмотр увеличивает views.
+
+import express from 'express';
+import { isExpired, isLocked, verifyPassword } from '../lib/publicLinks.js';
+import { renderNoteHtml, htmlPage, escapeHtml } from '../lib/export.js';
+import { resolveTimeZone } from '../lib/timezone.js';
+
+// Поля заметки, которые видны по публичной ссылке
+const PUBLIC_NOTE_FIELDS = ['title', 'body', 'tags', 'date', 'time', 'createdAt', 'updatedAt'];
+
+export function registerPublicRoutes(adapter) {
+  const router = express.Router();
+  router.use(express.urlencoded({ extended: false }));
+
+  // Страница с формой ввода пароля
+  function passwordForm(token, message) {
+    return htmlPage('Заметка защищена паролем', `<h1>Заметка защищена паролем</h1>
+${message ? `<p class="meta">${message}</p>` : ''}
+<form method="post" action="${escapeHtml(token)}">
+  <input type="password" name="password" autofocus required>
+  <button type="submit">Открыть</button>
+</form>`);
+  }
+
+  async function handleView(req, res, password) {
+    const logTag = `${req.method} /public/:token`;
+    const wantsJson = req.query.format === 'json' ||
+      (req.query.format !== 'html' && req.accepts(['html', 'json']) === 'json');
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-Robots-Tag', 'noindex');
+    res.setHeader('Referrer-Policy', 'no-referrer');
+
+    const fail = (status, error, html) => {
+      if (wantsJson) return res.status(status).json({ error });
+      res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; form-action 'self'");
+      return res.status(status).type('html').send(html || htmlPage('Заметка недоступна', `<h1>Заметка недоступна</h1>
+<p class="meta">${status === 410 ? 'Срок действия ссылки истёк.' : 'Ссылка не найдена или отозвана.'}</p>`));
+    };
+
+    const token = req.params.token;
+    const link = await adapter.getPublicLink(token);
+    if (!link) {
+      console.log(`[${logTag}] Ссылка ${token.slice(0, 6)}… не найдена`);
+      return fail(404, 'not_found');
+    }
+    if (isExpired(link)) {
+      console.log(`[${logTag}] Срок действия ссылки на заметку ${link.noteId} истёк`);
+      return fail(410, 'link_expired');
+    }
+
+    const note = await adapter.get(link.noteId);
+    if (!note || note.isDeleted) {
+      return fail(404, 'not_found');
+    }
+
+    if (link.passwordHash) {
+      if (!password) {
+        return fail(401, 'password_required', passwordForm(token));
+      }
+      // пока ссылка заблокирована, пароль не проверяется — даже верный
+      const locked = until => {
+        res.setHeader('Retry-After', Math.ceil((until - Date.now()) / 1000));
+        return fail(429, 'too_many_attempts', passwordForm(token, 'Слишком много неверных паролей, попробуйте позже'));
+      };
+      if (isLocked(link)) return locked(link.lockedUntil);
+      if (!(await verifyPassword(link, password))) {
+        const attempt = await adapter.recordPublicLinkFailure(token);
+        console.warn(`[${logTag}] Неверный пароль для ссылки на заметку ${link.noteId}` +
+          ` (попытка ${attempt ? attempt.failedAttempts : '?'})`);
+        if (attempt && attempt.lockedUntil) {
+          console.warn(`[${logTag}] Ссылка на заметку ${link.noteId} заблокирована до ${new Date(attempt.lockedUntil).toISOString()}`);
+          return locked(attempt.lockedUntil);
+        }
+        return fail(403, 'invalid_password', passwordForm(token, 'Неверный пароль'));
+      }
+    }
+
+    const views = await adapter.recordPublicLinkView(token);
+    console.log(`[${logTag}] Просмотр заметки ${note.id} по публичной ссылке (просмотров: ${views})`);
+
+    if (wantsJson) {
+      const publicNote = {};
+      for (const field of PUBLIC_NOTE_FIELDS) publicNote[field] = note[field] ?? null;
+      return res.json({ note: publicNote, views, expiresAt: link.expiresAt || null });
+    }
+    res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'");
+    // даты — в часовом поясе владельца заметки
+    const tz = await resolveTimeZone(adapter, note.uid);
+    res.type('html').send(renderNoteHtml(note, { tz }));
+  }
+
+  // -----------------------
+  // GET /public/:token
+  router.get('/:token', async (req, res) => {
+    try {
+      await handleView(req, res, req.get('x-link-password'));
+    } catch (e) {
+      console.error('[GET /public/:token] Ошибка:', e && e.message);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // -----------------------
+  // POST /public/:token — ввод пароля
+  router.post('/:token', async (req, res) => {
+    try {
+      await handleView(req, res, req.body && req.body.password);
+    } catch (e) {
+      console.error('[POST /public/:token] Ошибка:', e && e.message);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,162 @@
+// routes/reminders.js
+// Напоминания по заметкам (/reminders).
+// Экспортирует функцию registerRemindersRoutes(adapter). Напоминание ставится полями
+// заметки reminderAt / recurrence (POST/PUT /notes, /sync/push), расписание и отправку
+// ведёт lib/reminders.js.
+//
+// - GET    /reminders                  — напоминания пользователя (?status=pending,sent,...);
+// - POST   /reminders/:noteId/snooze   — отложить: { minutes? (по умолчанию 10) | until? };
+// - POST   /reminders/:noteId/dismiss  — отклонить текущее повторение (разовое — совсем);
+// - PUT    /reminders/devices          — зарегистрировать устройство: { token, provider: expo|fcm, platform? };
+// - DELETE /reminders/devices/:token   — отвязать устройство.
+
+import express from 'express';
+import { reminderView, snoozeUntil, advanceSchedule } from '../lib/reminders.js';
+import { DEVICE_PROVIDERS } from '../lib/notifiers.js';
+
+const REMINDER_STATUSES = ['pending', 'sent', 'dismissed', 'failed', 'expired'];
+
+export function registerRemindersRoutes(adapter) {
+  const router = express.Router();
+
+  // -----------------------
+  // Напоминание заметки пользователя.
+  // Если его нет или заметка чужая — сам отправляет ответ с ошибкой и возвращает null.
+  async function getOwnReminder(req, res, logTag) {
+    if (!req.user || !req.user.uid) {
+      console.warn(`[${logTag}] Отказано — пользователь не авторизован`);
+      res.status(401).json({ error: 'unauthorized' });
+      return null;
+    }
+
+    const reminder = await adapter.getReminder(req.params.noteId);
+    if (!reminder || reminder.uid !== req.user.uid) {
+      console.log(`[${logTag}] Напоминание по заметке ${req.params.noteId} не найдено`);
+      res.status(404).json({ error: 'reminder_not_found' });
+      return null;
+    }
+    return reminder;
+  }
+
+  // -----------------------
+  // GET /reminders
+  // По умолчанию — все, кроме отклонённых, по времени отправки
+  router.get('/', async (req, res) => {
+    try {
+      if (!req.user || !req.user.uid) {
+        console.warn('[GET /reminders] Отказано — пользователь не авторизован');
+        return res.status(401).json({ error: 'unauthorized' });
+      }
+
+      const statuses = req.query.status
+        ? String(req.query.status).split(',').map(s => s.trim()).filter(Boolean)
+        : ['pending', 'sent', 'failed', 'expired'];
+      if (statuses.some(s => !REMINDER_STATUSES.includes(s))) {
+        return res.status(400).json({ error: 'invalid_status', statuses: REMINDER_STATUSES });
+      }
+
+      const reminders = await adapter.findReminders({ uid: req.user.uid, statuses });
+      res.json(reminders.map(reminderView));
+    } catch (e) {
+      console.error('[GET /reminders] Ошибка:', e && e.message);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // -----------------------
+  // PUT /reminders/devices
+  // (объявлены до /:noteId)
+  router.put('/devices', async (req, res) => {
+    try {
+      if (!req.user || !req.user.uid) {
+        console.warn('[PUT /reminders/devices] Отказано — пользователь не авторизован');
+        return res.status(401).json({ error: 'unauthorized' });
+      }
+
+      const token = typeof req.body.token === 'string' ? req.body.token.trim() : '';
+      if (!token || token.length > 4096) {
+        return res.status(400).json({ error: 'invalid_token' });
+      }
+      if (!DEVICE_PROVIDERS.includes(req.body.provider)) {
+        return res.status(400).json({ error: 'invalid_provider', providers: DEVICE_PROVIDERS });
+      }
+
+      const now = Date.now();
+      await adapter.upsertDevice({
+        token,
+        uid: req.user.uid,
+        provider: req.body.provider,
+        platform: req.body.platform ? String(req.body.platform).slice(0, 50) : null,
+        createdAt: now,
+        lastSeenAt: now
+      });
+      console.log(`[PUT /reminders/devices] Пользователь ${req.user.uid} зарегистрировал устройство (${req.body.provider})`);
+      res.json({ ok: true });
+    } catch (e) {
+      console.error('[PUT /reminders/devices] Ошибка:', e && e.message);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // -----------------------
+  // DELETE /reminders/devices/:token
+  router.delete('/devices/:token', async (req, res) => {
+    try {
+      if (!req.user || !req.user.uid) {
+        console.warn('[DELETE /reminders/devices/:token] Отказано — пользователь не авторизован');
+        return res.status(401).json({ error: 'unauthorized' });
+      }
+
+      const removed = await adapter.removeDevice(req.params.token, req.user.uid);
+      if (!removed) {
+        return res.status(404).json({ error: 'device_not_found' });
+      }
+      res.json({ ok: true });
+    } catch (e) {
+      console.error('[DELETE /reminders/devices/:token] Ошибка:', e && e.message);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // -----------------------
+  // POST /reminders/:noteId/snooze
+  // Отложить напоминание (в т.ч. уже отправленное): следующее повторение не сдвигается
+  router.post('/:noteId/snooze', async (req, res) => {
+    try {
+      const reminder = await getOwnReminder(req, res, 'POST /reminders/:noteId/snooze');
+      if (!reminder) return;
+
+      const dueAt = snoozeUntil(req.body || {});
+      if (!dueAt) {
+        return res.status(400).json({ error: 'invalid_snooze' });
+      }
+
+      await adapter.updateReminder(reminder.noteId, { dueAt, status: 'pending', attempts: 0 });
+      console.log(`[POST /reminders/:noteId/snooze] Пользователь ${req.user.uid} отложил напоминание по заметке ${reminder.noteId} до ${new Date(dueAt).toISOString()}`);
+      res.json(reminderView(await adapter.getReminder(reminder.noteId)));
+    } catch (e) {
+      console.error('[POST /reminders/:noteId/snooze] Ошибка:', e && e.message);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // -----------------------
+  // POST /reminders/:noteId/dismiss
+  // Повторяющееся напоминание переходит к следующему повторению, разовое — status: dismissed
+  router.post('/:noteId/dismiss', async (req, res) => {
+    try {
+      const reminder = await getOwnReminder(req, res, 'POST /reminders/:noteId/dismiss');
+      if (!reminder) return;
+
+      const next = advanceSchedule(reminder);
+      await adapter.updateReminder(reminder.noteId, { ...(next || { status: 'dismissed' }), attempts: 0 });
+      console.log(`[POST /reminders/:noteId/dismiss] Пользователь ${req.user.uid} отклонил напоминание по заметке ${reminder.noteId}`);
+      res.json(reminderView(await adapter.getReminder(reminder.noteId)));
+    } catch (e) {
+      console.error('[POST /reminders/:noteId/dismiss] Ошибка:', e && e.message);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,68 @@
+// routes/settings.js
+// Настройки пользователя (/settings).
+// Экспортирует функцию registerSettingsRoutes(adapter).
+//
+// - GET /settings — { tz, tzIsDefault }: tzIsDefault = true, если пояс не задан и берётся пояс сервера;
+// - PUT /settings — { tz: 'Asia/Vladivostok' } (имя IANA) или { tz: null } — сбросить.
+//
+// Часовой пояс используется для границ дня в фильтрах GET /notes (dateFrom/dateTo),
+// в экспорте и календарной подписке; в отдельном запросе его можно переопределить через ?tz=.
+
+import express from 'express';
+import { isValidTimeZone, serverTimeZone } from '../lib/timezone.js';
+
+function settingsView(settings) {
+  return {
+    tz: (settings && settings.tz) || serverTimeZone(),
+    tzIsDefault: !(settings && settings.tz)
+  };
+}
+
+export function registerSettingsRoutes(adapter) {
+  const router = express.Router();
+
+  // -----------------------
+  // GET /settings
+  router.get('/', async (req, res) => {
+    try {
+      if (!req.user || !req.user.uid) {
+        console.warn('[GET /settings] Отказано — пользователь не авторизован');
+        return res.status(401).json({ error: 'unauthorized' });
+      }
+      res.json(settingsView(await adapter.getUserSettings(req.user.uid)));
+    } catch (e) {
+      console.error('[GET /settings] Ошибка:', e && e.message);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // -----------------------
+  // PUT /settings
+  router.put('/', async (req, res) => {
+    try {
+      if (!req.user || !req.user.uid) {
+        console.warn('[PUT /settings] Отказано — пользователь не авторизован');
+        return res.status(401).json({ error: 'unauthorized' });
+      }
+      const body = req.body || {};
+      const current = await adapter.getUserSettings(req.user.uid);
+      const settings = { uid: req.user.uid, tz: current ? current.tz : null, updatedAt: Date.now() };
+
+      if ('tz' in body) {
+        if (body.tz !== null && !isValidTimeZone(body.tz)) {
+          return res.status(400).json({ error: 'invalid_timezone' });
+        }
+        settings.tz = body.tz;
+      }
+
+      await adapter.saveUserSettings(settings);
+      console.log(`[PUT /settings] Пользователь ${req.user.uid} обновил настройки: часовой пояс ${settings.tz || '(пояс сервера)'}`);
+      res.json(settingsView(settings));
+    } catch (e) {
+      console.error('[PUT /settings] Ошибка:', e && e.message);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  return router;
+}
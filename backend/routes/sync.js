@@ -1,87 +1,419 @@
 // routes/sync.js
 // Обрабатывает маршруты синхронизации (push / pull) между клиентом и сервером.
+//
+// Конфликты при push решаются трёхсторонним слиянием по полям (lib/merge.js):
+// клиент присылает baseRevision — ревизию, от которой он начал правку.
+// Если baseRevision не передан — работает старая политика last-write-wins по updatedAt.
+//
+// Pull работает по курсору: сервер нумерует каждое изменение (seq), а клиент
+// хранит непрозрачный cursor из предыдущего ответа. updatedAt остаётся только
+// для отображения — часы клиента на выборку изменений не влияют.
+//
+// Блокноты синхронизируются вместе с заметками: push принимает notebooks
+// (last-write-wins по updatedAt), pull отдаёт изменённые блокноты в том же потоке seq.
+//
+// Совместный доступ: получатель с ролью editor может отправлять правки чужой заметки
+// (владелец, корзина и блокнот при этом не меняются), viewer — нет.
+// Открытые пользователю заметки приходят ему в pull с полем permission.
+// Заметки в pull содержат метаданные вложений (attachments); сами файлы —
+// GET /notes/:id/attachments/:attachmentId.
+//
+// Заметки из push проверяются по общей схеме (lib/noteSchema.js): некорректная заметка
+// получает в results status: invalid с details — остальные сохраняются как обычно.
+//
+// registerSyncStreamRoutes(adapter) — GET /sync/stream (Server-Sent Events): те же изменения,
+// что и в pull, приходят сразу после записи (lib/changeBus.js), без опроса.
 
 import express from 'express';
-import { nanoid } from 'nanoid';
+import { threeWayMerge, hasChanges } from '../lib/merge.js';
+import { encodeCursor, decodeCursor } from '../lib/cursor.js';
+import {
+  normalizeNotebookInput, normalizeNotebookName, findOwnedNotebook,
+  wouldCreateCycle, trashNotebook
+} from '../lib/notebooks.js';
+import { noteRole, roleAllows, keepOwnerFields } from '../lib/sharing.js';
+import { withAttachments } from '../lib/attachments.js';
+import { buildNote } from '../lib/noteSchema.js';
+import { fieldError, sendError } from '../lib/errors.js';
+import { subscribeChanges } from '../lib/changeBus.js';
+
+// Размер страницы /sync/pull по умолчанию и максимальный
+const PULL_DEFAULT_LIMIT = 500;
+const PULL_MAX_LIMIT = 1000;
+// Максимум заметок и блокнотов в одном /sync/push
+const PUSH_MAX_ITEMS = 1000;
 
 const router = express.Router();
 
 export function registerSyncRoutes(adapter) {
   /**
-   * Нормализует заметку перед сохранением.
-   * Добавляет uid, updatedAt, createdAt и т.д.
+   * Сохраняет блокноты из push (last-write-wins по updatedAt).
+   * Родители обрабатываются раньше вложенных, чтобы новая ветка приходила одним запросом.
+   * Блокнот с неизвестным родителем (или образующий цикл) кладётся на верхний уровень.
+   * Удаление блокнота (isDeleted) переносит его заметки и вложенные блокноты в корзину.
    */
-  function normalizeNoteInput(body, user) {
-    return {
-      id: body.id ?? nanoid(),
-      uid: user?.uid ?? body.uid ?? null,
-      title: body.title ?? '',
-      body: body.body ?? '',
-      createdAt: body.createdAt ?? Date.now(),
-      updatedAt: body.updatedAt ?? Date.now(),
-      date: body.date ?? null,
-      time: body.time ?? null,
-      tags: Array.isArray(body.tags)
-        ? body.tags
-        : body.tags
-        ? String(body.tags).split(',').map((t) => t.trim()).filter(Boolean)
-        : [],
-      isDeleted: !!body.isDeleted,
-    };
+  async function pushNotebooks(items, user) {
+    const results = [];
+    let pending = [];
+    for (const [i, raw] of items.entries()) {
+      if (!raw || typeof raw !== 'object' || Array.isArray(raw) || (raw.id != null && typeof raw.id !== 'string')) {
+        const path = raw && typeof raw === 'object' ? `notebooks[${i}].id` : `notebooks[${i}]`;
+        results.push({ id: null, status: 'invalid', reason: 'validation_failed', details: [fieldError(path, 'invalid_type')] });
+        continue;
+      }
+      pending.push(normalizeNotebookInput(raw, user));
+    }
+
+    while (pending.length) {
+      const pendingIds = new Set(pending.map(nb => nb.id));
+      let ready = pending.filter(nb => !nb.parentId || !pendingIds.has(nb.parentId));
+      if (!ready.length) ready = pending; // цикл внутри пакета — разрываем ниже
+      pending = pending.filter(nb => !ready.includes(nb));
+
+      for (const notebook of ready) {
+        if (!normalizeNotebookName(notebook.name)) {
+          results.push({ id: notebook.id, status: 'invalid', reason: 'invalid_name' });
+          continue;
+        }
+
+        const existing = await adapter.getNotebook(notebook.id);
+        if (existing && existing.uid !== user.uid) {
+          results.push({ id: notebook.id, status: 'forbidden_owner_mismatch' });
+          continue;
+        }
+        if (existing && !(notebook.updatedAt > existing.updatedAt)) {
+          results.push({ id: notebook.id, status: 'skipped_server_newer' });
+          continue;
+        }
+
+        if (notebook.parentId) {
+          const parentOk = await findOwnedNotebook(adapter, notebook.parentId, user.uid);
+          const all = parentOk ? await adapter.findNotebooks({ uid: user.uid }) : [];
+          if (!parentOk || wouldCreateCycle(all, notebook.id, notebook.parentId)) {
+            console.warn(`[SYNC PUSH] Блокнот ${notebook.id}: родитель ${notebook.parentId} недоступен — переносим на верхний уровень`);
+            notebook.parentId = null;
+          }
+        }
+
+        if (existing) notebook.createdAt = existing.createdAt;
+        if (notebook.isDeleted && existing && !existing.isDeleted) {
+          await trashNotebook(adapter, notebook, user.uid);
+        } else {
+          await adapter.upsertNotebook(notebook);
+        }
+        results.push({ id: notebook.id, status: existing ? 'updated' : 'created' });
+      }
+    }
+    return results;
   }
 
   // ===================== POST /sync/push =====================
   router.post('/push', async (req, res) => {
     try {
-      const notes = Array.isArray(req.body.notes) ? req.body.notes : [];
+      const body = req.body || {};
+      const details = [];
+      for (const field of ['notes', 'notebooks']) {
+        if (body[field] === undefined || body[field] === null) continue;
+        if (!Array.isArray(body[field])) details.push(fieldError(field, 'invalid_type', 'Ожидается массив'));
+        else if (body[field].length > PUSH_MAX_ITEMS) details.push(fieldError(field, 'too_many', `Не больше ${PUSH_MAX_ITEMS} записей`));
+      }
+      if (details.length) {
+        console.warn(`[SYNC PUSH] Запрос пользователя ${req.user.uid} не прошёл проверку: ${details.map(d => d.path).join(', ')}`);
+        return sendError(res, 400, 'validation_failed', { details });
+      }
+      const notes = body.notes || [];
+      const notebooks = body.notebooks || [];
       const results = [];
 
-      console.log(`[SYNC PUSH] Пользователь ${req.user.uid} отправил ${notes.length} заметок`);
+      console.log(`[SYNC PUSH] Пользователь ${req.user.uid} отправил ${notes.length} заметок и ${notebooks.length} блокнотов`);
+
+      // блокноты — первыми, чтобы заметки могли ссылаться на только что созданные
+      const notebookResults = await pushNotebooks(notebooks, req.user);
 
-      for (const raw of notes) {
-        const note = normalizeNoteInput(raw, req.user);
+      for (const [i, raw] of notes.entries()) {
+        // некорректная заметка не сохраняется и не прерывает остальные — ошибки приходят в results
+        const { note, baseRevision, errors } = buildNote(raw, req.user, { sync: true, path: `notes[${i}]` });
+        if (errors.length) {
+          const id = raw && typeof raw.id === 'string' ? raw.id : null;
+          results.push({ id, status: 'invalid', reason: 'validation_failed', details: errors });
+          console.warn(`[SYNC PUSH] Заметка ${id || `#${i}`} не прошла проверку: ${errors.map(e => e.path).join(', ')}`);
+          continue;
+        }
         const existing = await adapter.get(note.id);
+        const role = existing ? await noteRole(adapter, existing, req.user.uid) : 'owner';
+
+        if (roleAllows(role, 'write') && role !== 'owner') {
+          keepOwnerFields(note, existing);
+        } else if (note.notebookId && !(await findOwnedNotebook(adapter, note.notebookId, req.user.uid))) {
+          // блокнот удалён или недоступен — заметку не теряем, сохраняем вне блокнотов
+          console.warn(`[SYNC PUSH] Заметка ${note.id}: блокнот ${note.notebookId} недоступен — сохраняем вне блокнотов`);
+          note.notebookId = null;
+        }
 
         if (!existing) {
-          await adapter.upsert(note);
-          results.push({ id: note.id, status: 'created' });
+          await adapter.upsert(note, { actor: req.user.uid });
+          results.push({ id: note.id, status: 'created', revision: note.revision });
           console.log(`[SYNC PUSH] Заметка ${note.id} создана`);
-        } else if (existing.uid !== req.user.uid) {
+        } else if (!roleAllows(role, 'write')) {
           results.push({ id: note.id, status: 'forbidden_owner_mismatch' });
-          console.warn(`[SYNC PUSH] Заметка ${note.id} не обновлена — чужой владелец`);
-        } else if (note.updatedAt > existing.updatedAt) {
-          await adapter.upsert(note);
-          results.push({ id: note.id, status: 'updated' });
-          console.log(`[SYNC PUSH] Заметка ${note.id} обновлена`);
+          console.warn(`[SYNC PUSH] Заметка ${note.id} не обновлена — нет прав на изменение`);
+        } else if (baseRevision === null) {
+          // Старые клиенты без baseRevision — last-write-wins по updatedAt
+          if (note.updatedAt > existing.updatedAt) {
+            note.createdAt = existing.createdAt;
+            await adapter.upsert(note, { actor: req.user.uid });
+            results.push({ id: note.id, status: 'updated', revision: note.revision });
+            console.log(`[SYNC PUSH] Заметка ${note.id} обновлена (без baseRevision)`);
+          } else {
+            results.push({ id: note.id, status: 'skipped_server_newer', revision: existing.revision });
+          }
+        } else if (baseRevision === existing.revision) {
+          // С момента базовой ревизии на сервере ничего не менялось — просто применяем
+          if (!hasChanges(note, existing)) {
+            results.push({ id: note.id, status: 'unchanged', revision: existing.revision });
+            continue;
+          }
+          note.createdAt = existing.createdAt;
+          await adapter.upsert(note, { actor: req.user.uid });
+          results.push({ id: note.id, status: 'updated', revision: note.revision });
+          console.log(`[SYNC PUSH] Заметка ${note.id} обновлена (ревизия ${note.revision})`);
         } else {
-          results.push({ id: note.id, status: 'skipped_server_newer' });
+          // Заметка менялась на сервере после baseRevision — сливаем по полям.
+          // Если снимок базы уже удалён (или хранилище не ведёт историю ревизий),
+          // все расходящиеся поля считаются конфликтами.
+          const base = (adapter.getRevisionSnapshot && await adapter.getRevisionSnapshot(note.id, baseRevision)) || {};
+          const { merged, conflicts } = threeWayMerge(base, note, existing);
+          if (role !== 'owner') keepOwnerFields(merged, existing);
+
+          if (hasChanges(merged, existing)) {
+            merged.updatedAt = Date.now();
+            await adapter.upsert(merged, { actor: req.user.uid });
+          }
+
+          if (conflicts.length) {
+            results.push({ id: note.id, status: 'conflict', revision: merged.revision, note: merged, conflicts });
+            console.warn(`[SYNC PUSH] Заметка ${note.id}: конфликт по полям ${conflicts.map(c => c.field).join(', ')}`);
+          } else {
+            results.push({ id: note.id, status: 'merged', revision: merged.revision, note: merged });
+            console.log(`[SYNC PUSH] Заметка ${note.id} слита с серверной версией (ревизия ${merged.revision})`);
+          }
         }
       }
 
-      res.json({ ok: true, results });
+      res.json({ ok: true, results, notebooks: notebookResults });
     } catch (e) {
       console.error('[POST /sync/push] Ошибка:', e.message);
-      res.status(500).json({ error: 'server_error' });
+      sendError(res, 500, 'server_error');
     }
   });
 
   // ===================== GET /sync/pull =====================
+  // Query params:
+  //   cursor   — курсор из предыдущего ответа (без него — полная выборка с начала);
+  //   limit    — размер страницы, целое число (по умолчанию 500, больше 1000 — 1000; иначе 400 invalid_limit);
+  //   lastSync — устаревший вариант по updatedAt (для старых клиентов).
+  // Ответ: { notes, notebooks, purged, cursor, hasMore } — пока hasMore = true, клиент запрашивает
+  // следующую страницу с новым cursor. notebooks — изменённые блокноты (включая удалённые). purged — [{ id, purgedAt }] заметок, удалённых
+  // окончательно (очистка корзины): клиент должен удалить их у себя.
   router.get('/pull', async (req, res) => {
     try {
-      const lastSync = req.query.lastSync ? Number(req.query.lastSync) : 0;
-      const notes = await adapter.find({
-        updatedAfter: lastSync,
-        includeDeleted: true,
-        uid: req.user.uid,
-      });
+      let limit = PULL_DEFAULT_LIMIT;
+      if (req.query.limit !== undefined && req.query.limit !== '') {
+        limit = Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1) {
+          return sendError(res, 400, 'invalid_limit');
+        }
+        limit = Math.min(limit, PULL_MAX_LIMIT);
+      }
+
+      if (!req.query.cursor && req.query.lastSync) {
+        // Старые клиенты: выборка по updatedAt, но курсор отдаём, чтобы клиент перешёл на него
+        const lastSync = Number(req.query.lastSync) || 0;
+        const head = await adapter.currentSeq();
+        const notes = await adapter.find({
+          updatedAfter: lastSync,
+          includeDeleted: true,
+          uid: req.user.uid,
+        });
+
+        // хранилище без доступов (adapters/registry.js) — чужих заметок нет
+        const shared = adapter.findSharedWith
+          ? (await adapter.findSharedWith(req.user.uid)).filter(n => (n.updatedAt || 0) > lastSync)
+          : [];
+        notes.push(...shared);
+        const notebooks = (await adapter.findNotebooks({ uid: req.user.uid, includeDeleted: true }))
+          .filter(nb => (nb.updatedAt || 0) > lastSync);
+
+        await withAttachments(adapter, notes);
+        console.log(`[SYNC PULL] Пользователь ${req.user.uid} запросил заметки после ${lastSync} (lastSync). Найдено: ${notes.length}`);
+        return res.json({ notes, notebooks, purged: [], cursor: encodeCursor({ seq: head }), hasMore: false });
+      }
 
-      console.log(`[SYNC PULL] Пользователь ${req.user.uid} запросил заметки после ${lastSync}. Найдено: ${notes.length}`);
-      res.json({ notes });
+      let afterSeq = 0;
+      if (req.query.cursor) {
+        const state = decodeCursor(req.query.cursor);
+        if (!state || !Number.isInteger(state.seq) || state.seq < 0) {
+          return sendError(res, 400, 'invalid_cursor');
+        }
+        afterSeq = state.seq;
+      }
+
+      const { notes, notebooks, purged, lastSeq, hasMore } = await adapter.changes({ uid: req.user.uid, afterSeq, limit });
+      await withAttachments(adapter, notes);
+
+      console.log(`[SYNC PULL] Пользователь ${req.user.uid} запросил изменения после seq ${afterSeq}. Найдено: ${notes.length}, блокнотов: ${notebooks.length}, удалено окончательно: ${purged.length}, hasMore: ${hasMore}`);
+      res.json({
+        notes,
+        notebooks,
+        purged: purged.map(p => ({ id: p.id, purgedAt: p.purgedAt })),
+        cursor: encodeCursor({ seq: lastSeq }),
+        hasMore
+      });
     } catch (e) {
       console.error('[GET /sync/pull] Ошибка:', e.message);
-      res.status(500).json({ error: 'server_error' });
+      sendError(res, 500, 'server_error');
     }
   });
 
   return router;
 }
+
+// ===================== GET /sync/stream =====================
+// Server-Sent Events: изменения заметок и блокнотов пользователя сразу после записи.
+// Авторизация — как у остальных /sync (Authorization: Bearer), но токен можно передать
+// и в ?access_token= (EventSource не умеет заголовки) — см. streamAuthMiddleware.
+//
+// События (data — JSON):
+//   ready     — { cursor } — поток открыт; дальше приходят изменения после cursor;
+//   note      — { action: created | updated | deleted | purged, note } (для purged — { action, id, purgedAt });
+//               deleted — заметка в корзине, purged — удалена окончательно или доступ отозван;
+//   notebook  — { action: updated | deleted, notebook };
+//   heartbeat — { time } раз в SYNC_STREAM_HEARTBEAT_SECONDS секунд (по умолчанию 25):
+//               если их нет дольше, соединение стоит переоткрыть;
+//   reauth    — срок ID token истёк, сервер закрывает поток: переподключиться с новым токеном.
+//
+// Последнее событие каждой пачки изменений несёт id — курсор в формате /sync/pull.
+// При переподключении EventSource сам присылает его в Last-Event-ID, и поток продолжается
+// с того же места; курсор можно передать и явно: ?cursor=. Без курсора — только новые изменения
+// (сначала GET /sync/pull, затем /sync/stream?cursor=<cursor из pull>).
+function getHeartbeatMs() {
+  const seconds = Number(process.env.SYNC_STREAM_HEARTBEAT_SECONDS);
+  return (Number.isFinite(seconds) && seconds > 0 ? seconds : 25) * 1000;
+}
+
+export function registerSyncStreamRoutes(adapter) {
+  const streamRouter = express.Router();
+
+  streamRouter.get('/', async (req, res) => {
+    if (!req.user || !req.user.uid) {
+      console.warn('[GET /sync/stream] Отказано — пользователь не авторизован');
+      return sendError(res, 401, 'unauthorized');
+    }
+    const uid = req.user.uid;
+
+    let lastSeq;
+    const resumeFrom = req.get('Last-Event-ID') || req.query.cursor;
+    try {
+      if (resumeFrom) {
+        const state = decodeCursor(resumeFrom);
+        if (!state || !Number.isInteger(state.seq) || state.seq < 0) {
+          return sendError(res, 400, 'invalid_cursor');
+        }
+        lastSeq = state.seq;
+      } else {
+        lastSeq = await adapter.currentSeq();
+      }
+    } catch (e) {
+      console.error('[GET /sync/stream] Ошибка:', e && e.message);
+      return sendError(res, 500, 'server_error');
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // nginx не должен буферизовать поток
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    const send = (event, data, id) => {
+      if (closed) return;
+      res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Дочитываем изменения после lastSeq. Уведомления во время чтения не теряются:
+    // после текущего прохода выполняется ещё один.
+    let draining = false;
+    let again = false;
+    const drain = async () => {
+      if (draining) {
+        again = true;
+        return;
+      }
+      draining = true;
+      try {
+        do {
+          again = false;
+          let hasMore = true;
+          while (hasMore && !closed) {
+            const page = await adapter.changes({ uid, afterSeq: lastSeq, limit: PULL_MAX_LIMIT });
+            await withAttachments(adapter, page.notes);
+            const events = [
+              ...page.notebooks.map(notebook => ['notebook', { action: notebook.isDeleted ? 'deleted' : 'updated', notebook }]),
+              ...page.notes.map(note => ['note', { action: noteAction(note), note }]),
+              ...page.purged.map(p => ['note', { action: 'purged', id: p.id, purgedAt: p.purgedAt }])
+            ];
+            events.forEach(([event, data], i) => {
+              send(event, data, i === events.length - 1 ? encodeCursor({ seq: page.lastSeq }) : undefined);
+            });
+            if (events.length) {
+              console.log(`[SYNC STREAM] Пользователь ${uid}: отправлено изменений ${events.length} (seq ${lastSeq} → ${page.lastSeq})`);
+            }
+            lastSeq = page.lastSeq;
+            hasMore = page.hasMore;
+          }
+        } while (again && !closed);
+      } catch (e) {
+        console.error(`[SYNC STREAM] Ошибка чтения изменений пользователя ${uid}:`, e && e.message);
+        close();
+      } finally {
+        draining = false;
+      }
+    };
+
+    const unsubscribe = subscribeChanges(uid, () => { drain(); });
+    const heartbeat = setInterval(() => send('heartbeat', { time: Date.now() }), getHeartbeatMs());
+    // ID token живёт час — по его истечении просим клиента переподключиться с новым
+    const expiresInMs = req.user.exp ? req.user.exp * 1000 - Date.now() : null;
+    const reauthTimer = expiresInMs !== null
+      ? setTimeout(() => { send('reauth', { reason: 'token_expired' }); close(); }, Math.max(expiresInMs, 0))
+      : null;
+
+    function close() {
+      if (closed) return;
+      closed = true;
+      unsubscribe();
+      clearInterval(heartbeat);
+      if (reauthTimer) clearTimeout(reauthTimer);
+      res.end();
+      console.log(`[SYNC STREAM] Пользователь ${uid} отключился`);
+    }
+    req.on('close', close);
+
+    console.log(`[SYNC STREAM] Пользователь ${uid} подключился (после seq ${lastSeq})`);
+    res.write('retry: 5000\n\n');
+    send('ready', { cursor: encodeCursor({ seq: lastSeq }) }, encodeCursor({ seq: lastSeq }));
+    // изменения после курсора (при переподключении) и всё, что успело произойти до подписки
+    drain();
+  });
+
+  return streamRouter;
+}
+
+// Действие для события note: корзина — deleted, первая ревизия — created
+function noteAction(note) {
+  if (note.isDeleted) return 'deleted';
+  return note.revision === 1 ? 'created' : 'updated';
+}
@@ -0,0 +1,152 @@
+// routes/tags.js
+// Управление тегами пользователя (/tags).
+// Теги хранятся внутри заметок (массив tags), поэтому переименование, слияние
+// и удаление переписывают все заметки пользователя с этим тегом — на сервере,
+// в одной транзакции. У изменённых заметок обновляется updatedAt (и seq),
+// так что другие устройства получают изменения через /sync/pull.
+//
+// - GET    /tags              — [{ name, count }] по неудалённым заметкам;
+// - PATCH  /tags/:name        — переименовать: { name: "новое имя" };
+// - POST   /tags/merge        — слить: { from: ["a", "b"], into: "c" };
+// - DELETE /tags/:name        — убрать тег из всех заметок.
+//
+// Заметки в корзине тоже переписываются, чтобы после восстановления теги были актуальны.
+// Изменение тегов требует транзакций хранилища (иначе 501, middleware/storage.js).
+
+import express from 'express';
+import { requireCapability } from '../middleware/storage.js';
+
+// Максимальная длина имени тега
+const TAG_MAX_LENGTH = 100;
+
+export function registerTagsRoutes(adapter) {
+  const router = express.Router();
+
+  // Нормализация имени тега; null — если имя некорректно
+  function normalizeTag(value) {
+    if (typeof value !== 'string') return null;
+    const tag = value.trim();
+    return tag && tag.length <= TAG_MAX_LENGTH ? tag : null;
+  }
+
+  // Переписать теги во всех заметках пользователя, где есть хотя бы один из sources.
+  // transform(tags) → новый массив тегов. Возвращает число изменённых заметок.
+  async function rewriteTags(user, sources, transform) {
+    return adapter.transaction(async () => {
+      const notes = await adapter.find({ uid: user.uid, includeDeleted: true });
+      let updated = 0;
+
+      for (const note of notes) {
+        const tags = Array.isArray(note.tags) ? note.tags : [];
+        if (!tags.some(t => sources.includes(t))) continue;
+
+        // убираем дубликаты, которые могли появиться при переименовании/слиянии
+        note.tags = [...new Set(transform(tags))];
+        note.updatedAt = Date.now();
+        await adapter.upsert(note, { actor: user.uid });
+        updated++;
+      }
+      return updated;
+    });
+  }
+
+  // -----------------------
+  // GET /tags
+  router.get('/', async (req, res) => {
+    try {
+      if (!req.user || !req.user.uid) {
+        console.warn('[GET /tags] Отказано — пользователь не авторизован');
+        return res.status(401).json({ error: 'unauthorized' });
+      }
+
+      const tags = await adapter.tagCounts(req.user.uid);
+      console.log(`[GET /tags] Пользователь ${req.user.uid}: тегов ${tags.length}`);
+      res.json(tags);
+    } catch (e) {
+      console.error('[GET /tags] Ошибка:', e && e.message);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // -----------------------
+  // POST /tags/merge
+  // Все теги из from заменяются на into (into может быть как новым, так и существующим тегом)
+  router.post('/merge', requireCapability(adapter, 'transactions'), async (req, res) => {
+    try {
+      if (!req.user || !req.user.uid) {
+        console.warn('[POST /tags/merge] Отказано — пользователь не авторизован');
+        return res.status(401).json({ error: 'unauthorized' });
+      }
+
+      const from = Array.isArray(req.body.from) ? req.body.from.map(normalizeTag) : [];
+      const into = normalizeTag(req.body.into);
+      if (!from.length || from.some(t => t === null) || !into) {
+        return res.status(400).json({ error: 'invalid_tags' });
+      }
+
+      const updated = await rewriteTags(req.user, from, tags => tags.map(t => (from.includes(t) ? into : t)));
+      console.log(`[POST /tags/merge] Пользователь ${req.user.uid} слил теги [${from.join(', ')}] в "${into}" (заметок: ${updated})`);
+      res.json({ ok: true, from, into, updated });
+    } catch (e) {
+      console.error('[POST /tags/merge] Ошибка:', e && e.message);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // -----------------------
+  // PATCH /tags/:name
+  // Переименование тега. Если новое имя уже используется — теги сливаются.
+  router.patch('/:name', requireCapability(adapter, 'transactions'), async (req, res) => {
+    try {
+      if (!req.user || !req.user.uid) {
+        console.warn('[PATCH /tags/:name] Отказано — пользователь не авторизован');
+        return res.status(401).json({ error: 'unauthorized' });
+      }
+
+      const from = normalizeTag(req.params.name);
+      const to = normalizeTag(req.body.name);
+      if (!from || !to) {
+        return res.status(400).json({ error: 'invalid_tags' });
+      }
+
+      const updated = await rewriteTags(req.user, [from], tags => tags.map(t => (t === from ? to : t)));
+      if (!updated) {
+        return res.status(404).json({ error: 'not_found' });
+      }
+      console.log(`[PATCH /tags/:name] Пользователь ${req.user.uid} переименовал тег "${from}" в "${to}" (заметок: ${updated})`);
+      res.json({ ok: true, from, to, updated });
+    } catch (e) {
+      console.error('[PATCH /tags/:name] Ошибка:', e && e.message);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  // -----------------------
+  // DELETE /tags/:name
+  // Удаление тега из всех заметок пользователя
+  router.delete('/:name', requireCapability(adapter, 'transactions'), async (req, res) => {
+    try {
+      if (!req.user || !req.user.uid) {
+        console.warn('[DELETE /tags/:name] Отказано — пользователь не авторизован');
+        return res.status(401).json({ error: 'unauthorized' });
+      }
+
+      const tag = normalizeTag(req.params.name);
+      if (!tag) {
+        return res.status(400).json({ error: 'invalid_tags' });
+      }
+
+      const updated = await rewriteTags(req.user, [tag], tags => tags.filter(t => t !== tag));
+      if (!updated) {
+        return res.status(404).json({ error: 'not_found' });
+      }
+      console.log(`[DELETE /tags/:name] Пользователь ${req.user.uid} удалил тег "${tag}" (заметок: ${updated})`);
+      res.json({ ok: true, tag, updated });
+    } catch (e) {
+      console.error('[DELETE /tags/:name] Ошибка:', e && e.message);
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  return router;
+}
@@ -7,10 +7,22 @@ import cors from 'cors';            // CORS — чтобы фронтенд мо
 import dotenv from 'dotenv';        // Загрузка переменных окружения из .env
 import path from 'path';            // Работа с путями
 import { fileURLToPath } from 'url';// Получение __dirname в ESM
-import admin from 'firebase-admin'; // Firebase Admin SDK
-import fs from 'fs';                // Работа с файловой системой
-import { registerSyncRoutes } from './routes/sync.js';
+import { registerSyncRoutes, registerSyncStreamRoutes } from './routes/sync.js';
 import { registerNotesRoutes } from './routes/notes.js'; 
+import { registerTagsRoutes } from './routes/tags.js';
+import { registerNotebooksRoutes } from './routes/notebooks.js';
+import { registerPublicRoutes } from './routes/public.js';
+import { registerRemindersRoutes } from './routes/reminders.js';
+import { registerCalendarFeedRoutes, registerCalendarRoutes } from './routes/calendar.js';
+import { registerSettingsRoutes } from './routes/settings.js';
+import { registerAdminRoutes } from './routes/admin.js';
+import { startTrashPurge } from './lib/trash.js';
+import { startReminderScheduler } from './lib/reminders.js';
+import { startOutboxWorker } from './lib/outbox.js';
+import { startBackupScheduler } from './lib/backup.js';
+import { initFirebase } from './lib/firestore.js';
+import { createStorage, hasCapability, capabilitiesOf, DEFAULT_STORAGE } from './adapters/registry.js';
+import { requireCapability } from './middleware/storage.js';
 
 // Загружаем переменные окружения
 dotenv.config();
@@ -19,62 +31,97 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // ===================== Firebase =====================
-// Пробуем инициализировать Firebase Admin SDK, если есть ключ
-let firestore = null;
-try {
-  const keyPath = path.join(__dirname, 'firebase-key.json');
-  if (fs.existsSync(keyPath)) {
-    const serviceAccount = JSON.parse(fs.readFileSync(keyPath, 'utf8'));
-    admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
-    firestore = admin.firestore();
-    console.log('[Firebase] Инициализация прошла успешно, Firestore доступен');
-  } else {
-    console.log('[Firebase] Файл firebase-key.json не найден — сервер запускается без Firestore');
-  }
-} catch (err) {
-  console.warn('[Firebase] Ошибка инициализации Firestore. Работаем без него. Причина:', err && err.message);
-  firestore = null;
-}
+// Пробуем инициализировать Firebase Admin SDK, если есть ключ (lib/firestore.js):
+// FIRESTORE_EMULATOR_HOST без ключа — эмулятор Firestore (проект GCLOUD_PROJECT, по умолчанию demo-notes);
+// FIRESTORE=memory — Firestore в памяти процесса (lib/memoryFirestore.js), для разработки.
+const firestore = initFirebase(__dirname);
 
 // ===================== Middleware =====================
 // Импортируем middleware авторизации (после инициализации admin, чтобы verifyIdToken работал)
-const { authMiddleware } = await import('./middleware/auth.js');
+const { authMiddleware, streamAuthMiddleware, adminMiddleware } = await import('./middleware/auth.js');
 
 // ===================== Адаптеры хранения =====================
-// DualAdapter — умеет писать и в SQLite, и в файлы
-const DualAdapterModule = await import('./adapters/dualAdapter.js');
-const adapter = DualAdapterModule;
+// STORAGE выбирает хранилище (adapters/registry.js): dual (по умолчанию) — SQLite + файлы + Firestore,
+// sqlite | file | firestore | memory — одно хранилище, sqlite+file и т.п. — основное + копии
+const STORAGE = (process.env.STORAGE || DEFAULT_STORAGE).toLowerCase();
+let adapter;
+try {
+  adapter = createStorage(STORAGE);
+} catch (err) {
+  console.error(`[Server] Некорректное значение STORAGE=${STORAGE}:`, err && err.message);
+  process.exit(1);
+}
 
 // ===================== Express =====================
 const app = express();
 const PORT = process.env.PORT || 3001;
-const STORAGE = (process.env.STORAGE || 'file').toLowerCase();
 
 // Подключаем middleware
-app.use(cors());
+// ETag должен быть виден фронтенду — он нужен для If-Match при сохранении заметки
+app.use(cors({ exposedHeaders: ['ETag'] }));
 app.use(express.json());
 
 // ===================== Инициализация адаптера =====================
+const DATA_DIR = path.join(__dirname, 'data');
 try {
-  await adapter.init(path.join(__dirname, 'data'));
-  console.log('[Server] Хранилище инициализировано (SQLite + файлы; Firestore синхронизация может быть включена)');
+  await adapter.init(DATA_DIR);
+  console.log(`[Server] Хранилище ${STORAGE} инициализировано, возможности: ${capabilitiesOf(adapter).join(', ')}`);
 } catch (err) {
   console.error('[Server] Ошибка инициализации адаптера:', err && err.message);
   process.exit(1);
 }
 
+// Автоочистка корзины (TRASH_RETENTION_DAYS, по умолчанию 30 дней)
+if (hasCapability(adapter, 'trash')) startTrashPurge(adapter);
+
+// Отправка напоминаний (REMINDER_NOTIFIERS, по умолчанию только в лог)
+if (hasCapability(adapter, 'reminders')) startReminderScheduler(adapter);
+
+// Запись изменений в Firestore через очередь (OUTBOX_POLL_SECONDS, OUTBOX_MAX_ATTEMPTS)
+// и сверка с Firestore при старте
+if (firestore && hasCapability(adapter, 'replication')) startOutboxWorker(adapter);
+
+// Резервные копии data/ (BACKUP_INTERVAL_HOURS, BACKUP_KEEP, BACKUP_USER_SNAPSHOTS)
+startBackupScheduler(adapter, { dataDir: DATA_DIR, storage: STORAGE });
+
+// ===================== Публичные ссылки =====================
+// Просмотр заметки по ссылке — без авторизации (ссылки создаются в /notes/:id/public-link)
+app.use('/public', requireCapability(adapter, 'publicLinks'), registerPublicRoutes(adapter));
+
+// ===================== Календарная подписка =====================
+// GET /calendar/:token.ics — без авторизации (секретный токен в адресе)
+app.use('/calendar', requireCapability(adapter, 'calendar'), registerCalendarFeedRoutes(adapter));
+
+// ===================== Поток изменений (SSE) =====================
+// GET /sync/stream — своя авторизация: токен можно передать и в ?access_token=
+// (браузерный EventSource не отправляет заголовки). Подключается раньше /sync.
+app.use('/sync/stream', streamAuthMiddleware, requireCapability(adapter, 'sync'), registerSyncStreamRoutes(adapter));
 
 // ===================== Middleware авторизации =====================
-// Защищаем маршруты /notes и /sync
+// Защищаем маршруты /notes, /sync, /tags, /notebooks, /reminders, /calendar (кроме .ics) и /settings
 app.use('/notes', authMiddleware);
 app.use('/sync', authMiddleware);
+app.use('/tags', authMiddleware);
+app.use('/notebooks', authMiddleware);
+app.use('/reminders', authMiddleware);
+app.use('/calendar', authMiddleware);
+app.use('/settings', authMiddleware);
+// /admin — только администраторам (ADMIN_UIDS или custom claim admin)
+app.use('/admin', authMiddleware, adminMiddleware);
 
 // // ===================== Notes API =====================
 
 
 // --- Routes ---
-app.use('/notes', registerNotesRoutes(DualAdapterModule));
-app.use('/sync', registerSyncRoutes(DualAdapterModule));
+// Маршруты, которым не хватает возможностей хранилища, отвечают 501 (middleware/storage.js)
+app.use('/notes', registerNotesRoutes(adapter));
+app.use('/sync', requireCapability(adapter, 'sync'), registerSyncRoutes(adapter));
+app.use('/tags', registerTagsRoutes(adapter));
+app.use('/notebooks', requireCapability(adapter, 'notebooks'), registerNotebooksRoutes(adapter));
+app.use('/reminders', requireCapability(adapter, 'reminders'), registerRemindersRoutes(adapter));
+app.use('/calendar', requireCapability(adapter, 'calendar'), registerCalendarRoutes(adapter));
+app.use('/settings', requireCapability(adapter, 'settings'), registerSettingsRoutes(adapter));
+app.use('/admin', registerAdminRoutes(adapter, { storage: STORAGE, dataDir: DATA_DIR }));
 
 
 
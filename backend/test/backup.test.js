@@ -0,0 +1,167 @@
+// test/backup.test.js
+// Резервные копии (lib/backup.js): интервал плановых копий (значения, которые не помещаются
+// в таймер Node, не принимаются), ротация и восстановление на SQLite — одного пользователя
+// (другие не затрагиваются) и всей базы целиком.
+
+import test, { before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { silenceLogs, tempDataDir } from './helpers.js';
+import { createStorage } from '../adapters/registry.js';
+import {
+  getBackupIntervalHours, MAX_BACKUP_INTERVAL_HOURS, backupDir,
+  createBackup, listBackups, rotateBackups, restoreUser, restoreAll
+} from '../lib/backup.js';
+
+silenceLogs();
+
+const STORAGE = 'sqlite';
+
+let adapter;
+let dataDir;
+
+function makeNote(id, uid, fields = {}) {
+  const now = Date.now();
+  return {
+    id, uid, title: id, body: '', tags: [], date: null, time: null,
+    notebookId: null, reminderAt: null, recurrence: null, isDeleted: false,
+    createdAt: now, updatedAt: now, ...fields
+  };
+}
+
+// Заметки пользователя: id → { title, isDeleted }
+async function userNotes(uid) {
+  const notes = await adapter.find({ uid, includeDeleted: true });
+  return Object.fromEntries(notes.map(n => [n.id, { title: n.title, isDeleted: n.isDeleted }]).sort());
+}
+
+before(async () => {
+  dataDir = await tempDataDir();
+  adapter = createStorage(STORAGE);
+  await adapter.init(dataDir);
+});
+
+afterEach(() => {
+  delete process.env.BACKUP_INTERVAL_HOURS;
+});
+
+test('BACKUP_INTERVAL_HOURS: по умолчанию 24, 0 выключает, дробные часы допустимы', () => {
+  assert.equal(getBackupIntervalHours(), 24);
+  process.env.BACKUP_INTERVAL_HOURS = '0';
+  assert.equal(getBackupIntervalHours(), 0);
+  process.env.BACKUP_INTERVAL_HOURS = '0.5';
+  assert.equal(getBackupIntervalHours(), 0.5);
+});
+
+test('BACKUP_INTERVAL_HOURS вне диапазона таймера — 24', () => {
+  assert.ok(MAX_BACKUP_INTERVAL_HOURS * 60 * 60 * 1000 <= 2 ** 31 - 1);
+  process.env.BACKUP_INTERVAL_HOURS = String(MAX_BACKUP_INTERVAL_HOURS);
+  assert.equal(getBackupIntervalHours(), MAX_BACKUP_INTERVAL_HOURS);
+  for (const value of [String(MAX_BACKUP_INTERVAL_HOURS + 1), '1000', '-1', 'abc', 'Infinity']) {
+    process.env.BACKUP_INTERVAL_HOURS = value;
+    assert.equal(getBackupIntervalHours(), 24, value);
+  }
+});
+
+test('rotateBackups: удаляются старые плановые копии, копии пользователей и pre-restore остаются', async () => {
+  const dir = await tempDataDir();
+  await fs.mkdir(backupDir(dir), { recursive: true });
+  const names = [
+    'backup-2025-01-01T00-00-00-000Z.zip',
+    'backup-2025-01-02T00-00-00-000Z.zip',
+    'backup-2025-01-03T00-00-00-000Z.zip',
+    'backup-2025-01-01T00-00-00-000Z-user-alice.zip',
+    'backup-2025-01-01T00-00-00-000Z-pre-restore.zip',
+    'notes.db.bak'
+  ];
+  for (const name of names) await fs.writeFile(path.join(backupDir(dir), name), '');
+
+  assert.deepEqual(await rotateBackups(dir, 2), ['backup-2025-01-01T00-00-00-000Z.zip']);
+  assert.deepEqual((await listBackups(dir)).map(b => [b.name, b.kind]), [
+    ['backup-2025-01-03T00-00-00-000Z.zip', 'full'],
+    ['backup-2025-01-02T00-00-00-000Z.zip', 'full'],
+    ['backup-2025-01-01T00-00-00-000Z-user-alice.zip', 'user'],
+    ['backup-2025-01-01T00-00-00-000Z-pre-restore.zip', 'full']
+  ]);
+});
+
+test('restoreUser: заметки пользователя возвращаются к копии, новые — в корзину, другие пользователи не затрагиваются', async () => {
+  await adapter.upsert(makeNote('u1', 'alice', { title: 'исходная' }));
+  await adapter.upsert(makeNote('u2', 'alice', { title: 'будет удалена' }));
+  await adapter.upsert(makeNote('u3', 'alice', { title: 'без изменений' }));
+  await adapter.upsert(makeNote('o1', 'bob', { title: 'боб до копии' }));
+
+  const backup = await createBackup(adapter, { dataDir, storage: STORAGE, users: true });
+  assert.equal(backup.kind, 'full');
+  assert.deepEqual(backup.users.sort(), ['alice', 'bob']);
+  const file = path.join(backupDir(dataDir), backup.name);
+  const manifest = JSON.parse(new AdmZip(file).readAsText('manifest.json'));
+  assert.equal(manifest.database, true);
+
+  await adapter.upsert(makeNote('u1', 'alice', { title: 'изменена после копии' }));
+  await adapter.remove('u2');
+  await adapter.upsert(makeNote('u4', 'alice', { title: 'создана после копии' }));
+  await adapter.upsert(makeNote('o1', 'bob', { title: 'боб после копии' }));
+
+  const dryRun = await restoreUser(adapter, file, 'alice', { dryRun: true });
+  assert.deepEqual(dryRun, { restored: 2, unchanged: 1, trashed: 1, notebooks: 0, dryRun: true });
+  assert.equal((await adapter.get('u1')).title, 'изменена после копии');
+
+  const result = await restoreUser(adapter, file, 'alice');
+  assert.deepEqual(result, { restored: 2, unchanged: 1, trashed: 1, notebooks: 0, dryRun: false });
+  assert.deepEqual(await userNotes('alice'), {
+    u1: { title: 'исходная', isDeleted: false },
+    u2: { title: 'будет удалена', isDeleted: false },
+    u3: { title: 'без изменений', isDeleted: false },
+    u4: { title: 'создана после копии', isDeleted: true }
+  });
+  // восстановление — новая ревизия, а не откат номера
+  assert.equal((await adapter.get('u1')).revision, 3);
+  assert.deepEqual(await userNotes('bob'), { o1: { title: 'боб после копии', isDeleted: false } });
+});
+
+test('копия одного пользователя восстанавливается из users/<uid>.json', async () => {
+  await adapter.upsert(makeNote('c1', 'carol', { title: 'в копии' }));
+  const backup = await createBackup(adapter, { dataDir, storage: STORAGE, uid: 'carol' });
+  assert.equal(backup.kind, 'user');
+  assert.match(backup.name, /-user-carol\.zip$/);
+  assert.deepEqual(new AdmZip(path.join(backupDir(dataDir), backup.name)).getEntries().map(e => e.entryName).sort(),
+    ['manifest.json', 'users/carol.json']);
+
+  await adapter.upsert(makeNote('c1', 'carol', { title: 'после копии' }));
+  await restoreUser(adapter, path.join(backupDir(dataDir), backup.name), 'carol');
+  assert.equal((await adapter.get('c1')).title, 'в копии');
+
+  await assert.rejects(restoreAll(adapter, path.join(backupDir(dataDir), backup.name), { dataDir, storage: STORAGE }),
+    /копия одного пользователя/);
+});
+
+test('restoreAll: база возвращается к копии целиком, номера изменений продолжают расти', async () => {
+  await adapter.upsert(makeNote('a1', 'dave', { title: 'до копии' }));
+  const backup = await createBackup(adapter, { dataDir, storage: STORAGE });
+  const before = { dave: await userNotes('dave'), bob: await userNotes('bob') };
+
+  await adapter.upsert(makeNote('a1', 'dave', { title: 'после копии' }));
+  await adapter.upsert(makeNote('a2', 'dave', { title: 'новая' }));
+  await adapter.upsert(makeNote('o1', 'bob', { title: 'боб изменён' }));
+  const seqBefore = await adapter.currentSeq();
+
+  const result = await restoreAll(adapter, path.join(backupDir(dataDir), backup.name), { dataDir, storage: STORAGE });
+  assert.equal(result.database, true);
+  assert.match(result.preRestore, /-pre-restore\.zip$/);
+  assert.equal(result.firestore, null);
+
+  assert.deepEqual(await userNotes('dave'), before.dave);
+  assert.deepEqual(await userNotes('bob'), before.bob);
+  assert.ok(await adapter.currentSeq() >= seqBefore);
+
+  // новые записи получают номера выше выданных до восстановления
+  await adapter.upsert(makeNote('a3', 'dave'));
+  assert.ok((await adapter.get('a3')).seq > seqBefore);
+
+  // копия до восстановления хранит отменённые изменения
+  const pre = new AdmZip(path.join(backupDir(dataDir), result.preRestore));
+  assert.ok(pre.getEntry('notes.db'));
+});
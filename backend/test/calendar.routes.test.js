@@ -0,0 +1,83 @@
+// test/calendar.routes.test.js
+// Календарная подписка на SQLite: адрес с токеном работает без авторизации, отражает
+// правки и удаление заметок, часовой пояс берётся из ?tz=, подписки или настроек;
+// новый адрес отключает старый.
+
+import test, { before } from 'node:test';
+import assert from 'node:assert/strict';
+import { silenceLogs, tempDataDir, startApp } from './helpers.js';
+import { createStorage } from '../adapters/registry.js';
+import { requireCapability } from '../middleware/storage.js';
+import { registerNotesRoutes } from '../routes/notes.js';
+import { registerCalendarFeedRoutes, registerCalendarRoutes } from '../routes/calendar.js';
+
+silenceLogs();
+
+let request;
+
+before(async () => {
+  const adapter = createStorage('sqlite');
+  await adapter.init(await tempDataDir());
+  ({ request } = await startApp((app, auth) => {
+    app.use('/calendar', requireCapability(adapter, 'calendar'), registerCalendarFeedRoutes(adapter));
+    app.use('/notes', auth, registerNotesRoutes(adapter));
+    app.use('/calendar', auth, requireCapability(adapter, 'calendar'), registerCalendarRoutes(adapter));
+  }));
+});
+
+// Путь подписки из полного адреса
+const feedPath = url => new URL(url).pathname;
+
+test('подписка: без авторизации по токену, правки и удаление заметок видны в календаре', async () => {
+  assert.equal((await request('GET', '/calendar/feed', { uid: 'alice' })).status, 404);
+
+  const created = await request('POST', '/calendar/feed', { uid: 'alice', body: { tz: 'Europe/Berlin' } });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.tz, 'Europe/Berlin');
+  const path = feedPath(created.body.url);
+  assert.match(path, /^\/calendar\/[^/]+\.ics$/);
+
+  await request('POST', '/notes', { uid: 'alice', body: { id: 'c1', title: 'Встреча', date: '2025-06-01T00:00:00Z', time: '09:00' } });
+  await request('POST', '/notes', { uid: 'alice', body: { id: 'c2', title: 'Без даты' } });
+  await request('POST', '/notes', { uid: 'bob', body: { id: 'b1', title: 'Чужая', date: '2025-06-01T00:00:00Z' } });
+
+  const feed = await request('GET', path);
+  assert.equal(feed.status, 200);
+  assert.equal(feed.headers.get('content-type'), 'text/calendar; charset=utf-8');
+  assert.match(feed.body, /\r\nUID:c1@notes-app\r\nDTSTAMP:\d{8}T\d{6}Z\r\nSEQUENCE:1\r\nSUMMARY:Встреча\r\n/);
+  assert.match(feed.body, /\r\nDTSTART:20250601T070000Z\r\n/);
+  assert.doesNotMatch(feed.body, /c2@|b1@/);
+
+  await request('PUT', '/notes/c1', { uid: 'alice', body: { title: 'Встреча, перенесена' } });
+  const edited = await request('GET', path);
+  assert.match(edited.body, /\r\nSEQUENCE:2\r\nSUMMARY:Встреча\\, перенесена\r\n/);
+
+  await request('DELETE', '/notes/c1', { uid: 'alice' });
+  assert.doesNotMatch((await request('GET', path)).body, /BEGIN:VEVENT/);
+});
+
+test('часовой пояс: ?tz= важнее пояса подписки, некорректный — 400', async () => {
+  const { body } = await request('POST', '/calendar/feed', { uid: 'carol', body: { tz: 'UTC' } });
+  const path = feedPath(body.url);
+  await request('POST', '/notes', { uid: 'carol', body: { id: 'tz1', title: 'T', date: '2025-06-01T00:00:00Z', time: '09:00' } });
+
+  assert.match((await request('GET', path)).body, /DTSTART:20250601T090000Z/);
+  assert.match((await request('GET', `${path}?tz=Asia/Vladivostok`)).body, /DTSTART:20250531T230000Z/);
+  assert.equal((await request('GET', `${path}?tz=Mars/Base`)).status, 400);
+
+  const cleared = await request('PUT', '/calendar/feed', { uid: 'carol', body: { tz: null } });
+  assert.equal(cleared.body.tz, null);
+});
+
+test('новый адрес отключает старый, после DELETE подписка недоступна', async () => {
+  const first = await request('POST', '/calendar/feed', { uid: 'dave' });
+  const second = await request('POST', '/calendar/feed', { uid: 'dave' });
+  assert.equal(second.status, 200);
+  assert.notEqual(second.body.url, first.body.url);
+  assert.equal((await request('GET', feedPath(first.body.url))).status, 404);
+  assert.equal((await request('GET', feedPath(second.body.url))).status, 200);
+
+  assert.equal((await request('DELETE', '/calendar/feed', { uid: 'dave' })).status, 200);
+  assert.equal((await request('GET', feedPath(second.body.url))).status, 404);
+  assert.equal((await request('DELETE', '/calendar/feed', { uid: 'dave' })).status, 404);
+});
@@ -0,0 +1,105 @@
+// test/calendar.test.js
+// Календарь заметок (lib/calendar.js): перенос строк длиннее 75 байт, экранирование текста,
+// события на день и со временем в часовом поясе пользователя, задачи VTODO для чеклистов;
+// разбор результата обратно через parseIcs (lib/import.js).
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCalendar, checklistState } from '../lib/calendar.js';
+import { parseIcs } from '../lib/import.js';
+
+const BERLIN = 'Europe/Berlin';
+
+// Развернуть перенесённые строки и найти свойство компонента
+function unfold(ics) {
+  return ics.replace(/\r\n /g, '').split('\r\n');
+}
+function prop(ics, name) {
+  return unfold(ics).find(line => line.startsWith(`${name}:`) || line.startsWith(`${name};`));
+}
+
+test('строки CRLF не длиннее 75 байт, перенос не разрывает символы UTF-8', () => {
+  const body = 'Длинный текст заметки на кириллице, '.repeat(10) + '🎉 конец';
+  const ics = buildCalendar([{ id: 'n1', title: 'T', body, date: Date.parse('2025-06-01T00:00:00Z') }], { tz: 'UTC' });
+
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.ok(!/[^\r]\n/.test(ics));
+  const physical = ics.split('\r\n').slice(0, -1);
+  for (const line of physical) {
+    assert.ok(Buffer.byteLength(line) <= 75, line);
+    assert.ok(!line.includes('�'));
+  }
+  assert.ok(physical.filter(line => line.startsWith(' ')).length > 5);
+  assert.equal(prop(ics, 'DESCRIPTION'), `DESCRIPTION:${body.replace(/,/g, '\\,')}`);
+});
+
+test('экранирование \\ ; , и переводов строк в SUMMARY, DESCRIPTION и CATEGORIES', () => {
+  const note = { id: 'n1', title: 'a;b,c\\d', body: 'строка 1\r\nстрока 2\nстрока 3', tags: ['x,y', 'z'], date: Date.parse('2025-06-01T00:00:00Z') };
+  const ics = buildCalendar([note], { tz: 'UTC', name: 'Мои; заметки' });
+  assert.equal(prop(ics, 'SUMMARY'), 'SUMMARY:a\\;b\\,c\\\\d');
+  assert.equal(prop(ics, 'DESCRIPTION'), 'DESCRIPTION:строка 1\\nстрока 2\\nстрока 3');
+  assert.equal(prop(ics, 'CATEGORIES'), 'CATEGORIES:x\\,y,z');
+  assert.equal(prop(ics, 'X-WR-CALNAME'), 'X-WR-CALNAME:Мои\\; заметки');
+});
+
+test('событие на день и со временем — в часовом поясе пользователя, UID и SEQUENCE постоянные', () => {
+  // 31 мая 23:30 UTC — уже 1 июня по Берлину
+  const date = Date.parse('2025-05-31T23:30:00Z');
+  const allDay = buildCalendar([{ id: 'n1', title: 'T', date, revision: 3 }], { tz: BERLIN });
+  assert.equal(prop(allDay, 'UID'), 'UID:n1@notes-app');
+  assert.equal(prop(allDay, 'SEQUENCE'), 'SEQUENCE:3');
+  assert.equal(prop(allDay, 'DTSTART'), 'DTSTART;VALUE=DATE:20250601');
+  assert.equal(prop(allDay, 'DTEND'), 'DTEND;VALUE=DATE:20250602');
+  assert.equal(prop(allDay, 'X-WR-TIMEZONE'), `X-WR-TIMEZONE:${BERLIN}`);
+
+  const timed = buildCalendar([{ id: 'n1', title: 'T', date, time: '09:15' }], { tz: BERLIN });
+  assert.equal(prop(timed, 'DTSTART'), 'DTSTART:20250601T071500Z');
+  assert.equal(prop(timed, 'DTEND'), 'DTEND:20250601T081500Z');
+
+  // в последний день месяца конец события переходит на следующий месяц
+  const lastDay = buildCalendar([{ id: 'n2', title: 'T', date: Date.parse('2025-12-31T12:00:00Z') }], { tz: 'UTC' });
+  assert.equal(prop(lastDay, 'DTEND'), 'DTEND;VALUE=DATE:20260101');
+});
+
+test('чеклист с невыполненными пунктами — VTODO, выполненный — VEVENT; без даты и в корзине — пропускаются', () => {
+  assert.deepEqual(checklistState('- [x] один\n[ ] два\n* [X] три\nтекст'), { total: 3, checked: 2 });
+
+  const date = Date.parse('2025-06-01T10:00:00Z');
+  const ics = buildCalendar([
+    { id: 'todo', title: 'Покупки', body: '[x] хлеб\n[ ] молоко\n[ ] сыр', date },
+    { id: 'done', title: 'Готово', body: '[x] всё', date },
+    { id: 'nodate', title: 'Без даты', date: null },
+    { id: 'trash', title: 'Удалена', date, isDeleted: true }
+  ], { tz: 'UTC' });
+  const lines = unfold(ics);
+
+  assert.deepEqual(lines.filter(l => l.startsWith('UID:')), ['UID:todo@notes-app', 'UID:done@notes-app']);
+  const todo = lines.slice(lines.indexOf('BEGIN:VTODO'), lines.indexOf('END:VTODO'));
+  assert.ok(todo.includes('DUE;VALUE=DATE:20250601'));
+  assert.ok(todo.includes('STATUS:NEEDS-ACTION'));
+  assert.ok(todo.includes('PERCENT-COMPLETE:33'));
+  assert.equal(lines.filter(l => l === 'BEGIN:VEVENT').length, 1);
+});
+
+test('parseIcs читает выгруженный календарь обратно без потерь', () => {
+  const note = {
+    id: 'n1',
+    title: 'Встреча; важная, срочная',
+    body: 'Первая строка\nВторая \\ строка, ' + 'длинный текст '.repeat(10).trim(),
+    tags: ['work', 'a,b'],
+    date: Date.parse('2025-06-01T07:15:00Z'),
+    time: '09:15',
+    createdAt: Date.parse('2025-05-01T10:00:00Z'),
+    updatedAt: Date.parse('2025-05-02T10:00:00Z')
+  };
+  const [parsed] = parseIcs(buildCalendar([note], { tz: BERLIN }), { tz: BERLIN });
+  assert.deepEqual(parsed, {
+    title: note.title,
+    body: note.body,
+    tags: ['work', 'a,b'],
+    date: note.date,
+    time: '09:15',
+    createdAt: note.createdAt,
+    updatedAt: note.updatedAt
+  });
+});
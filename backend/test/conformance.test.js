@@ -0,0 +1,21 @@
+// test/conformance.test.js
+// Общая проверка хранилищ (adapters/conformance.js) — каждое хранилище из
+// CONFORMANCE_STORAGES во временном каталоге; то же, что npm run check:adapters.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { silenceLogs } from './helpers.js';
+import { checkStorage, CONFORMANCE_STORAGES } from '../adapters/conformance.js';
+
+silenceLogs();
+
+for (const spec of CONFORMANCE_STORAGES) {
+  test(`хранилище ${spec}`, async t => {
+    const { results } = await checkStorage(spec);
+    for (const c of results) {
+      await t.test(c.name, { skip: c.skipped && 'нет возможности' }, () => {
+        assert.ok(c.ok, c.error);
+      });
+    }
+  });
+}
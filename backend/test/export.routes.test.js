@@ -0,0 +1,119 @@
+// test/export.routes.test.js
+// Экспорт заметок на хранилище в памяти: GET /notes/:id/export во всех форматах
+// (тип содержимого, транслитерированное имя файла, даты в часовом поясе ?tz=)
+// и ZIP-архив GET /notes/export с manifest.json и фильтрами как у GET /notes.
+
+import test, { before } from 'node:test';
+import assert from 'node:assert/strict';
+import AdmZip from 'adm-zip';
+import { silenceLogs, startApp } from './helpers.js';
+import { createStorage } from '../adapters/registry.js';
+import { registerNotesRoutes } from '../routes/notes.js';
+
+silenceLogs();
+
+let request;
+let baseUrl;
+
+before(async () => {
+  const adapter = createStorage('memory');
+  await adapter.init();
+  ({ request, url: baseUrl } = await startApp((app, auth) => {
+    app.use('/notes', auth, registerNotesRoutes(adapter));
+  }));
+
+  const date = '2025-03-01T22:30:00Z'; // 2 марта 08:30 во Владивостоке
+  await request('POST', '/notes', { uid: 'alice', body: { id: 'e1', title: 'Привет, мир', body: 'a < b & "c"', tags: ['work'], date } });
+  await request('POST', '/notes', { uid: 'alice', body: { id: 'e2', title: 'Привет, мир', body: 'дубль', tags: ['home'] } });
+  await request('POST', '/notes', { uid: 'alice', body: { id: 'e3', title: '', body: 'без названия', tags: ['work'] } });
+  await request('POST', '/notes', { uid: 'bob', body: { id: 'b1', title: 'чужая' } });
+});
+
+// ZIP-архив нельзя прочитать как текст — забираем байты напрямую
+async function downloadZip(query, uid = 'alice') {
+  const res = await fetch(`${baseUrl}/notes/export${query}`, { headers: { 'x-test-uid': uid } });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'application/zip');
+  return new AdmZip(Buffer.from(await res.arrayBuffer()));
+}
+
+test('по умолчанию txt: кириллица в имени файла транслитерируется, оригинал — в filename*', async () => {
+  const res = await request('GET', '/notes/e1/export?tz=UTC', { uid: 'alice' });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'text/plain; charset=utf-8');
+  assert.equal(res.headers.get('content-disposition'),
+    `attachment; filename="privet_mir.txt"; filename*=UTF-8''${encodeURIComponent('Привет, мир.txt')}`);
+  assert.match(res.body, /^ЗАМЕТКА: Привет, мир/);
+  assert.match(res.body, /Теги: #work/);
+});
+
+test('даты в txt — в часовом поясе ?tz=', async () => {
+  const utc = await request('GET', '/notes/e1/export?tz=UTC', { uid: 'alice' });
+  assert.match(utc.body, /Дата: 01\.03\.2025\nВремя: 22:30/);
+  const vladivostok = await request('GET', '/notes/e1/export?tz=Asia/Vladivostok', { uid: 'alice' });
+  assert.match(vladivostok.body, /Дата: 02\.03\.2025\nВремя: 08:30/);
+
+  const bad = await request('GET', '/notes/e1/export?tz=Mars/Base', { uid: 'alice' });
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.code, 'invalid_timezone');
+});
+
+test('md — front matter с метаданными, html — экранированный текст', async () => {
+  const md = await request('GET', '/notes/e1/export?format=md', { uid: 'alice' });
+  assert.equal(md.headers.get('content-type'), 'text/markdown; charset=utf-8');
+  assert.match(md.body, /^---\nid: "e1"\ntitle: "Привет, мир"\ntags: \["work"\]\ndate: "2025-03-01T22:30:00.000Z"\n/);
+  assert.match(md.body, /\n---\n\n# Привет, мир\n\na < b & "c"\n$/);
+
+  const html = await request('GET', '/notes/e1/export?format=html', { uid: 'alice' });
+  assert.equal(html.headers.get('content-type'), 'text/html; charset=utf-8');
+  assert.match(html.body, /<title>Привет, мир<\/title>/);
+  assert.match(html.body, /<div class="body">a &lt; b &amp; &quot;c&quot;<\/div>/);
+});
+
+test('json, pdf и asJson; заметка без названия — имя файла по id', async () => {
+  const json = await request('GET', '/notes/e3/export?format=json', { uid: 'alice' });
+  assert.equal(json.headers.get('content-type'), 'application/json; charset=utf-8');
+  assert.match(json.headers.get('content-disposition'), /filename="note_e3\.json"/);
+  assert.equal(json.body.id, 'e3');
+  assert.equal(json.body.body, 'без названия');
+
+  const pdf = await request('GET', '/notes/e1/export?format=PDF&asJson=true', { uid: 'alice' });
+  assert.equal(pdf.status, 200);
+  assert.equal(pdf.body.filename, 'privet_mir.pdf');
+  assert.equal(pdf.body.encoding, 'base64');
+  assert.equal(Buffer.from(pdf.body.content, 'base64').subarray(0, 5).toString(), '%PDF-');
+});
+
+test('неизвестный формат — 400 invalid_format со списком форматов, чужая заметка недоступна', async () => {
+  const res = await request('GET', '/notes/e1/export?format=docx', { uid: 'alice' });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'invalid_format');
+  assert.deepEqual(res.body.formats, ['txt', 'md', 'html', 'json', 'pdf']);
+
+  assert.equal((await request('GET', '/notes/e1/export', { uid: 'bob' })).status, 403);
+});
+
+test('ZIP: по файлу на заметку, одинаковые названия не перезаписываются, manifest.json', async () => {
+  const zip = await downloadZip('');
+  const names = zip.getEntries().map(e => e.entryName).sort();
+  assert.deepEqual(names, ['manifest.json', 'note_e3.md', 'privet_mir.md', 'privet_mir_2.md']);
+
+  const manifest = JSON.parse(zip.readAsText('manifest.json'));
+  assert.equal(manifest.uid, 'alice');
+  assert.equal(manifest.format, 'md');
+  assert.equal(manifest.count, 3);
+  const byId = Object.fromEntries(manifest.notes.map(n => [n.id, n]));
+  assert.equal(zip.readAsText(byId.e2.file).includes('дубль'), true);
+  assert.deepEqual(byId.e1.tags, ['work']);
+});
+
+test('ZIP: фильтры как у GET /notes и формат файлов', async () => {
+  const zip = await downloadZip('?format=txt&tags=work');
+  const manifest = JSON.parse(zip.readAsText('manifest.json'));
+  assert.deepEqual(manifest.notes.map(n => n.id).sort(), ['e1', 'e3']);
+  assert.ok(manifest.notes.every(n => n.file.endsWith('.txt')));
+
+  const bad = await request('GET', '/notes/export?format=docx', { uid: 'alice' });
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.code, 'invalid_format');
+});
@@ -0,0 +1,176 @@
+// test/fsck.test.js
+// Сверка копий заметок (lib/fsck.js) на DualAdapter с Firestore в памяти:
+// отсутствующие, расходящиеся, повреждённые и оставшиеся после удаления копии,
+// отставание Firestore из-за очереди и исправление по самой новой копии или по эталону.
+
+import test, { before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { silenceLogs, tempDataDir } from './helpers.js';
+import { createStorage } from '../adapters/registry.js';
+import { setFirestore } from '../lib/firestore.js';
+import { createMemoryFirestore } from '../lib/memoryFirestore.js';
+import { processOutbox } from '../lib/outbox.js';
+import { checkConsistency, fsckStores, differentFields } from '../lib/fsck.js';
+
+silenceLogs();
+
+const HOUR_MS = 60 * 60 * 1000;
+const STORES = ['sqlite', 'file', 'firestore'];
+
+let adapter;
+let firestore;
+let dataDir;
+
+function makeNote(id, uid, fields = {}) {
+  const now = Date.now();
+  return {
+    id, uid, title: id, body: '', tags: [], date: null, time: null,
+    notebookId: null, reminderAt: null, recurrence: null, isDeleted: false,
+    createdAt: now, updatedAt: now, ...fields
+  };
+}
+
+const remoteDoc = id => firestore.collection('notes').doc(id);
+const noteFile = id => path.join(dataDir, 'notes_files', `${id}.json`);
+
+async function drain() {
+  while (await processOutbox(adapter, Date.now() + HOUR_MS));
+}
+
+// Заметка во всех трёх хранилищах
+async function seed(id, uid, fields) {
+  await adapter.upsert(makeNote(id, uid, fields));
+  await drain();
+  return adapter.get(id);
+}
+
+// Проблемы заметки в отчёте: [[store, type]]
+function problemsOf(report, id) {
+  const issue = report.issues.find(i => i.id === id);
+  return issue ? issue.problems.map(p => [p.store, p.type]) : [];
+}
+
+before(async () => {
+  firestore = createMemoryFirestore();
+  setFirestore(firestore);
+  dataDir = await tempDataDir();
+  adapter = createStorage('dual');
+  await adapter.init(dataDir);
+});
+
+beforeEach(async () => {
+  setFirestore(firestore);
+  await drain();
+});
+
+test('fsckStores: dual — все три хранилища, без Firestore — только локальные', () => {
+  assert.deepEqual(fsckStores('dual'), STORES);
+  assert.deepEqual(fsckStores('sqlite+file'), ['sqlite', 'file']);
+  setFirestore(null);
+  assert.deepEqual(fsckStores('dual'), ['sqlite', 'file']);
+});
+
+test('differentFields: seq не сравнивается, отсутствующие теги и false совпадают с пустыми', () => {
+  const note = makeNote('x', 'u');
+  assert.deepEqual(differentFields({ ...note, seq: 1 }, { ...note, seq: 2 }), []);
+  assert.deepEqual(differentFields({ ...note, tags: undefined, isDeleted: undefined }, note), []);
+  assert.deepEqual(differentFields({ ...note, title: 'y', updatedAt: 1 }, note), ['title', 'updatedAt']);
+});
+
+test('согласованные копии — без проблем; неизвестный эталон — ошибка', async () => {
+  await seed('ok1', 'clean');
+  await seed('ok2', 'clean');
+  const report = await checkConsistency({ stores: STORES, uid: 'clean' });
+  assert.deepEqual(report.sqliteIntegrity, ['ok']);
+  assert.deepEqual(report.summary, {
+    checked: 2, consistent: 2, missing: 0, divergent: 0, corrupt: 0, purged: 0, extra: 0, pending: 0, repaired: 0, failed: 0
+  });
+  assert.deepEqual(report.issues, []);
+
+  await assert.rejects(checkConsistency({ stores: ['sqlite', 'file'], source: 'firestore' }), /Неизвестный эталон/);
+});
+
+test('missing и corrupt: исправление по самой новой копии перезаписывает файлы', async () => {
+  await seed('gone', 'alice');
+  await seed('broken', 'alice');
+  await fs.unlink(noteFile('gone'));
+  await fs.writeFile(noteFile('broken'), '{ "id": "broken", ');
+
+  const report = await checkConsistency({ stores: STORES, uid: 'alice' });
+  assert.deepEqual(problemsOf(report, 'gone'), [['file', 'missing']]);
+  assert.deepEqual(problemsOf(report, 'broken'), [['file', 'corrupt']]);
+  assert.equal(report.summary.missing, 1);
+  assert.equal(report.summary.corrupt, 1);
+  assert.equal(report.issues.find(i => i.id === 'broken').uid, 'alice');
+
+  const repaired = await checkConsistency({ stores: STORES, uid: 'alice', repair: true });
+  assert.equal(repaired.summary.repaired, 2);
+  assert.deepEqual(repaired.issues.map(i => i.repair), [
+    { action: 'write', stores: ['file'], errors: [] },
+    { action: 'write', stores: ['file'], errors: [] }
+  ]);
+  assert.equal(JSON.parse(await fs.readFile(noteFile('broken'), 'utf8')).title, 'broken');
+  assert.deepEqual((await checkConsistency({ stores: STORES, uid: 'alice' })).issues, []);
+});
+
+test('divergent: эталон — самая новая копия или выбранное хранилище', async () => {
+  const note = await seed('div', 'bob');
+  const { seq, ...remote } = note;
+  await remoteDoc('div').set({ ...remote, title: 'из Firestore', updatedAt: note.updatedAt + 1000 });
+
+  const newest = await checkConsistency({ stores: STORES, uid: 'bob' });
+  const problems = newest.issues[0].problems;
+  assert.deepEqual(problems.map(p => [p.store, p.type, p.fields]), [
+    ['sqlite', 'divergent', ['title', 'updatedAt']],
+    ['file', 'divergent', ['title', 'updatedAt']]
+  ]);
+  assert.equal(problems[0].revision, 1);
+
+  // эталон — SQLite: расходится Firestore, он и перезаписывается
+  const bySqlite = await checkConsistency({ stores: STORES, uid: 'bob', source: 'sqlite', repair: true });
+  assert.deepEqual(problemsOf(bySqlite, 'div'), [['firestore', 'divergent']]);
+  assert.deepEqual(bySqlite.issues[0].repair.stores, ['firestore']);
+  assert.equal((await remoteDoc('div').get()).data().title, 'div');
+  assert.equal(bySqlite.summary.repaired, 1);
+});
+
+test('pending: Firestore отстаёт из-за очереди — не чинится и не может быть эталоном', async () => {
+  await adapter.upsert(makeNote('queued', 'carol'));
+
+  const report = await checkConsistency({ stores: STORES, uid: 'carol', repair: true });
+  assert.deepEqual(problemsOf(report, 'queued'), [['firestore', 'pending']]);
+  assert.equal(report.issues[0].repair, undefined);
+  assert.equal(report.summary.pending, 1);
+
+  // эталон-Firestore без этой заметки не удаляет локальные копии
+  const byFirestore = await checkConsistency({ stores: STORES, uid: 'carol', source: 'firestore', repair: true });
+  assert.deepEqual(problemsOf(byFirestore, 'queued'), [['firestore', 'pending']]);
+  assert.equal(byFirestore.issues[0].repair, undefined);
+  assert.ok(await adapter.get('queued'));
+  assert.ok(JSON.parse(await fs.readFile(noteFile('queued'), 'utf8')));
+
+  await drain();
+  assert.deepEqual((await checkConsistency({ stores: STORES, uid: 'carol' })).issues, []);
+});
+
+test('purged и extra: копия удалённой или неизвестной эталону заметки удаляется', async () => {
+  const note = await seed('purged', 'dave');
+  await adapter.remove('purged');
+  await drain();
+  const { seq, ...remote } = note;
+  await remoteDoc('purged').set(remote);
+
+  const purged = await checkConsistency({ stores: STORES, uid: 'dave', repair: true });
+  assert.deepEqual(problemsOf(purged, 'purged'), [['firestore', 'purged']]);
+  assert.deepEqual(purged.issues[0].repair, { action: 'delete', stores: ['firestore'], errors: [] });
+  assert.equal((await remoteDoc('purged').get()).exists, false);
+
+  // заметка только в Firestore: для эталона-SQLite это лишняя копия, для newest — недостающие
+  await remoteDoc('remote-only').set(makeNote('remote-only', 'dave'));
+  const bySqlite = await checkConsistency({ stores: STORES, uid: 'dave', source: 'sqlite' });
+  assert.deepEqual(problemsOf(bySqlite, 'remote-only'), [['firestore', 'extra']]);
+  const newest = await checkConsistency({ stores: STORES, uid: 'dave' });
+  assert.deepEqual(problemsOf(newest, 'remote-only'), [['sqlite', 'missing'], ['file', 'missing']]);
+});
@@ -0,0 +1,74 @@
+// test/helpers.js
+// Общие помощники тестов (npm test — встроенный node:test).
+//
+//   silenceLogs()          — скрыть журнал адаптеров и маршрутов (SQL-запросы и т.п.);
+//   tempDataDir()          — временный каталог данных (удаляется при выходе из процесса);
+//   startApp(mount)        — Express-приложение на случайном порту; вместо Firebase-авторизации
+//                            пользователь берётся из заголовков X-Test-Uid и X-Test-Admin;
+//                            body — JSON или FormData (загрузка файлов).
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { sendError } from '../lib/errors.js';
+
+export function silenceLogs() {
+  if (process.env.TEST_VERBOSE) return;
+  console.log = console.warn = console.error = () => {};
+}
+
+// node --test запускает каждый файл отдельным процессом — каталог живёт до конца файла
+export async function tempDataDir() {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'notes-test-'));
+  process.once('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Заменяет authMiddleware: req.user из заголовков (без них — 401, как у настоящего)
+function testAuth(req, res, next) {
+  const uid = req.get('x-test-uid');
+  if (!uid) return sendError(res, 401, 'unauthorized');
+  req.user = { uid, admin: req.get('x-test-admin') === '1' };
+  next();
+}
+
+/**
+ * Запустить приложение: mount(app, auth) подключает маршруты.
+ * request(method, url, { uid, admin, body, headers }) → { status, headers, body }.
+ */
+export async function startApp(mount) {
+  const app = express();
+  app.use(express.json());
+  mount(app, testAuth);
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  // сервер не держит процесс: файл тестов завершается, когда тесты закончились
+  server.unref();
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, url, { uid, admin, body, headers = {} } = {}) {
+    const form = body instanceof FormData;
+    const res = await fetch(base + url, {
+      method,
+      headers: {
+        ...(body !== undefined && !form ? { 'content-type': 'application/json' } : {}),
+        ...(uid ? { 'x-test-uid': uid } : {}),
+        ...(admin ? { 'x-test-admin': '1' } : {}),
+        ...headers
+      },
+      body: form ? body : body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await res.text();
+    let parsed = text;
+    try {
+      parsed = text ? JSON.parse(text) : null;
+    } catch (e) {
+      // не JSON — отдаём как есть
+    }
+    return { status: res.status, headers: res.headers, body: parsed };
+  }
+
+  return { url: base, request };
+}
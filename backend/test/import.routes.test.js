@@ -0,0 +1,71 @@
+// test/import.routes.test.js
+// POST /notes/import на SQLite: заметка, запись которой оборвалась на середине,
+// не оставляет следов, остальные заметки пачки сохраняются.
+
+import test, { before } from 'node:test';
+import assert from 'node:assert/strict';
+import { silenceLogs, tempDataDir, startApp } from './helpers.js';
+import { createStorage } from '../adapters/registry.js';
+import { registerNotesRoutes } from '../routes/notes.js';
+
+silenceLogs();
+
+let adapter;
+let request;
+
+function importFile(notes) {
+  const form = new FormData();
+  form.append('file', new Blob([JSON.stringify({ notes })], { type: 'application/json' }), 'notes.json');
+  return form;
+}
+
+before(async () => {
+  adapter = createStorage('sqlite');
+  await adapter.init(await tempDataDir());
+  ({ request } = await startApp((app, auth) => {
+    app.use('/notes', auth, registerNotesRoutes(adapter));
+  }));
+});
+
+test('импорт: ошибка после записи заметки откатывает её записи, остальные сохраняются', async () => {
+  // запись заметки "сломанная" доходит до базы и обрывается исключением
+  const upsert = adapter.upsert;
+  adapter.upsert = async (note, options) => {
+    const result = await upsert(note, options);
+    if (note.title === 'сломанная') throw new Error('disk I/O error');
+    return result;
+  };
+  const head = await adapter.currentSeq();
+  let res;
+  try {
+    res = await request('POST', '/notes/import', {
+      uid: 'alice',
+      body: importFile([
+        { title: 'первая', body: 'a' },
+        { id: 'broken', title: 'сломанная', body: 'b' },
+        { title: 'третья', body: 'c' }
+      ])
+    });
+  } finally {
+    adapter.upsert = upsert;
+  }
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.summary, { total: 3, created: 2, duplicate: 0, invalid: 0, failed: 1 });
+  assert.deepEqual(res.body.items.map(i => [i.title, i.status]), [['первая', 'created'], ['сломанная', 'failed'], ['третья', 'created']]);
+
+  assert.equal(await adapter.get('broken'), null);
+  const titles = (await adapter.find({ uid: 'alice', includeDeleted: true })).map(n => n.title).sort();
+  assert.deepEqual(titles, ['первая', 'третья']);
+  const { notes } = await adapter.changes({ uid: 'alice', afterSeq: head });
+  assert.deepEqual(notes.map(n => n.title).sort(), ['первая', 'третья']);
+  assert.deepEqual(await adapter.listRevisions('broken'), []);
+});
+
+test('импорт: повторный файл — дубликаты, пустая заметка — invalid', async () => {
+  const res = await request('POST', '/notes/import', {
+    uid: 'alice',
+    body: importFile([{ title: 'первая', body: 'a' }, { title: '', body: '' }])
+  });
+  assert.deepEqual(res.body.items.map(i => [i.status, i.reason]), [['duplicate', undefined], ['invalid', 'empty_note']]);
+});
@@ -0,0 +1,139 @@
+// test/notes.routes.test.js
+// Маршруты /notes на хранилище в памяти (STORAGE=memory): создание, проверка схемы,
+// доступ только владельцу, If-Match/412, корзина и постраничный список.
+
+import test, { before } from 'node:test';
+import assert from 'node:assert/strict';
+import { silenceLogs, startApp } from './helpers.js';
+import { createStorage } from '../adapters/registry.js';
+import { registerNotesRoutes } from '../routes/notes.js';
+
+silenceLogs();
+
+let request;
+
+before(async () => {
+  const adapter = createStorage('memory');
+  await adapter.init();
+  ({ request } = await startApp((app, auth) => {
+    app.use('/notes', auth, registerNotesRoutes(adapter));
+  }));
+});
+
+test('без пользователя — 401 в общем формате ошибок', async () => {
+  const res = await request('GET', '/notes');
+  assert.equal(res.status, 401);
+  assert.equal(res.body.code, 'unauthorized');
+  assert.deepEqual(res.body.details, []);
+});
+
+test('POST /notes: 201, ETag, серверные поля не принимаются от клиента', async () => {
+  const res = await request('POST', '/notes', {
+    uid: 'alice',
+    body: { title: 'Покупки', tags: ['дом'], createdAt: 1, isDeleted: true }
+  });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.uid, 'alice');
+  assert.equal(res.body.revision, 1);
+  assert.equal(res.body.isDeleted, false);
+  assert.ok(res.body.createdAt > 1);
+  assert.equal(res.headers.get('etag'), '"1"');
+});
+
+test('POST /notes: некорректные поля — 400 validation_failed с details', async () => {
+  const res = await request('POST', '/notes', { uid: 'alice', body: { title: 5, color: 'red' } });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'validation_failed');
+  assert.deepEqual(res.body.details.map(d => [d.path, d.code]).sort(), [['color', 'unknown_field'], ['title', 'invalid_type']]);
+});
+
+test('POST /notes с занятым id: своя заметка — 409, чужая — 403, заметка не меняется', async () => {
+  const created = await request('POST', '/notes', { uid: 'alice', body: { id: 'alice-note', title: 'моя' } });
+  assert.equal(created.status, 201);
+
+  const own = await request('POST', '/notes', { uid: 'alice', body: { id: 'alice-note', title: 'снова' } });
+  assert.equal(own.status, 409);
+  assert.equal(own.body.code, 'already_exists');
+
+  const foreign = await request('POST', '/notes', { uid: 'bob', body: { id: 'alice-note', title: 'чужая' } });
+  assert.equal(foreign.status, 403);
+
+  const note = await request('GET', '/notes/alice-note', { uid: 'alice' });
+  assert.equal(note.body.title, 'моя');
+  assert.equal(note.body.uid, 'alice');
+});
+
+test('GET/PUT чужой заметки — 403, несуществующей — 404', async () => {
+  await request('POST', '/notes', { uid: 'alice', body: { id: 'private', title: 'секрет' } });
+  assert.equal((await request('GET', '/notes/private', { uid: 'bob' })).status, 403);
+  assert.equal((await request('PUT', '/notes/private', { uid: 'bob', body: { title: 'x' } })).status, 403);
+  assert.equal((await request('GET', '/notes/missing', { uid: 'alice' })).status, 404);
+});
+
+test('PUT с устаревшим If-Match — 412 и текущая версия, с актуальным — запись', async () => {
+  await request('POST', '/notes', { uid: 'alice', body: { id: 'versioned', title: 'v1' } });
+  const v2 = await request('PUT', '/notes/versioned', { uid: 'alice', body: { title: 'v2' }, headers: { 'If-Match': '"1"' } });
+  assert.equal(v2.status, 200);
+  assert.equal(v2.body.revision, 2);
+
+  const stale = await request('PUT', '/notes/versioned', { uid: 'alice', body: { title: 'v3' }, headers: { 'If-Match': '"1"' } });
+  assert.equal(stale.status, 412);
+  assert.equal(stale.body.code, 'precondition_failed');
+  assert.equal((await request('GET', '/notes/versioned', { uid: 'alice' })).body.title, 'v2');
+
+  // fetch с If-None-Match сам добавил бы Cache-Control: no-cache, и Express не ответил бы 304
+  const cached = await request('GET', '/notes/versioned', {
+    uid: 'alice', headers: { 'If-None-Match': '"2"', 'Cache-Control': 'max-age=0' }
+  });
+  assert.equal(cached.status, 304);
+});
+
+test('DELETE переносит в корзину, restore возвращает, permanent удаляет', async () => {
+  await request('POST', '/notes', { uid: 'alice', body: { id: 'trashed', title: 'в корзину' } });
+  assert.deepEqual((await request('DELETE', '/notes/trashed', { uid: 'alice' })).body, { ok: true });
+
+  const trash = await request('GET', '/notes/trash', { uid: 'alice' });
+  assert.ok(JSON.stringify(trash.body).includes('trashed'));
+  assert.ok(!(await request('GET', '/notes', { uid: 'alice' })).body.some(n => n.id === 'trashed'));
+
+  const restored = await request('POST', '/notes/trashed/restore', { uid: 'alice' });
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.isDeleted, false);
+
+  const removed = await request('DELETE', '/notes/trashed?permanent=1', { uid: 'alice' });
+  assert.deepEqual(removed.body, { ok: true, permanent: true });
+  assert.equal((await request('GET', '/notes/trashed', { uid: 'alice' })).status, 404);
+});
+
+test('GET /notes: только свои заметки, фильтр по тегу и страницы по курсору', async () => {
+  for (const title of ['a', 'b', 'c']) {
+    await request('POST', '/notes', { uid: 'carol', body: { title, tags: ['list'] } });
+  }
+  await request('POST', '/notes', { uid: 'dave', body: { title: 'чужая', tags: ['list'] } });
+
+  const tagged = await request('GET', '/notes?tags=list', { uid: 'carol' });
+  assert.deepEqual(tagged.body.map(n => n.title).sort(), ['a', 'b', 'c']);
+
+  const first = await request('GET', '/notes?limit=2&sort=title', { uid: 'carol' });
+  assert.deepEqual(first.body.notes.map(n => n.title), ['a', 'b']);
+  assert.ok(first.body.nextCursor);
+  const second = await request('GET', `/notes?limit=2&sort=title&cursor=${encodeURIComponent(first.body.nextCursor)}`, { uid: 'carol' });
+  assert.deepEqual(second.body.notes.map(n => n.title), ['c']);
+  assert.equal(second.body.nextCursor, null);
+
+  assert.equal((await request('GET', '/notes?limit=2&cursor=bad', { uid: 'carol' })).body.code, 'invalid_cursor');
+  // курсор с ключом не того типа (объект, массив, строка вместо числа)
+  const crafted = [
+    { s: 'title:asc', k: { $gt: '' }, id: 'x' },
+    { s: 'title:asc', k: ['a'], id: 'x' },
+    { s: 'updatedAt:desc', k: '1', id: 'x' },
+    { s: 'updatedAt:desc', k: null, id: 'x' }
+  ];
+  for (const state of crafted) {
+    const cursor = Buffer.from(JSON.stringify(state)).toString('base64url');
+    const sort = state.s.startsWith('title') ? '&sort=title' : '';
+    const res = await request('GET', `/notes?limit=2${sort}&cursor=${cursor}`, { uid: 'carol' });
+    assert.equal(res.status, 400, JSON.stringify(state));
+    assert.equal(res.body.code, 'invalid_cursor');
+  }
+});
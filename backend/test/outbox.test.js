@@ -0,0 +1,182 @@
+// test/outbox.test.js
+// Очередь записей в Firestore (lib/outbox.js) на DualAdapter с Firestore в памяти
+// (lib/memoryFirestore.js): повторы с паузой, status: failed, возврат в очередь
+// через /admin/replication/retry и сверка при старте (reconcile).
+
+import test, { before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { silenceLogs, tempDataDir, startApp } from './helpers.js';
+import { createStorage } from '../adapters/registry.js';
+import { setFirestore } from '../lib/firestore.js';
+import { createMemoryFirestore } from '../lib/memoryFirestore.js';
+import { processOutbox, retryDelay, reconcile } from '../lib/outbox.js';
+import { registerAdminRoutes } from '../routes/admin.js';
+import { adminMiddleware } from '../middleware/auth.js';
+
+silenceLogs();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let adapter;
+let firestore;
+let dataDir;
+
+function makeNote(id, fields = {}) {
+  const now = Date.now();
+  return {
+    id, uid: 'alice', title: id, body: '', tags: [], date: null, time: null,
+    notebookId: null, reminderAt: null, recurrence: null, isDeleted: false,
+    createdAt: now, updatedAt: now, ...fields
+  };
+}
+
+async function remoteNote(id) {
+  const snap = await firestore.collection('notes').doc(id).get();
+  return snap.exists ? snap.data() : null;
+}
+
+// Отправить всё, что накопилось, как будто прошло много времени
+async function drain() {
+  while (await processOutbox(adapter, Date.now() + HOUR_MS));
+}
+
+before(async () => {
+  firestore = createMemoryFirestore();
+  setFirestore(firestore);
+  dataDir = await tempDataDir();
+  adapter = createStorage('dual');
+  await adapter.init(dataDir);
+});
+
+beforeEach(async () => {
+  delete process.env.OUTBOX_MAX_ATTEMPTS;
+  setFirestore(firestore);
+  await drain();
+});
+
+test('retryDelay: пауза удваивается от 5 с до 10 минут, разброс ±25%', () => {
+  const exact = () => 0.5;
+  assert.equal(retryDelay(1, exact), 5000);
+  assert.equal(retryDelay(2, exact), 10000);
+  assert.equal(retryDelay(4, exact), 40000);
+  assert.equal(retryDelay(20, exact), 10 * 60 * 1000);
+  assert.equal(retryDelay(1, () => 0), 3750);
+  assert.equal(retryDelay(1, () => 1), 6250);
+});
+
+test('запись уходит в Firestore через очередь', async () => {
+  await adapter.upsert(makeNote('sent'));
+  assert.equal(await remoteNote('sent'), null, 'до обработки очереди в Firestore ничего нет');
+  assert.equal((await adapter.outboxStats()).pending, 1);
+
+  assert.equal(await processOutbox(adapter), 1);
+  assert.equal((await remoteNote('sent')).title, 'sent');
+  assert.equal((await adapter.outboxStats()).pending, 0);
+});
+
+test('upsert возвращает ревизию, remove отсутствующей заметки не ставит удаление в очередь', async () => {
+  const revision = await adapter.upsert(makeNote('returned'));
+  assert.equal(revision.noteId, 'returned');
+  assert.equal(revision.revision, 1);
+  await drain();
+
+  assert.equal(await adapter.remove('missing'), false);
+  assert.equal((await adapter.outboxStats()).pending, 0);
+
+  // документ, которого нет в SQLite, в Firestore не удаляется
+  await firestore.collection('notes').doc('foreign').set({ ...makeNote('foreign', { uid: 'bob' }), revision: 1 });
+  assert.equal(await adapter.remove('foreign'), false);
+  assert.equal((await adapter.outboxStats()).pending, 0);
+  assert.equal((await remoteNote('foreign')).uid, 'bob');
+  await firestore.collection('notes').doc('foreign').delete();
+
+  assert.equal(await adapter.remove('returned'), true);
+  assert.deepEqual((await adapter.listOutbox({ status: 'pending' })).map(e => [e.docId, e.op]), [['returned', 'delete']]);
+  await drain();
+  assert.equal(await remoteNote('returned'), null);
+});
+
+test('ошибка Firestore: запись остаётся в очереди и повторяется после паузы', async () => {
+  await adapter.upsert(makeNote('retry'));
+  firestore.failNext(1, 'UNAVAILABLE');
+
+  const before = Date.now();
+  assert.equal(await processOutbox(adapter), 0);
+  const [entry] = await adapter.listOutbox({ status: 'pending' });
+  assert.equal(entry.docId, 'retry');
+  assert.equal(entry.attempts, 1);
+  assert.equal(entry.lastError, 'UNAVAILABLE');
+  assert.ok(entry.nextAttemptAt >= before + retryDelay(1, () => 0), 'пауза перед повтором');
+  assert.ok(entry.nextAttemptAt <= Date.now() + retryDelay(1, () => 1));
+
+  assert.equal(await processOutbox(adapter), 0, 'до конца паузы запись не отправляется');
+  assert.equal(await processOutbox(adapter, entry.nextAttemptAt), 1);
+  assert.equal((await remoteNote('retry')).title, 'retry');
+});
+
+test('после OUTBOX_MAX_ATTEMPTS ошибок — status: failed, обработчик её больше не берёт', async () => {
+  process.env.OUTBOX_MAX_ATTEMPTS = '2';
+  await adapter.upsert(makeNote('failed'));
+  firestore.failNext(2, 'DEADLINE_EXCEEDED');
+
+  await processOutbox(adapter);
+  await processOutbox(adapter, Date.now() + HOUR_MS);
+  const [entry] = await adapter.listOutbox({ status: 'failed' });
+  assert.equal(entry.docId, 'failed');
+  assert.equal(entry.attempts, 2);
+  assert.equal(entry.nextAttemptAt, null);
+  assert.deepEqual(await adapter.outboxStats(), { pending: 0, failed: 1, oldestPendingAt: null });
+
+  assert.equal(await processOutbox(adapter, Date.now() + HOUR_MS), 0);
+  assert.equal(await remoteNote('failed'), null);
+});
+
+test('POST /admin/replication/retry возвращает неудавшиеся записи в очередь', async () => {
+  const { request } = await startApp((app, auth) => {
+    app.use('/admin', auth, adminMiddleware, registerAdminRoutes(adapter, { storage: 'dual', dataDir }));
+  });
+
+  const status = await request('GET', '/admin/replication', { uid: 'root', admin: true });
+  assert.equal(status.status, 200);
+  assert.equal(status.body.failed, 1);
+  assert.deepEqual(status.body.failedItems.map(e => [e.docId, e.lastError]), [['failed', 'DEADLINE_EXCEEDED']]);
+
+  const denied = await request('POST', '/admin/replication/retry', { uid: 'alice', body: {} });
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.code, 'forbidden');
+
+  const invalid = await request('POST', '/admin/replication/retry', { uid: 'root', admin: true, body: { ids: ['x'] } });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, 'invalid_ids');
+
+  const retried = await request('POST', '/admin/replication/retry', { uid: 'root', admin: true, body: {} });
+  assert.deepEqual(retried.body, { retried: 1 });
+  const [entry] = await adapter.listOutbox({ status: 'pending' });
+  assert.equal(entry.attempts, 0);
+
+  assert.equal(await processOutbox(adapter), 1);
+  assert.equal((await remoteNote('failed')).title, 'failed');
+});
+
+test('сверка: изменения, сделанные без Firestore, доходят до него; новые версии из Firestore загружаются', async () => {
+  setFirestore(null);
+  await adapter.upsert(makeNote('offline'));
+  setFirestore(firestore);
+  assert.equal((await adapter.outboxStats()).pending, 0, 'без Firestore очередь не ведётся');
+
+  // в Firestore есть заметка, которой нет локально, и более новая версия локальной
+  await adapter.upsert(makeNote('edited', { title: 'local' }));
+  await drain();
+  await firestore.collection('notes').doc('remote').set({ ...makeNote('remote'), revision: 1 });
+  await firestore.collection('notes').doc('edited').set({ ...makeNote('edited', { title: 'remote' }), revision: 5 });
+
+  const report = await reconcile(adapter);
+  assert.equal(report.notes.pushed, 1);
+  assert.equal(report.notes.pulled, 2);
+
+  await drain();
+  assert.equal((await remoteNote('offline')).title, 'offline');
+  assert.equal((await adapter.get('remote')).title, 'remote');
+  assert.equal((await adapter.get('edited')).title, 'remote');
+  assert.equal((await adapter.get('edited')).revision, 5);
+});
@@ -0,0 +1,138 @@
+// test/reminders.test.js
+// Расписание напоминаний (lib/reminders.js) и правила повторения (lib/recurrence.js):
+// просроченные разовые, пропуск повторений после простоя, границы snooze, UNTIL/COUNT,
+// MAX_ITERATIONS и местное время пользователя при переходе на летнее/зимнее время.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { initialSchedule, advanceSchedule, snoozeUntil, SNOOZE_MAX_MINUTES } from '../lib/reminders.js';
+import { parseRecurrence, formatRecurrence, nextOccurrence } from '../lib/recurrence.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const BERLIN = 'Europe/Berlin';
+const iso = ts => new Date(ts).toISOString();
+
+test('initialSchedule: без напоминания или в корзине — null', () => {
+  assert.equal(initialSchedule({ reminderAt: null }), null);
+  assert.equal(initialSchedule({ reminderAt: Date.now() + HOUR_MS, isDeleted: true }), null);
+});
+
+test('initialSchedule: разовое — pending, поставленное больше суток назад — expired', () => {
+  const now = Date.parse('2025-05-10T12:00:00Z');
+  assert.deepEqual(initialSchedule({ reminderAt: now + HOUR_MS }, now, 'UTC'),
+    { occurrenceAt: now + HOUR_MS, dueAt: now + HOUR_MS, status: 'pending' });
+  assert.equal(initialSchedule({ reminderAt: now - HOUR_MS }, now, 'UTC').status, 'pending');
+  assert.deepEqual(initialSchedule({ reminderAt: now - 2 * DAY_MS }, now, 'UTC'),
+    { occurrenceAt: now - 2 * DAY_MS, dueAt: now - 2 * DAY_MS, status: 'expired' });
+});
+
+test('initialSchedule: у повторяющегося прошедшие повторения пропускаются, закончившееся — expired', () => {
+  const now = Date.parse('2025-05-10T12:00:00Z');
+  const reminderAt = Date.parse('2025-05-01T09:00:00Z');
+  const daily = initialSchedule({ reminderAt, recurrence: 'daily' }, now, 'UTC');
+  assert.equal(iso(daily.occurrenceAt), '2025-05-11T09:00:00.000Z');
+  assert.equal(daily.status, 'pending');
+
+  // повторение в текущую минуту ещё отправляется
+  const current = initialSchedule({ reminderAt, recurrence: 'daily' }, Date.parse('2025-05-10T09:00:30Z'), 'UTC');
+  assert.equal(iso(current.occurrenceAt), '2025-05-10T09:00:00.000Z');
+
+  const finished = initialSchedule({ reminderAt, recurrence: 'FREQ=DAILY;COUNT=3' }, now, 'UTC');
+  assert.deepEqual(finished, { occurrenceAt: reminderAt, dueAt: reminderAt, status: 'expired' });
+});
+
+test('advanceSchedule: после простоя пропущенные повторения не отправляются, разовое — null', () => {
+  const reminderAt = Date.parse('2025-05-01T09:00:00Z');
+  const reminder = { reminderAt, recurrence: 'daily', occurrenceAt: Date.parse('2025-05-03T09:00:00Z') };
+
+  assert.equal(iso(advanceSchedule(reminder, Date.parse('2025-05-03T09:00:05Z'), 'UTC').occurrenceAt), '2025-05-04T09:00:00.000Z');
+  const afterDowntime = advanceSchedule(reminder, Date.parse('2025-05-09T15:00:00Z'), 'UTC');
+  assert.deepEqual(afterDowntime, {
+    occurrenceAt: Date.parse('2025-05-10T09:00:00Z'), dueAt: Date.parse('2025-05-10T09:00:00Z'), status: 'pending'
+  });
+
+  assert.equal(advanceSchedule({ reminderAt, recurrence: null, occurrenceAt: reminderAt }, reminderAt + MINUTE_MS), null);
+});
+
+test('advanceSchedule: часовой пояс берётся из reminder.tz', () => {
+  // 09:00 по Берлину (CET), перед переходом на летнее время 30 марта
+  const reminderAt = Date.parse('2025-03-29T08:00:00Z');
+  const reminder = { reminderAt, recurrence: 'daily', occurrenceAt: reminderAt, tz: BERLIN };
+  assert.equal(iso(advanceSchedule(reminder, reminderAt).occurrenceAt), '2025-03-30T07:00:00.000Z');
+});
+
+test('snoozeUntil: по умолчанию 10 минут, пределы minutes и until', () => {
+  const now = Date.parse('2025-05-10T12:00:00Z');
+  assert.equal(snoozeUntil({}, now), now + 10 * MINUTE_MS);
+  assert.equal(snoozeUntil({ minutes: 1.5 }, now), now + 90 * 1000);
+  assert.equal(snoozeUntil({ minutes: SNOOZE_MAX_MINUTES }, now), now + SNOOZE_MAX_MINUTES * MINUTE_MS);
+  for (const minutes of [0, -5, SNOOZE_MAX_MINUTES + 1, 'abc']) {
+    assert.equal(snoozeUntil({ minutes }, now), null, String(minutes));
+  }
+
+  assert.equal(snoozeUntil({ until: '2025-05-10T13:00:00Z' }, now), now + HOUR_MS);
+  assert.equal(snoozeUntil({ until: now + HOUR_MS }, now), now + HOUR_MS);
+  for (const until of [now, now - 1, now + SNOOZE_MAX_MINUTES * MINUTE_MS + 1, 'завтра']) {
+    assert.equal(snoozeUntil({ until }, now), null, String(until));
+  }
+});
+
+test('parseRecurrence: короткие формы, RRULE и некорректные правила', () => {
+  assert.equal(formatRecurrence(parseRecurrence('weekly')), 'FREQ=WEEKLY');
+  assert.equal(formatRecurrence(parseRecurrence('RRULE:freq=weekly;byday=fr,mo;interval=2')), 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR');
+  for (const value of ['', 'hourly', 'FREQ=DAILY;BYDAY=MO', 'FREQ=DAILY;COUNT=2;UNTIL=20250101', 'FREQ=DAILY;INTERVAL=0', 'FREQ=DAILY;UNTIL=2025']) {
+    assert.equal(parseRecurrence(value), null, value);
+  }
+});
+
+test('UNTIL: с Z — момент UTC, без Z — местное время пользователя и остаётся без Z', () => {
+  assert.equal(iso(parseRecurrence('FREQ=DAILY;UNTIL=20250601T120000Z', BERLIN).until), '2025-06-01T12:00:00.000Z');
+  const local = parseRecurrence('FREQ=DAILY;UNTIL=20250601T120000', BERLIN);
+  assert.equal(iso(local.until), '2025-06-01T10:00:00.000Z');
+  assert.equal(formatRecurrence(local), 'FREQ=DAILY;UNTIL=20250601T120000');
+  // дата без времени — до конца дня по местному времени
+  assert.equal(iso(parseRecurrence('FREQ=DAILY;UNTIL=20250601', BERLIN).until), '2025-06-01T21:59:59.999Z');
+});
+
+test('nextOccurrence: UNTIL и COUNT обрывают повторения', () => {
+  const start = Date.parse('2025-06-01T09:00:00Z');
+  const until = parseRecurrence('FREQ=DAILY;UNTIL=20250603T090000Z', 'UTC');
+  assert.equal(iso(nextOccurrence(until, start, start + DAY_MS, 'UTC')), '2025-06-03T09:00:00.000Z');
+  assert.equal(nextOccurrence(until, start, start + 2 * DAY_MS, 'UTC'), null);
+
+  const count = parseRecurrence('FREQ=WEEKLY;COUNT=2', 'UTC');
+  assert.equal(iso(nextOccurrence(count, start, start, 'UTC')), '2025-06-08T09:00:00.000Z');
+  assert.equal(nextOccurrence(count, start, start + 7 * DAY_MS, 'UTC'), null);
+});
+
+test('nextOccurrence: месяцы без такого числа пропускаются, перебор ограничен MAX_ITERATIONS', () => {
+  const start = Date.parse('2025-01-31T09:00:00Z');
+  const monthly = parseRecurrence('monthly', 'UTC');
+  assert.equal(iso(nextOccurrence(monthly, start, start, 'UTC')), '2025-03-31T09:00:00.000Z');
+
+  // 10000 ежедневных повторений (~27 лет) заканчиваются раньше, чем after
+  const old = Date.parse('1990-01-01T09:00:00Z');
+  assert.equal(nextOccurrence(parseRecurrence('daily', 'UTC'), old, Date.parse('2025-01-01T00:00:00Z'), 'UTC'), null);
+});
+
+test('nextOccurrence: "каждый день в 09:00" по Берлину переживает переходы времени', () => {
+  const daily = parseRecurrence('daily', BERLIN);
+  const spring = Date.parse('2025-03-29T08:00:00Z'); // 09:00 CET
+  assert.equal(iso(nextOccurrence(daily, spring, spring, BERLIN)), '2025-03-30T07:00:00.000Z'); // 09:00 CEST
+  const autumn = Date.parse('2025-10-25T07:00:00Z'); // 09:00 CEST
+  assert.equal(iso(nextOccurrence(daily, autumn, autumn, BERLIN)), '2025-10-26T08:00:00.000Z'); // 09:00 CET
+
+  // время в "дыре" перехода (02:30 30 марта нет) — момент после перехода
+  const night = Date.parse('2025-03-29T01:30:00Z'); // 02:30 CET
+  assert.equal(iso(nextOccurrence(daily, night, night, BERLIN)), '2025-03-30T01:30:00.000Z'); // 03:30 CEST
+});
+
+test('nextOccurrence: BYDAY — день недели по местному времени, а не по UTC', () => {
+  // понедельник 00:30 по Берлину — это ещё воскресенье по UTC
+  const start = Date.parse('2025-06-01T22:30:00Z');
+  const rule = parseRecurrence('FREQ=WEEKLY;BYDAY=MO,WE', BERLIN);
+  assert.equal(iso(nextOccurrence(rule, start, start, BERLIN)), '2025-06-03T22:30:00.000Z'); // среда 00:30
+  assert.equal(iso(nextOccurrence(rule, start, start + 2 * DAY_MS, BERLIN)), '2025-06-08T22:30:00.000Z'); // понедельник
+});
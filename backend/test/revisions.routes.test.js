@@ -0,0 +1,68 @@
+// test/revisions.routes.test.js
+// История ревизий на SQLite: восстановление из ревизии возвращает содержимое заметки,
+// но не меняет её состояние в корзине; ответ — с ETag, как у остальных маршрутов заметки.
+
+import test, { before } from 'node:test';
+import assert from 'node:assert/strict';
+import { silenceLogs, tempDataDir, startApp } from './helpers.js';
+import { createStorage } from '../adapters/registry.js';
+import { registerNotesRoutes } from '../routes/notes.js';
+
+silenceLogs();
+
+let request;
+
+before(async () => {
+  const adapter = createStorage('sqlite');
+  await adapter.init(await tempDataDir());
+  ({ request } = await startApp((app, auth) => {
+    app.use('/notes', auth, registerNotesRoutes(adapter));
+  }));
+});
+
+test('restore: содержимое из ревизии, новая ревизия и ETag', async () => {
+  await request('POST', '/notes', { uid: 'alice', body: { id: 'r1', title: 'v1', body: 'первый', tags: ['a'] } });
+  await request('PUT', '/notes/r1', { uid: 'alice', body: { title: 'v2', body: 'второй', tags: [] } });
+
+  const restored = await request('POST', '/notes/r1/revisions/1/restore', { uid: 'alice' });
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.title, 'v1');
+  assert.equal(restored.body.body, 'первый');
+  assert.deepEqual(restored.body.tags, ['a']);
+  assert.equal(restored.body.revision, 3);
+  assert.equal(restored.headers.get('etag'), '"3"');
+
+  const history = await request('GET', '/notes/r1/revisions', { uid: 'alice' });
+  assert.equal(history.status, 200);
+  assert.ok(JSON.stringify(history.body).includes('"revision":3'));
+});
+
+test('restore не выводит заметку из корзины', async () => {
+  await request('POST', '/notes', { uid: 'alice', body: { id: 'r2', title: 'живая' } });
+  await request('DELETE', '/notes/r2', { uid: 'alice' });
+
+  const restored = await request('POST', '/notes/r2/revisions/1/restore', { uid: 'alice' });
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.isDeleted, true);
+  assert.ok(!(await request('GET', '/notes', { uid: 'alice' })).body.some(n => n.id === 'r2'));
+});
+
+test('restore не переносит живую заметку в корзину', async () => {
+  await request('POST', '/notes', { uid: 'alice', body: { id: 'r3', title: 'v1' } });
+  await request('DELETE', '/notes/r3', { uid: 'alice' });
+  await request('POST', '/notes/r3/restore', { uid: 'alice' });
+
+  // ревизия 2 — снимок заметки в корзине
+  const restored = await request('POST', '/notes/r3/revisions/2/restore', { uid: 'alice' });
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.isDeleted, false);
+  assert.equal(restored.body.title, 'v1');
+});
+
+test('restore: несуществующая ревизия — 404, чужая заметка — 403', async () => {
+  await request('POST', '/notes', { uid: 'alice', body: { id: 'r4', title: 'x' } });
+  const missing = await request('POST', '/notes/r4/revisions/99/restore', { uid: 'alice' });
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.code, 'revision_not_found');
+  assert.equal((await request('POST', '/notes/r4/revisions/1/restore', { uid: 'bob' })).status, 403);
+});
@@ -0,0 +1,68 @@
+// test/search.routes.test.js
+// Полнотекстовый поиск GET /notes?q=: на SQLite (FTS5) и в памяти (JS-аналог из lib/search.js)
+// одинаковые запросы должны давать одинаковые наборы заметок, порядок по релевантности
+// (совпадение в заголовке весит больше) и подсветку <mark> в snippet.
+
+import test, { before } from 'node:test';
+import assert from 'node:assert/strict';
+import { silenceLogs, tempDataDir, startApp } from './helpers.js';
+import { createStorage } from '../adapters/registry.js';
+import { registerNotesRoutes } from '../routes/notes.js';
+
+silenceLogs();
+
+const NOTES = [
+  { id: 'n1', title: 'Список покупок', body: 'Молоко, хлеб и сыр на ужин' },
+  { id: 'n2', title: 'Ужин', body: 'Купить молоко по дороге домой' },
+  { id: 'n3', title: 'Café notes', body: 'Встреча в кафе в пятницу' },
+  { id: 'n4', title: 'Планы', body: 'Сыр и вино на выходные' }
+];
+
+const backends = {};
+
+before(async () => {
+  for (const kind of ['sqlite', 'memory']) {
+    const adapter = createStorage(kind);
+    await adapter.init(await tempDataDir());
+    const { request } = await startApp((app, auth) => {
+      app.use('/notes', auth, registerNotesRoutes(adapter));
+    });
+    for (const note of NOTES) {
+      await request('POST', '/notes', { uid: 'alice', body: note });
+    }
+    await request('POST', '/notes', { uid: 'bob', body: { id: 'b1', title: 'Молоко', body: 'чужая заметка' } });
+    backends[kind] = request;
+  }
+});
+
+async function search(kind, q) {
+  const res = await backends[kind]('GET', `/notes?q=${encodeURIComponent(q)}`, { uid: 'alice' });
+  assert.equal(res.status, 200);
+  return res.body;
+}
+
+for (const kind of ['sqlite', 'memory']) {
+  test(`${kind}: совпадение в заголовке выше совпадения в теле, чужие заметки не ищутся`, async () => {
+    const found = await search(kind, 'ужин');
+    assert.deepEqual(found.map(n => n.id), ['n2', 'n1']);
+    assert.ok(found[0].score > found[1].score);
+    assert.deepEqual((await search(kind, 'молоко')).map(n => n.id).sort(), ['n1', 'n2']);
+  });
+
+  test(`${kind}: snippet подсвечивает найденные слова`, async () => {
+    const [title, body] = await search(kind, 'ужин');
+    assert.equal(title.snippet.title, '<mark>Ужин</mark>');
+    assert.equal(body.snippet.title, 'Список покупок');
+    assert.equal(body.snippet.body, 'Молоко, хлеб и сыр на <mark>ужин</mark>');
+  });
+
+  test(`${kind}: префикс, фраза, OR, исключение и диакритика`, async () => {
+    const ids = async q => (await search(kind, q)).map(n => n.id).sort();
+    assert.deepEqual(await ids('ужин*'), ['n1', 'n2']);
+    assert.deepEqual(await ids('"хлеб и сыр"'), ['n1']);
+    assert.deepEqual(await ids('"сыр и хлеб"'), []);
+    assert.deepEqual(await ids('вино OR кафе'), ['n3', 'n4']);
+    assert.deepEqual(await ids('сыр -вино'), ['n1']);
+    assert.deepEqual(await ids('cafe'), ['n3']);
+  });
+}
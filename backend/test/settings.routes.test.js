@@ -0,0 +1,73 @@
+// test/settings.routes.test.js
+// Часовой пояс пользователя на хранилище в памяти: PUT/GET /settings и границы дня
+// в фильтрах GET /notes (dateFrom/dateTo) — по настройке пользователя или ?tz=;
+// некорректные даты и пояса отклоняются, а не превращаются в NaN-фильтры.
+
+import test, { before } from 'node:test';
+import assert from 'node:assert/strict';
+import { silenceLogs, startApp } from './helpers.js';
+import { createStorage } from '../adapters/registry.js';
+import { requireCapability } from '../middleware/storage.js';
+import { registerNotesRoutes } from '../routes/notes.js';
+import { registerSettingsRoutes } from '../routes/settings.js';
+import { serverTimeZone } from '../lib/timezone.js';
+
+silenceLogs();
+
+let request;
+
+before(async () => {
+  const adapter = createStorage('memory');
+  await adapter.init();
+  ({ request } = await startApp((app, auth) => {
+    app.use('/notes', auth, registerNotesRoutes(adapter));
+    app.use('/settings', auth, requireCapability(adapter, 'settings'), registerSettingsRoutes(adapter));
+  }));
+
+  // 2 марта по Владивостоку (UTC+10) — 1 марта по UTC
+  await request('POST', '/notes', { uid: 'alice', body: { id: 'd1', title: 'утро', date: '2025-03-01T22:30:00Z' } });
+  await request('POST', '/notes', { uid: 'alice', body: { id: 'd2', title: 'день', date: '2025-03-02T05:00:00Z' } });
+  await request('POST', '/notes', { uid: 'alice', body: { id: 'd3', title: 'вечер', date: '2025-03-02T15:00:00Z' } });
+});
+
+const ids = res => res.body.map(n => n.id).sort();
+
+test('settings: по умолчанию пояс сервера, PUT сохраняет и сбрасывает пояс', async () => {
+  assert.deepEqual((await request('GET', '/settings', { uid: 'alice' })).body, { tz: serverTimeZone(), tzIsDefault: true });
+
+  const saved = await request('PUT', '/settings', { uid: 'alice', body: { tz: 'Asia/Vladivostok' } });
+  assert.deepEqual(saved.body, { tz: 'Asia/Vladivostok', tzIsDefault: false });
+  assert.equal((await request('GET', '/settings', { uid: 'alice' })).body.tz, 'Asia/Vladivostok');
+
+  assert.equal((await request('PUT', '/settings', { uid: 'alice', body: { tz: 'Mars/Base' } })).status, 400);
+  assert.equal((await request('GET', '/settings', { uid: 'alice' })).body.tz, 'Asia/Vladivostok');
+
+  const reset = await request('PUT', '/settings', { uid: 'bob', body: { tz: null } });
+  assert.equal(reset.body.tzIsDefault, true);
+});
+
+test('dateFrom/dateTo — день в поясе пользователя, ?tz= его переопределяет', async () => {
+  await request('PUT', '/settings', { uid: 'alice', body: { tz: 'Asia/Vladivostok' } });
+
+  // 2 марта по Владивостоку: 2025-03-01T14:00Z … 2025-03-02T13:59:59.999Z
+  const local = await request('GET', '/notes?dateFrom=2025-03-02&dateTo=2025-03-02', { uid: 'alice' });
+  assert.equal(local.status, 200);
+  assert.deepEqual(ids(local), ['d1', 'd2']);
+
+  const utc = await request('GET', '/notes?dateFrom=2025-03-02&dateTo=2025-03-02&tz=UTC', { uid: 'alice' });
+  assert.deepEqual(ids(utc), ['d2', 'd3']);
+});
+
+test('некорректные даты и пояс — 400 с кодом ошибки', async () => {
+  const cases = [
+    ['dateFrom=2025-02-30', 'invalid_date_from'],
+    ['dateTo=02.03.2025', 'invalid_date_to'],
+    ['dateFrom=2025-03-02&dateTo=2025-03-01', 'invalid_date_range'],
+    ['dateFrom=2025-03-02&tz=Mars/Base', 'invalid_timezone']
+  ];
+  for (const [query, code] of cases) {
+    const res = await request('GET', `/notes?${query}`, { uid: 'alice' });
+    assert.equal(res.status, 400, query);
+    assert.equal(res.body.code, code, query);
+  }
+});
@@ -0,0 +1,142 @@
+// test/sync.routes.test.js
+// Маршруты /sync на хранилище в памяти (STORAGE=memory): push с созданием и конфликтом
+// по baseRevision, pull по курсору страницами, purged после окончательного удаления.
+
+import test, { before } from 'node:test';
+import assert from 'node:assert/strict';
+import { silenceLogs, startApp } from './helpers.js';
+import { createStorage } from '../adapters/registry.js';
+import { requireCapability } from '../middleware/storage.js';
+import { registerNotesRoutes } from '../routes/notes.js';
+import { registerSyncRoutes } from '../routes/sync.js';
+
+silenceLogs();
+
+let request;
+
+// Забрать все изменения после cursor, страница за страницей
+async function pullAll(uid, cursor, limit = 2) {
+  const pages = [];
+  for (;;) {
+    const query = `limit=${limit}` + (cursor ? `&cursor=${encodeURIComponent(cursor)}` : '');
+    const res = await request('GET', `/sync/pull?${query}`, { uid });
+    assert.equal(res.status, 200);
+    pages.push(res.body);
+    cursor = res.body.cursor;
+    if (!res.body.hasMore) return { pages, cursor };
+  }
+}
+
+before(async () => {
+  const adapter = createStorage('memory');
+  await adapter.init();
+  // routes/sync.js держит один роутер на модуль — подключаем один раз на файл
+  ({ request } = await startApp((app, auth) => {
+    app.use('/notes', auth, registerNotesRoutes(adapter));
+    app.use('/sync', auth, requireCapability(adapter, 'sync'), registerSyncRoutes(adapter));
+  }));
+});
+
+test('без пользователя — 401 в общем формате ошибок', async () => {
+  const res = await request('GET', '/sync/pull');
+  assert.equal(res.status, 401);
+  assert.equal(res.body.code, 'unauthorized');
+});
+
+test('push создаёт заметки, pull отдаёт их страницами по курсору', async () => {
+  const now = Date.now();
+  const notes = ['s1', 's2', 's3'].map(id => ({ id, title: id, updatedAt: now }));
+  const pushed = await request('POST', '/sync/push', { uid: 'alice', body: { notes } });
+  assert.equal(pushed.status, 200);
+  assert.deepEqual(pushed.body.results.map(r => [r.id, r.status, r.revision]), [
+    ['s1', 'created', 1], ['s2', 'created', 1], ['s3', 'created', 1]
+  ]);
+
+  const { pages, cursor } = await pullAll('alice');
+  assert.deepEqual(pages.map(p => p.hasMore), [true, false]);
+  assert.deepEqual(pages.flatMap(p => p.notes.map(n => n.id)), ['s1', 's2', 's3']);
+
+  // с последним курсором новых изменений нет, чужие заметки в поток не попадают
+  await request('POST', '/sync/push', { uid: 'bob', body: { notes: [{ id: 'b1', title: 'b1', updatedAt: now }] } });
+  const next = await pullAll('alice', cursor);
+  assert.deepEqual(next.pages.flatMap(p => p.notes), []);
+});
+
+test('push: некорректная заметка попадает в results, остальные сохраняются', async () => {
+  const res = await request('POST', '/sync/push', {
+    uid: 'alice',
+    body: { notes: [{ id: 'bad', title: 5 }, { id: 'good', title: 'ok', updatedAt: Date.now() }] }
+  });
+  assert.deepEqual(res.body.results.map(r => [r.id, r.status]), [['bad', 'invalid'], ['good', 'created']]);
+
+  const notArray = await request('POST', '/sync/push', { uid: 'alice', body: { notes: {} } });
+  assert.equal(notArray.status, 400);
+  assert.equal(notArray.body.code, 'validation_failed');
+});
+
+test('push с устаревшим baseRevision — conflict и серверная версия не теряется', async () => {
+  const now = Date.now();
+  await request('POST', '/sync/push', { uid: 'alice', body: { notes: [{ id: 'c1', title: 'v1', updatedAt: now }] } });
+  const second = await request('POST', '/sync/push', {
+    uid: 'alice', body: { notes: [{ id: 'c1', title: 'server', baseRevision: 1, updatedAt: now + 1 }] }
+  });
+  assert.deepEqual(second.body.results.map(r => [r.status, r.revision]), [['updated', 2]]);
+
+  const stale = await request('POST', '/sync/push', {
+    uid: 'alice', body: { notes: [{ id: 'c1', title: 'client', baseRevision: 1, updatedAt: now + 2 }] }
+  });
+  const [result] = stale.body.results;
+  assert.equal(result.status, 'conflict');
+  assert.deepEqual(result.conflicts.map(c => c.field), ['title']);
+  assert.equal((await request('GET', '/notes/c1', { uid: 'alice' })).body.title, 'server');
+});
+
+test('push без baseRevision: last-write-wins по updatedAt, createdAt остаётся серверным', async () => {
+  const now = Date.now();
+  await request('POST', '/sync/push', { uid: 'alice', body: { notes: [{ id: 'l1', title: 'v1', createdAt: now, updatedAt: now }] } });
+  const createdAt = (await request('GET', '/notes/l1', { uid: 'alice' })).body.createdAt;
+
+  const newer = await request('POST', '/sync/push', {
+    uid: 'alice', body: { notes: [{ id: 'l1', title: 'v2', createdAt: 1, updatedAt: now + 1 }] }
+  });
+  assert.equal(newer.body.results[0].status, 'updated');
+  const note = (await request('GET', '/notes/l1', { uid: 'alice' })).body;
+  assert.equal(note.title, 'v2');
+  assert.equal(note.createdAt, createdAt);
+
+  const older = await request('POST', '/sync/push', { uid: 'alice', body: { notes: [{ id: 'l1', title: 'old', updatedAt: now - 1 }] } });
+  assert.equal(older.body.results[0].status, 'skipped_server_newer');
+});
+
+test('окончательное удаление приходит в purged', async () => {
+  await request('POST', '/sync/push', { uid: 'alice', body: { notes: [{ id: 'p1', title: 'p1', updatedAt: Date.now() }] } });
+  const { cursor } = await pullAll('alice');
+
+  const removed = await request('DELETE', '/notes/p1?permanent=1', { uid: 'alice' });
+  assert.equal(removed.status, 200);
+
+  const { pages } = await pullAll('alice', cursor);
+  assert.deepEqual(pages.flatMap(p => p.purged.map(x => x.id)), ['p1']);
+  assert.deepEqual(pages.flatMap(p => p.notes), []);
+});
+
+test('pull: limit — целое положительное число, иначе 400 invalid_limit', async () => {
+  for (const limit of ['2.5', '0', '-1', 'abc']) {
+    const res = await request('GET', `/sync/pull?limit=${limit}`, { uid: 'alice' });
+    assert.equal(res.status, 400, limit);
+    assert.equal(res.body.code, 'invalid_limit');
+    assert.deepEqual(res.body.details, []);
+  }
+  const page = await request('GET', '/sync/pull?limit=1', { uid: 'alice' });
+  assert.equal(page.body.notes.length, 1);
+  assert.equal(page.body.hasMore, true);
+  assert.equal((await request('GET', '/sync/pull?limit=100000', { uid: 'alice' })).status, 200);
+});
+
+test('pull с повреждённым курсором — 400 invalid_cursor', async () => {
+  for (const cursor of ['bad', Buffer.from('{"seq":-1}').toString('base64url')]) {
+    const res = await request('GET', `/sync/pull?cursor=${cursor}`, { uid: 'alice' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'invalid_cursor');
+  }
+});
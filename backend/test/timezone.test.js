@@ -0,0 +1,91 @@
+// test/timezone.test.js
+// Часовые пояса (lib/timezone.js): местное время в "дыре" перехода на летнее время
+// и в повторяющемся часе перехода на зимнее, границы дней длиной 23 и 25 часов,
+// разбор дат и выбор пояса запроса (?tz=, настройка пользователя, пояс сервера).
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isValidTimeZone, serverTimeZone, zonedParts, zonedTimeToUtc,
+  parseTimeOfDay, parseLocalDate, startOfDay, endOfDay, resolveTimeZone
+} from '../lib/timezone.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const BERLIN = 'Europe/Berlin';
+const iso = ts => new Date(ts).toISOString();
+
+test('zonedTimeToUtc: обычное время и пояса без перехода', () => {
+  assert.equal(iso(zonedTimeToUtc({ year: 2025, month: 1, day: 15, hour: 9 }, BERLIN)), '2025-01-15T08:00:00.000Z');
+  assert.equal(iso(zonedTimeToUtc({ year: 2025, month: 7, day: 15, hour: 9 }, BERLIN)), '2025-07-15T07:00:00.000Z');
+  assert.equal(iso(zonedTimeToUtc({ year: 2025, month: 1, day: 1 }, 'Asia/Vladivostok')), '2024-12-31T14:00:00.000Z');
+  assert.equal(iso(zonedTimeToUtc({ year: 2025, month: 1, day: 1, hour: 5, minute: 45 }, 'Asia/Kathmandu')), '2025-01-01T00:00:00.000Z');
+});
+
+test('zonedTimeToUtc: несуществующее время (переход на летнее) — момент после перехода', () => {
+  // 30 марта 2025 по Берлину часы переводятся с 02:00 на 03:00
+  const gap = zonedTimeToUtc({ year: 2025, month: 3, day: 30, hour: 2, minute: 30 }, BERLIN);
+  assert.equal(iso(gap), '2025-03-30T01:30:00.000Z');
+  assert.deepEqual(zonedParts(gap, BERLIN), { year: 2025, month: 3, day: 30, hour: 3, minute: 30, second: 0 });
+
+  // границы "дыры"
+  assert.equal(iso(zonedTimeToUtc({ year: 2025, month: 3, day: 30, hour: 1, minute: 59 }, BERLIN)), '2025-03-30T00:59:00.000Z');
+  assert.equal(iso(zonedTimeToUtc({ year: 2025, month: 3, day: 30, hour: 3 }, BERLIN)), '2025-03-30T01:00:00.000Z');
+});
+
+test('zonedTimeToUtc: повторяющееся время (переход на зимнее) — первый из двух моментов', () => {
+  // 26 октября 2025 по Берлину 02:00–03:00 проходит дважды: в CEST (+2) и в CET (+1)
+  const overlap = zonedTimeToUtc({ year: 2025, month: 10, day: 26, hour: 2, minute: 30 }, BERLIN);
+  assert.equal(iso(overlap), '2025-10-26T00:30:00.000Z');
+  assert.deepEqual(zonedParts(overlap + HOUR_MS, BERLIN), zonedParts(overlap, BERLIN));
+
+  assert.equal(iso(zonedTimeToUtc({ year: 2025, month: 10, day: 26, hour: 3 }, BERLIN)), '2025-10-26T02:00:00.000Z');
+  // южное полушарие: Сантьяго переходит на зимнее время 6 апреля 2025 (в 00:00 → 23:00 предыдущего дня)
+  assert.equal(iso(zonedTimeToUtc({ year: 2025, month: 4, day: 5, hour: 23, minute: 30 }, 'America/Santiago')), '2025-04-06T02:30:00.000Z');
+});
+
+test('startOfDay/endOfDay: дни перехода длятся 23 и 25 часов, полночь в "дыре" — после перехода', () => {
+  const spring = { year: 2025, month: 3, day: 30 };
+  assert.equal(iso(startOfDay(spring, BERLIN)), '2025-03-29T23:00:00.000Z');
+  assert.equal(iso(endOfDay(spring, BERLIN)), '2025-03-30T21:59:59.999Z');
+  assert.equal(endOfDay(spring, BERLIN) + 1 - startOfDay(spring, BERLIN), 23 * HOUR_MS);
+
+  const autumn = { year: 2025, month: 10, day: 26 };
+  assert.equal(endOfDay(autumn, BERLIN) + 1 - startOfDay(autumn, BERLIN), 25 * HOUR_MS);
+
+  // в Сантьяго 7 сентября 2025 часы переводятся с 00:00 на 01:00 — день начинается в 01:00
+  const santiago = startOfDay({ year: 2025, month: 9, day: 7 }, 'America/Santiago');
+  assert.equal(iso(santiago), '2025-09-07T04:00:00.000Z');
+  assert.equal(zonedParts(santiago, 'America/Santiago').hour, 1);
+
+  // конец последнего дня года — переход на следующий год
+  assert.equal(iso(endOfDay({ year: 2025, month: 12, day: 31 }, 'UTC')), '2025-12-31T23:59:59.999Z');
+});
+
+test('parseLocalDate и parseTimeOfDay отклоняют некорректные значения', () => {
+  assert.deepEqual(parseLocalDate('2024-02-29'), { year: 2024, month: 2, day: 29 });
+  for (const value of ['2025-02-29', '2025-02-30', '2025-13-01', '2025-1-01', '2025-01-01T00:00', '', null, 20250101]) {
+    assert.equal(parseLocalDate(value), null, String(value));
+  }
+
+  assert.deepEqual(parseTimeOfDay(' 9:05 '), { hour: 9, minute: 5, second: 0 });
+  assert.deepEqual(parseTimeOfDay('23:59:59'), { hour: 23, minute: 59, second: 59 });
+  for (const value of ['24:00', '12:60', '12', '12:5', 'abc', null]) {
+    assert.equal(parseTimeOfDay(value), null, String(value));
+  }
+});
+
+test('resolveTimeZone: ?tz=, затем настройка пользователя, затем пояс сервера', async () => {
+  const adapter = { getUserSettings: async uid => (uid === 'alice' ? { uid, tz: 'Asia/Vladivostok' } : null) };
+
+  assert.equal(await resolveTimeZone(adapter, 'alice', 'Europe/Berlin'), 'Europe/Berlin');
+  assert.equal(await resolveTimeZone(adapter, 'alice', 'Mars/Base'), null);
+  assert.equal(await resolveTimeZone(adapter, 'alice', ''), 'Asia/Vladivostok');
+  assert.equal(await resolveTimeZone(adapter, 'bob'), serverTimeZone());
+  // хранилище без настроек пользователей
+  assert.equal(await resolveTimeZone({}, 'alice'), serverTimeZone());
+
+  assert.equal(isValidTimeZone('UTC'), true);
+  for (const tz of ['', 'Mars/Base', 42, null, 'A'.repeat(65)]) {
+    assert.equal(isValidTimeZone(tz), false, String(tz));
+  }
+});
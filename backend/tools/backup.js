@@ -0,0 +1,140 @@
+// tools/backup.js
+// Резервные копии data/ и восстановление (lib/backup.js).
+//
+//   node tools/backup.js create [--users]      — полная копия (SQLite backup API + JSON-файлы);
+//                                                --users — с users/<uid>.json для каждого пользователя;
+//   node tools/backup.js create --uid <uid>    — копия заметок одного пользователя;
+//   node tools/backup.js list                  — список копий в data/backups;
+//   node tools/backup.js restore <копия> --uid <uid> [--dry-run]
+//                                              — вернуть заметки пользователя к состоянию копии,
+//                                                не трогая остальных (--dry-run — только посчитать);
+//   node tools/backup.js restore <копия> [--dry-run]
+//                                              — восстановить базу и файлы целиком
+//                                                (только при остановленном сервере!).
+//   --data <путь> — каталог данных (по умолчанию data/); --json — результат в JSON;
+//   --verbose     — не скрывать журнал адаптеров.
+//
+// <копия> — имя архива из data/backups или путь к нему. Хранилища — по STORAGE.
+// На работающем сервере те же операции (кроме полного восстановления) — /admin/backups.
+
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import AdmZip from 'adm-zip';
+import { fileURLToPath } from 'url';
+import { createStorage, DEFAULT_STORAGE } from '../adapters/registry.js';
+import { initFirebase } from '../lib/firestore.js';
+import {
+  createBackup, listBackups, restoreUser, restoreAll, rotateBackups, backupDir, isBackupName
+} from '../lib/backup.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BACKEND_DIR = path.join(__dirname, '..');
+
+dotenv.config({ path: path.join(BACKEND_DIR, '.env') });
+
+const args = process.argv.slice(2);
+const [command, target] = args.filter((a, i) => !a.startsWith('--') && !['--uid', '--data'].includes(args[i - 1]));
+const json = args.includes('--json');
+const verbose = args.includes('--verbose');
+const dryRun = args.includes('--dry-run');
+const option = name => {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : undefined;
+};
+const uid = option('--uid') || null;
+const dataDir = path.resolve(option('--data') || path.join(BACKEND_DIR, 'data'));
+const STORAGE = (process.env.STORAGE || DEFAULT_STORAGE).toLowerCase();
+
+const print = line => process.stdout.write(`${line}\n`);
+const kb = size => `${Math.round(size / 1024)} КБ`;
+
+function archivePath(name) {
+  if (!name) throw new Error('Укажите копию: имя из data/backups или путь к архиву');
+  const inBackups = path.join(backupDir(dataDir), name);
+  const file = isBackupName(name) && fs.existsSync(inBackups) ? inBackups : path.resolve(name);
+  if (!fs.existsSync(file)) throw new Error(`Копия не найдена: ${name}`);
+  return file;
+}
+
+async function openStorage() {
+  initFirebase(BACKEND_DIR);
+  const adapter = createStorage(STORAGE);
+  await adapter.init(dataDir);
+  return adapter;
+}
+
+async function run() {
+  switch (command) {
+    case 'create': {
+      const adapter = await openStorage();
+      const backup = await createBackup(adapter, { dataDir, storage: STORAGE, uid, users: args.includes('--users') });
+      const removed = uid ? [] : await rotateBackups(dataDir);
+      return { backup, removed, text: [`✓ ${backup.name} (${kb(backup.size)})`, ...removed.map(n => `  удалена старая копия ${n}`)] };
+    }
+    case 'list': {
+      const backups = await listBackups(dataDir);
+      return {
+        backups,
+        text: backups.length
+          ? backups.map(b => `${b.name}  ${kb(b.size)}  ${b.kind === 'user' ? 'пользователь' : 'полная'}`)
+          : ['Копий нет']
+      };
+    }
+    case 'restore': {
+      const file = archivePath(target);
+      if (uid) {
+        const adapter = await openStorage();
+        const result = await restoreUser(adapter, file, uid, { dryRun });
+        return {
+          result,
+          text: [
+            `${dryRun ? 'Будет восстановлено' : 'Восстановлено'} заметок ${uid}: ${result.restored}, без изменений: ${result.unchanged}`,
+            `В корзину (созданы после копии): ${result.trashed}, блокнотов: ${result.notebooks}`
+          ]
+        };
+      }
+      if (dryRun) {
+        const manifest = JSON.parse(new AdmZip(file).readAsText('manifest.json') || '{}');
+        return {
+          manifest,
+          text: [
+            `Копия от ${new Date(manifest.createdAt).toISOString()} (${manifest.kind === 'user' ? 'пользователь' : 'полная'})`,
+            `Будут заменены: ${[manifest.database && 'notes.db', ...(manifest.directories || [])].filter(Boolean).join(', ') || 'ничего'}`
+          ]
+        };
+      }
+      const adapter = await openStorage();
+      const result = await restoreAll(adapter, file, { dataDir, storage: STORAGE });
+      return {
+        result,
+        text: [
+          `✓ Восстановлено: ${[result.database && 'notes.db', ...result.directories].filter(Boolean).join(', ')}`,
+          `Копия состояния до восстановления: ${result.preRestore}`,
+          ...(result.firestore ? [`В очередь Firestore: заметок ${result.firestore.notes}, удалений ${result.firestore.deleted}`] : [])
+        ]
+      };
+    }
+    default:
+      throw new Error('Команда: create | list | restore (см. tools/backup.js)');
+  }
+}
+
+const quiet = { log: console.log, warn: console.warn };
+if (!verbose) console.log = console.warn = () => {};
+
+let output;
+try {
+  output = await run();
+} catch (e) {
+  Object.assign(console, quiet);
+  if (json) print(JSON.stringify({ ok: false, error: e && e.message }, null, 2));
+  else print(`✗ ${e && e.message}`);
+  process.exit(1);
+}
+Object.assign(console, quiet);
+
+const { text, ...result } = output;
+if (json) print(JSON.stringify({ ok: true, ...result }, null, 2));
+else text.forEach(line => print(line));
+process.exit(0);
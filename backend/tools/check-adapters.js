@@ -0,0 +1,50 @@
+// tools/check-adapters.js
+// Проверка хранилищ на соответствие интерфейсу (adapters/conformance.js).
+//
+//   node tools/check-adapters.js                  — все хранилища: memory, file, sqlite,
+//                                                   firestore, sqlite+file, dual;
+//   node tools/check-adapters.js memory sqlite+file — только перечисленные (как в STORAGE);
+//   --json     — результат в JSON;
+//   --verbose  — не скрывать журнал адаптеров.
+//
+// Каждое хранилище проверяется во временном каталоге. Если Firestore не настроен,
+// для firestore и dual используется Firestore в памяти (lib/memoryFirestore.js).
+// Код выхода 1 — хотя бы одна проверка не прошла.
+
+import { checkStorage, CONFORMANCE_STORAGES } from '../adapters/conformance.js';
+
+const args = process.argv.slice(2);
+const json = args.includes('--json');
+const verbose = args.includes('--verbose');
+const specs = args.filter(a => !a.startsWith('--'));
+
+const print = line => process.stdout.write(`${line}\n`);
+const quiet = { log: console.log, warn: console.warn };
+
+const report = [];
+for (const spec of specs.length ? specs : CONFORMANCE_STORAGES) {
+  if (!verbose) console.log = console.warn = () => {};
+  try {
+    report.push(await checkStorage(spec));
+  } catch (e) {
+    report.push({ storage: spec, error: e && e.message, results: [] });
+  } finally {
+    Object.assign(console, quiet);
+  }
+}
+
+const failed = report.filter(r => r.error || r.results.some(c => !c.ok));
+
+if (json) {
+  print(JSON.stringify({ ok: !failed.length, storages: report }, null, 2));
+} else {
+  for (const r of report) {
+    print(`${r.storage}${r.capabilities ? ` (${r.capabilities.join(', ')})` : ''}`);
+    if (r.error) print(`  ✗ не удалось инициализировать: ${r.error}`);
+    for (const c of r.results) {
+      print(`  ${c.skipped ? '-' : c.ok ? '✓' : '✗'} ${c.name}${c.skipped ? ' (нет возможности)' : ''}${c.error ? `: ${c.error}` : ''}`);
+    }
+  }
+  print(failed.length ? `\nНе прошли: ${failed.map(r => r.storage).join(', ')}` : '\nВсе хранилища соответствуют интерфейсу');
+}
+process.exit(failed.length ? 1 : 0);
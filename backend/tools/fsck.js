@@ -0,0 +1,100 @@
+// tools/fsck.js
+// Проверка согласованности копий заметок в SQLite, JSON-файлах и Firestore (lib/fsck.js).
+//
+//   node tools/fsck.js                   — найти отсутствующие, расходящиеся и повреждённые копии;
+//   --source <newest|sqlite|file|firestore> — эталон: самая новая копия (по умолчанию) или хранилище;
+//   --repair      — перезаписать проблемные копии эталоном;
+//   --uid <uid>   — только заметки пользователя;
+//   --data <путь> — каталог данных (по умолчанию data/);
+//   --json        — отчёт в JSON;
+//   --verbose     — не скрывать журнал адаптеров.
+//
+// Хранилища — по STORAGE (как у сервера, по умолчанию dual).
+// Исправлять лучше при остановленном сервере или через POST /admin/fsck/repair.
+// Код выхода: 0 — расхождений нет (или все исправлены), 1 — остались проблемы, 2 — ошибка.
+
+import path from 'path';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { createStorage, DEFAULT_STORAGE } from '../adapters/registry.js';
+import { initFirebase } from '../lib/firestore.js';
+import { checkConsistency, fsckStores } from '../lib/fsck.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BACKEND_DIR = path.join(__dirname, '..');
+
+dotenv.config({ path: path.join(BACKEND_DIR, '.env') });
+
+const args = process.argv.slice(2);
+const json = args.includes('--json');
+const verbose = args.includes('--verbose');
+const repair = args.includes('--repair');
+const option = name => {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : undefined;
+};
+const source = option('--source') || 'newest';
+const uid = option('--uid') || null;
+const dataDir = path.resolve(option('--data') || path.join(BACKEND_DIR, 'data'));
+const STORAGE = (process.env.STORAGE || DEFAULT_STORAGE).toLowerCase();
+
+const print = line => process.stdout.write(`${line}\n`);
+
+const PROBLEM_LABELS = {
+  missing: 'нет копии',
+  divergent: 'расходится',
+  corrupt: 'повреждена',
+  purged: 'осталась после окончательного удаления',
+  extra: 'лишняя (в эталоне заметки нет)',
+  pending: 'ждёт отправки в очереди'
+};
+
+function printReport(report) {
+  print(`Хранилища: ${report.stores.join(', ')} (эталон: ${report.source}${report.uid ? `, пользователь ${report.uid}` : ''})`);
+  if (report.sqliteIntegrity) print(`SQLite integrity_check: ${report.sqliteIntegrity.join('; ')}`);
+  for (const issue of report.issues) {
+    print(`\n${issue.id}${issue.uid ? ` (uid ${issue.uid})` : ''}`);
+    for (const p of issue.problems) {
+      const extra = p.fields ? `: ${p.fields.join(', ')}` : p.error ? `: ${p.error}` : '';
+      print(`  ${p.store}: ${PROBLEM_LABELS[p.type]}${extra}`);
+    }
+    if (issue.repair) {
+      if (issue.repair.action === 'skip') print(`  ✗ не исправлено: ${issue.repair.reason}`);
+      if (issue.repair.stores.length) {
+        print(`  ✓ ${issue.repair.action === 'write' ? 'перезаписано' : 'удалено'}: ${issue.repair.stores.join(', ')}`);
+      }
+      for (const e of issue.repair.errors) print(`  ✗ ${e.store}: ${e.error}`);
+    }
+  }
+  const s = report.summary;
+  print(`\nПроверено заметок: ${s.checked}, согласованы: ${s.consistent}`);
+  for (const type of Object.keys(PROBLEM_LABELS)) {
+    if (s[type]) print(`  ${PROBLEM_LABELS[type]}: ${s[type]}`);
+  }
+  if (report.repair) print(`Исправлено: ${s.repaired}, не удалось: ${s.failed}`);
+}
+
+const quiet = { log: console.log, warn: console.warn };
+if (!verbose) console.log = console.warn = () => {};
+
+let report;
+try {
+  initFirebase(BACKEND_DIR);
+  const adapter = createStorage(STORAGE);
+  await adapter.init(dataDir);
+  report = await checkConsistency({ stores: fsckStores(STORAGE), uid, source, repair });
+} catch (e) {
+  Object.assign(console, quiet);
+  if (json) print(JSON.stringify({ ok: false, error: e && e.message }, null, 2));
+  else print(`✗ ${e && e.message}`);
+  process.exit(2);
+}
+Object.assign(console, quiet);
+
+const unresolved = report.repair
+  ? report.summary.failed + report.issues.filter(i => !i.repair && i.problems.some(p => p.type !== 'pending')).length
+  : report.issues.filter(i => i.problems.some(p => p.type !== 'pending')).length;
+
+if (json) print(JSON.stringify({ ok: !unresolved, ...report }, null, 2));
+else printReport(report);
+process.exit(unresolved ? 1 : 0);
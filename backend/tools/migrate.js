@@ -0,0 +1,71 @@
+// tools/migrate.js
+// Миграции схемы notes.db (adapters/sqliteMigrations.js) без запуска сервера.
+//
+//   node tools/migrate.js             — применить недостающие миграции (с копией базы в data/backups);
+//   node tools/migrate.js --dry-run   — показать, что будет применено: миграции выполняются
+//                                       в транзакции и откатываются, база не меняется;
+//   --db <путь>   — другая база (по умолчанию data/notes.db);
+//   --no-backup   — не делать копию перед миграцией;
+//   --json        — результат в JSON.
+//
+// Сервер применяет те же миграции сам при запуске (SqliteAdapter.init).
+// Код выхода 1 — база не найдена или миграция не удалась.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { migrate, listAppliedMigrations, LATEST_VERSION } from '../adapters/sqliteMigrations.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const args = process.argv.slice(2);
+const json = args.includes('--json');
+const dryRun = args.includes('--dry-run');
+const backup = !args.includes('--no-backup');
+const dbIndex = args.indexOf('--db');
+const dbPath = path.resolve(dbIndex >= 0 && args[dbIndex + 1] ? args[dbIndex + 1] : path.join(__dirname, '..', 'data', 'notes.db'));
+
+const print = line => process.stdout.write(`${line}\n`);
+
+function fail(message) {
+  if (json) print(JSON.stringify({ ok: false, db: dbPath, error: message }, null, 2));
+  else print(`✗ ${message}`);
+  process.exit(1);
+}
+
+if (!fs.existsSync(dbPath)) fail(`База не найдена: ${dbPath}`);
+
+// журнал миграций — только в подробном режиме сервера, здесь печатаем итог сами
+const log = console.log;
+console.log = () => {};
+
+let result;
+let applied;
+const db = await open({ filename: dbPath, driver: sqlite3.Database });
+try {
+  await db.exec('PRAGMA busy_timeout = 5000');
+  result = await migrate(db, { dbPath, dryRun, backup });
+  applied = await listAppliedMigrations(db);
+} catch (e) {
+  console.log = log;
+  await db.close();
+  fail(`Миграция не удалась: ${e && e.message}`);
+}
+await db.close();
+console.log = log;
+
+if (json) {
+  print(JSON.stringify({ ok: true, db: dbPath, latest: LATEST_VERSION, ...result, history: applied }, null, 2));
+} else {
+  print(`База: ${dbPath}`);
+  print(`Версия схемы: ${result.from}${result.to !== result.from ? ` → ${result.to}` : ''} (последняя: ${LATEST_VERSION})`);
+  if (result.renumbered) print(`Прежняя нумерация миграций: база ${dryRun ? 'будет проведена' : 'проведена'} по всем миграциям заново`);
+  if (!result.applied.length) print('Новых миграций нет');
+  for (const m of result.applied) {
+    print(`  ${dryRun ? '~' : '✓'} ${m.version} ${m.name}${dryRun ? ' (будет применена)' : ''}`);
+  }
+  if (result.backup) print(`Копия до миграции: ${result.backup}`);
+  if (dryRun) print('\n--dry-run: изменения откачены, база не менялась');
+}